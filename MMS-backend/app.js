@@ -0,0 +1,91 @@
+const express = require('express');
+const cors = require('cors');
+const morgan = require('morgan');
+const logger = require('./utils/logger');
+const apiLogger = require('./middleware/apiLogger');
+const maintenance = require('./middleware/maintenance');
+
+// Import routes
+const authRouter = require('./routes/auth');
+const userRouter = require('./routes/user');
+const assetRouter = require('./routes/asset');
+const transferRouter = require('./routes/transfer');
+const purchaseRouter = require('./routes/purchase');
+const assignmentRouter = require('./routes/assignment');
+const expenditureRouter = require('./routes/expenditure');
+const dashboardRouter = require('./routes/dashboard');
+const activityLogRouter = require('./routes/activityLog');
+const reportRouter = require('./routes/report');
+const settingsRouter = require('./routes/settings');
+const baseRouter = require('./routes/base');
+const assetTypeRouter = require('./routes/assetType');
+const reconciliationRouter = require('./routes/reconciliation');
+const periodRouter = require('./routes/period');
+const approvalWorkflowRouter = require('./routes/approvalWorkflow');
+const approvalRouter = require('./routes/approval');
+const budgetRouter = require('./routes/budget');
+const supplierRouter = require('./routes/supplier');
+const personnelRouter = require('./routes/personnel');
+const notificationRouter = require('./routes/notification');
+const investigationRouter = require('./routes/investigation');
+
+// Initialize express app
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Logging middleware
+app.use(morgan('combined', { stream: logger.stream }));
+
+// Log all API requests and responses
+app.use('/api', apiLogger);
+
+// API routes
+app.use('/api/auth', authRouter);
+app.use('/api/users', maintenance, userRouter);
+app.use('/api/assets', maintenance, assetRouter);
+app.use('/api/transfers', maintenance, transferRouter);
+app.use('/api/purchases', maintenance, purchaseRouter);
+app.use('/api/assignments', maintenance, assignmentRouter);
+app.use('/api/expenditures', maintenance, expenditureRouter);
+app.use('/api/dashboard', dashboardRouter);
+app.use('/api/activity-logs', activityLogRouter);
+app.use('/api/reports', reportRouter);
+app.use('/api/settings', settingsRouter);
+app.use('/api/bases', maintenance, baseRouter);
+app.use('/api/asset-types', maintenance, assetTypeRouter);
+app.use('/api/reconciliation', maintenance, reconciliationRouter);
+app.use('/api/periods', maintenance, periodRouter);
+app.use('/api/approval-workflows', maintenance, approvalWorkflowRouter);
+app.use('/api/approvals', maintenance, approvalRouter);
+app.use('/api/budgets', maintenance, budgetRouter);
+app.use('/api/suppliers', maintenance, supplierRouter);
+app.use('/api/personnel', maintenance, personnelRouter);
+app.use('/api/notifications', maintenance, notificationRouter);
+app.use('/api/investigations', maintenance, investigationRouter);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  // Log the error
+  logger.error({
+    message: 'Express Error Handler',
+    error: err.message,
+    stack: err.stack,
+    url: req.originalUrl,
+    method: req.method,
+    ip: req.ip,
+    userId: req.user ? req.user._id : 'unauthenticated',
+    username: req.user ? req.user.username : 'unauthenticated'
+  });
+  
+  // Send error response
+  res.status(500).send({
+    error: 'Server Error',
+    message: process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : err.message
+  });
+});
+
+module.exports = app;
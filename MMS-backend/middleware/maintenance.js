@@ -0,0 +1,66 @@
+const Settings = require('../models/Settings');
+
+// How long the maintenance flag is cached between settings lookups
+const CACHE_TTL_MS = 5000;
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+let cache = { maintenanceMode: false, expiresAt: 0 };
+
+/**
+ * Check whether maintenance mode is enabled, using a short-lived cache
+ */
+const isMaintenanceMode = async () => {
+  if (Date.now() < cache.expiresAt) {
+    return cache.maintenanceMode;
+  }
+
+  const settings = await Settings.getSettings();
+  cache = { maintenanceMode: settings.maintenanceMode, expiresAt: Date.now() + CACHE_TTL_MS };
+
+  return cache.maintenanceMode;
+};
+
+/**
+ * Update the cached flag after maintenance mode is toggled
+ */
+const setMaintenanceMode = (maintenanceMode) => {
+  cache = { maintenanceMode, expiresAt: Date.now() + CACHE_TTL_MS };
+};
+
+/**
+ * Send the response returned while maintenance mode blocks a request
+ */
+const sendMaintenanceResponse = (res, message) => {
+  res.set('Retry-After', '300');
+  res.status(503).send({
+    error: 'Maintenance mode',
+    message,
+    maintenanceMode: true
+  });
+};
+
+/**
+ * Middleware to block mutating requests while maintenance mode is enabled.
+ * Read requests are always allowed.
+ */
+const maintenance = async (req, res, next) => {
+  if (!WRITE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  try {
+    if (await isMaintenanceMode()) {
+      return sendMaintenanceResponse(res, 'The system is in maintenance mode. Changes are disabled until maintenance is complete.');
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).send({ error: 'Server error', message: error.message });
+  }
+};
+
+module.exports = maintenance;
+module.exports.isMaintenanceMode = isMaintenanceMode;
+module.exports.setMaintenanceMode = setMaintenanceMode;
+module.exports.sendMaintenanceResponse = sendMaintenanceResponse;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const AccountingPeriodSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['Open', 'Closed'],
+    default: 'Open'
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedAt: { type: Date },
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+AccountingPeriodSchema.index({ startDate: 1, endDate: 1 });
+
+AccountingPeriodSchema.path('endDate').validate(function(value) {
+  return !this.startDate || value > this.startDate;
+}, 'Period end date must be after its start date');
+
+// Find the closed period containing a date, if any
+AccountingPeriodSchema.statics.findClosedContaining = function(date, session) {
+  return this.findOne({
+    status: 'Closed',
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  }).session(session || null);
+};
+
+module.exports = mongoose.model('AccountingPeriod', AccountingPeriodSchema);
@@ -5,12 +5,12 @@ const ActivityLogSchema = new mongoose.Schema({
   username: { type: String },
   action: { 
     type: String, 
-    enum: ['Create', 'Update', 'Delete', 'Login', 'Logout', 'Transfer', 'Purchase', 'Assignment', 'Expenditure', 'Authentication', 'Failed Login'],
+    enum: ['Create', 'Update', 'Delete', 'Login', 'Logout', 'Transfer', 'Purchase', 'Assignment', 'Expenditure', 'Authentication', 'Failed Login', 'Approve', 'Reject'],
     required: true
   },
   resourceType: { 
     type: String, 
-    enum: ['Asset', 'User', 'Transfer', 'Purchase', 'Assignment', 'Expenditure'],
+    enum: ['Asset', 'User', 'Transfer', 'Purchase', 'Assignment', 'Expenditure', 'Settings', 'Base', 'AssetType', 'AccountingPeriod', 'ApprovalWorkflow', 'ApprovalRequest', 'Budget', 'Supplier', 'Personnel', 'Investigation'],
     required: true
   },
   resourceId: { type: mongoose.Schema.Types.ObjectId },
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One step of an approval chain as it applies to a specific request
+const RequestStepSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  approverRole: { type: String, required: true },
+  base: { type: String }, // Base the approver must be assigned to, if any
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected'],
+    default: 'Pending'
+  },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: { type: Date },
+  comments: { type: String }
+});
+
+const ApprovalRequestSchema = new mongoose.Schema({
+  actionType: { type: String, required: true },
+  resourceType: { type: String, required: true },
+  resourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  workflow: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalWorkflow' },
+  workflowName: { type: String },
+  // What is being approved, for the approval queues
+  summary: {
+    assetName: { type: String },
+    assetType: { type: String },
+    quantity: { type: Number },
+    cost: { type: Number },
+    fromBase: { type: String },
+    toBase: { type: String },
+    base: { type: String }
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+    default: 'Pending'
+  },
+  steps: [RequestStepSchema],
+  currentStep: { type: Number, default: 0 },
+  // Copied from the current step so the approval queues can be queried
+  pendingRole: { type: String },
+  pendingBase: { type: String },
+  rejectionReason: { type: String },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+ApprovalRequestSchema.index({ resourceType: 1, resourceId: 1 });
+ApprovalRequestSchema.index({ status: 1, pendingRole: 1, pendingBase: 1 });
+
+module.exports = mongoose.model('ApprovalRequest', ApprovalRequestSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+
+// Actions that go through an approval chain
+const ACTION_TYPES = ['Transfer', 'Purchase'];
+
+// Which base an approver must be assigned to: any base, the transfer's
+// source or destination, or the base of a single-base request
+const BASE_SCOPES = ['Any', 'Source', 'Destination', 'Base'];
+
+const ApprovalStepSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  approverRole: {
+    type: String,
+    enum: ['Admin', 'BaseCommander', 'LogisticsOfficer'],
+    required: true
+  },
+  baseScope: { type: String, enum: BASE_SCOPES, default: 'Any' }
+}, { _id: false });
+
+const ApprovalWorkflowSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  description: { type: String },
+  actionType: { type: String, enum: ACTION_TYPES, required: true },
+  // Conditions; an empty condition matches every request. The thresholds
+  // match requests for more than the given quantity or total cost.
+  base: { type: String, validate: validBase },
+  assetType: { type: String, validate: validAssetType },
+  quantityOver: { type: Number, min: 0 },
+  costOver: { type: Number, min: 0 },
+  // Higher priority wins when several workflows match
+  priority: { type: Number, default: 0 },
+  steps: {
+    type: [ApprovalStepSchema],
+    validate: [steps => steps.length > 0, 'A workflow needs at least one approval step']
+  },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+ApprovalWorkflowSchema.index({ actionType: 1, active: 1 });
+
+ApprovalWorkflowSchema.statics.ACTION_TYPES = ACTION_TYPES;
+ApprovalWorkflowSchema.statics.BASE_SCOPES = BASE_SCOPES;
+
+module.exports = mongoose.model('ApprovalWorkflow', ApprovalWorkflowSchema);
@@ -1,13 +1,14 @@
 const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
 
 const AssetSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  type: { 
-    type: String, 
-    required: true,
-    enum: ['Vehicle', 'Weapon', 'Ammunition', 'Equipment', 'Other']
-  },
-  base: { type: String, required: true },
+  type: { type: String, required: true, validate: validAssetType },
+  base: { type: String, required: true, validate: validBase },
+  // Serialized assets record each item by serial number (see SerializedItem)
+  serialized: { type: Boolean, default: false },
+  // Lot-tracked assets record stock by lot and expiry date (see Lot)
+  lotTracked: { type: Boolean, default: false },
   openingBalance: { type: Number, default: 0 },
   closingBalance: { type: Number, default: 0 },
   purchases: { type: Number, default: 0 },
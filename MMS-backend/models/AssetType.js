@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const AssetTypeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    immutable: true,
+    match: /^[A-Z0-9-]+$/
+  },
+  // Records refer to an asset type by its name, so it cannot change once created
+  name: { type: String, required: true, unique: true, trim: true, immutable: true },
+  description: { type: String, trim: true },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AssetType', AssetTypeSchema);
@@ -1,19 +1,37 @@
 const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+const { LOT_RECORD } = require('./Lot');
 
 const AssignmentSchema = new mongoose.Schema({
   asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
   assetName: { type: String, required: true },
-  assetType: { type: String, required: true },
-  base: { type: String, required: true },
-  quantity: { type: Number, required: true },
+  assetType: { type: String, required: true, validate: validAssetType },
+  base: { type: String, required: true, validate: validBase },
+  quantity: { type: Number, required: true, min: 1 },
+  // Items issued and those handed back, for serialized assets
+  serialNumbers: [{ type: String }],
+  returnedSerialNumbers: [{ type: String }],
+  // Lots written off when a loss or damage investigation closes, for
+  // lot-tracked assets
+  lots: [LOT_RECORD],
+  // Person the assets are issued to, from the personnel registry
+  personnel: { type: mongoose.Schema.Types.ObjectId, ref: 'Personnel', required: true },
+  // Copy of the person's name, rank and service number for display, updated
+  // when their record changes
   assignedTo: { 
     name: { type: String, required: true },
     rank: { type: String, required: true },
     id: { type: String, required: true }
   },
   assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Number of the hand receipt covering the issue, shared by the
+  // assignments of a bulk issue
+  receiptNumber: { type: String },
   purpose: { type: String, required: true },
   startDate: { type: Date, default: Date.now },
+  // Date the assets are due back
+  expectedReturnDate: { type: Date },
+  // Date the assignment was returned, lost or damaged
   endDate: { type: Date },
   status: { 
     type: String, 
@@ -21,11 +39,33 @@ const AssignmentSchema = new mongoose.Schema({
     default: 'Active'
   },
   returnedQuantity: { type: Number, default: 0 },
+  // Inquiry opened when the assignment is reported lost or damaged
+  investigation: { type: mongoose.Schema.Types.ObjectId, ref: 'Investigation' },
+  // Set by the overdue check while an active assignment is past its expected
+  // return date
+  overdue: { type: Boolean, default: false },
+  // When the BaseCommander was last notified, and how many times
+  lastEscalatedAt: { type: Date },
+  escalations: { type: Number, default: 0 },
   notes: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  id: false
 });
 
+// Whole days an overdue assignment is past its expected return date
+AssignmentSchema.virtual('daysOverdue').get(function() {
+  if (!this.overdue || !this.expectedReturnDate) return 0;
+  return Math.floor((Date.now() - this.expectedReturnDate.getTime()) / (24 * 60 * 60 * 1000));
+});
+
+AssignmentSchema.index({ personnel: 1, status: 1 });
+AssignmentSchema.index({ status: 1, expectedReturnDate: 1 });
+AssignmentSchema.index({ base: 1, overdue: 1 });
+AssignmentSchema.index({ receiptNumber: 1 });
+
 module.exports = mongoose.model('Assignment', AssignmentSchema);
\ No newline at end of file
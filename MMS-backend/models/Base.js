@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const BaseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    immutable: true,
+    match: /^[A-Z0-9-]+$/
+  },
+  // Records refer to a base by its name, so it cannot change once created
+  name: { type: String, required: true, unique: true, trim: true, immutable: true },
+  location: { type: String, trim: true },
+  parentCommand: { type: String, trim: true },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Base', BaseSchema);
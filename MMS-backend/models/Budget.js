@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+
+// What happens to purchases that would exceed the budget: rejected, or
+// accepted and flagged as over budget
+const ENFORCEMENTS = ['Reject', 'Flag'];
+
+const BudgetSchema = new mongoose.Schema({
+  base: { type: String, required: true, validate: validBase },
+  // A budget without an asset type covers every purchase of the base
+  assetType: { type: String, validate: validAssetType },
+  fiscalYear: { type: Number, required: true, min: 2000 },
+  amount: { type: Number, required: true, min: 0 },
+  enforcement: { type: String, enum: ENFORCEMENTS, default: 'Reject' },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+BudgetSchema.index({ base: 1, assetType: 1, fiscalYear: 1 }, { unique: true });
+
+BudgetSchema.statics.ENFORCEMENTS = ENFORCEMENTS;
+
+module.exports = mongoose.model('Budget', BudgetSchema);
@@ -1,30 +1,70 @@
 const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+const { LOT_RECORD } = require('./Lot');
+
+const REASONS = ['Training', 'Operation', 'Maintenance', 'Damaged', 'Lost', 'Other'];
+
+// Fields that can be amended by a correction
+const CORRECTABLE_FIELDS = ['quantity', 'reason', 'expenditureDate'];
+
+// Write-offs of transfer shortages are not expended by anyone; the receiving
+// user is recorded in authorizedBy
+const requiredUnlessWriteOff = function() {
+  return !this.transfer;
+};
 
 const ExpenditureSchema = new mongoose.Schema({
   asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
   assetName: { type: String, required: true },
-  assetType: { type: String, required: true },
-  base: { type: String, required: true },
-  quantity: { type: Number, required: true },
+  assetType: { type: String, required: true, validate: validAssetType },
+  base: { type: String, required: true, validate: validBase },
+  quantity: { type: Number, required: true, min: 1 },
+  // Items expended, for serialized assets
+  serialNumbers: [{ type: String }],
+  // Lots drawn on, for lot-tracked assets
+  lots: [LOT_RECORD],
   reason: { 
     type: String, 
-    enum: ['Training', 'Operation', 'Maintenance', 'Damaged', 'Lost', 'Other'],
+    enum: REASONS,
     required: true
   },
   authorizedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Person who expended the assets, from the personnel registry; not set on
+  // write-offs recorded from transfer shortages
+  personnel: { type: mongoose.Schema.Types.ObjectId, ref: 'Personnel' },
+  // Copy of the person's name, rank and service number for display, updated
+  // when their record changes; not set on transfer write-offs
   expendedBy: { 
-    name: { type: String, required: true },
-    rank: { type: String, required: true },
-    id: { type: String, required: true }
+    name: { type: String, required: requiredUnlessWriteOff },
+    rank: { type: String, required: requiredUnlessWriteOff },
+    id: { type: String, required: requiredUnlessWriteOff }
   },
   operationName: { type: String },
   expenditureDate: { type: Date, default: Date.now },
   location: { type: String },
   notes: { type: String },
+  transfer: { type: mongoose.Schema.Types.ObjectId, ref: 'Transfer' }, // Set when written off from a transfer shortage
+  investigation: { type: mongoose.Schema.Types.ObjectId, ref: 'Investigation' }, // Set when written off by a loss or damage investigation
+  // Corrections, oldest first, each with the values it changed from and to
+  revisions: [{
+    changes: [{
+      field: { type: String, enum: CORRECTABLE_FIELDS, required: true },
+      from: { type: mongoose.Schema.Types.Mixed },
+      to: { type: mongoose.Schema.Types.Mixed }
+    }],
+    justification: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    date: { type: Date, default: Date.now }
+  }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, {
   timestamps: true
 });
 
+ExpenditureSchema.index({ personnel: 1 });
+
+ExpenditureSchema.statics.REASONS = REASONS;
+ExpenditureSchema.statics.CORRECTABLE_FIELDS = CORRECTABLE_FIELDS;
+
 module.exports = mongoose.model('Expenditure', ExpenditureSchema);
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+
+// Open until an investigating officer is appointed, closed with an outcome
+const STATUSES = ['Open', 'UnderInvestigation', 'Closed'];
+
+const LIABILITY_DECISIONS = ['Pending', 'NotLiable', 'Liable'];
+
+// What happens to the stock: expended, or put back into the base's stock
+const OUTCOMES = ['WrittenOff', 'Restored'];
+
+const HISTORY_EVENTS = ['Opened', 'OfficerAppointed', 'Updated', 'EvidenceAdded', 'Closed'];
+
+const personSchema = {
+  name: { type: String },
+  rank: { type: String },
+  id: { type: String }
+};
+
+const InvestigationSchema = new mongoose.Schema({
+  // Assignment reported lost or damaged, and what it still held then
+  assignment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment', required: true, unique: true },
+  type: { type: String, enum: ['Lost', 'Damaged'], required: true },
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  assetName: { type: String, required: true },
+  assetType: { type: String, required: true, validate: validAssetType },
+  base: { type: String, required: true, validate: validBase },
+  quantity: { type: Number, required: true, min: 1 },
+  serialNumbers: [{ type: String }],
+  // Person the assets were assigned to
+  personnel: { type: mongoose.Schema.Types.ObjectId, ref: 'Personnel' },
+  assignedTo: personSchema,
+  status: { type: String, enum: STATUSES, default: 'Open' },
+  // Officer conducting the inquiry, from the personnel registry, with a copy
+  // of their details
+  investigatingOfficer: { type: mongoose.Schema.Types.ObjectId, ref: 'Personnel' },
+  officer: personSchema,
+  findings: { type: String },
+  liability: {
+    decision: { type: String, enum: LIABILITY_DECISIONS, default: 'Pending' },
+    // Amount the liable person is to pay, in the default currency
+    amount: { type: Number, min: 0 },
+    notes: { type: String }
+  },
+  evidence: [{
+    description: { type: String, required: true },
+    // Where the evidence is kept, such as a statement or photo reference
+    reference: { type: String },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  outcome: { type: String, enum: OUTCOMES },
+  outcomeNotes: { type: String },
+  // Set when the stock is written off
+  expenditure: { type: mongoose.Schema.Types.ObjectId, ref: 'Expenditure' },
+  openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedAt: { type: Date },
+  // Case events, oldest first
+  history: [{
+    event: { type: String, enum: HISTORY_EVENTS, required: true },
+    date: { type: Date, default: Date.now },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+InvestigationSchema.index({ base: 1, status: 1 });
+InvestigationSchema.index({ asset: 1, status: 1 });
+
+InvestigationSchema.statics.STATUSES = STATUSES;
+InvestigationSchema.statics.LIABILITY_DECISIONS = LIABILITY_DECISIONS;
+InvestigationSchema.statics.OUTCOMES = OUTCOMES;
+
+module.exports = mongoose.model('Investigation', InvestigationSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+
+// Orders in which stock is drawn from lots when none are named: first
+// expired, first out, or first in, first out
+const CONSUMPTION_ORDERS = ['FEFO', 'FIFO'];
+
+// Lots a movement drew on or received, stored on the movement's record
+const LOT_RECORD = {
+  lotNumber: { type: String, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  manufactureDate: { type: Date },
+  expiryDate: { type: Date }
+};
+
+const LotSchema = new mongoose.Schema({
+  // Asset record of the base holding the lot; a lot moved between bases has
+  // one record per base
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  assetName: { type: String, required: true },
+  assetType: { type: String, required: true, validate: validAssetType },
+  base: { type: String, required: true, validate: validBase },
+  lotNumber: { type: String, required: true, trim: true, uppercase: true },
+  manufactureDate: { type: Date },
+  expiryDate: { type: Date },
+  // Quantity of the lot still held at the base
+  quantity: { type: Number, required: true, min: 0, default: 0 },
+  // Total ever received into the base, by delivery, transfer or registration
+  receivedQuantity: { type: Number, required: true, min: 0, default: 0 },
+  // First receipt at the base, used for first in, first out
+  receivedAt: { type: Date, default: Date.now },
+  purchase: { type: mongoose.Schema.Types.ObjectId, ref: 'Purchase' },
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+LotSchema.path('expiryDate').validate(function(value) {
+  return !value || !this.manufactureDate || value > this.manufactureDate;
+}, 'Expiry date must be after the manufacture date');
+
+// Whether the lot is past its expiry date
+LotSchema.virtual('expired').get(function() {
+  return !!this.expiryDate && this.expiryDate <= new Date();
+});
+
+LotSchema.index({ asset: 1, lotNumber: 1 }, { unique: true });
+LotSchema.index({ base: 1, expiryDate: 1 });
+
+LotSchema.statics.CONSUMPTION_ORDERS = CONSUMPTION_ORDERS;
+LotSchema.statics.LOT_RECORD = LOT_RECORD;
+
+module.exports = mongoose.model('Lot', LotSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Matches the notification types shown by the frontend
+const TYPES = ['info', 'success', 'warning', 'error'];
+
+const NotificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: TYPES, default: 'info' },
+  title: { type: String, required: true },
+  message: { type: String, required: true },
+  // Record the notification is about
+  resourceType: { type: String },
+  resourceId: { type: mongoose.Schema.Types.ObjectId },
+  read: { type: Boolean, default: false },
+  readAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+NotificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
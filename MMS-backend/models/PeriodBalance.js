@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Balances of one asset for a closed accounting period, snapshotted when
+// the period is closed
+const PeriodBalanceSchema = new mongoose.Schema({
+  period: { type: mongoose.Schema.Types.ObjectId, ref: 'AccountingPeriod', required: true },
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  assetName: { type: String, required: true },
+  assetType: { type: String, required: true },
+  base: { type: String, required: true },
+  openingBalance: { type: Number, default: 0 },
+  purchases: { type: Number, default: 0 },
+  transferIn: { type: Number, default: 0 },
+  transferOut: { type: Number, default: 0 },
+  assigned: { type: Number, default: 0 },
+  expended: { type: Number, default: 0 },
+  closingBalance: { type: Number, default: 0 },
+  available: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+PeriodBalanceSchema.index({ period: 1, asset: 1 }, { unique: true });
+PeriodBalanceSchema.index({ period: 1, base: 1 });
+
+module.exports = mongoose.model('PeriodBalance', PeriodBalanceSchema);
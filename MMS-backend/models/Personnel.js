@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { validBase } = require('../utils/referenceValidators');
+
+const STATUSES = ['Active', 'OnLeave', 'Deployed', 'Transferred', 'Discharged'];
+
+// Personnel who have left the base or the service cannot be issued assets
+const INACTIVE_STATUSES = ['Transferred', 'Discharged'];
+
+const PersonnelSchema = new mongoose.Schema({
+  serviceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    immutable: true
+  },
+  // Assignments and expenditures keep a copy of the name and rank for
+  // display, updated when they change
+  name: { type: String, required: true, trim: true },
+  rank: { type: String, required: true, trim: true },
+  unit: { type: String, trim: true },
+  base: { type: String, required: true, validate: validBase },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'Active'
+  },
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+PersonnelSchema.index({ base: 1, status: 1 });
+PersonnelSchema.index({ name: 1 });
+
+PersonnelSchema.statics.STATUSES = STATUSES;
+PersonnelSchema.statics.INACTIVE_STATUSES = INACTIVE_STATUSES;
+
+module.exports = mongoose.model('Personnel', PersonnelSchema, 'personnel');
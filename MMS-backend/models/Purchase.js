@@ -1,29 +1,74 @@
 const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+const { LOT_RECORD } = require('./Lot');
+
+// Purchases that are still waiting on (part of) their delivery
+const OPEN_DELIVERY_STATUSES = ['Ordered', 'Partially Delivered'];
 
 const PurchaseSchema = new mongoose.Schema({
   asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
   assetName: { type: String, required: true },
-  assetType: { type: String, required: true },
-  base: { type: String, required: true },
-  quantity: { type: Number, required: true },
+  assetType: { type: String, required: true, validate: validAssetType },
+  base: { type: String, required: true, validate: validBase },
+  quantity: { type: Number, required: true, min: 1 },
   unitCost: { type: Number, required: true },
   totalCost: { type: Number },
-  supplier: { type: String, required: true },
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  supplierName: { type: String, required: true },
   purchaseDate: { type: Date, default: Date.now },
+  expectedDeliveryDate: { type: Date },
+  // Date of the delivery that completed the purchase
   deliveryDate: { type: Date },
+  // Shipments received against the order, each adding to the base's stock
+  deliveries: [{
+    date: { type: Date, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    receiptNumber: { type: String },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Items received, for serialized assets
+    serialNumbers: [{ type: String }],
+    // Lots received, for lot-tracked assets
+    lots: [LOT_RECORD],
+    notes: { type: String }
+  }],
+  deliveredQuantity: { type: Number, default: 0, min: 0 },
+  // Exceeds the remaining amount of a budget that flags rather than rejects
+  overBudget: { type: Boolean, default: false },
+  // Requested -> Approved -> Ordered -> Partially Delivered -> Delivered;
+  // approval goes through the purchase's ApprovalRequest
   status: { 
     type: String, 
-    enum: ['Ordered', 'Delivered', 'Cancelled'],
-    default: 'Ordered'
+    enum: ['Requested', 'Approved', 'Rejected', 'Ordered', 'Partially Delivered', 'Delivered', 'Cancelled'],
+    default: 'Requested'
   },
   purchasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectedAt: { type: Date },
+  rejectionReason: { type: String },
+  orderedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  orderedAt: { type: Date },
   invoiceNumber: { type: String },
   notes: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  id: false
+});
+
+// Quantity still to be delivered
+PurchaseSchema.virtual('outstandingQuantity').get(function() {
+  return Math.max(this.quantity - (this.deliveredQuantity || 0), 0);
+});
+
+// Whether the purchase is still waiting on deliveries past its expected date
+PurchaseSchema.virtual('overdue').get(function() {
+  return OPEN_DELIVERY_STATUSES.includes(this.status) &&
+    !!this.expectedDeliveryDate && this.expectedDeliveryDate < new Date();
 });
 
 // Calculate total cost before saving
@@ -32,4 +77,9 @@ PurchaseSchema.pre('save', function(next) {
   next();
 });
 
+PurchaseSchema.index({ status: 1, expectedDeliveryDate: 1 });
+PurchaseSchema.index({ supplier: 1 });
+
+PurchaseSchema.statics.OPEN_DELIVERY_STATUSES = OPEN_DELIVERY_STATUSES;
+
 module.exports = mongoose.model('Purchase', PurchaseSchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Named counter handing out document numbers, e.g. hand receipt numbers
+const SequenceSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, immutable: true },
+  value: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Take the next number of a sequence, starting it at 1. Numbers taken in an
+// aborted transaction are given out again.
+SequenceSchema.statics.next = async function(key, session) {
+  const sequence = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, session: session || null }
+  );
+
+  return sequence.value;
+};
+
+module.exports = mongoose.model('Sequence', SequenceSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+
+// Where an item stands: in stock, issued, moving between bases, or gone
+const ITEM_STATUSES = ['Available', 'Assigned', 'InTransit', 'Expended', 'Lost'];
+
+const ITEM_CONDITIONS = ['Serviceable', 'Unserviceable', 'Damaged'];
+
+// Custody events recorded in an item's history
+const ITEM_EVENTS = [
+  'Registered', 'Delivered', 'Assigned', 'Returned', 'Dispatched', 'Received',
+  'ReturnedToSource', 'Expended', 'Lost', 'Damaged', 'Restored', 'Updated'
+];
+
+const holderSchema = {
+  name: { type: String },
+  rank: { type: String },
+  id: { type: String }
+};
+
+const SerializedItemSchema = new mongoose.Schema({
+  // Asset record of the base the item is booked to
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  assetName: { type: String, required: true },
+  assetType: { type: String, required: true, validate: validAssetType },
+  serialNumber: { type: String, required: true, trim: true, uppercase: true },
+  base: { type: String, required: true, validate: validBase },
+  // Where the item is kept within the base, e.g. an armoury rack or vehicle bay
+  location: { type: String, trim: true },
+  status: { type: String, enum: ITEM_STATUSES, default: 'Available' },
+  condition: { type: String, enum: ITEM_CONDITIONS, default: 'Serviceable' },
+  // Set while the item is assigned
+  holder: holderSchema,
+  assignment: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment' },
+  // Custody chain, oldest first
+  history: [{
+    event: { type: String, enum: ITEM_EVENTS, required: true },
+    date: { type: Date, default: Date.now },
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    base: { type: String },
+    holder: holderSchema,
+    condition: { type: String, enum: ITEM_CONDITIONS },
+    sourceType: { type: String, enum: ['Asset', 'Purchase', 'Transfer', 'Assignment', 'Expenditure'] },
+    sourceId: { type: mongoose.Schema.Types.ObjectId },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    notes: { type: String }
+  }],
+  notes: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// A serial number identifies one item of an asset, wherever it is
+SerializedItemSchema.index({ assetName: 1, assetType: 1, serialNumber: 1 }, { unique: true });
+SerializedItemSchema.index({ asset: 1, status: 1 });
+SerializedItemSchema.index({ 'history.asset': 1 });
+
+SerializedItemSchema.statics.ITEM_STATUSES = ITEM_STATUSES;
+SerializedItemSchema.statics.ITEM_CONDITIONS = ITEM_CONDITIONS;
+
+module.exports = mongoose.model('SerializedItem', SerializedItemSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const SETTINGS_KEY = 'system';
+
+const SettingsSchema = new mongoose.Schema({
+  // Fixed key so that only one settings document can exist
+  key: { type: String, default: SETTINGS_KEY, unique: true, immutable: true },
+  systemName: { type: String, default: 'Military Asset Management System', trim: true },
+  organizationName: { type: String, default: '', trim: true },
+  logo: { type: String, default: '' },
+  theme: { type: String, default: 'default' },
+  defaultCurrency: { type: String, default: 'USD', uppercase: true, match: /^[A-Z]{3}$/ },
+  dateFormat: {
+    type: String,
+    enum: ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'],
+    default: 'MM/DD/YYYY'
+  },
+  timeFormat: {
+    type: String,
+    enum: ['12h', '24h'],
+    default: '24h'
+  },
+  timezone: { type: String, default: 'UTC' },
+  emailNotifications: { type: Boolean, default: true },
+  maintenanceMode: { type: Boolean, default: false },
+  // Order stock is drawn from lots when a movement does not name them
+  lotConsumption: { type: String, enum: ['FEFO', 'FIFO'], default: 'FEFO' },
+  // Lots expiring within this many days are flagged on the dashboard and
+  // expiry report
+  expiryWarningDays: { type: Number, default: 90, min: 1 },
+  // Overdue assignments are escalated to the BaseCommander again after this
+  // many days
+  overdueReminderDays: { type: Number, default: 7, min: 1 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Validate the timezone against the IANA names known to the runtime
+SettingsSchema.path('timezone').validate(function(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}, 'Invalid timezone');
+
+// Get the settings document, creating it with defaults on first use
+SettingsSchema.statics.getSettings = function(session) {
+  return this.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $setOnInsert: { key: SETTINGS_KEY } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session: session || null }
+  );
+};
+
+module.exports = mongoose.model('Settings', SettingsSchema);
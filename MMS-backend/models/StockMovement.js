@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Asset counter each kind of movement changes
+const MOVEMENT_FIELDS = ['openingBalance', 'purchases', 'transferIn', 'transferOut', 'assigned', 'expended'];
+
+// Effect of a +1 change to each counter on the closing and available balances
+const BALANCE_EFFECTS = {
+  openingBalance: { closingBalance: 1, available: 1 },
+  purchases: { closingBalance: 1, available: 1 },
+  transferIn: { closingBalance: 1, available: 1 },
+  transferOut: { closingBalance: -1, available: -1 },
+  assigned: { closingBalance: 0, available: -1 },
+  expended: { closingBalance: -1, available: -1 }
+};
+
+const StockMovementSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true, immutable: true },
+  assetName: { type: String, required: true, immutable: true },
+  assetType: { type: String, required: true, immutable: true },
+  base: { type: String, required: true, immutable: true },
+  type: {
+    type: String,
+    enum: ['Opening', 'Purchase', 'TransferIn', 'TransferOut', 'Assignment', 'Return', 'Expenditure', 'Loss', 'Adjustment', 'PeriodClose'],
+    required: true,
+    immutable: true
+  },
+  field: { type: String, enum: MOVEMENT_FIELDS, required: true, immutable: true },
+  // Signed change to `field`; reversals are recorded as negative entries
+  quantity: {
+    type: Number,
+    required: true,
+    immutable: true,
+    validate: {
+      validator: value => value !== 0 && Number.isFinite(value),
+      message: 'Movement quantity must be a non-zero number'
+    }
+  },
+  sourceType: {
+    type: String,
+    enum: ['Asset', 'Purchase', 'Transfer', 'Assignment', 'Expenditure', 'AccountingPeriod'],
+    immutable: true
+  },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, immutable: true },
+  reason: { type: String, immutable: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+  occurredAt: { type: Date, default: Date.now, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+StockMovementSchema.index({ asset: 1, occurredAt: 1 });
+StockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+StockMovementSchema.index({ base: 1, occurredAt: 1 });
+
+// The ledger is append-only: entries can be inserted but never changed or removed
+StockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Stock movements cannot be modified or deleted'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  StockMovementSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+
+StockMovementSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+StockMovementSchema.statics.MOVEMENT_FIELDS = MOVEMENT_FIELDS;
+StockMovementSchema.statics.BALANCE_EFFECTS = BALANCE_EFFECTS;
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const SupplierSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    immutable: true,
+    match: /^[A-Z0-9-]+$/
+  },
+  // Purchases keep a copy of the name for display, updated on rename
+  name: { type: String, required: true, trim: true },
+  contactName: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  phone: { type: String, trim: true },
+  address: { type: String, trim: true },
+  // Asset types the supplier provides
+  categories: [{ type: String, trim: true }],
+  contractNumbers: [{ type: String, trim: true }],
+  notes: { type: String },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+// Names are unique regardless of case, so one vendor cannot be registered
+// twice under different capitalisations
+SupplierSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+SupplierSchema.index({ categories: 1 });
+
+module.exports = mongoose.model('Supplier', SupplierSchema);
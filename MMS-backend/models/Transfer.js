@@ -1,19 +1,49 @@
 const mongoose = require('mongoose');
+const { validBase, validAssetType } = require('../utils/referenceValidators');
+const { LOT_RECORD } = require('./Lot');
 
 const TransferSchema = new mongoose.Schema({
   asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
   assetName: { type: String, required: true },
-  assetType: { type: String, required: true },
-  fromBase: { type: String, required: true },
-  toBase: { type: String, required: true },
-  quantity: { type: Number, required: true },
+  assetType: { type: String, required: true, validate: validAssetType },
+  fromBase: { type: String, required: true, validate: validBase },
+  toBase: { type: String, required: true, validate: validBase },
+  quantity: { type: Number, required: true, min: 1 },
+  // Items moved, for serialized assets
+  serialNumbers: [{ type: String }],
+  // Lots moved, for lot-tracked assets: those asked for when requested, and
+  // those drawn on when dispatched
+  lots: [LOT_RECORD],
+  // Requested -> Approved -> Dispatched (in transit) -> Received; approval
+  // goes through the transfer's ApprovalRequest
   status: { 
     type: String, 
-    enum: ['Pending', 'Completed', 'Cancelled'],
-    default: 'Pending'
+    enum: ['Requested', 'Approved', 'Rejected', 'Dispatched', 'Received', 'Cancelled'],
+    default: 'Requested'
   },
   transferredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: { type: Date },
+  rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectedAt: { type: Date },
+  rejectionReason: { type: String },
+  dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dispatchedAt: { type: Date },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedAt: { type: Date },
+  receivedQuantity: { type: Number, min: 0 },
+  discrepancies: { type: String },
+  // Dispatched quantity that did not arrive: returned to the source base's
+  // stock, or written off there as an Expenditure
+  shortages: [{
+    quantity: { type: Number, required: true, min: 1 },
+    reason: { type: String, enum: ['Lost', 'Damaged'], required: true },
+    resolution: { type: String, enum: ['ReturnedToSource', 'WrittenOff'], required: true },
+    expenditure: { type: mongoose.Schema.Types.ObjectId, ref: 'Expenditure' },
+    serialNumbers: [{ type: String }],
+    lots: [LOT_RECORD],
+    notes: { type: String }
+  }],
   notes: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
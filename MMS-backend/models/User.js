@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { validBase } = require('../utils/referenceValidators');
 
 const UserSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -12,7 +13,7 @@ const UserSchema = new mongoose.Schema({
     enum: ['Admin', 'BaseCommander', 'LogisticsOfficer'], 
     required: true 
   },
-  assignedBase: { type: String },
+  assignedBase: { type: String, validate: validBase },
   active: { type: Boolean, default: true },
   tokens: [{
     token: {
@@ -0,0 +1,184 @@
+const express = require('express');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const { canDecide, decide, pendingQueueMatch } = require('../utils/approvals');
+const { withTransaction, requestError } = require('../utils/transaction');
+const router = new express.Router();
+
+/**
+ * Record an approval decision in the activity log
+ */
+const logDecision = async (req, request, decision, comments) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action: decision === 'reject' ? 'Reject' : 'Approve',
+      resourceType: 'ApprovalRequest',
+      resourceId: request._id,
+      details: {
+        resourceType: request.resourceType,
+        resourceId: request.resourceId,
+        status: request.status,
+        comments
+      },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging approval decision:', logError.message);
+  }
+};
+
+/**
+ * Restrict a query to the requests a BaseCommander's base is involved in
+ */
+const scopeToBase = (match, user) => {
+  if (user.role === 'BaseCommander') {
+    match.$and = [{
+      $or: [
+        { 'summary.base': user.assignedBase },
+        { 'summary.fromBase': user.assignedBase },
+        { 'summary.toBase': user.assignedBase }
+      ]
+    }];
+  }
+
+  return match;
+};
+
+/**
+ * Approve or reject the current step of an approval request
+ */
+const decideRequest = async (req, res, decision, comments) => {
+  try {
+    const request = await withTransaction(async (session) => {
+      const request = await ApprovalRequest.findById(req.params.id).session(session);
+
+      if (!request) {
+        throw requestError(404, 'Approval request not found');
+      }
+
+      await decide(request, req.user, decision, comments, session);
+
+      return request;
+    });
+
+    await logDecision(req, request, decision, comments);
+
+    res.send(request);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+};
+
+/**
+ * @route   GET /api/approvals/pending
+ * @desc    Get the approval requests waiting on the current user
+ * @access  Private
+ */
+router.get('/pending', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const { actionType, limit = 10, skip = 0 } = req.query;
+    const match = pendingQueueMatch(req.user);
+
+    if (actionType) match.actionType = actionType;
+
+    const requests = await ApprovalRequest.find(match)
+      .sort({ createdAt: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .populate('requestedBy', 'username fullName');
+
+    const total = await ApprovalRequest.countDocuments(match);
+
+    res.send({
+      requests,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + requests.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/approvals
+ * @desc    Get approval requests with optional filters
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const { status, actionType, resourceType, resourceId, limit = 10, skip = 0 } = req.query;
+    const match = {};
+
+    if (status) match.status = status;
+    if (actionType) match.actionType = actionType;
+    if (resourceType) match.resourceType = resourceType;
+    if (resourceId) match.resourceId = resourceId;
+
+    scopeToBase(match, req.user);
+
+    const requests = await ApprovalRequest.find(match)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .populate('requestedBy', 'username fullName');
+
+    const total = await ApprovalRequest.countDocuments(match);
+
+    res.send({
+      requests,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + requests.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/approvals/:id
+ * @desc    Get approval request by ID with every recorded step
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const request = await ApprovalRequest.findOne(scopeToBase({ _id: req.params.id }, req.user))
+      .populate('requestedBy', 'username fullName')
+      .populate('steps.decidedBy', 'username fullName');
+
+    if (!request) {
+      return res.status(404).send({ error: 'Approval request not found' });
+    }
+
+    res.send({ ...request.toObject(), canDecide: canDecide(request, req.user) });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/approvals/:id/approve
+ * @desc    Approve the current step of an approval request
+ * @access  Private (approvers named by the workflow)
+ */
+router.put('/:id/approve', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  await decideRequest(req, res, 'approve', req.body.comments);
+});
+
+/**
+ * @route   PUT /api/approvals/:id/reject
+ * @desc    Reject an approval request; a reason is required
+ * @access  Private (approvers named by the workflow)
+ */
+router.put('/:id/reject', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  await decideRequest(req, res, 'reject', req.body.reason);
+});
+
+module.exports = router;
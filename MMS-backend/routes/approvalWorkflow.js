@@ -0,0 +1,147 @@
+const express = require('express');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const router = new express.Router();
+
+/**
+ * Record a change to an approval workflow in the activity log
+ */
+const logWorkflowChange = async (req, action, workflow, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'ApprovalWorkflow',
+      resourceId: workflow._id,
+      details: { name: workflow.name, actionType: workflow.actionType, ...details },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging approval workflow change:', logError.message);
+  }
+};
+
+/**
+ * @route   GET /api/approval-workflows
+ * @desc    Get all approval workflows, highest priority first
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const { actionType, active } = req.query;
+    const match = {};
+
+    if (actionType) match.actionType = actionType;
+    if (active !== undefined) match.active = active === 'true';
+
+    const workflows = await ApprovalWorkflow.find(match)
+      .sort({ actionType: 1, priority: -1, name: 1 })
+      .populate('createdBy', 'username fullName');
+
+    res.send(workflows);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/approval-workflows
+ * @desc    Create an approval workflow
+ * @access  Private (Admin only)
+ */
+router.post('/', auth(['Admin']), async (req, res) => {
+  try {
+    const workflow = new ApprovalWorkflow({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    await workflow.save();
+    await logWorkflowChange(req, 'Create', workflow);
+
+    res.status(201).send(workflow);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/approval-workflows/:id
+ * @desc    Get approval workflow by ID
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const workflow = await ApprovalWorkflow.findById(req.params.id)
+      .populate('createdBy', 'username fullName');
+
+    if (!workflow) {
+      return res.status(404).send({ error: 'Approval workflow not found' });
+    }
+
+    res.send(workflow);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/approval-workflows/:id
+ * @desc    Update an approval workflow; requests already in progress keep
+ *          the chain they started with
+ * @access  Private (Admin only)
+ */
+router.put('/:id', auth(['Admin']), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = [
+    'name', 'description', 'actionType', 'base', 'assetType',
+    'quantityOver', 'costOver', 'priority', 'steps', 'active'
+  ];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const workflow = await ApprovalWorkflow.findById(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).send({ error: 'Approval workflow not found' });
+    }
+
+    updates.forEach(update => workflow[update] = req.body[update]);
+    await workflow.save();
+    await logWorkflowChange(req, 'Update', workflow, { updates });
+
+    res.send(workflow);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/approval-workflows/:id
+ * @desc    Delete an approval workflow
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', auth(['Admin']), async (req, res) => {
+  try {
+    const workflow = await ApprovalWorkflow.findByIdAndDelete(req.params.id);
+
+    if (!workflow) {
+      return res.status(404).send({ error: 'Approval workflow not found' });
+    }
+
+    await logWorkflowChange(req, 'Delete', workflow);
+
+    res.send({ message: 'Approval workflow deleted successfully' });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
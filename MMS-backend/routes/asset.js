@@ -1,8 +1,17 @@
 const express = require('express');
 const Asset = require('../models/Asset');
+const StockMovement = require('../models/StockMovement');
+const SerializedItem = require('../models/SerializedItem');
+const Lot = require('../models/Lot');
+const Settings = require('../models/Settings');
 const auth = require('../middleware/auth');
 const baseAccess = require('../middleware/baseAccess');
 const logger = require('../middleware/logger');
+const { BALANCE_FIELDS, recordMovement, verifyAssetBalances } = require('../utils/stockLedger');
+const { withTransaction, requestError } = require('../utils/transaction');
+const { assertPeriodOpen } = require('../utils/periods');
+const { normalizeSerials, createItems, updateItems, countItems } = require('../utils/serializedItems');
+const { normalizeLots, addLots, untrackedQuantity } = require('../utils/lots');
 const router = new express.Router();
 
 /**
@@ -54,22 +63,63 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
 
 /**
  * @route   POST /api/assets
- * @desc    Create a new asset
+ * @desc    Create a new asset; serialized assets can list the serial numbers
+ *          of their opening balance, and lot-tracked assets the lots it is in
  * @access  Private (Admin and LogisticsOfficer)
  */
 router.post('/', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   try {
-    const asset = new Asset(req.body);
-    
-    // Set initial balances
-    asset.openingBalance = req.body.openingBalance || 0;
-    asset.closingBalance = asset.openingBalance;
-    asset.available = asset.openingBalance;
+    const asset = await withTransaction(async (session) => {
+      await assertPeriodOpen(null, session);
+      
+      const { serialNumbers, lots, ...details } = req.body;
+      const asset = new Asset(details);
+      
+      if (serialNumbers && !asset.serialized) {
+        throw requestError(400, 'Asset is not serialized');
+      }
+      const serials = serialNumbers ? normalizeSerials(serialNumbers) : [];
+      
+      if (lots && lots.length && !asset.lotTracked) {
+        throw requestError(400, 'Asset is not lot-tracked');
+      }
+      
+      // Balances start at zero and are only changed through the stock ledger
+      BALANCE_FIELDS.forEach(field => asset[field] = 0);
+      await asset.save({ session });
+      
+      const openingBalance = serialNumbers ? serials.length : req.body.openingBalance || 0;
+      if (!openingBalance) return asset;
+      
+      // Opening stock not listed in a lot stays untracked until registered
+      const records = lots ? normalizeLots(lots, { max: openingBalance }) : [];
+      
+      const updated = await recordMovement(asset, {
+        type: 'Opening',
+        field: 'openingBalance',
+        quantity: openingBalance,
+        sourceType: 'Asset',
+        sourceId: asset._id,
+        user: req.user
+      }, { session });
+      
+      if (serials.length) {
+        await createItems(updated, serials, {
+          event: 'Registered',
+          sourceType: 'Asset',
+          sourceId: asset._id,
+          user: req.user
+        }, session);
+      }
+      
+      await addLots(updated, records, {}, session);
+      
+      return updated;
+    });
     
-    await asset.save();
     res.status(201).send(asset);
   } catch (error) {
-    res.status(400).send({ error: error.message });
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
   }
 });
 
@@ -104,7 +154,7 @@ router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAcc
  */
 router.put('/:id', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   const updates = Object.keys(req.body);
-  const allowedUpdates = ['name', 'type', 'base', 'openingBalance'];
+  const allowedUpdates = ['name', 'type', 'base', 'openingBalance', 'serialized', 'lotTracked'];
   const isValidOperation = updates.every(update => allowedUpdates.includes(update));
   
   if (!isValidOperation) {
@@ -123,19 +173,59 @@ router.put('/:id', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, asyn
       return res.status(403).send({ error: 'Not authorized to update this asset' });
     }
     
-    // Update asset fields
-    updates.forEach(update => asset[update] = req.body[update]);
-    
-    // If opening balance is updated, recalculate closing balance
-    if (updates.includes('openingBalance')) {
-      asset.closingBalance = asset.openingBalance + asset.purchases + asset.transferIn - asset.transferOut - asset.expended;
-      asset.available = asset.closingBalance - asset.assigned;
-    }
+    const updated = await withTransaction(async (session) => {
+      // Items record the asset they belong to, so a serialized asset keeps
+      // its identity, and the mode can only be switched off once no items
+      // are held
+      if (updates.some(update => ['name', 'type', 'base'].includes(update)) || req.body.serialized === false) {
+        const held = await SerializedItem.countDocuments({
+          asset: asset._id,
+          status: { $in: ['Available', 'Assigned', 'InTransit'] }
+        }).session(session);
+        
+        if (held) {
+          throw requestError(400, 'Asset has serialized items; its name, type and base cannot change and serialized mode stays on', { items: held });
+        }
+      }
+      
+      // Lots are held in the same way, and keep lot tracking on while they hold stock
+      if (updates.some(update => ['name', 'type', 'base'].includes(update)) || req.body.lotTracked === false) {
+        const lots = await Lot.countDocuments({ asset: asset._id, quantity: { $gt: 0 } }).session(session);
+        
+        if (lots) {
+          throw requestError(400, 'Asset has stock in lots; its name, type and base cannot change and lot tracking stays on', { lots });
+        }
+      }
+      
+      // Update asset fields; the opening balance is adjusted through the ledger
+      updates
+        .filter(update => update !== 'openingBalance')
+        .forEach(update => asset[update] = req.body[update]);
+      
+      await asset.save({ session });
+      
+      const difference = updates.includes('openingBalance')
+        ? (req.body.openingBalance || 0) - asset.openingBalance
+        : 0;
+      
+      if (!difference) return asset;
+      
+      await assertPeriodOpen(null, session);
+      
+      return recordMovement(asset, {
+        type: 'Adjustment',
+        field: 'openingBalance',
+        quantity: difference,
+        sourceType: 'Asset',
+        sourceId: asset._id,
+        reason: 'Opening balance updated',
+        user: req.user
+      }, { session });
+    });
     
-    await asset.save();
-    res.send(asset);
+    res.send(updated);
   } catch (error) {
-    res.status(400).send({ error: error.message });
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
   }
 });
 
@@ -158,6 +248,305 @@ router.delete('/:id', auth(['Admin']), logger, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/assets/:id/movements
+ * @desc    Get the stock movement history of an asset
+ * @access  Private
+ */
+router.get('/:id/movements', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { type, startDate, endDate, sortOrder, limit = 20, skip = 0 } = req.query;
+    const asset = await Asset.findById(req.params.id);
+    
+    if (!asset) {
+      return res.status(404).send({ error: 'Asset not found' });
+    }
+    
+    // Check if BaseCommander has access to this asset's base
+    if (req.user.role === 'BaseCommander' && req.user.assignedBase !== asset.base) {
+      return res.status(403).send({ error: 'Not authorized to access this asset' });
+    }
+    
+    const match = { asset: asset._id };
+    
+    if (type) match.type = type;
+    
+    // Apply date range filter if provided
+    if (startDate || endDate) {
+      match.occurredAt = {};
+      if (startDate) match.occurredAt.$gte = new Date(startDate);
+      if (endDate) match.occurredAt.$lte = new Date(endDate);
+    }
+    
+    const movements = await StockMovement.find(match)
+      .sort({ occurredAt: sortOrder === 'asc' ? 1 : -1, _id: sortOrder === 'asc' ? 1 : -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .populate('recordedBy', 'username fullName');
+    
+    const total = await StockMovement.countDocuments(match);
+    
+    res.send({
+      asset,
+      movements,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + movements.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/assets/:id/verify
+ * @desc    Check an asset's stored balances against its stock ledger
+ * @access  Private
+ */
+router.get('/:id/verify', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+    
+    if (!asset) {
+      return res.status(404).send({ error: 'Asset not found' });
+    }
+    
+    // Check if BaseCommander has access to this asset's base
+    if (req.user.role === 'BaseCommander' && req.user.assignedBase !== asset.base) {
+      return res.status(403).send({ error: 'Not authorized to access this asset' });
+    }
+    
+    const result = await verifyAssetBalances(asset);
+    res.send({ asset: asset._id, ...result });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/assets/:id/items
+ * @desc    Get the serialized items that have been booked to an asset, with
+ *          their custody history
+ * @access  Private
+ */
+router.get('/:id/items', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { status, serialNumber } = req.query;
+    const asset = await Asset.findById(req.params.id);
+    
+    if (!asset) {
+      return res.status(404).send({ error: 'Asset not found' });
+    }
+    
+    // Check if BaseCommander has access to this asset's base
+    if (req.user.role === 'BaseCommander' && req.user.assignedBase !== asset.base) {
+      return res.status(403).send({ error: 'Not authorized to access this asset' });
+    }
+    
+    // Items held here now, and those that passed through on their way elsewhere
+    const match = { 'history.asset': asset._id };
+    
+    if (status) match.status = status;
+    if (serialNumber) match.serialNumber = { $regex: serialNumber.trim(), $options: 'i' };
+    
+    const items = await SerializedItem.find(match)
+      .sort({ serialNumber: 1 })
+      .populate('history.recordedBy', 'username fullName');
+    
+    const counts = await countItems(asset);
+    
+    res.send({
+      asset,
+      items,
+      counts,
+      // Stock on the books that has no serial number recorded yet
+      unregistered: Math.max(asset.closingBalance - counts.Available - counts.Assigned, 0)
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/assets/:id/items
+ * @desc    Record the serial numbers of stock already held by a serialized
+ *          asset
+ * @access  Private (Admin and LogisticsOfficer)
+ */
+router.post('/:id/items', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const { serialNumbers, condition, location, notes } = req.body;
+    
+    const items = await withTransaction(async (session) => {
+      const asset = await Asset.findById(req.params.id).session(session);
+      
+      if (!asset) {
+        throw requestError(404, 'Asset not found');
+      }
+      
+      // Check if LogisticsOfficer has access to this asset's base
+      if (req.user.role === 'LogisticsOfficer' && req.user.assignedBase !== asset.base) {
+        throw requestError(403, 'Not authorized to update this asset');
+      }
+      
+      if (!asset.serialized) {
+        throw requestError(400, 'Asset is not serialized');
+      }
+      
+      const serials = normalizeSerials(serialNumbers || []);
+      if (!serials.length) {
+        throw requestError(400, 'Serial numbers are required');
+      }
+      
+      // New items go into available stock, so only what is available unregistered can be recorded
+      const available = await SerializedItem.countDocuments({ asset: asset._id, status: 'Available' }).session(session);
+      if (serials.length > asset.available - available) {
+        throw requestError(400, 'More serial numbers than unregistered available stock', {
+          unregistered: Math.max(asset.available - available, 0),
+          serialNumbers: serials.length
+        });
+      }
+      
+      return createItems(asset, serials, {
+        event: 'Registered',
+        sourceType: 'Asset',
+        sourceId: asset._id,
+        user: req.user,
+        condition,
+        location,
+        notes
+      }, session);
+    });
+    
+    res.status(201).send(items);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/assets/:id/items/:itemId
+ * @desc    Update the condition, location or notes of a serialized item
+ * @access  Private (Admin and LogisticsOfficer)
+ */
+router.put('/:id/items/:itemId', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['condition', 'location', 'notes'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+  
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+  
+  try {
+    const item = await SerializedItem.findOne({ _id: req.params.itemId, asset: req.params.id });
+    
+    if (!item) {
+      return res.status(404).send({ error: 'Item not found' });
+    }
+    
+    // Check if LogisticsOfficer has access to this item's base
+    if (req.user.role === 'LogisticsOfficer' && req.user.assignedBase !== item.base) {
+      return res.status(403).send({ error: 'Not authorized to update this item' });
+    }
+    
+    await updateItems([item], req.body, {
+      event: 'Updated',
+      sourceType: 'Asset',
+      sourceId: item.asset,
+      user: req.user
+    });
+    
+    res.send(item);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   GET /api/assets/:id/lots
+ * @desc    Get the lots of a lot-tracked asset with their expiry dates, and
+ *          the stock that is not in any lot
+ * @access  Private
+ */
+router.get('/:id/lots', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id);
+    
+    if (!asset) {
+      return res.status(404).send({ error: 'Asset not found' });
+    }
+    
+    // Check if BaseCommander has access to this asset's base
+    if (req.user.role === 'BaseCommander' && req.user.assignedBase !== asset.base) {
+      return res.status(403).send({ error: 'Not authorized to access this asset' });
+    }
+    
+    // Used-up lots are only listed on request
+    const match = { asset: asset._id };
+    if (req.query.includeEmpty !== 'true') match.quantity = { $gt: 0 };
+    
+    const lots = await Lot.find(match).sort({ expiryDate: 1, receivedAt: 1 });
+    const { lotConsumption, expiryWarningDays } = await Settings.getSettings();
+    
+    res.send({
+      asset,
+      lots,
+      untracked: await untrackedQuantity(asset),
+      lotConsumption,
+      expiryWarningDays
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/assets/:id/lots
+ * @desc    Record the lots of stock already held by a lot-tracked asset
+ * @access  Private (Admin and LogisticsOfficer)
+ */
+router.post('/:id/lots', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const { lots, notes } = req.body;
+    
+    const created = await withTransaction(async (session) => {
+      const asset = await Asset.findById(req.params.id).session(session);
+      
+      if (!asset) {
+        throw requestError(404, 'Asset not found');
+      }
+      
+      // Check if LogisticsOfficer has access to this asset's base
+      if (req.user.role === 'LogisticsOfficer' && req.user.assignedBase !== asset.base) {
+        throw requestError(403, 'Not authorized to update this asset');
+      }
+      
+      if (!asset.lotTracked) {
+        throw requestError(400, 'Asset is not lot-tracked');
+      }
+      
+      // Only stock that is not in a lot yet can be recorded
+      const records = normalizeLots(lots || [], { max: await untrackedQuantity(asset, session) });
+      if (!records.length) {
+        throw requestError(400, 'Lots are required');
+      }
+      
+      await addLots(asset, records, { notes }, session);
+      
+      return Lot.find({
+        asset: asset._id,
+        lotNumber: { $in: records.map(record => record.lotNumber) }
+      }).session(session);
+    });
+    
+    res.status(201).send(created);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
+  }
+});
+
 /**
  * @route   GET /api/assets/base/:base
  * @desc    Get assets by base
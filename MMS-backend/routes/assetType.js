@@ -0,0 +1,142 @@
+const express = require('express');
+const AssetType = require('../models/AssetType');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const { toCode } = require('../utils/referenceValidators');
+const router = new express.Router();
+
+/**
+ * Record a change to an asset type in the activity log
+ */
+const logAssetTypeChange = async (req, action, assetType, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'AssetType',
+      resourceId: assetType._id,
+      details: { code: assetType.code, name: assetType.name, ...details },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging asset type change:', logError.message);
+  }
+};
+
+/**
+ * @route   GET /api/asset-types
+ * @desc    Get all asset types
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.active !== undefined) match.active = req.query.active === 'true';
+
+    const assetTypes = await AssetType.find(match).sort({ name: 1 });
+    res.send(assetTypes);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/asset-types
+ * @desc    Create a new asset type
+ * @access  Private (Admin only)
+ */
+router.post('/', auth(['Admin']), async (req, res) => {
+  try {
+    const { code, name, description } = req.body;
+    const assetType = new AssetType({
+      code: code || (name ? toCode(name) : undefined),
+      name,
+      description
+    });
+
+    await assetType.save();
+    await logAssetTypeChange(req, 'Create', assetType);
+
+    res.status(201).send(assetType);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/asset-types/:id
+ * @desc    Get asset type by ID
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const assetType = await AssetType.findById(req.params.id);
+
+    if (!assetType) {
+      return res.status(404).send({ error: 'Asset type not found' });
+    }
+
+    res.send(assetType);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/asset-types/:id
+ * @desc    Update asset type details
+ * @access  Private (Admin only)
+ */
+router.put('/:id', auth(['Admin']), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['description', 'active'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const assetType = await AssetType.findById(req.params.id);
+
+    if (!assetType) {
+      return res.status(404).send({ error: 'Asset type not found' });
+    }
+
+    updates.forEach(update => assetType[update] = req.body[update]);
+    await assetType.save();
+    await logAssetTypeChange(req, 'Update', assetType, { updates: req.body });
+
+    res.send(assetType);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/asset-types/:id
+ * @desc    Deactivate asset type
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', auth(['Admin']), async (req, res) => {
+  try {
+    const assetType = await AssetType.findById(req.params.id);
+
+    if (!assetType) {
+      return res.status(404).send({ error: 'Asset type not found' });
+    }
+
+    // Asset types are referenced by existing records, so deactivate instead of deleting
+    assetType.active = false;
+    await assetType.save();
+    await logAssetTypeChange(req, 'Delete', assetType);
+
+    res.send({ message: 'Asset type deactivated successfully' });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require('express');
 const Assignment = require('../models/Assignment');
 const Asset = require('../models/Asset');
+const SerializedItem = require('../models/SerializedItem');
 const auth = require('../middleware/auth');
 const baseAccess = require('../middleware/baseAccess');
 const logger = require('../middleware/logger');
+const { updateItems } = require('../utils/serializedItems');
+const { findPersonnel } = require('../utils/personnel');
+const { issueAssets, returnAssets } = require('../utils/assignments');
+const { isOverdue } = require('../utils/overdueAssignments');
+const { openInvestigation } = require('../utils/investigations');
+const { assertPeriodOpen } = require('../utils/periods');
+const { nextReceiptNumber, findReceipt, sendHandReceipt } = require('../utils/handReceipts');
+const { withTransaction, requestError } = require('../utils/transaction');
 const router = new express.Router();
 
 /**
@@ -13,7 +22,7 @@ const router = new express.Router();
  */
 router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
   try {
-    const { base, assetType, status, assignedTo, startDate, endDate, sortBy, sortOrder, limit = 10, skip = 0 } = req.query;
+    const { base, assetType, status, assignedTo, personnel, overdue, receiptNumber, startDate, endDate, sortBy, sortOrder, limit = 10, skip = 0 } = req.query;
     const match = {};
     const sort = {};
     
@@ -22,6 +31,9 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
     if (assetType) match.assetType = assetType;
     if (status) match.status = status;
     if (assignedTo) match['assignedTo.name'] = { $regex: assignedTo, $options: 'i' };
+    if (personnel) match.personnel = personnel;
+    if (overdue === 'true') match.overdue = true;
+    if (receiptNumber) match.receiptNumber = receiptNumber;
     
     // Apply date range filter if provided
     if (startDate || endDate) {
@@ -62,6 +74,46 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
   }
 });
 
+/**
+ * @route   GET /api/assignments/overdue
+ * @desc    Get active assignments past their expected return date, most
+ *          overdue first
+ * @access  Private
+ */
+router.get('/overdue', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { base, assetType, personnel, limit = 10, skip = 0 } = req.query;
+    const match = { status: 'Active', overdue: true };
+    
+    if (base) match.base = base;
+    if (assetType) match.assetType = assetType;
+    if (personnel) match.personnel = personnel;
+    
+    // Apply base restriction for BaseCommander
+    if (req.user.role === 'BaseCommander') {
+      match.base = req.user.assignedBase;
+    }
+    
+    const assignments = await Assignment.find(match)
+      .sort({ expectedReturnDate: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .populate('assignedBy', 'username fullName');
+    
+    const total = await Assignment.countDocuments(match);
+    
+    res.send({
+      assignments,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + assignments.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
 /**
  * @route   POST /api/assignments
  * @desc    Create a new assignment
@@ -69,45 +121,192 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
  */
 router.post('/', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
   try {
-    // Check if asset exists and has enough quantity
-    const asset = await Asset.findById(req.body.asset);
-    
-    if (!asset) {
-      return res.status(404).send({ error: 'Asset not found' });
+    // Assets are issued until an expected return date; the end date is set
+    // when the assignment ends, the status, returns and overdue fields by
+    // later updates and the receipt number when it is issued
+    const { purpose, serialNumbers, notes } = req.body;
+    const quantity = Number(req.body.quantity);
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+    const expectedReturnDate = new Date(req.body.expectedReturnDate);
+    
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).send({ error: 'Invalid quantity' });
     }
     
-    // Check if the asset is from the specified base
-    if (asset.base !== req.body.base) {
-      return res.status(400).send({ error: 'Asset does not belong to the specified base' });
+    if (!req.body.expectedReturnDate || isNaN(expectedReturnDate)) {
+      return res.status(400).send({ error: 'Expected return date is required' });
     }
     
-    // Check if there's enough available quantity
-    if (asset.available < req.body.quantity) {
-      return res.status(400).send({ 
-        error: 'Insufficient quantity available',
-        available: asset.available,
-        requested: req.body.quantity
-      });
+    if (expectedReturnDate < startDate) {
+      return res.status(400).send({ error: 'Expected return date cannot be before the start date' });
     }
     
-    // Create assignment record
-    const assignment = new Assignment({
-      ...req.body,
-      assetName: asset.name,
-      assetType: asset.type,
-      assignedBy: req.user._id,
-      status: 'Active'
+    const assignment = await withTransaction(async (session) => {
+      await assertPeriodOpen(req.body.startDate, session);
+      
+      // Check if asset exists and has enough quantity
+      const asset = await Asset.findById(req.body.asset).session(session);
+      
+      if (!asset) {
+        throw requestError(404, 'Asset not found');
+      }
+      
+      // Check if the asset is from the specified base
+      if (asset.base !== req.body.base) {
+        throw requestError(400, 'Asset does not belong to the specified base');
+      }
+      
+      // Check if there's enough available quantity
+      if (asset.available < quantity) {
+        throw requestError(400, 'Insufficient quantity available', {
+          available: asset.available,
+          requested: quantity
+        });
+      }
+      
+      // Assets are issued to serving personnel of the base
+      const person = await findPersonnel(req.body.personnel, { base: asset.base, serving: true }, session);
+      
+      return issueAssets(asset, person, {
+        quantity,
+        serialNumbers,
+        purpose,
+        startDate: req.body.startDate,
+        expectedReturnDate,
+        notes
+      }, { user: req.user, session });
     });
     
-    await assignment.save();
+    res.status(201).send(assignment);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   POST /api/assignments/bulk
+ * @desc    Issue assets to a unit: every listed person is given each item,
+ *          as one assignment per person and asset, all in one transaction.
+ *          Availability is checked for the whole issue before anything is
+ *          assigned.
+ * @access  Private (Admin and BaseCommander)
+ */
+router.post('/bulk', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
+  try {
+    const { base, personnel, items, purpose, notes } = req.body;
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+    const expectedReturnDate = new Date(req.body.expectedReturnDate);
+    
+    if (!base) {
+      return res.status(400).send({ error: 'Base is required' });
+    }
+    if (!Array.isArray(personnel) || !personnel.length) {
+      return res.status(400).send({ error: 'Personnel are required' });
+    }
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).send({ error: 'Items are required' });
+    }
+    if (!purpose) {
+      return res.status(400).send({ error: 'Purpose is required' });
+    }
+    if (!req.body.expectedReturnDate || isNaN(expectedReturnDate)) {
+      return res.status(400).send({ error: 'Expected return date is required' });
+    }
+    if (expectedReturnDate < startDate) {
+      return res.status(400).send({ error: 'Expected return date cannot be before the start date' });
+    }
+    if (new Set(personnel.map(String)).size !== personnel.length) {
+      return res.status(400).send({ error: 'Personnel are listed more than once' });
+    }
+    if (new Set(items.map(item => String(item.asset))).size !== items.length) {
+      return res.status(400).send({ error: 'Assets are listed more than once' });
+    }
     
-    // Update asset assigned quantity
-    asset.assigned += req.body.quantity;
-    await asset.updateBalances();
+    const invalid = items.find(item => !Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0);
+    if (invalid) {
+      return res.status(400).send({ error: 'Invalid quantity', asset: invalid.asset });
+    }
     
-    res.status(201).send(assignment);
+    const assignments = await withTransaction(async (session) => {
+      await assertPeriodOpen(req.body.startDate, session);
+      
+      // Check every asset before issuing anything, and report all shortages
+      const assets = [];
+      const shortages = [];
+      
+      for (const item of items) {
+        const asset = await Asset.findById(item.asset).session(session);
+        
+        if (!asset) {
+          throw requestError(404, 'Asset not found', { asset: item.asset });
+        }
+        
+        if (asset.base !== base) {
+          throw requestError(400, 'Asset does not belong to the specified base', { asset: asset._id, assetName: asset.name });
+        }
+        
+        const requested = Number(item.quantity) * personnel.length;
+        
+        if (asset.serialized && (!Array.isArray(item.serialNumbers) || item.serialNumbers.length !== requested)) {
+          throw requestError(400, 'Serial numbers must name every item issued', {
+            asset: asset._id,
+            assetName: asset.name,
+            expected: requested
+          });
+        }
+        
+        if (asset.available < requested) {
+          shortages.push({ asset: asset._id, assetName: asset.name, available: asset.available, requested });
+        }
+        
+        assets.push(asset);
+      }
+      
+      if (shortages.length) {
+        throw requestError(400, 'Insufficient quantity available', { shortages });
+      }
+      
+      // Assets are issued to serving personnel of the base
+      const people = [];
+      for (const id of personnel) {
+        people.push(await findPersonnel(id, { base, serving: true }, session));
+      }
+      
+      // The whole issue is covered by one hand receipt
+      const receiptNumber = await nextReceiptNumber(base, startDate, session);
+      
+      // Serial numbers are handed out in the order listed, each person
+      // taking the next quantity of them
+      const created = [];
+      for (const [index, person] of people.entries()) {
+        for (const [position, item] of items.entries()) {
+          const quantity = Number(item.quantity);
+          const serialNumbers = Array.isArray(item.serialNumbers)
+            ? item.serialNumbers.slice(index * quantity, (index + 1) * quantity)
+            : undefined;
+          
+          created.push(await issueAssets(assets[position], person, {
+            quantity,
+            serialNumbers,
+            purpose,
+            startDate,
+            expectedReturnDate,
+            notes,
+            receiptNumber
+          }, { user: req.user, session }));
+        }
+      }
+      
+      return created;
+    });
+    
+    res.status(201).send({
+      assignments,
+      count: assignments.length,
+      receiptNumber: assignments[0].receiptNumber
+    });
   } catch (error) {
-    res.status(400).send({ error: error.message });
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
   }
 });
 
@@ -137,18 +336,13 @@ router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAcc
 });
 
 /**
- * @route   PUT /api/assignments/:id/return
- * @desc    Return assigned assets
- * @access  Private (Admin and BaseCommander)
+ * @route   GET /api/assignments/:id/receipt
+ * @desc    Print the hand receipt covering an assignment as a PDF, with every
+ *          assignment issued on it in its current state
+ * @access  Private
  */
-router.put('/:id/return', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
+router.get('/:id/receipt', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
   try {
-    const { returnedQuantity, notes } = req.body;
-    
-    if (!returnedQuantity || returnedQuantity <= 0) {
-      return res.status(400).send({ error: 'Invalid returned quantity' });
-    }
-    
     const assignment = await Assignment.findById(req.params.id);
     
     if (!assignment) {
@@ -157,57 +351,137 @@ router.put('/:id/return', auth(['Admin', 'BaseCommander']), baseAccess, logger,
     
     // Check if BaseCommander has access to this assignment
     if (req.user.role === 'BaseCommander' && req.user.assignedBase !== assignment.base) {
-      return res.status(403).send({ error: 'Not authorized to update this assignment' });
+      return res.status(403).send({ error: 'Not authorized to access this assignment' });
     }
     
-    // Check if assignment is already returned or lost/damaged
-    if (assignment.status !== 'Active') {
-      return res.status(400).send({ error: `Assignment is already ${assignment.status}` });
-    }
+    sendHandReceipt(res, await findReceipt(assignment), req.user);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/assignments/bulk/return
+ * @desc    Return assets from several assignments in one transaction. Each
+ *          return takes back what is still out unless a quantity or the
+ *          serial numbers handed back are given.
+ * @access  Private (Admin and BaseCommander)
+ */
+router.put('/bulk/return', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
+  try {
+    const { returns, notes } = req.body;
     
-    // Check if returned quantity is valid
-    const remainingQuantity = assignment.quantity - assignment.returnedQuantity;
-    if (returnedQuantity > remainingQuantity) {
-      return res.status(400).send({ 
-        error: 'Invalid returned quantity',
-        remaining: remainingQuantity,
-        requested: returnedQuantity
-      });
+    if (!Array.isArray(returns) || !returns.length) {
+      return res.status(400).send({ error: 'Returns are required' });
     }
-    
-    // Update assignment
-    assignment.returnedQuantity += returnedQuantity;
-    
-    // If all items are returned, mark as returned
-    if (assignment.returnedQuantity >= assignment.quantity) {
-      assignment.status = 'Returned';
-      assignment.endDate = new Date();
+    if (new Set(returns.map(entry => String(entry.assignment))).size !== returns.length) {
+      return res.status(400).send({ error: 'Assignments are listed more than once' });
     }
     
-    if (notes) {
-      assignment.notes = assignment.notes 
-        ? `${assignment.notes}\n${new Date().toISOString()}: ${notes}`
-        : `${new Date().toISOString()}: ${notes}`;
-    }
+    const assignments = await withTransaction(async (session) => {
+      await assertPeriodOpen(null, session);
+      
+      const returned = [];
+      
+      for (const entry of returns) {
+        const assignment = await Assignment.findById(entry.assignment).session(session);
+        
+        if (!assignment) {
+          throw requestError(404, 'Assignment not found', { assignment: entry.assignment });
+        }
+        
+        // Check if BaseCommander has access to this assignment
+        if (req.user.role === 'BaseCommander' && req.user.assignedBase !== assignment.base) {
+          throw requestError(403, 'Not authorized to update this assignment', { assignment: assignment._id });
+        }
+        
+        if (assignment.status !== 'Active') {
+          throw requestError(400, `Assignment is already ${assignment.status}`, { assignment: assignment._id });
+        }
+        
+        // Everything still out comes back unless told otherwise
+        const outstandingSerials = assignment.serialNumbers
+          .filter(serial => !assignment.returnedSerialNumbers.includes(serial));
+        const serialNumbers = Array.isArray(entry.serialNumbers)
+          ? entry.serialNumbers
+          : (entry.returnedQuantity === undefined && outstandingSerials.length ? outstandingSerials : undefined);
+        const returnedQuantity = entry.returnedQuantity !== undefined
+          ? Number(entry.returnedQuantity)
+          : (serialNumbers ? serialNumbers.length : assignment.quantity - assignment.returnedQuantity);
+        
+        if (!Number.isInteger(returnedQuantity) || returnedQuantity <= 0) {
+          throw requestError(400, 'Invalid returned quantity', { assignment: assignment._id });
+        }
+        
+        const asset = await Asset.findById(assignment.asset).session(session);
+        
+        returned.push(await returnAssets(assignment, asset, {
+          returnedQuantity,
+          serialNumbers,
+          notes: entry.notes || notes
+        }, { user: req.user, session }));
+      }
+      
+      return returned;
+    });
     
-    await assignment.save();
+    res.send({ assignments, count: assignments.length });
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/assignments/:id/return
+ * @desc    Return assigned assets; returns of serialized assets name the
+ *          items handed back, and the quantity defaults to their number
+ * @access  Private (Admin and BaseCommander)
+ */
+router.put('/:id/return', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
+  try {
+    const { serialNumbers, notes } = req.body;
+    const returnedQuantity = req.body.returnedQuantity === undefined && Array.isArray(serialNumbers)
+      ? serialNumbers.length
+      : Number(req.body.returnedQuantity);
     
-    // Update asset assigned quantity
-    const asset = await Asset.findById(assignment.asset);
-    if (asset) {
-      asset.assigned -= returnedQuantity;
-      await asset.updateBalances();
+    if (!Number.isInteger(returnedQuantity) || returnedQuantity <= 0) {
+      return res.status(400).send({ error: 'Invalid returned quantity' });
     }
     
+    const assignment = await withTransaction(async (session) => {
+      const assignment = await Assignment.findById(req.params.id).session(session);
+      
+      if (!assignment) {
+        throw requestError(404, 'Assignment not found');
+      }
+      
+      // Check if BaseCommander has access to this assignment
+      if (req.user.role === 'BaseCommander' && req.user.assignedBase !== assignment.base) {
+        throw requestError(403, 'Not authorized to update this assignment');
+      }
+      
+      // Check if assignment is already returned or lost/damaged
+      if (assignment.status !== 'Active') {
+        throw requestError(400, `Assignment is already ${assignment.status}`);
+      }
+      
+      await assertPeriodOpen(null, session);
+      
+      const asset = await Asset.findById(assignment.asset).session(session);
+      
+      return returnAssets(assignment, asset, { returnedQuantity, serialNumbers, notes }, { user: req.user, session });
+    });
+    
     res.send(assignment);
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
   }
 });
 
 /**
  * @route   PUT /api/assignments/:id/status
- * @desc    Update assignment status (lost/damaged)
+ * @desc    Report an assignment lost or damaged and open an investigation;
+ *          the stock stays assigned until the investigation is closed
  * @access  Private (Admin and BaseCommander)
  */
 router.put('/:id/status', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
@@ -218,6 +492,74 @@ router.put('/:id/status', auth(['Admin', 'BaseCommander']), baseAccess, logger,
       return res.status(400).send({ error: 'Invalid status' });
     }
     
+    const assignment = await withTransaction(async (session) => {
+      const assignment = await Assignment.findById(req.params.id).session(session);
+      
+      if (!assignment) {
+        throw requestError(404, 'Assignment not found');
+      }
+      
+      // Check if BaseCommander has access to this assignment
+      if (req.user.role === 'BaseCommander' && req.user.assignedBase !== assignment.base) {
+        throw requestError(403, 'Not authorized to update this assignment');
+      }
+      
+      // Check if assignment is already returned or lost/damaged
+      if (assignment.status !== 'Active') {
+        throw requestError(400, `Assignment is already ${assignment.status}`);
+      }
+      
+      // Update assignment
+      assignment.status = status;
+      assignment.endDate = new Date();
+      assignment.overdue = false;
+      
+      if (notes) {
+        assignment.notes = assignment.notes 
+          ? `${assignment.notes}\n${new Date().toISOString()}: ${notes}`
+          : `${new Date().toISOString()}: ${notes}`;
+      }
+      
+      const investigation = await openInvestigation(assignment, { notes, user: req.user }, session);
+      assignment.investigation = investigation._id;
+      
+      await assignment.save({ session });
+      
+      // Items still out on the assignment are marked lost or damaged, and
+      // stay on it until the investigation decides what happens to them
+      const items = await SerializedItem.find({ assignment: assignment._id, status: 'Assigned' }).session(session);
+      await updateItems(items, status === 'Lost' ? { status: 'Lost' } : { condition: 'Damaged' }, {
+        event: status,
+        sourceType: 'Assignment',
+        sourceId: assignment._id,
+        user: req.user,
+        notes
+      }, session);
+      
+      return assignment;
+    });
+    
+    res.send(assignment);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/assignments/:id/expected-return
+ * @desc    Change the expected return date of an active assignment, such as
+ *          to extend an overdue one
+ * @access  Private (Admin and BaseCommander)
+ */
+router.put('/:id/expected-return', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
+  try {
+    const { notes } = req.body;
+    const expectedReturnDate = new Date(req.body.expectedReturnDate);
+    
+    if (!req.body.expectedReturnDate || isNaN(expectedReturnDate)) {
+      return res.status(400).send({ error: 'Expected return date is required' });
+    }
+    
     const assignment = await Assignment.findById(req.params.id);
     
     if (!assignment) {
@@ -229,35 +571,34 @@ router.put('/:id/status', auth(['Admin', 'BaseCommander']), baseAccess, logger,
       return res.status(403).send({ error: 'Not authorized to update this assignment' });
     }
     
-    // Check if assignment is already returned or lost/damaged
     if (assignment.status !== 'Active') {
       return res.status(400).send({ error: `Assignment is already ${assignment.status}` });
     }
     
-    // Update assignment
-    assignment.status = status;
-    assignment.endDate = new Date();
-    
-    if (notes) {
-      assignment.notes = assignment.notes 
-        ? `${assignment.notes}\n${new Date().toISOString()}: ${notes}`
-        : `${new Date().toISOString()}: ${notes}`;
+    if (expectedReturnDate < assignment.startDate) {
+      return res.status(400).send({ error: 'Expected return date cannot be before the start date' });
     }
     
-    await assignment.save();
+    const previous = assignment.expectedReturnDate;
+    assignment.expectedReturnDate = expectedReturnDate;
     
-    // Update asset assigned quantity and add to expended for lost/damaged items
-    const asset = await Asset.findById(assignment.asset);
-    if (asset) {
-      const remainingQuantity = assignment.quantity - assignment.returnedQuantity;
-      asset.assigned -= remainingQuantity;
-      asset.expended += remainingQuantity;
-      await asset.updateBalances();
+    // An assignment that is still overdue keeps its reminder schedule
+    assignment.overdue = isOverdue(assignment);
+    if (!assignment.overdue) {
+      assignment.lastEscalatedAt = undefined;
     }
     
+    const change = `Expected return date changed from ${previous ? previous.toISOString().slice(0, 10) : 'none'} ` +
+      `to ${expectedReturnDate.toISOString().slice(0, 10)}${notes ? `: ${notes}` : ''}`;
+    assignment.notes = assignment.notes 
+      ? `${assignment.notes}\n${new Date().toISOString()}: ${change}`
+      : `${new Date().toISOString()}: ${change}`;
+    
+    await assignment.save();
+    
     res.send(assignment);
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    res.status(400).send({ error: error.message });
   }
 });
 
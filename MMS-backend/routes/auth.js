@@ -2,6 +2,8 @@ const express = require('express');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const ActivityLog = require('../models/ActivityLog');
+const maintenance = require('../middleware/maintenance');
+const { isMaintenanceMode, sendMaintenanceResponse } = maintenance;
 const router = new express.Router();
 
 /**
@@ -9,7 +11,7 @@ const router = new express.Router();
  * @desc    Register a new user (Admin only)
  * @access  Private
  */
-router.post('/register', auth(['Admin']), async (req, res) => {
+router.post('/register', maintenance, auth(['Admin']), async (req, res) => {
   try {
     const user = new User(req.body);
     await user.save();
@@ -80,6 +82,11 @@ router.post('/login', async (req, res) => {
     const user = await User.findByCredentials(username, password);
     console.log("User authenticated:", user.username);
     
+    // Only Admins can log in while the system is in maintenance mode
+    if (user.role !== 'Admin' && await isMaintenanceMode()) {
+      return sendMaintenanceResponse(res, 'The system is in maintenance mode. Only administrators can log in until maintenance is complete.');
+    }
+    
     // Generate authentication token
     const token = await user.generateAuthToken();
     console.log(`Token generated for user: ${username}`);
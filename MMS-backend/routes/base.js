@@ -0,0 +1,146 @@
+const express = require('express');
+const Base = require('../models/Base');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const { toCode } = require('../utils/referenceValidators');
+const router = new express.Router();
+
+/**
+ * Record a change to a base in the activity log
+ */
+const logBaseChange = async (req, action, base, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'Base',
+      resourceId: base._id,
+      details: { code: base.code, name: base.name, ...details },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging base change:', logError.message);
+  }
+};
+
+/**
+ * @route   GET /api/bases
+ * @desc    Get all bases with optional filters
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const { active, parentCommand } = req.query;
+    const match = {};
+
+    if (active !== undefined) match.active = active === 'true';
+    if (parentCommand) match.parentCommand = parentCommand;
+
+    const bases = await Base.find(match).sort({ name: 1 });
+    res.send(bases);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/bases
+ * @desc    Create a new base
+ * @access  Private (Admin only)
+ */
+router.post('/', auth(['Admin']), async (req, res) => {
+  try {
+    const { code, name, location, parentCommand } = req.body;
+    const base = new Base({
+      code: code || (name ? toCode(name) : undefined),
+      name,
+      location,
+      parentCommand
+    });
+
+    await base.save();
+    await logBaseChange(req, 'Create', base);
+
+    res.status(201).send(base);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/bases/:id
+ * @desc    Get base by ID
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const base = await Base.findById(req.params.id);
+
+    if (!base) {
+      return res.status(404).send({ error: 'Base not found' });
+    }
+
+    res.send(base);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/bases/:id
+ * @desc    Update base details
+ * @access  Private (Admin only)
+ */
+router.put('/:id', auth(['Admin']), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['location', 'parentCommand', 'active'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const base = await Base.findById(req.params.id);
+
+    if (!base) {
+      return res.status(404).send({ error: 'Base not found' });
+    }
+
+    updates.forEach(update => base[update] = req.body[update]);
+    await base.save();
+    await logBaseChange(req, 'Update', base, { updates: req.body });
+
+    res.send(base);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/bases/:id
+ * @desc    Deactivate base
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', auth(['Admin']), async (req, res) => {
+  try {
+    const base = await Base.findById(req.params.id);
+
+    if (!base) {
+      return res.status(404).send({ error: 'Base not found' });
+    }
+
+    // Bases are referenced by existing records, so deactivate instead of deleting
+    base.active = false;
+    await base.save();
+    await logBaseChange(req, 'Delete', base);
+
+    res.send({ message: 'Base deactivated successfully' });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const Budget = require('../models/Budget');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const baseAccess = require('../middleware/baseAccess');
+const { summarizeBudget, getUtilisation } = require('../utils/budgets');
+const router = new express.Router();
+
+/**
+ * Record a change to a budget in the activity log
+ */
+const logBudgetChange = async (req, action, budget, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'Budget',
+      resourceId: budget._id,
+      details: {
+        base: budget.base,
+        assetType: budget.assetType,
+        fiscalYear: budget.fiscalYear,
+        amount: budget.amount,
+        enforcement: budget.enforcement,
+        ...details
+      },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging budget change:', logError.message);
+  }
+};
+
+/**
+ * @route   GET /api/budgets
+ * @desc    Get budgets with their spending and utilisation
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { base, assetType, fiscalYear } = req.query;
+    const match = {};
+
+    if (base) match.base = base;
+    if (assetType) match.assetType = assetType;
+    if (fiscalYear) match.fiscalYear = parseInt(fiscalYear);
+
+    // BaseCommanders only see their own base
+    if (req.user.role === 'BaseCommander') {
+      match.base = req.user.assignedBase;
+    }
+
+    const budgets = await Budget.find(match).sort({ fiscalYear: -1, base: 1, assetType: 1 });
+
+    res.send(await Promise.all(budgets.map(summarizeBudget)));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/budgets/utilisation
+ * @desc    Get the utilisation of a fiscal year's budgets (default: the
+ *          current one), most used first
+ * @access  Private
+ */
+router.get('/utilisation', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { base, assetType, fiscalYear } = req.query;
+
+    res.send(await getUtilisation({
+      // BaseCommanders only see their own base
+      base: req.user.role === 'BaseCommander' ? req.user.assignedBase : base,
+      assetType,
+      fiscalYear: fiscalYear ? parseInt(fiscalYear) : undefined
+    }));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/budgets
+ * @desc    Create a budget for a base (and optionally an asset type) and fiscal year
+ * @access  Private (Admin only)
+ */
+router.post('/', auth(['Admin']), async (req, res) => {
+  try {
+    const { base, assetType, fiscalYear, amount, enforcement, notes } = req.body;
+    const budget = new Budget({
+      base,
+      assetType: assetType || undefined,
+      fiscalYear,
+      amount,
+      enforcement,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await budget.save();
+    await logBudgetChange(req, 'Create', budget);
+
+    res.status(201).send(budget);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ error: 'A budget already exists for this base, asset type and fiscal year' });
+    }
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/budgets/:id
+ * @desc    Update a budget's amount, enforcement or notes
+ * @access  Private (Admin only)
+ */
+router.put('/:id', auth(['Admin']), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['amount', 'enforcement', 'notes'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).send({ error: 'Budget not found' });
+    }
+
+    updates.forEach(update => budget[update] = req.body[update]);
+    await budget.save();
+    await logBudgetChange(req, 'Update', budget, { updates });
+
+    res.send(budget);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/budgets/:id
+ * @desc    Delete a budget
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', auth(['Admin']), async (req, res) => {
+  try {
+    const budget = await Budget.findByIdAndDelete(req.params.id);
+
+    if (!budget) {
+      return res.status(404).send({ error: 'Budget not found' });
+    }
+
+    await logBudgetChange(req, 'Delete', budget);
+
+    res.send({ message: 'Budget deleted successfully' });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
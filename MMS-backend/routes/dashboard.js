@@ -4,10 +4,84 @@ const Transfer = require('../models/Transfer');
 const Purchase = require('../models/Purchase');
 const Assignment = require('../models/Assignment');
 const Expenditure = require('../models/Expenditure');
+const AccountingPeriod = require('../models/AccountingPeriod');
 const auth = require('../middleware/auth');
 const baseAccess = require('../middleware/baseAccess');
+const { getPeriodBalances } = require('../utils/periods');
+const { getUtilisation } = require('../utils/budgets');
+const { getExpiringLots } = require('../utils/lots');
 const router = new express.Router();
 
+/**
+ * Get the asset balances to summarize: the current balances, or the
+ * balances of an accounting period when one is selected
+ * @param {Object} match - Asset filter ({ base, type })
+ * @param {Document} [period] - Accounting period
+ */
+const getBalances = async (match, period) => {
+  if (!period) {
+    return Asset.find(match);
+  }
+
+  const balances = await getPeriodBalances(period, { base: match.base, assetType: match.type });
+  return balances.map(balance => ({ ...balance, name: balance.assetName, type: balance.assetType }));
+};
+
+/**
+ * Total quantity of dispatched transfers that have not been received yet
+ * @param {String} [base] - Only count transfers into or out of this base
+ * @param {String} [assetType] - Only count this asset type
+ */
+const getInTransit = async (base, assetType) => {
+  const match = { status: 'Dispatched' };
+  if (base) match.$or = [{ fromBase: base }, { toBase: base }];
+  if (assetType) match.assetType = assetType;
+
+  const [result] = await Transfer.aggregate([
+    { $match: match },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]);
+
+  return result ? result.quantity : 0;
+};
+
+/**
+ * Overdue assignments: their number and the quantity still out, in total and
+ * by base, and the five most overdue
+ * @param {String} [base] - Only count assignments at this base
+ * @param {String} [assetType] - Only count this asset type
+ */
+const getOverdueAssignments = async (base, assetType) => {
+  const match = { status: 'Active', overdue: true };
+  if (base) match.base = base;
+  if (assetType) match.assetType = assetType;
+
+  const byBase = await Assignment.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$base',
+        assignments: { $sum: 1 },
+        quantity: { $sum: { $subtract: ['$quantity', '$returnedQuantity'] } }
+      }
+    },
+    { $project: { _id: 0, base: '$_id', assignments: 1, quantity: 1 } },
+    { $sort: { assignments: -1, base: 1 } }
+  ]);
+
+  const assignments = await Assignment.find(match)
+    .sort({ expectedReturnDate: 1 })
+    .limit(5)
+    .select('assetName base quantity returnedQuantity assignedTo expectedReturnDate overdue');
+
+  return {
+    total: byBase.reduce((sum, row) => sum + row.assignments, 0),
+    quantity: byBase.reduce((sum, row) => sum + row.quantity, 0),
+    byBase,
+    assignments
+  };
+};
+
 /**
  * @route   GET /api/dashboard
  * @desc    Get dashboard data with optional filters
@@ -15,7 +89,8 @@ const router = new express.Router();
  */
 router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
   try {
-    const { base, assetType, startDate, endDate } = req.query;
+    const { base, assetType, period: periodId } = req.query;
+    let { startDate, endDate } = req.query;
     const match = {};
     const dateMatch = {};
     
@@ -23,6 +98,21 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
     if (base) match.base = base;
     if (assetType) match.type = assetType;
     
+    // A selected accounting period supplies the balances and the date range
+    let period;
+    if (periodId) {
+      period = await AccountingPeriod.findById(periodId);
+      
+      if (!period) {
+        return res.status(404).send({ error: 'Accounting period not found' });
+      }
+      
+      if (!startDate && !endDate) {
+        startDate = period.startDate;
+        endDate = period.endDate;
+      }
+    }
+    
     // Apply date range filter if provided
     if (startDate || endDate) {
       dateMatch.createdAt = {};
@@ -36,7 +126,7 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
     }
     
     // Get asset summary
-    const assets = await Asset.find(match);
+    const assets = await getBalances(match, period);
     
     // Calculate summary metrics
     const summary = {
@@ -84,6 +174,9 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
       assetsByType[asset.type].available += asset.available;
     });
     
+    // Quantity dispatched but not yet received, held at neither base
+    summary.totalInTransit = await getInTransit(match.base, assetType);
+    
     // Get recent transfers
     const transferMatch = { ...dateMatch };
     if (base) {
@@ -117,6 +210,36 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
       .limit(5)
       .select('assetName base quantity status purchaseDate');
     
+    // Count purchases still waiting on deliveries past their expected date,
+    // whenever they were created
+    const { createdAt, ...overdueMatch } = purchaseMatch;
+    const overdueDeliveries = await Purchase.countDocuments({
+      ...overdueMatch,
+      status: { $in: Purchase.OPEN_DELIVERY_STATUSES },
+      expectedDeliveryDate: { $lt: new Date() }
+    });
+    
+    // Utilisation of the current fiscal year's budgets
+    const budgetUtilisation = await getUtilisation({ base: match.base, assetType });
+    
+    // Lots that have expired or expire within the warning window, soonest first
+    const { days: expiryWarningDays, lots } = await getExpiringLots({ base: match.base, assetType });
+    const now = new Date();
+    const expiringLots = {
+      days: expiryWarningDays,
+      expired: lots.filter(lot => lot.expiryDate <= now).length,
+      expiring: lots.filter(lot => lot.expiryDate > now).length,
+      lots: lots.slice(0, 5).map(lot => ({
+        _id: lot._id,
+        asset: lot.asset,
+        assetName: lot.assetName,
+        base: lot.base,
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        quantity: lot.quantity
+      }))
+    };
+    
     // Get recent assignments
     const assignmentMatch = { ...dateMatch };
     if (base) {
@@ -134,6 +257,9 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
       .limit(5)
       .select('assetName base quantity assignedTo status startDate');
     
+    // Assignments past their expected return date, whenever they were issued
+    const overdueAssignments = await getOverdueAssignments(assignmentMatch.base, assetType);
+    
     // Get recent expenditures
     const expenditureMatch = { ...dateMatch };
     if (base) {
@@ -152,11 +278,16 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
       .select('assetName base quantity reason expenditureDate');
     
     res.send({
+      period,
       summary,
       assetsByType: Object.values(assetsByType),
       recentTransfers,
       recentPurchases,
+      overdueDeliveries,
+      budgetUtilisation,
+      expiringLots,
       recentAssignments,
+      overdueAssignments,
       recentExpenditures
     });
   } catch (error) {
@@ -234,8 +365,18 @@ router.get('/base/:base', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']),
       return res.status(403).send({ error: 'Not authorized to access this base' });
     }
     
+    // Use the balances of an accounting period when one is selected
+    let period;
+    if (req.query.period) {
+      period = await AccountingPeriod.findById(req.query.period);
+      
+      if (!period) {
+        return res.status(404).send({ error: 'Accounting period not found' });
+      }
+    }
+    
     // Get assets for this base
-    const assets = await Asset.find({ base });
+    const assets = await getBalances({ base }, period);
     
     // Calculate summary metrics
     const summary = {
@@ -283,6 +424,9 @@ router.get('/base/:base', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']),
       assetsByType[asset.type].available += asset.available;
     });
     
+    // Quantity dispatched to or from this base but not yet received
+    summary.totalInTransit = await getInTransit(base);
+    
     // Get recent transfers for this base
     const recentTransfers = await Transfer.find({
       $or: [{ fromBase: base }, { toBase: base }]
@@ -303,6 +447,9 @@ router.get('/base/:base', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']),
       .limit(5)
       .select('assetName quantity assignedTo status startDate');
     
+    // Assignments at this base past their expected return date
+    const overdueAssignments = await getOverdueAssignments(base);
+    
     // Get recent expenditures for this base
     const recentExpenditures = await Expenditure.find({ base })
       .sort({ expenditureDate: -1 })
@@ -311,11 +458,13 @@ router.get('/base/:base', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']),
     
     res.send({
       base,
+      period,
       summary,
       assetsByType: Object.values(assetsByType),
       recentTransfers,
       recentPurchases,
       recentAssignments,
+      overdueAssignments,
       recentExpenditures
     });
   } catch (error) {
@@ -4,8 +4,48 @@ const Asset = require('../models/Asset');
 const auth = require('../middleware/auth');
 const baseAccess = require('../middleware/baseAccess');
 const logger = require('../middleware/logger');
+const { recordMovement } = require('../utils/stockLedger');
+const { serialsFor, findItems, updateItems } = require('../utils/serializedItems');
+const { drawLots, addLots } = require('../utils/lots');
+const { findPersonnel, assigneeOf } = require('../utils/personnel');
+const { assertPeriodOpen } = require('../utils/periods');
+const { withTransaction, requestError } = require('../utils/transaction');
 const router = new express.Router();
 
+// What expending a serialized item does to it, by expenditure reason
+const ITEM_CHANGES = {
+  Lost: { status: 'Lost' },
+  Damaged: { status: 'Expended', condition: 'Damaged' },
+  default: { status: 'Expended' }
+};
+
+/**
+ * Split the quantity given back by a correction off an expenditure's lots,
+ * taking it from the lots drawn on last first
+ * @param {Array} lots - Lot records of the expenditure
+ * @param {Number} quantity - Quantity given back
+ * @returns {Object} { released, kept } lot records
+ */
+const releaseLots = (lots, quantity) => {
+  const kept = lots.map(lot => ({
+    lotNumber: lot.lotNumber,
+    quantity: lot.quantity,
+    manufactureDate: lot.manufactureDate,
+    expiryDate: lot.expiryDate
+  }));
+  const released = [];
+  let remaining = quantity;
+  
+  for (let index = kept.length - 1; index >= 0 && remaining > 0; index--) {
+    const taken = Math.min(kept[index].quantity, remaining);
+    released.push({ ...kept[index], quantity: taken });
+    kept[index].quantity -= taken;
+    remaining -= taken;
+  }
+  
+  return { released, kept: kept.filter(lot => lot.quantity > 0) };
+};
+
 /**
  * @route   GET /api/expenditures
  * @desc    Get all expenditures with optional filters
@@ -13,7 +53,7 @@ const router = new express.Router();
  */
 router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
   try {
-    const { base, assetType, reason, startDate, endDate, sortBy, sortOrder, limit = 10, skip = 0 } = req.query;
+    const { base, assetType, reason, personnel, startDate, endDate, sortBy, sortOrder, limit = 10, skip = 0 } = req.query;
     const match = {};
     const sort = {};
     
@@ -21,6 +61,7 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
     if (base) match.base = base;
     if (assetType) match.assetType = assetType;
     if (reason) match.reason = reason;
+    if (personnel) match.personnel = personnel;
     
     // Apply date range filter if provided
     if (startDate || endDate) {
@@ -68,44 +109,96 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
  */
 router.post('/', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
   try {
-    // Check if asset exists and has enough quantity
-    const asset = await Asset.findById(req.body.asset);
+    // Revisions are added by corrections, and write-offs are only recorded
+    // by the transfer and investigation workflows
+    const { revisions, transfer, investigation, ...body } = req.body;
+    const quantity = Number(req.body.quantity);
     
-    if (!asset) {
-      return res.status(404).send({ error: 'Asset not found' });
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).send({ error: 'Invalid quantity' });
     }
     
-    // Check if the asset is from the specified base
-    if (asset.base !== req.body.base) {
-      return res.status(400).send({ error: 'Asset does not belong to the specified base' });
-    }
-    
-    // Check if there's enough available quantity
-    if (asset.available < req.body.quantity) {
-      return res.status(400).send({ 
-        error: 'Insufficient quantity available',
-        available: asset.available,
-        requested: req.body.quantity
+    const expenditure = await withTransaction(async (session) => {
+      await assertPeriodOpen(req.body.expenditureDate, session);
+      
+      // Check if asset exists and has enough quantity
+      const asset = await Asset.findById(req.body.asset).session(session);
+      
+      if (!asset) {
+        throw requestError(404, 'Asset not found');
+      }
+      
+      // Check if the asset is from the specified base
+      if (asset.base !== req.body.base) {
+        throw requestError(400, 'Asset does not belong to the specified base');
+      }
+      
+      // Check if there's enough available quantity
+      if (asset.available < quantity) {
+        throw requestError(400, 'Insufficient quantity available', {
+          available: asset.available,
+          requested: quantity
+        });
+      }
+      
+      // Expenditures name the registered person who expended the assets
+      const person = await findPersonnel(req.body.personnel, {}, session);
+      
+      // Serialized assets expend named items from available stock
+      const serials = serialsFor(asset, req.body.serialNumbers, quantity);
+      const items = serials ? await findItems(asset, serials, { status: 'Available' }, session) : [];
+      
+      // Lot-tracked stock is drawn from the lots named, or from unexpired lots
+      // in the consumption order; losses and damage may also take expired lots
+      const lots = await drawLots(asset, quantity, {
+        lots: req.body.lots,
+        includeExpired: ['Lost', 'Damaged'].includes(req.body.reason),
+        session
       });
-    }
-    
-    // Create expenditure record
-    const expenditure = new Expenditure({
-      ...req.body,
-      assetName: asset.name,
-      assetType: asset.type,
-      authorizedBy: req.user._id
+      
+      // Create expenditure record
+      const expenditure = new Expenditure({
+        ...body,
+        quantity,
+        personnel: person._id,
+        expendedBy: assigneeOf(person),
+        serialNumbers: serials,
+        lots,
+        assetName: asset.name,
+        assetType: asset.type,
+        authorizedBy: req.user._id
+      });
+      
+      await expenditure.save({ session });
+      
+      // Record the expenditure in the stock ledger
+      await recordMovement(asset, {
+        type: 'Expenditure',
+        field: 'expended',
+        quantity,
+        sourceType: 'Expenditure',
+        sourceId: expenditure._id,
+        reason: expenditure.reason,
+        user: req.user,
+        date: expenditure.expenditureDate
+      }, { session });
+      
+      await updateItems(items, ITEM_CHANGES[expenditure.reason] || ITEM_CHANGES.default, {
+        event: ['Lost', 'Damaged'].includes(expenditure.reason) ? expenditure.reason : 'Expended',
+        sourceType: 'Expenditure',
+        sourceId: expenditure._id,
+        user: req.user,
+        date: expenditure.expenditureDate,
+        notes: expenditure.operationName
+      }, session);
+      
+      return expenditure;
     });
     
-    await expenditure.save();
-    
-    // Update asset expended quantity
-    asset.expended += req.body.quantity;
-    await asset.updateBalances();
-    
     res.status(201).send(expenditure);
   } catch (error) {
-    res.status(400).send({ error: error.message });
+    // Invalid fields are the caller's error; anything else failed on the server
+    res.status(error.status || (['ValidationError', 'CastError'].includes(error.name) ? 400 : 500)).send({ error: error.message, ...error.details });
   }
 });
 
@@ -117,7 +210,8 @@ router.post('/', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (re
 router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
   try {
     const expenditure = await Expenditure.findById(req.params.id)
-      .populate('authorizedBy', 'username fullName');
+      .populate('authorizedBy', 'username fullName')
+      .populate('revisions.user', 'username fullName');
     
     if (!expenditure) {
       return res.status(404).send({ error: 'Expenditure not found' });
@@ -172,30 +266,224 @@ router.put('/:id', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (
 });
 
 /**
- * @route   DELETE /api/expenditures/:id
- * @desc    Delete expenditure (Admin only)
- * @access  Private (Admin only)
+ * @route   PUT /api/expenditures/:id/correct
+ * @desc    Correct the quantity, reason or date of an expenditure with a
+ *          justification. The asset's expended counter is adjusted by the
+ *          difference and the change is kept as a revision.
+ * @access  Private (Admin and BaseCommander)
  */
-router.delete('/:id', auth(['Admin']), logger, async (req, res) => {
+router.put('/:id/correct', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
   try {
-    const expenditure = await Expenditure.findById(req.params.id);
+    const { quantity, reason, expenditureDate } = req.body;
+    const justification = typeof req.body.justification === 'string' ? req.body.justification.trim() : '';
     
-    if (!expenditure) {
-      return res.status(404).send({ error: 'Expenditure not found' });
+    if (!justification) {
+      return res.status(400).send({ error: 'Justification is required' });
     }
-    
-    // Revert the asset expended quantity
-    const asset = await Asset.findById(expenditure.asset);
-    if (asset) {
-      asset.expended -= expenditure.quantity;
-      await asset.updateBalances();
+    if (quantity !== undefined && (!Number.isInteger(Number(quantity)) || Number(quantity) <= 0)) {
+      return res.status(400).send({ error: 'Invalid quantity' });
+    }
+    if (reason !== undefined && !Expenditure.REASONS.includes(reason)) {
+      return res.status(400).send({ error: 'Invalid reason' });
     }
+    if (expenditureDate !== undefined && isNaN(new Date(expenditureDate))) {
+      return res.status(400).send({ error: 'Invalid expenditure date' });
+    }
+    
+    const expenditure = await withTransaction(async (session) => {
+      const expenditure = await Expenditure.findById(req.params.id).session(session);
+      
+      if (!expenditure) {
+        throw requestError(404, 'Expenditure not found');
+      }
+      
+      // Check if BaseCommander has access to this expenditure
+      if (req.user.role === 'BaseCommander' && req.user.assignedBase !== expenditure.base) {
+        throw requestError(403, 'Not authorized to correct this expenditure');
+      }
+      
+      // Write-offs follow the transfer or investigation they were recorded on
+      if (expenditure.transfer) {
+        throw requestError(400, 'Expenditure was written off from a transfer shortage and cannot be corrected');
+      }
+      if (expenditure.investigation) {
+        throw requestError(400, 'Expenditure was written off by an investigation and cannot be corrected');
+      }
+      
+      const before = {
+        quantity: expenditure.quantity,
+        reason: expenditure.reason,
+        expenditureDate: expenditure.expenditureDate
+      };
+      const after = {
+        quantity: quantity !== undefined ? Number(quantity) : before.quantity,
+        reason: reason || before.reason,
+        expenditureDate: expenditureDate !== undefined ? new Date(expenditureDate) : before.expenditureDate
+      };
+      
+      const changes = Expenditure.CORRECTABLE_FIELDS
+        .filter(field => before[field].valueOf() !== after[field].valueOf())
+        .map(field => ({ field, from: before[field], to: after[field] }));
+      
+      if (!changes.length) {
+        throw requestError(400, 'No changes to correct');
+      }
+      
+      // Neither the original date nor the corrected one may be in a closed
+      // accounting period
+      await assertPeriodOpen(before.expenditureDate, session);
+      await assertPeriodOpen(after.expenditureDate, session);
+      
+      const asset = await Asset.findById(expenditure.asset).session(session);
+      
+      if (!asset) {
+        throw requestError(404, 'Asset not found');
+      }
+      
+      const difference = after.quantity - before.quantity;
+      
+      if (difference && expenditure.serialNumbers.length) {
+        throw requestError(400, 'The quantity of a serialized expenditure is the number of its serial numbers');
+      }
+      
+      // Lot-tracked stock is drawn from the lots for an increase, and given
+      // back to them for a decrease
+      if (difference > 0) {
+        const drawn = await drawLots(asset, difference, {
+          includeExpired: ['Lost', 'Damaged'].includes(after.reason),
+          session
+        });
+        
+        drawn.forEach(record => {
+          const lot = expenditure.lots.find(existing => existing.lotNumber === record.lotNumber);
+          if (lot) {
+            lot.quantity += record.quantity;
+          } else {
+            expenditure.lots.push(record);
+          }
+        });
+      } else if (difference < 0) {
+        const { released, kept } = releaseLots(expenditure.lots, -difference);
+        await addLots(asset, released, { restore: true }, session);
+        expenditure.lots = kept;
+      }
+      
+      const movement = {
+        type: 'Expenditure',
+        field: 'expended',
+        sourceType: 'Expenditure',
+        sourceId: expenditure._id,
+        reason: `Expenditure corrected: ${justification}`,
+        user: req.user
+      };
+      
+      // A new date moves the whole expenditure, so its ledger entry is reversed
+      // on the original date and recorded again on the corrected one;
+      // otherwise only the difference is recorded
+      if (after.expenditureDate.getTime() !== before.expenditureDate.getTime()) {
+        await recordMovement(asset, { ...movement, quantity: -before.quantity, date: before.expenditureDate }, { session });
+        await recordMovement(asset, { ...movement, quantity: after.quantity, date: after.expenditureDate }, { session });
+      } else if (difference) {
+        await recordMovement(asset, { ...movement, quantity: difference, date: after.expenditureDate }, { session });
+      }
+      
+      // Expended items take the state of the corrected reason
+      if (after.reason !== before.reason && expenditure.serialNumbers.length) {
+        const items = await findItems({ _id: expenditure.asset }, expenditure.serialNumbers, {
+          status: { $in: ['Expended', 'Lost'] },
+          'history.sourceId': expenditure._id
+        }, session);
+        
+        await updateItems(items, ITEM_CHANGES[after.reason] || ITEM_CHANGES.default, {
+          event: ['Lost', 'Damaged'].includes(after.reason) ? after.reason : 'Updated',
+          sourceType: 'Expenditure',
+          sourceId: expenditure._id,
+          user: req.user,
+          date: after.expenditureDate,
+          notes: justification
+        }, session);
+      }
+      
+      Object.assign(expenditure, after);
+      expenditure.revisions.push({ changes, justification, user: req.user._id });
+      
+      await expenditure.save({ session });
+      
+      return expenditure;
+    });
     
-    await Expenditure.findByIdAndDelete(req.params.id);
+    res.send(expenditure);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   DELETE /api/expenditures/:id
+ * @desc    Delete expenditure (Admin only)
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', auth(['Admin']), logger, async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const expenditure = await Expenditure.findById(req.params.id).session(session);
+      
+      if (!expenditure) {
+        throw requestError(404, 'Expenditure not found');
+      }
+      
+      // Write-offs are part of the transfer or investigation they were
+      // recorded on
+      if (expenditure.transfer) {
+        throw requestError(400, 'Expenditure was written off from a transfer shortage and cannot be deleted');
+      }
+      if (expenditure.investigation) {
+        throw requestError(400, 'Expenditure was written off by an investigation and cannot be deleted');
+      }
+      
+      await assertPeriodOpen(expenditure.expenditureDate, session);
+      
+      // Revert the asset expended quantity
+      const asset = await Asset.findById(expenditure.asset).session(session);
+      if (asset) {
+        await recordMovement(asset, {
+          type: 'Expenditure',
+          field: 'expended',
+          quantity: -expenditure.quantity,
+          sourceType: 'Expenditure',
+          sourceId: expenditure._id,
+          reason: 'Expenditure deleted',
+          user: req.user,
+          // Dated with the expenditure, so both fall in the same period
+          date: expenditure.expenditureDate
+        }, { session });
+        
+        // Stock drawn from lots goes back into them
+        await addLots(asset, expenditure.lots, { restore: true }, session);
+      }
+      
+      // Expended items go back into stock
+      if (expenditure.serialNumbers.length) {
+        const items = await findItems({ _id: expenditure.asset }, expenditure.serialNumbers, {
+          status: { $in: ['Expended', 'Lost'] },
+          'history.sourceId': expenditure._id
+        }, session);
+        
+        await updateItems(items, { status: 'Available' }, {
+          event: 'Restored',
+          sourceType: 'Expenditure',
+          sourceId: expenditure._id,
+          user: req.user,
+          notes: 'Expenditure deleted'
+        }, session);
+      }
+      
+      await Expenditure.findByIdAndDelete(req.params.id, { session });
+    });
     
     res.send({ message: 'Expenditure deleted successfully' });
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
   }
 });
 
@@ -0,0 +1,246 @@
+const express = require('express');
+const Investigation = require('../models/Investigation');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const baseAccess = require('../middleware/baseAccess');
+const { findPersonnel, assigneeOf } = require('../utils/personnel');
+const { closeInvestigation } = require('../utils/investigations');
+const { withTransaction, requestError } = require('../utils/transaction');
+const router = new express.Router();
+
+/**
+ * Record a change to an investigation in the activity log
+ */
+const logInvestigationChange = async (req, action, investigation, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'Investigation',
+      resourceId: investigation._id,
+      details: { assignment: investigation.assignment, assetName: investigation.assetName, base: investigation.base, ...details },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging investigation change:', logError.message);
+  }
+};
+
+/**
+ * Check a BaseCommander may see an investigation
+ */
+const canAccess = (req, investigation) =>
+  req.user.role !== 'BaseCommander' || req.user.assignedBase === investigation.base;
+
+/**
+ * Load an investigation the user may change
+ */
+const findForUpdate = async (req, session) => {
+  const investigation = await Investigation.findById(req.params.id).session(session || null);
+
+  if (!investigation) {
+    throw requestError(404, 'Investigation not found');
+  }
+  if (!canAccess(req, investigation)) {
+    throw requestError(403, 'Not authorized to update this investigation');
+  }
+  if (investigation.status === 'Closed') {
+    throw requestError(400, 'Investigation is already closed');
+  }
+
+  return investigation;
+};
+
+/**
+ * @route   GET /api/investigations
+ * @desc    Get loss and damage investigations with optional filters
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { base, status, type, assignment, asset, limit = 10, skip = 0 } = req.query;
+    const match = {};
+
+    if (base) match.base = base;
+    if (status) match.status = status;
+    if (type) match.type = type;
+    if (assignment) match.assignment = assignment;
+    if (asset) match.asset = asset;
+
+    if (req.user.role === 'BaseCommander') {
+      match.base = req.user.assignedBase;
+    }
+
+    const investigations = await Investigation.find(match)
+      .select('-history -evidence')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await Investigation.countDocuments(match);
+
+    res.send({
+      investigations,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + investigations.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/investigations/:id
+ * @desc    Get an investigation with its evidence and history
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const investigation = await Investigation.findById(req.params.id)
+      .populate('openedBy closedBy evidence.addedBy history.user', 'username fullName');
+
+    if (!investigation) {
+      return res.status(404).send({ error: 'Investigation not found' });
+    }
+
+    if (!canAccess(req, investigation)) {
+      return res.status(403).send({ error: 'Not authorized to access this investigation' });
+    }
+
+    res.send(investigation);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/investigations/:id
+ * @desc    Appoint the investigating officer, record findings or decide
+ *          liability; appointing an officer puts the case under
+ *          investigation
+ * @access  Private (Admin and BaseCommander)
+ */
+router.put('/:id', auth(['Admin', 'BaseCommander']), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['investigatingOfficer', 'findings', 'liability', 'notes'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const { investigatingOfficer, findings, liability, notes } = req.body;
+    const investigation = await findForUpdate(req);
+    const events = [];
+
+    if (investigatingOfficer !== undefined) {
+      const officer = await findPersonnel(investigatingOfficer, { serving: true });
+
+      if (investigation.personnel && officer._id.equals(investigation.personnel)) {
+        return res.status(400).send({ error: 'The investigating officer cannot be the person the assets were assigned to' });
+      }
+
+      investigation.investigatingOfficer = officer._id;
+      investigation.officer = assigneeOf(officer);
+      if (investigation.status === 'Open') investigation.status = 'UnderInvestigation';
+      events.push({ event: 'OfficerAppointed', notes: `${officer.rank} ${officer.name} (${officer.serviceNumber})` });
+    }
+
+    if (findings !== undefined) investigation.findings = findings;
+
+    if (liability !== undefined) {
+      const decision = liability.decision || investigation.liability.decision;
+
+      if (!Investigation.LIABILITY_DECISIONS.includes(decision)) {
+        return res.status(400).send({ error: `Liability decision must be one of: ${Investigation.LIABILITY_DECISIONS.join(', ')}` });
+      }
+
+      investigation.liability = {
+        decision,
+        // Only a liable person has an amount to pay
+        amount: decision === 'Liable' ? liability.amount : undefined,
+        notes: liability.notes !== undefined ? liability.notes : investigation.liability.notes
+      };
+    }
+
+    // Notes are kept in the case history
+    const changed = ['findings', 'liability'].filter(field => req.body[field] !== undefined);
+    if (changed.length || (notes && !events.length)) {
+      events.push({ event: 'Updated', notes: notes || `Updated ${changed.join(' and ')}` });
+    }
+
+    events.forEach(event => investigation.history.push({ ...event, user: req.user._id }));
+
+    await investigation.save();
+
+    await logInvestigationChange(req, 'Update', investigation, { updates: req.body });
+
+    res.send(investigation);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   POST /api/investigations/:id/evidence
+ * @desc    Attach a note describing a piece of evidence
+ * @access  Private (Admin and BaseCommander)
+ */
+router.post('/:id/evidence', auth(['Admin', 'BaseCommander']), async (req, res) => {
+  try {
+    const { description, reference } = req.body;
+
+    if (!description) {
+      return res.status(400).send({ error: 'Evidence description is required' });
+    }
+
+    const investigation = await findForUpdate(req);
+
+    investigation.evidence.push({ description, reference, addedBy: req.user._id });
+    investigation.history.push({ event: 'EvidenceAdded', user: req.user._id, notes: description });
+
+    await investigation.save();
+
+    await logInvestigationChange(req, 'Update', investigation, { evidence: { description, reference } });
+
+    res.status(201).send(investigation);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/investigations/:id/close
+ * @desc    Close an investigation once findings and liability are recorded,
+ *          writing the stock off as an expenditure or restoring it to the
+ *          base's stock
+ * @access  Private (Admin and BaseCommander)
+ */
+router.put('/:id/close', auth(['Admin', 'BaseCommander']), async (req, res) => {
+  try {
+    const { outcome, notes } = req.body;
+
+    const investigation = await withTransaction(async (session) => {
+      const investigation = await findForUpdate(req, session);
+
+      return closeInvestigation(investigation, { outcome, notes, user: req.user }, session);
+    });
+
+    await logInvestigationChange(req, 'Update', investigation, {
+      outcome,
+      expenditure: investigation.expenditure,
+      notes
+    });
+
+    res.send(investigation);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+module.exports = router;
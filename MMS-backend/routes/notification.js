@@ -0,0 +1,82 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const router = new express.Router();
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications, newest first
+ * @access  Private
+ */
+router.get('/', auth(), async (req, res) => {
+  try {
+    const { unread, limit = 20, skip = 0 } = req.query;
+    const match = { user: req.user._id };
+    
+    if (unread === 'true') match.read = false;
+    
+    const notifications = await Notification.find(match)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+    
+    const total = await Notification.countDocuments(match);
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, read: false });
+    
+    res.send({
+      notifications,
+      unreadCount,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + notifications.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private
+ */
+router.put('/read-all', auth(), async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    
+    res.send({ updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark one of the current user's notifications as read
+ * @access  Private
+ */
+router.put('/:id/read', auth(), async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    
+    if (!notification) {
+      return res.status(404).send({ error: 'Notification not found' });
+    }
+    
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    
+    res.send(notification);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
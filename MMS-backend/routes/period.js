@@ -0,0 +1,197 @@
+const express = require('express');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const { getPeriodBalances, closePeriod } = require('../utils/periods');
+const router = new express.Router();
+
+/**
+ * Record a change to an accounting period in the activity log
+ */
+const logPeriodChange = async (req, action, period, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'AccountingPeriod',
+      resourceId: period._id,
+      details: { name: period.name, startDate: period.startDate, endDate: period.endDate, ...details },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging period change:', logError.message);
+  }
+};
+
+/**
+ * Resolve the period dates from the body: either explicit dates or a
+ * calendar month given as YYYY-MM
+ */
+const getPeriodDates = ({ month, startDate, endDate }) => {
+  if (month) {
+    const [year, monthIndex] = String(month).split('-').map(Number);
+    return {
+      startDate: new Date(Date.UTC(year, monthIndex - 1, 1)),
+      endDate: new Date(Date.UTC(year, monthIndex, 1) - 1)
+    };
+  }
+
+  return {
+    startDate: startDate ? new Date(startDate) : undefined,
+    endDate: endDate ? new Date(endDate) : undefined
+  };
+};
+
+/**
+ * @route   GET /api/periods
+ * @desc    Get all accounting periods, newest first
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.status) match.status = req.query.status;
+
+    const periods = await AccountingPeriod.find(match)
+      .sort({ startDate: -1 })
+      .populate('closedBy', 'username fullName');
+
+    res.send(periods);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/periods
+ * @desc    Create an accounting period
+ * @access  Private (Admin only)
+ */
+router.post('/', auth(['Admin']), async (req, res) => {
+  try {
+    const { startDate, endDate } = getPeriodDates(req.body);
+    const name = req.body.name || req.body.month;
+
+    if (startDate && endDate) {
+      const overlapping = await AccountingPeriod.findOne({
+        startDate: { $lte: endDate },
+        endDate: { $gte: startDate }
+      });
+
+      if (overlapping) {
+        return res.status(400).send({ error: `Period overlaps ${overlapping.name}` });
+      }
+    }
+
+    const period = new AccountingPeriod({
+      name,
+      startDate,
+      endDate,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+
+    await period.save();
+    await logPeriodChange(req, 'Create', period);
+
+    res.status(201).send(period);
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/periods/:id
+ * @desc    Get accounting period by ID
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const period = await AccountingPeriod.findById(req.params.id)
+      .populate('createdBy', 'username fullName')
+      .populate('closedBy', 'username fullName');
+
+    if (!period) {
+      return res.status(404).send({ error: 'Accounting period not found' });
+    }
+
+    res.send(period);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/periods/:id/balances
+ * @desc    Get asset balances for a period (snapshot once closed)
+ * @access  Private
+ */
+router.get('/:id/balances', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const period = await AccountingPeriod.findById(req.params.id);
+
+    if (!period) {
+      return res.status(404).send({ error: 'Accounting period not found' });
+    }
+
+    // BaseCommanders only see their own base
+    const base = req.user.role === 'BaseCommander' ? req.user.assignedBase : req.query.base;
+    const balances = await getPeriodBalances(period, { base, assetType: req.query.assetType });
+
+    res.send({ period, balances });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/periods/:id/close
+ * @desc    Close a period, snapshotting and rolling forward its balances
+ * @access  Private (Admin only)
+ */
+router.put('/:id/close', auth(['Admin']), async (req, res) => {
+  try {
+    const period = await AccountingPeriod.findById(req.params.id);
+
+    if (!period) {
+      return res.status(404).send({ error: 'Accounting period not found' });
+    }
+
+    const result = await closePeriod(period, req.user);
+    await logPeriodChange(req, 'Update', period, { status: 'Closed', assets: result.assets });
+
+    res.send(result);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   DELETE /api/periods/:id
+ * @desc    Delete an open accounting period
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', auth(['Admin']), async (req, res) => {
+  try {
+    const period = await AccountingPeriod.findById(req.params.id);
+
+    if (!period) {
+      return res.status(404).send({ error: 'Accounting period not found' });
+    }
+
+    if (period.status === 'Closed') {
+      return res.status(400).send({ error: 'Closed periods cannot be deleted' });
+    }
+
+    await AccountingPeriod.findByIdAndDelete(req.params.id);
+    await logPeriodChange(req, 'Delete', period);
+
+    res.send({ message: 'Accounting period deleted successfully' });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,301 @@
+const express = require('express');
+const Personnel = require('../models/Personnel');
+const Assignment = require('../models/Assignment');
+const Expenditure = require('../models/Expenditure');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const baseAccess = require('../middleware/baseAccess');
+const { copyToRecords, getHoldings, countActiveAssignments } = require('../utils/personnel');
+const { withTransaction, requestError } = require('../utils/transaction');
+const router = new express.Router();
+
+/**
+ * Record a change to a personnel record in the activity log
+ */
+const logPersonnelChange = async (req, action, person, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'Personnel',
+      resourceId: person._id,
+      details: { serviceNumber: person.serviceNumber, name: person.name, ...details },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging personnel change:', logError.message);
+  }
+};
+
+// Case-insensitive pattern matching text anywhere, with regex characters
+// taken literally
+const containing = (text) => new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+/**
+ * Personnel filter from the query, limited to a BaseCommander's own base
+ */
+const personnelMatch = (query, user) => {
+  const { base, status, unit, search } = query;
+  const match = {};
+
+  if (base) match.base = base;
+  if (status) match.status = status;
+  if (unit) match.unit = containing(unit);
+  if (search) {
+    match.$or = [{ name: containing(search) }, { serviceNumber: containing(search) }];
+  }
+
+  if (user.role === 'BaseCommander') {
+    match.base = user.assignedBase;
+  }
+
+  return match;
+};
+
+/**
+ * Check a BaseCommander may see a personnel record
+ */
+const canAccess = (req, person) =>
+  req.user.role !== 'BaseCommander' || req.user.assignedBase === person.base;
+
+/**
+ * @route   GET /api/personnel
+ * @desc    Get personnel with optional filters
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { limit = 10, skip = 0 } = req.query;
+    const match = personnelMatch(req.query, req.user);
+
+    const personnel = await Personnel.find(match)
+      .sort({ name: 1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await Personnel.countDocuments(match);
+
+    res.send({
+      personnel,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + personnel.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/personnel/search
+ * @desc    Find personnel by name or service number, for autocomplete;
+ *          personnel who have been transferred or discharged are left out
+ *          unless includeInactive is true
+ * @access  Private
+ */
+router.get('/search', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { q = '', includeInactive, limit = 10 } = req.query;
+    const match = personnelMatch({ ...req.query, search: q }, req.user);
+
+    if (includeInactive !== 'true' && !match.status) {
+      match.status = { $nin: Personnel.INACTIVE_STATUSES };
+    }
+
+    const personnel = await Personnel.find(match)
+      .select('serviceNumber name rank unit base status')
+      .sort({ name: 1 })
+      .limit(Math.min(parseInt(limit) || 10, 50));
+
+    res.send(personnel);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/personnel/holdings
+ * @desc    Get the assets each person holds on active assignments, largest
+ *          holdings first
+ * @access  Private
+ */
+router.get('/holdings', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const { base, assetType, search, limit = 10, skip = 0 } = req.query;
+    const match = {};
+
+    if (base) match.base = base;
+    if (assetType) match.assetType = assetType;
+    if (req.user.role === 'BaseCommander') {
+      match.base = req.user.assignedBase;
+    }
+
+    // Searching narrows the result to the matching personnel
+    let personnel;
+    if (search) {
+      const people = await Personnel.find(personnelMatch({ search }, req.user)).select('_id');
+      personnel = people.map(person => person._id);
+    }
+
+    const { holdings, total } = await getHoldings(match, {
+      personnel,
+      limit: parseInt(limit),
+      skip: parseInt(skip)
+    });
+
+    res.send({
+      holdings,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + holdings.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/personnel
+ * @desc    Register a person
+ * @access  Private (Admin and BaseCommander)
+ */
+router.post('/', auth(['Admin', 'BaseCommander']), baseAccess, async (req, res) => {
+  try {
+    const { serviceNumber, name, rank, unit, base, status, notes } = req.body;
+    const person = new Personnel({ serviceNumber, name, rank, unit, base, status, notes });
+
+    await person.save();
+    await logPersonnelChange(req, 'Create', person);
+
+    res.status(201).send(person);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ error: 'Personnel with this service number already exists' });
+    }
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/personnel/:id
+ * @desc    Get personnel by ID
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const person = await Personnel.findById(req.params.id);
+
+    if (!person) {
+      return res.status(404).send({ error: 'Personnel not found' });
+    }
+
+    if (!canAccess(req, person)) {
+      return res.status(403).send({ error: 'Not authorized to access this personnel record' });
+    }
+
+    res.send(person);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/personnel/:id/holdings
+ * @desc    Get what a person holds: their active assignments with totals per
+ *          asset, and their most recent expenditures
+ * @access  Private
+ */
+router.get('/:id/holdings', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const person = await Personnel.findById(req.params.id);
+
+    if (!person) {
+      return res.status(404).send({ error: 'Personnel not found' });
+    }
+
+    if (!canAccess(req, person)) {
+      return res.status(403).send({ error: 'Not authorized to access this personnel record' });
+    }
+
+    const assignments = await Assignment.find({ personnel: person._id, status: 'Active' })
+      .sort({ startDate: -1 });
+    const expenditures = await Expenditure.find({ personnel: person._id })
+      .sort({ expenditureDate: -1 })
+      .limit(10);
+    const { holdings: [holding] } = await getHoldings({}, { personnel: [person._id] });
+
+    res.send({
+      personnel: person,
+      assignments,
+      quantity: holding ? holding.quantity : 0,
+      assets: holding ? holding.assets : [],
+      expenditures
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/personnel/:id
+ * @desc    Update personnel details; a new name or rank is copied to their
+ *          assignments and expenditures. Personnel holding assets cannot
+ *          move base or be marked transferred or discharged.
+ * @access  Private (Admin and BaseCommander)
+ */
+router.put('/:id', auth(['Admin', 'BaseCommander']), baseAccess, async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['name', 'rank', 'unit', 'base', 'status', 'notes'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const person = await withTransaction(async (session) => {
+      const person = await Personnel.findById(req.params.id).session(session);
+
+      if (!person) {
+        throw requestError(404, 'Personnel not found');
+      }
+
+      if (!canAccess(req, person)) {
+        throw requestError(403, 'Not authorized to update this personnel record');
+      }
+
+      updates.forEach(update => person[update] = req.body[update]);
+
+      const leaving = person.isModified('base')
+        || (person.isModified('status') && Personnel.INACTIVE_STATUSES.includes(person.status));
+      if (leaving) {
+        const activeAssignments = await countActiveAssignments(person, session);
+
+        if (activeAssignments) {
+          throw requestError(400, 'Personnel still holds assets on active assignments', { activeAssignments });
+        }
+      }
+
+      const renamed = person.isModified('name') || person.isModified('rank');
+      await person.save({ session });
+
+      if (renamed) {
+        await copyToRecords(person, session);
+      }
+
+      return person;
+    });
+
+    await logPersonnelChange(req, 'Update', person, { updates: req.body });
+
+    res.send(person);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,84 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Purchase = require('../models/Purchase');
 const Asset = require('../models/Asset');
+const Supplier = require('../models/Supplier');
+const ApprovalRequest = require('../models/ApprovalRequest');
 const auth = require('../middleware/auth');
 const baseAccess = require('../middleware/baseAccess');
 const logger = require('../middleware/logger');
+const { recordMovement } = require('../utils/stockLedger');
+const { normalizeSerials, serialsFor, createItems } = require('../utils/serializedItems');
+const { normalizeLots, lotsFor, addLots, removeLots } = require('../utils/lots');
+const SerializedItem = require('../models/SerializedItem');
+const { assertPeriodOpen } = require('../utils/periods');
+const { withTransaction, requestError } = require('../utils/transaction');
+const { startApproval, decide, cancelApproval } = require('../utils/approvals');
+const { checkBudget } = require('../utils/budgets');
 const router = new express.Router();
 
+/**
+ * Details of a purchase that approval workflows are matched against
+ */
+const approvalContext = (purchase) => ({
+  base: purchase.base,
+  assetName: purchase.assetName,
+  assetType: purchase.assetType,
+  quantity: purchase.quantity,
+  cost: purchase.totalCost
+});
+
+/**
+ * Look up the active supplier a purchase is placed with
+ * @throws {Error} With status 400 if it is not a registered, active supplier
+ */
+const findActiveSupplier = async (id, session) => {
+  const supplier = mongoose.isValidObjectId(id)
+    ? await Supplier.findOne({ _id: id, active: true }).session(session)
+    : null;
+
+  if (!supplier) {
+    throw requestError(400, 'Supplier must be an active registered supplier');
+  }
+
+  return supplier;
+};
+
+/**
+ * Decide the current approval step of a purchase. Purchases requested before
+ * approval workflows existed get their approval request on first decision.
+ * @returns {Promise<Document>} The updated purchase
+ */
+const decidePurchase = async (req, decision, comments) => withTransaction(async (session) => {
+  const purchase = await Purchase.findById(req.params.id).session(session);
+  
+  if (!purchase) {
+    throw requestError(404, 'Purchase not found');
+  }
+  
+  // Only requested purchases await approval
+  if (purchase.status !== 'Requested') {
+    throw requestError(400, `Purchase is already ${purchase.status}`);
+  }
+  
+  let request = await ApprovalRequest.findOne({
+    resourceType: 'Purchase',
+    resourceId: purchase._id,
+    status: 'Pending'
+  }).session(session);
+  
+  if (!request) {
+    request = await startApproval({
+      actionType: 'Purchase',
+      resource: purchase,
+      context: approvalContext(purchase),
+      user: { _id: purchase.purchasedBy }
+    }, session);
+  }
+  
+  return decide(request, req.user, decision, comments, session);
+});
+
 /**
  * @route   GET /api/purchases
  * @desc    Get all purchases with optional filters
@@ -13,14 +86,24 @@ const router = new express.Router();
  */
 router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
   try {
-    const { base, assetType, status, startDate, endDate, sortBy, sortOrder, limit = 10, skip = 0 } = req.query;
+    const { base, assetType, supplier, status, overdue, overBudget, startDate, endDate, sortBy, sortOrder, limit = 10, skip = 0 } = req.query;
     const match = {};
     const sort = {};
     
     // Apply filters if provided
     if (base) match.base = base;
     if (assetType) match.assetType = assetType;
+    if (supplier) match.supplier = supplier;
     if (status) match.status = status;
+    if (overBudget === 'true') match.overBudget = true;
+    
+    // Overdue purchases are still waiting on deliveries past their expected date
+    if (overdue === 'true') {
+      match.status = status && Purchase.OPEN_DELIVERY_STATUSES.includes(status)
+        ? status
+        : { $in: Purchase.OPEN_DELIVERY_STATUSES };
+      match.expectedDeliveryDate = { $lt: new Date() };
+    }
     
     // Apply date range filter if provided
     if (startDate || endDate) {
@@ -64,57 +147,50 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
 
 /**
  * @route   POST /api/purchases
- * @desc    Create a new purchase
+ * @desc    Request a new purchase; purchases exceeding the remaining budget
+ *          are rejected or flagged as over budget, per the budget
  * @access  Private (Admin and LogisticsOfficer)
  */
 router.post('/', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   try {
-    // Create purchase record
-    const purchase = new Purchase({
-      ...req.body,
-      purchasedBy: req.user._id,
-      status: 'Ordered'
-    });
-    
-    await purchase.save();
-    
-    // Check if the asset exists in the base
-    let asset = await Asset.findOne({ 
-      name: req.body.assetName,
-      type: req.body.assetType,
-      base: req.body.base
-    });
-    
-    // If not, create a new asset record
-    if (!asset) {
-      asset = new Asset({
-        name: req.body.assetName,
-        type: req.body.assetType,
-        base: req.body.base,
-        openingBalance: 0,
-        closingBalance: 0,
-        purchases: 0,
-        transferIn: 0,
-        transferOut: 0,
-        assigned: 0,
-        expended: 0,
-        available: 0
+    const purchase = await withTransaction(async (session) => {
+      await assertPeriodOpen(req.body.purchaseDate, session);
+      
+      // Every purchase starts as a request; the status and approval fields
+      // are set by the lifecycle endpoints, never by the request body
+      const {
+        status, approvedBy, approvedAt, orderedBy, orderedAt,
+        deliveryDate, deliveries, deliveredQuantity, overBudget, asset, supplierName, ...details
+      } = req.body;
+      
+      const supplier = await findActiveSupplier(details.supplier, session);
+      
+      const purchase = new Purchase({
+        ...details,
+        supplierName: supplier.name,
+        purchasedBy: req.user._id,
+        status: 'Requested'
       });
-    }
-    
-    // Update asset with purchase information if status is Delivered
-    if (req.body.status === 'Delivered') {
-      asset.purchases += req.body.quantity;
-      await asset.updateBalances();
       
-      // Update purchase with asset reference
-      purchase.asset = asset._id;
-      await purchase.save();
-    }
+      await purchase.save({ session });
+      
+      // The total cost is only known once saved; the check runs again on approval
+      await checkBudget(purchase, session);
+      if (purchase.overBudget) await purchase.save({ session });
+      
+      await startApproval({
+        actionType: 'Purchase',
+        resource: purchase,
+        context: approvalContext(purchase),
+        user: req.user
+      }, session);
+      
+      return purchase;
+    });
     
     res.status(201).send(purchase);
   } catch (error) {
-    res.status(400).send({ error: error.message });
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
   }
 });
 
@@ -127,7 +203,10 @@ router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAcc
   try {
     const purchase = await Purchase.findById(req.params.id)
       .populate('purchasedBy', 'username fullName')
-      .populate('approvedBy', 'username fullName');
+      .populate('approvedBy', 'username fullName')
+      .populate('rejectedBy', 'username fullName')
+      .populate('orderedBy', 'username fullName')
+      .populate('deliveries.receivedBy', 'username fullName');
     
     if (!purchase) {
       return res.status(404).send({ error: 'Purchase not found' });
@@ -138,18 +217,56 @@ router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAcc
       return res.status(403).send({ error: 'Not authorized to access this purchase' });
     }
     
-    res.send(purchase);
+    // Include the approval chain, newest request first
+    const approvals = await ApprovalRequest.find({ resourceType: 'Purchase', resourceId: purchase._id })
+      .sort({ createdAt: -1 })
+      .populate('steps.decidedBy', 'username fullName')
+      .populate('requestedBy', 'username fullName');
+    
+    res.send({ ...purchase.toObject(), approvals });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
 });
 
 /**
- * @route   PUT /api/purchases/:id/deliver
- * @desc    Mark a purchase as delivered
+ * @route   PUT /api/purchases/:id/approve
+ * @desc    Approve the current step of a purchase's approval chain; the
+ *          purchase is Approved once every step has approved and it fits
+ *          the remaining budget
+ * @access  Private (approvers named by the workflow)
+ */
+router.put('/:id/approve', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const purchase = await decidePurchase(req, 'approve', req.body.comments);
+    
+    res.send(purchase);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/purchases/:id/reject
+ * @desc    Reject a purchase request at its current approval step
+ * @access  Private (approvers named by the workflow)
+ */
+router.put('/:id/reject', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const purchase = await decidePurchase(req, 'reject', req.body.reason);
+    
+    res.send(purchase);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/purchases/:id/order
+ * @desc    Place the order for an approved purchase
  * @access  Private (Admin and LogisticsOfficer)
  */
-router.put('/:id/deliver', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+router.put('/:id/order', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   try {
     const purchase = await Purchase.findById(req.params.id);
     
@@ -157,52 +274,162 @@ router.put('/:id/deliver', auth(['Admin', 'LogisticsOfficer']), baseAccess, logg
       return res.status(404).send({ error: 'Purchase not found' });
     }
     
-    // Check if purchase is already delivered or cancelled
-    if (purchase.status !== 'Ordered') {
-      return res.status(400).send({ error: `Purchase is already ${purchase.status}` });
+    if (purchase.status !== 'Approved') {
+      return res.status(400).send({ error: purchase.status === 'Requested'
+        ? 'Purchase must be approved before it is ordered'
+        : `Purchase is already ${purchase.status}` });
     }
     
-    // Update purchase status
-    purchase.status = 'Delivered';
-    purchase.deliveryDate = new Date();
-    purchase.approvedBy = req.user._id;
+    purchase.status = 'Ordered';
+    purchase.orderedBy = req.user._id;
+    purchase.orderedAt = new Date();
+    if (req.body.invoiceNumber) purchase.invoiceNumber = req.body.invoiceNumber;
+    if (req.body.expectedDeliveryDate) purchase.expectedDeliveryDate = req.body.expectedDeliveryDate;
     await purchase.save();
     
-    // Update asset quantities
-    let asset = await Asset.findOne({ 
-      name: purchase.assetName,
-      type: purchase.assetType,
-      base: purchase.base
-    });
-    
-    // If asset doesn't exist, create it
-    if (!asset) {
-      asset = new Asset({
+    res.send(purchase);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/purchases/:id/deliver
+ * @desc    Record a delivery against an ordered purchase; the quantity
+ *          defaults to everything still outstanding, or to the number of
+ *          serial numbers given for a serialized asset
+ * @access  Private (Admin and LogisticsOfficer)
+ */
+router.put('/:id/deliver', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const purchase = await withTransaction(async (session) => {
+      const purchase = await Purchase.findById(req.params.id).session(session);
+      
+      if (!purchase) {
+        throw requestError(404, 'Purchase not found');
+      }
+      
+      // Only ordered purchases can take deliveries
+      if (!Purchase.OPEN_DELIVERY_STATUSES.includes(purchase.status)) {
+        throw requestError(400, ['Requested', 'Approved'].includes(purchase.status)
+          ? 'Purchase has not been ordered'
+          : `Purchase is already ${purchase.status}`);
+      }
+      
+      // Find the asset the delivery is booked to
+      let asset = await Asset.findOne({ 
         name: purchase.assetName,
         type: purchase.assetType,
-        base: purchase.base,
-        openingBalance: 0,
-        closingBalance: 0,
-        purchases: 0,
-        transferIn: 0,
-        transferOut: 0,
-        assigned: 0,
-        expended: 0,
-        available: 0
+        base: purchase.base
+      }).session(session);
+      
+      const { serialNumbers } = req.body;
+      const outstanding = purchase.outstandingQuantity;
+      let quantity = req.body.quantity;
+      if (quantity === undefined) {
+        quantity = serialNumbers ? serialNumbers.length : outstanding;
+      }
+      quantity = Number(quantity);
+      
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw requestError(400, 'Delivered quantity must be a positive whole number');
+      }
+      if (quantity > outstanding) {
+        throw requestError(400, 'Delivered quantity exceeds the outstanding quantity', { outstanding });
+      }
+      
+      const date = req.body.date ? new Date(req.body.date) : new Date();
+      if (isNaN(date) || date > new Date()) {
+        throw requestError(400, 'Delivery date must be a valid date that is not in the future');
+      }
+      
+      await assertPeriodOpen(date, session);
+      
+      // A new asset is serialized when its first delivery lists serial numbers
+      const serials = asset
+        ? serialsFor(asset, serialNumbers, quantity)
+        : serialNumbers && normalizeSerials(serialNumbers, quantity);
+      
+      // Likewise a new asset is lot-tracked when its first delivery lists lots
+      const lots = asset
+        ? lotsFor(asset, req.body.lots, quantity)
+        : req.body.lots && req.body.lots.length ? normalizeLots(req.body.lots, { quantity }) : undefined;
+      
+      // Record the delivery and complete the purchase once nothing is outstanding
+      purchase.deliveries.push({
+        date,
+        quantity,
+        receiptNumber: req.body.receiptNumber,
+        receivedBy: req.user._id,
+        serialNumbers: serials,
+        lots,
+        notes: req.body.notes
       });
-    }
-    
-    // Update asset with purchase information
-    asset.purchases += purchase.quantity;
-    await asset.updateBalances();
-    
-    // Update purchase with asset reference
-    purchase.asset = asset._id;
-    await purchase.save();
+      purchase.deliveredQuantity = (purchase.deliveredQuantity || 0) + quantity;
+      
+      if (purchase.deliveredQuantity === purchase.quantity) {
+        purchase.status = 'Delivered';
+        purchase.deliveryDate = date;
+      } else {
+        purchase.status = 'Partially Delivered';
+      }
+      
+      // If asset doesn't exist, create it
+      if (!asset) {
+        asset = new Asset({
+          name: purchase.assetName,
+          type: purchase.assetType,
+          base: purchase.base,
+          serialized: !!serials,
+          lotTracked: !!lots,
+          openingBalance: 0,
+          closingBalance: 0,
+          purchases: 0,
+          transferIn: 0,
+          transferOut: 0,
+          assigned: 0,
+          expended: 0,
+          available: 0
+        });
+      }
+      
+      // Record the delivery in the stock ledger
+      asset = await recordMovement(asset, {
+        type: 'Purchase',
+        field: 'purchases',
+        quantity,
+        sourceType: 'Purchase',
+        sourceId: purchase._id,
+        reason: req.body.receiptNumber ? `Delivery ${req.body.receiptNumber}` : undefined,
+        user: req.user,
+        date
+      }, { session });
+      
+      if (serials) {
+        await createItems(asset, serials, {
+          event: 'Delivered',
+          sourceType: 'Purchase',
+          sourceId: purchase._id,
+          user: req.user,
+          date,
+          notes: req.body.receiptNumber ? `Delivery ${req.body.receiptNumber}` : undefined
+        }, session);
+      }
+      
+      if (lots) {
+        await addLots(asset, lots, { purchase: purchase._id, date }, session);
+      }
+      
+      // Update purchase with asset reference
+      purchase.asset = asset._id;
+      await purchase.save({ session });
+      
+      return purchase;
+    });
     
     res.send(purchase);
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
   }
 });
 
@@ -213,34 +440,79 @@ router.put('/:id/deliver', auth(['Admin', 'LogisticsOfficer']), baseAccess, logg
  */
 router.put('/:id/cancel', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   try {
-    const purchase = await Purchase.findById(req.params.id);
-    
-    if (!purchase) {
-      return res.status(404).send({ error: 'Purchase not found' });
-    }
-    
-    // Check if purchase is already delivered or cancelled
-    if (purchase.status === 'Cancelled') {
-      return res.status(400).send({ error: 'Purchase is already cancelled' });
-    }
-    
-    // If purchase was delivered, revert the asset quantities
-    if (purchase.status === 'Delivered' && purchase.asset) {
-      const asset = await Asset.findById(purchase.asset);
+    const purchase = await withTransaction(async (session) => {
+      const purchase = await Purchase.findById(req.params.id).session(session);
       
-      if (asset) {
-        asset.purchases -= purchase.quantity;
-        await asset.updateBalances();
+      if (!purchase) {
+        throw requestError(404, 'Purchase not found');
       }
-    }
-    
-    // Update purchase status
-    purchase.status = 'Cancelled';
-    await purchase.save();
+      
+      // Check if purchase is already closed
+      if (purchase.status === 'Cancelled') {
+        throw requestError(400, 'Purchase is already cancelled');
+      }
+      if (purchase.status === 'Rejected') {
+        throw requestError(400, 'Purchase is already Rejected');
+      }
+      
+      // A delivery booked in a closed period can no longer be reversed
+      for (const delivery of purchase.deliveries) {
+        await assertPeriodOpen(delivery.date, session);
+      }
+      await assertPeriodOpen(null, session);
+      
+      // Delivered items are removed again, which they can only be while still in stock
+      const items = await SerializedItem.find({
+        history: { $elemMatch: { event: 'Delivered', sourceId: purchase._id } }
+      }).session(session);
+      const moved = items.filter(item => item.status !== 'Available' || !item.asset.equals(purchase.asset));
+      
+      if (moved.length) {
+        throw requestError(400, 'Delivered items have left available stock', {
+          serialNumbers: moved.map(item => item.serialNumber)
+        });
+      }
+      if (items.length) {
+        await SerializedItem.deleteMany({ _id: { $in: items.map(item => item._id) } }).session(session);
+      }
+      
+      // If anything was delivered, revert the asset quantities
+      if (purchase.deliveredQuantity > 0 && purchase.asset) {
+        const asset = await Asset.findById(purchase.asset).session(session);
+        
+        if (asset) {
+          for (const delivery of purchase.deliveries) {
+            // Delivered lots are removed again, which they can only be while
+            // none of their stock has been used
+            await removeLots(asset, delivery.lots, { unreceive: true }, session);
+            
+            // Each delivery is reversed on its own date, so both fall in
+            // the same period
+            await recordMovement(asset, {
+              type: 'Purchase',
+              field: 'purchases',
+              quantity: -delivery.quantity,
+              sourceType: 'Purchase',
+              sourceId: purchase._id,
+              reason: 'Purchase cancelled',
+              user: req.user,
+              date: delivery.date
+            }, { session });
+          }
+        }
+      }
+      
+      // Update purchase status and close its approval request
+      purchase.status = 'Cancelled';
+      await purchase.save({ session });
+      await cancelApproval(purchase, session);
+      
+      return purchase;
+    });
     
     res.send(purchase);
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
   }
 });
 
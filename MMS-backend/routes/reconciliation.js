@@ -0,0 +1,50 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { reconcile, repair } = require('../utils/reconciliation');
+const router = new express.Router();
+
+/**
+ * Read the reconciliation scope from the query string or request body
+ */
+const getFilters = (source = {}) => {
+  const filters = {};
+  if (source.base) filters.base = source.base;
+  if (source.assetType) filters.assetType = source.assetType;
+  if (source.asset) filters.asset = source.asset;
+  return filters;
+};
+
+/**
+ * @route   GET /api/reconciliation
+ * @desc    Report assets whose stored counters differ from their transactions
+ * @access  Private (Admin only)
+ */
+router.get('/', auth(['Admin']), async (req, res) => {
+  try {
+    const report = await reconcile(getFilters(req.query));
+    res.send(report);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/reconciliation/repair
+ * @desc    Repair drifted asset counters through ledger adjustments
+ * @access  Private (Admin only)
+ */
+router.post('/repair', auth(['Admin']), async (req, res) => {
+  try {
+    const report = await repair(getFilters(req.body), {
+      user: req.user,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    res.send(report);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
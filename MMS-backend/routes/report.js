@@ -0,0 +1,753 @@
+const express = require('express');
+const Asset = require('../models/Asset');
+const Transfer = require('../models/Transfer');
+const Purchase = require('../models/Purchase');
+const Assignment = require('../models/Assignment');
+const Expenditure = require('../models/Expenditure');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const auth = require('../middleware/auth');
+const baseAccess = require('../middleware/baseAccess');
+const { REPORT_FORMATS, sendReport } = require('../utils/reportFormatter');
+const { getPeriodBalances } = require('../utils/periods');
+const { getExpiringLots } = require('../utils/lots');
+const router = new express.Router();
+
+const REPORT_ROLES = ['Admin', 'BaseCommander', 'LogisticsOfficer'];
+
+/**
+ * Build report filters from the request query, applying the same
+ * BaseCommander scoping as the dashboard route. An accounting period
+ * supplies the date range unless one is given explicitly.
+ */
+const getFilters = async (req) => {
+  const { base, assetType, startDate, endDate, period, days } = req.query;
+  const filters = {};
+
+  if (base) filters.base = base;
+  if (assetType) filters.assetType = assetType;
+  if (startDate) filters.startDate = new Date(startDate);
+  if (endDate) filters.endDate = new Date(endDate);
+
+  // Expiry warning window, in days
+  if (days !== undefined) {
+    filters.days = Number(days);
+
+    if (!Number.isInteger(filters.days) || filters.days < 1) {
+      throw Object.assign(new Error('Days must be a positive whole number'), { status: 400 });
+    }
+  }
+
+  if (period) {
+    const accountingPeriod = await AccountingPeriod.findById(period);
+
+    if (!accountingPeriod) {
+      throw Object.assign(new Error('Accounting period not found'), { status: 404 });
+    }
+
+    const { _id, name, status } = accountingPeriod;
+    filters.period = { _id, name, status, startDate: accountingPeriod.startDate, endDate: accountingPeriod.endDate };
+
+    if (!startDate && !endDate) {
+      filters.startDate = accountingPeriod.startDate;
+      filters.endDate = accountingPeriod.endDate;
+    }
+  }
+
+  if ((filters.startDate && isNaN(filters.startDate)) || (filters.endDate && isNaN(filters.endDate))) {
+    throw Object.assign(new Error('Invalid date range'), { status: 400 });
+  }
+
+  // Apply base restriction for BaseCommander
+  if (req.user.role === 'BaseCommander') {
+    filters.base = req.user.assignedBase;
+  }
+
+  return filters;
+};
+
+/**
+ * Build a date range condition for the given field
+ */
+const dateRange = (field, filters) => {
+  if (!filters.startDate && !filters.endDate) return {};
+
+  const range = {};
+  if (filters.startDate) range.$gte = filters.startDate;
+  if (filters.endDate) range.$lte = filters.endDate;
+
+  return { [field]: range };
+};
+
+/**
+ * Whether a date falls inside the date range of the filters
+ */
+const inDateRange = (date, filters) =>
+  (!filters.startDate || date >= filters.startDate) && (!filters.endDate || date <= filters.endDate);
+
+/**
+ * Add each of `values` to `group[key]`, creating the entry from `init` if needed
+ */
+const accumulate = (group, key, init, values) => {
+  if (!group[key]) group[key] = { ...init };
+  Object.keys(values).forEach(field => {
+    group[key][field] = (group[key][field] || 0) + values[field];
+  });
+};
+
+/**
+ * Inventory report: current balances of every asset in scope, or their
+ * balances for the selected accounting period
+ */
+const buildInventoryReport = async (filters) => {
+  const match = {};
+  if (filters.base) match.base = filters.base;
+  if (filters.assetType) match.type = filters.assetType;
+
+  const assets = filters.period
+    ? (await getPeriodBalances(filters.period, filters))
+      .map(balance => ({ ...balance, _id: balance.asset, name: balance.assetName, type: balance.assetType }))
+    : await Asset.find(match).sort({ base: 1, type: 1, name: 1 });
+
+  const totals = {
+    assets: assets.length,
+    openingBalance: 0,
+    purchases: 0,
+    transferIn: 0,
+    transferOut: 0,
+    assigned: 0,
+    expended: 0,
+    closingBalance: 0,
+    available: 0
+  };
+  const byType = {};
+  const byBase = {};
+
+  const rows = assets.map(asset => {
+    const row = {
+      asset: asset._id,
+      name: asset.name,
+      type: asset.type,
+      base: asset.base,
+      openingBalance: asset.openingBalance,
+      purchases: asset.purchases,
+      transferIn: asset.transferIn,
+      transferOut: asset.transferOut,
+      assigned: asset.assigned,
+      expended: asset.expended,
+      closingBalance: asset.closingBalance,
+      available: asset.available
+    };
+
+    Object.keys(totals).forEach(field => {
+      if (field !== 'assets') totals[field] += row[field];
+    });
+
+    const balances = { count: 1, closingBalance: row.closingBalance, assigned: row.assigned, available: row.available };
+    accumulate(byType, row.type, { type: row.type }, balances);
+    accumulate(byBase, row.base, { base: row.base }, balances);
+
+    return row;
+  });
+
+  return {
+    report: 'inventory',
+    title: 'Asset Inventory Report',
+    columns: [
+      { key: 'name', label: 'Asset' },
+      { key: 'type', label: 'Type' },
+      { key: 'base', label: 'Base' },
+      { key: 'openingBalance', label: 'Opening' },
+      { key: 'purchases', label: 'Purchases' },
+      { key: 'transferIn', label: 'Transfer In' },
+      { key: 'transferOut', label: 'Transfer Out' },
+      { key: 'assigned', label: 'Assigned' },
+      { key: 'expended', label: 'Expended' },
+      { key: 'closingBalance', label: 'Closing' },
+      { key: 'available', label: 'Available' }
+    ],
+    rows,
+    totals,
+    byType: Object.values(byType),
+    byBase: Object.values(byBase)
+  };
+};
+
+/**
+ * Movement report: purchases, transfers, assignments and expenditures
+ * within the date range, grouped per asset and base
+ */
+const buildMovementReport = async (filters) => {
+  const baseMatch = filters.base ? { base: filters.base } : {};
+  const typeMatch = filters.assetType ? { assetType: filters.assetType } : {};
+
+  const [purchases, transfers, assignments, expenditures] = await Promise.all([
+    Purchase.find({
+      ...baseMatch,
+      ...typeMatch,
+      status: { $in: ['Partially Delivered', 'Delivered'] },
+      ...dateRange('deliveries.date', filters)
+    }),
+    Transfer.find({
+      ...typeMatch,
+      status: { $in: ['Dispatched', 'Received'] },
+      ...(filters.base ? { $or: [{ fromBase: filters.base }, { toBase: filters.base }] } : {}),
+      ...dateRange('createdAt', filters)
+    }),
+    Assignment.find({ ...baseMatch, ...typeMatch, ...dateRange('startDate', filters) }),
+    Expenditure.find({ ...baseMatch, ...typeMatch, ...dateRange('expenditureDate', filters) })
+  ]);
+
+  const movements = {};
+  const init = (name, type, base) => ({
+    name,
+    type,
+    base,
+    purchases: 0,
+    transferIn: 0,
+    transferOut: 0,
+    assigned: 0,
+    returned: 0,
+    expended: 0
+  });
+  const add = (name, type, base, values) => {
+    accumulate(movements, `${base}|${type}|${name}`, init(name, type, base), values);
+  };
+
+  // Purchases count the deliveries received within the range
+  purchases.forEach(p => p.deliveries
+    .filter(d => inDateRange(d.date, filters))
+    .forEach(d => add(p.assetName, p.assetType, p.base, { purchases: d.quantity })));
+
+  transfers.forEach(t => {
+    if (!filters.base || t.fromBase === filters.base) {
+      // A short receipt puts the shortfall back on the source base's books
+      add(t.assetName, t.assetType, t.fromBase, {
+        transferOut: t.status === 'Received' ? t.receivedQuantity || 0 : t.quantity
+      });
+    }
+    if (t.status === 'Received' && (!filters.base || t.toBase === filters.base)) {
+      add(t.assetName, t.assetType, t.toBase, { transferIn: t.receivedQuantity || 0 });
+    }
+  });
+
+  assignments.forEach(a => add(a.assetName, a.assetType, a.base, {
+    assigned: a.quantity,
+    returned: a.returnedQuantity
+  }));
+
+  expenditures.forEach(e => add(e.assetName, e.assetType, e.base, { expended: e.quantity }));
+
+  const rows = Object.values(movements)
+    .map(row => ({ ...row, netMovement: row.purchases + row.transferIn - row.transferOut }))
+    .sort((a, b) => a.base.localeCompare(b.base) || a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+
+  const totals = rows.reduce((sum, row) => {
+    ['purchases', 'transferIn', 'transferOut', 'assigned', 'returned', 'expended', 'netMovement']
+      .forEach(field => { sum[field] += row[field]; });
+    return sum;
+  }, { purchases: 0, transferIn: 0, transferOut: 0, assigned: 0, returned: 0, expended: 0, netMovement: 0 });
+
+  return {
+    report: 'movement',
+    title: 'Asset Movement Report',
+    columns: [
+      { key: 'name', label: 'Asset' },
+      { key: 'type', label: 'Type' },
+      { key: 'base', label: 'Base' },
+      { key: 'purchases', label: 'Purchases' },
+      { key: 'transferIn', label: 'Transfer In' },
+      { key: 'transferOut', label: 'Transfer Out' },
+      { key: 'netMovement', label: 'Net Movement' },
+      { key: 'assigned', label: 'Assigned' },
+      { key: 'returned', label: 'Returned' },
+      { key: 'expended', label: 'Expended' }
+    ],
+    rows,
+    totals
+  };
+};
+
+/**
+ * Transfer report: transfers into or out of the bases in scope
+ */
+const buildTransferReport = async (filters) => {
+  const match = { ...dateRange('createdAt', filters) };
+  if (filters.asset) match.asset = filters.asset;
+  if (filters.base) match.$or = [{ fromBase: filters.base }, { toBase: filters.base }];
+  if (filters.assetType) match.assetType = filters.assetType;
+
+  const transfers = await Transfer.find(match)
+    .sort({ createdAt: -1 })
+    .populate('transferredBy', 'username fullName')
+    .populate('approvedBy', 'username fullName');
+
+  const byStatus = {};
+  const totals = { transfers: transfers.length, quantity: 0, transferIn: 0, transferOut: 0 };
+
+  const rows = transfers.map(t => {
+    totals.quantity += t.quantity;
+    if (filters.base) {
+      if (t.toBase === filters.base && t.status === 'Received') totals.transferIn += t.receivedQuantity || 0;
+      if (t.fromBase === filters.base && t.status === 'Dispatched') totals.transferOut += t.quantity;
+      if (t.fromBase === filters.base && t.status === 'Received') totals.transferOut += t.receivedQuantity || 0;
+    }
+    accumulate(byStatus, t.status, { status: t.status }, { count: 1, quantity: t.quantity });
+
+    return {
+      transfer: t._id,
+      date: t.createdAt,
+      assetName: t.assetName,
+      assetType: t.assetType,
+      fromBase: t.fromBase,
+      toBase: t.toBase,
+      quantity: t.quantity,
+      receivedQuantity: t.receivedQuantity,
+      status: t.status,
+      transferredBy: t.transferredBy ? t.transferredBy.fullName : undefined,
+      approvedBy: t.approvedBy ? t.approvedBy.fullName : undefined
+    };
+  });
+
+  return {
+    report: 'transfers',
+    title: 'Transfer Report',
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'assetName', label: 'Asset' },
+      { key: 'assetType', label: 'Type' },
+      { key: 'fromBase', label: 'From' },
+      { key: 'toBase', label: 'To' },
+      { key: 'quantity', label: 'Quantity' },
+      { key: 'receivedQuantity', label: 'Received' },
+      { key: 'status', label: 'Status' },
+      { key: 'transferredBy', label: 'Transferred By' },
+      { key: 'approvedBy', label: 'Approved By' }
+    ],
+    rows,
+    totals,
+    byStatus: Object.values(byStatus)
+  };
+};
+
+/**
+ * Purchase report: purchases for the bases in scope with cost totals
+ */
+const buildPurchaseReport = async (filters) => {
+  const match = { ...dateRange('purchaseDate', filters) };
+  if (filters.asset) match.asset = filters.asset;
+  if (filters.base) match.base = filters.base;
+  if (filters.assetType) match.assetType = filters.assetType;
+
+  const purchases = await Purchase.find(match)
+    .sort({ purchaseDate: -1 })
+    .populate('purchasedBy', 'username fullName');
+
+  const byStatus = {};
+  const bySupplier = {};
+  const totals = { purchases: purchases.length, quantity: 0, totalCost: 0, deliveredQuantity: 0, deliveredCost: 0 };
+
+  const rows = purchases.map(p => {
+    const totalCost = p.totalCost || p.quantity * p.unitCost;
+
+    if (!['Cancelled', 'Rejected'].includes(p.status)) {
+      totals.quantity += p.quantity;
+      totals.totalCost += totalCost;
+      accumulate(bySupplier, String(p.supplier), { supplier: p.supplierName }, { count: 1, quantity: p.quantity, totalCost });
+    }
+    if (p.deliveredQuantity && p.status !== 'Cancelled') {
+      totals.deliveredQuantity += p.deliveredQuantity;
+      totals.deliveredCost += p.deliveredQuantity * p.unitCost;
+    }
+    accumulate(byStatus, p.status, { status: p.status }, { count: 1, quantity: p.quantity, totalCost });
+
+    return {
+      purchase: p._id,
+      date: p.purchaseDate,
+      assetName: p.assetName,
+      assetType: p.assetType,
+      base: p.base,
+      quantity: p.quantity,
+      deliveredQuantity: p.deliveredQuantity || 0,
+      unitCost: p.unitCost,
+      totalCost,
+      supplier: p.supplierName,
+      status: p.status,
+      invoiceNumber: p.invoiceNumber,
+      purchasedBy: p.purchasedBy ? p.purchasedBy.fullName : undefined
+    };
+  });
+
+  return {
+    report: 'purchases',
+    title: 'Purchase Report',
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'assetName', label: 'Asset' },
+      { key: 'assetType', label: 'Type' },
+      { key: 'base', label: 'Base' },
+      { key: 'quantity', label: 'Quantity' },
+      { key: 'deliveredQuantity', label: 'Delivered' },
+      { key: 'unitCost', label: 'Unit Cost' },
+      { key: 'totalCost', label: 'Total Cost' },
+      { key: 'supplier', label: 'Supplier' },
+      { key: 'status', label: 'Status' },
+      { key: 'invoiceNumber', label: 'Invoice' }
+    ],
+    rows,
+    totals,
+    byStatus: Object.values(byStatus),
+    bySupplier: Object.values(bySupplier)
+  };
+};
+
+/**
+ * Assignment report: assignments for the bases in scope
+ */
+const buildAssignmentReport = async (filters) => {
+  const match = { ...dateRange('startDate', filters) };
+  if (filters.asset) match.asset = filters.asset;
+  if (filters.base) match.base = filters.base;
+  if (filters.assetType) match.assetType = filters.assetType;
+
+  const assignments = await Assignment.find(match)
+    .sort({ startDate: -1 })
+    .populate('assignedBy', 'username fullName');
+
+  const byStatus = {};
+  const totals = { assignments: assignments.length, quantity: 0, returnedQuantity: 0, outstanding: 0 };
+
+  const rows = assignments.map(a => {
+    const outstanding = a.status === 'Active' ? a.quantity - a.returnedQuantity : 0;
+
+    totals.quantity += a.quantity;
+    totals.returnedQuantity += a.returnedQuantity;
+    totals.outstanding += outstanding;
+    accumulate(byStatus, a.status, { status: a.status }, { count: 1, quantity: a.quantity });
+
+    return {
+      assignment: a._id,
+      date: a.startDate,
+      assetName: a.assetName,
+      assetType: a.assetType,
+      base: a.base,
+      quantity: a.quantity,
+      returnedQuantity: a.returnedQuantity,
+      outstanding,
+      assignedTo: a.assignedTo ? `${a.assignedTo.rank} ${a.assignedTo.name} (${a.assignedTo.id})` : undefined,
+      purpose: a.purpose,
+      status: a.status,
+      assignedBy: a.assignedBy ? a.assignedBy.fullName : undefined
+    };
+  });
+
+  return {
+    report: 'assignments',
+    title: 'Assignment Report',
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'assetName', label: 'Asset' },
+      { key: 'base', label: 'Base' },
+      { key: 'assignedTo', label: 'Assigned To' },
+      { key: 'purpose', label: 'Purpose' },
+      { key: 'quantity', label: 'Quantity' },
+      { key: 'returnedQuantity', label: 'Returned' },
+      { key: 'outstanding', label: 'Outstanding' },
+      { key: 'status', label: 'Status' }
+    ],
+    rows,
+    totals,
+    byStatus: Object.values(byStatus)
+  };
+};
+
+/**
+ * Expenditure report: expenditures for the bases in scope
+ */
+const buildExpenditureReport = async (filters) => {
+  const match = { ...dateRange('expenditureDate', filters) };
+  if (filters.asset) match.asset = filters.asset;
+  if (filters.base) match.base = filters.base;
+  if (filters.assetType) match.assetType = filters.assetType;
+
+  const expenditures = await Expenditure.find(match)
+    .sort({ expenditureDate: -1 })
+    .populate('authorizedBy', 'username fullName');
+
+  const byReason = {};
+  const totals = { expenditures: expenditures.length, quantity: 0 };
+
+  const rows = expenditures.map(e => {
+    totals.quantity += e.quantity;
+    accumulate(byReason, e.reason, { reason: e.reason }, { count: 1, quantity: e.quantity });
+
+    return {
+      expenditure: e._id,
+      date: e.expenditureDate,
+      assetName: e.assetName,
+      assetType: e.assetType,
+      base: e.base,
+      quantity: e.quantity,
+      reason: e.reason,
+      operationName: e.operationName,
+      expendedBy: e.expendedBy ? `${e.expendedBy.rank} ${e.expendedBy.name} (${e.expendedBy.id})` : undefined,
+      authorizedBy: e.authorizedBy ? e.authorizedBy.fullName : undefined
+    };
+  });
+
+  return {
+    report: 'expenditures',
+    title: 'Expenditure Report',
+    columns: [
+      { key: 'date', label: 'Date' },
+      { key: 'assetName', label: 'Asset' },
+      { key: 'assetType', label: 'Type' },
+      { key: 'base', label: 'Base' },
+      { key: 'quantity', label: 'Quantity' },
+      { key: 'reason', label: 'Reason' },
+      { key: 'operationName', label: 'Operation' },
+      { key: 'expendedBy', label: 'Expended By' },
+      { key: 'authorizedBy', label: 'Authorized By' }
+    ],
+    rows,
+    totals,
+    byReason: Object.values(byReason)
+  };
+};
+
+/**
+ * Expiry report: lots with stock in the bases in scope that have expired or
+ * expire within the warning window, soonest first
+ */
+const buildExpiryReport = async (filters) => {
+  const { days, lots } = await getExpiringLots({
+    asset: filters.asset,
+    base: filters.base,
+    assetType: filters.assetType,
+    days: filters.days
+  });
+
+  const now = new Date();
+  const totals = { lots: lots.length, quantity: 0, expiredLots: 0, expiredQuantity: 0 };
+
+  const rows = lots.map(lot => {
+    const expired = lot.expiryDate <= now;
+
+    totals.quantity += lot.quantity;
+    if (expired) {
+      totals.expiredLots += 1;
+      totals.expiredQuantity += lot.quantity;
+    }
+
+    return {
+      lot: lot._id,
+      asset: lot.asset,
+      assetName: lot.assetName,
+      assetType: lot.assetType,
+      base: lot.base,
+      lotNumber: lot.lotNumber,
+      manufactureDate: lot.manufactureDate,
+      expiryDate: lot.expiryDate,
+      daysToExpiry: Math.ceil((lot.expiryDate - now) / (24 * 60 * 60 * 1000)),
+      quantity: lot.quantity,
+      status: expired ? 'Expired' : 'Expiring'
+    };
+  });
+
+  return {
+    report: 'expiry',
+    title: 'Lot Expiry Report',
+    days,
+    columns: [
+      { key: 'expiryDate', label: 'Expiry Date' },
+      { key: 'daysToExpiry', label: 'Days to Expiry' },
+      { key: 'status', label: 'Status' },
+      { key: 'assetName', label: 'Asset' },
+      { key: 'assetType', label: 'Type' },
+      { key: 'base', label: 'Base' },
+      { key: 'lotNumber', label: 'Lot' },
+      { key: 'manufactureDate', label: 'Manufactured' },
+      { key: 'quantity', label: 'Quantity' }
+    ],
+    rows,
+    totals
+  };
+};
+
+const reportBuilders = {
+  inventory: buildInventoryReport,
+  movement: buildMovementReport,
+  transfers: buildTransferReport,
+  purchases: buildPurchaseReport,
+  assignments: buildAssignmentReport,
+  expenditures: buildExpenditureReport,
+  expiry: buildExpiryReport
+};
+
+/**
+ * Wrap a report builder in a route handler that resolves filters,
+ * stamps the report metadata and handles errors
+ */
+const reportHandler = (build) => async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).send({ error: `Invalid report format: ${format}` });
+    }
+
+    const filters = await getFilters(req);
+    const report = await build(filters, req);
+
+    sendReport(res, format, {
+      ...report,
+      generatedAt: new Date(),
+      generatedBy: req.user.username,
+      filters
+    });
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message });
+  }
+};
+
+/**
+ * @route   GET /api/reports/inventory
+ * @desc    Get asset inventory report
+ * @access  Private
+ */
+router.get('/inventory', auth(REPORT_ROLES), baseAccess, reportHandler(buildInventoryReport));
+
+/**
+ * @route   GET /api/reports/movement
+ * @desc    Get asset movement report for a date range
+ * @access  Private
+ */
+router.get('/movement', auth(REPORT_ROLES), baseAccess, reportHandler(buildMovementReport));
+
+/**
+ * @route   GET /api/reports/transfers
+ * @desc    Get transfer report
+ * @access  Private
+ */
+router.get('/transfers', auth(REPORT_ROLES), baseAccess, reportHandler(buildTransferReport));
+
+/**
+ * @route   GET /api/reports/purchases
+ * @desc    Get purchase report
+ * @access  Private
+ */
+router.get('/purchases', auth(REPORT_ROLES), baseAccess, reportHandler(buildPurchaseReport));
+
+/**
+ * @route   GET /api/reports/assignments
+ * @desc    Get assignment report
+ * @access  Private
+ */
+router.get('/assignments', auth(REPORT_ROLES), baseAccess, reportHandler(buildAssignmentReport));
+
+/**
+ * @route   GET /api/reports/expenditures
+ * @desc    Get expenditure report
+ * @access  Private
+ */
+router.get('/expenditures', auth(REPORT_ROLES), baseAccess, reportHandler(buildExpenditureReport));
+
+/**
+ * @route   GET /api/reports/expiry
+ * @desc    Get lots that have expired or expire within a number of days
+ *          (default: the expiry warning setting)
+ * @access  Private
+ */
+router.get('/expiry', auth(REPORT_ROLES), baseAccess, reportHandler(buildExpiryReport));
+
+/**
+ * @route   GET /api/reports/base/:id
+ * @desc    Get combined inventory and movement report for a base
+ * @access  Private
+ */
+router.get('/base/:id', auth(REPORT_ROLES), baseAccess, reportHandler(async (filters, req) => {
+  // Check if BaseCommander has access to this base
+  if (req.user.role === 'BaseCommander' && req.user.assignedBase !== req.params.id) {
+    throw Object.assign(new Error('Not authorized to access this base'), { status: 403 });
+  }
+
+  filters.base = req.params.id;
+
+  const [inventory, movement, transfers, purchases, assignments, expenditures] = await Promise.all([
+    buildInventoryReport(filters),
+    buildMovementReport(filters),
+    buildTransferReport(filters),
+    buildPurchaseReport(filters),
+    buildAssignmentReport(filters),
+    buildExpenditureReport(filters)
+  ]);
+
+  return {
+    report: 'base',
+    title: `Base Report: ${filters.base}`,
+    base: filters.base,
+    sections: [inventory, movement, transfers, purchases, assignments, expenditures]
+  };
+}));
+
+/**
+ * @route   GET /api/reports/asset/:id
+ * @desc    Get transaction history report for a single asset
+ * @access  Private
+ */
+router.get('/asset/:id', auth(REPORT_ROLES), baseAccess, reportHandler(async (filters, req) => {
+  const asset = await Asset.findById(req.params.id);
+
+  if (!asset) {
+    throw Object.assign(new Error('Asset not found'), { status: 404 });
+  }
+
+  // Check if BaseCommander has access to this asset
+  if (req.user.role === 'BaseCommander' && req.user.assignedBase !== asset.base) {
+    throw Object.assign(new Error('Not authorized to access this asset'), { status: 403 });
+  }
+
+  const assetFilters = { ...filters, asset: asset._id };
+  delete assetFilters.base;
+  delete assetFilters.assetType;
+
+  const sections = await Promise.all([
+    buildTransferReport(assetFilters),
+    buildPurchaseReport(assetFilters),
+    buildAssignmentReport(assetFilters),
+    buildExpenditureReport(assetFilters)
+  ]);
+
+  return {
+    report: 'asset',
+    title: `Asset Report: ${asset.name} (${asset.base})`,
+    asset,
+    sections
+  };
+}));
+
+/**
+ * @route   GET /api/reports/custom
+ * @desc    Get a custom report combining the requested report sections
+ * @access  Private
+ */
+router.get('/custom', auth(REPORT_ROLES), baseAccess, reportHandler(async (filters, req) => {
+  const requested = req.query.sections || req.query.reports || Object.keys(reportBuilders);
+  const sections = (Array.isArray(requested) ? requested : String(requested).split(','))
+    .map(section => section.trim())
+    .filter(Boolean);
+
+  const unknown = sections.filter(section => !reportBuilders[section]);
+  if (!sections.length || unknown.length) {
+    throw Object.assign(new Error(`Invalid report sections: ${unknown.join(', ') || 'none requested'}`), { status: 400 });
+  }
+
+  const results = await Promise.all(sections.map(section => reportBuilders[section](filters)));
+
+  return {
+    report: 'custom',
+    title: req.query.title || 'Custom Report',
+    sections: results
+  };
+}));
+
+module.exports = router;
@@ -0,0 +1,329 @@
+const express = require('express');
+const Settings = require('../models/Settings');
+const Base = require('../models/Base');
+const AssetType = require('../models/AssetType');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const { setMaintenanceMode } = require('../middleware/maintenance');
+const { toCode } = require('../utils/referenceValidators');
+const { withTransaction, requestError } = require('../utils/transaction');
+const router = new express.Router();
+
+// Settings lists backed by reference collections
+const REFERENCE_LISTS = {
+  assetTypes: { Model: AssetType, bodyField: 'type', label: 'Asset type' },
+  bases: { Model: Base, bodyField: 'base', label: 'Base' }
+};
+
+/**
+ * Record a settings change in the activity log, in the transaction that
+ * makes the change
+ * @param {Object} req - Express request of the Admin making the change
+ * @param {Object} settings - Updated settings document
+ * @param {Object} changes - Changed fields as { field: { from, to } }
+ * @param {ClientSession} session - Transaction session
+ */
+const logSettingsChange = async (req, settings, changes, session) => {
+  await new ActivityLog({
+    user: req.user._id,
+    username: req.user.username,
+    action: 'Update',
+    resourceType: 'Settings',
+    resourceId: settings._id,
+    details: { changes },
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  }).save({ session });
+};
+
+/**
+ * Apply updates to the settings document, returning the changed fields
+ */
+const applyUpdates = (settings, updates) => {
+  const changes = {};
+
+  Object.keys(updates).forEach(field => {
+    const from = settings[field];
+    const to = updates[field];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+      settings[field] = to;
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Get the names of the active records of a reference collection
+ */
+const getActiveNames = async (Model, session) => {
+  const records = await Model.find({ active: true }).sort({ name: 1 }).session(session || null);
+  return records.map(record => record.name);
+};
+
+/**
+ * Make exactly the given names active in a reference collection, creating
+ * records for new names and deactivating the ones left out
+ */
+const syncReferenceList = async (Model, names, session) => {
+  const wanted = [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+
+  await Model.updateMany({ name: { $nin: wanted }, active: true }, { active: false }, { session });
+
+  for (const name of wanted) {
+    const record = await Model.findOne({ name }).session(session || null);
+
+    if (!record) {
+      await new Model({ code: toCode(name), name }).save({ session });
+    } else if (!record.active) {
+      record.active = true;
+      await record.save({ session });
+    }
+  }
+};
+
+/**
+ * Get the settings document together with the reference lists
+ */
+const getSettingsWithLists = async (session) => {
+  const settings = await Settings.getSettings(session);
+  const assetTypes = await getActiveNames(AssetType, session);
+  const bases = await getActiveNames(Base, session);
+
+  return { settings, assetTypes, bases };
+};
+
+/**
+ * Add a value to one of the reference lists (asset types or bases)
+ */
+const addToList = (field) => async (req, res) => {
+  const { Model, bodyField, label } = REFERENCE_LISTS[field];
+
+  try {
+    const value = typeof req.body[bodyField] === 'string' ? req.body[bodyField].trim() : '';
+
+    if (!value) {
+      return res.status(400).send({ error: `${label} is required` });
+    }
+
+    // The list and its log entry are written together
+    const updated = await withTransaction(async (session) => {
+      const current = await getActiveNames(Model, session);
+
+      if (current.some(item => item.toLowerCase() === value.toLowerCase())) {
+        throw requestError(400, `${label} already exists`);
+      }
+
+      await syncReferenceList(Model, [...current, value], session);
+
+      const settings = await Settings.getSettings(session);
+      const updated = await getActiveNames(Model, session);
+      await logSettingsChange(req, settings, { [field]: { from: current, to: updated } }, session);
+
+      return updated;
+    });
+
+    res.send(updated);
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message });
+  }
+};
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get system settings
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const { settings, assetTypes, bases } = await getSettingsWithLists();
+    res.send({ ...settings.toObject(), assetTypes, bases });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update system settings
+ * @access  Private (Admin only)
+ */
+router.put('/', auth(['Admin']), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = [
+    'systemName',
+    'organizationName',
+    'logo',
+    'theme',
+    'defaultCurrency',
+    'dateFormat',
+    'timeFormat',
+    'timezone',
+    'emailNotifications',
+    'maintenanceMode',
+    'lotConsumption',
+    'expiryWarningDays',
+    'overdueReminderDays',
+    'assetTypes',
+    'bases'
+  ];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  const listFields = Object.keys(REFERENCE_LISTS).filter(field => field in req.body);
+  const invalidList = listFields.find(field => !Array.isArray(req.body[field]));
+
+  if (invalidList) {
+    return res.status(400).send({ error: `${invalidList} must be an array` });
+  }
+
+  try {
+    // The settings, the reference lists and the log entry are written
+    // together, so a failed update changes none of them
+    const { settings, lists } = await withTransaction(async (session) => {
+      const { settings, ...lists } = await getSettingsWithLists(session);
+      const fieldUpdates = { ...req.body };
+      listFields.forEach(field => delete fieldUpdates[field]);
+
+      // Check the settings before touching the reference lists
+      const changes = applyUpdates(settings, fieldUpdates);
+      await settings.validate();
+
+      for (const field of listFields) {
+        await syncReferenceList(REFERENCE_LISTS[field].Model, req.body[field], session);
+        const updated = await getActiveNames(REFERENCE_LISTS[field].Model, session);
+
+        if (JSON.stringify(updated) !== JSON.stringify(lists[field])) {
+          changes[field] = { from: lists[field], to: updated };
+        }
+
+        lists[field] = updated;
+      }
+
+      if (Object.keys(changes).length) {
+        settings.updatedBy = req.user._id;
+        await settings.save({ session });
+        await logSettingsChange(req, settings, changes, session);
+      }
+
+      return { settings, lists };
+    });
+
+    setMaintenanceMode(settings.maintenanceMode);
+
+    res.send({ ...settings.toObject(), ...lists });
+  } catch (error) {
+    res.status(error.status || 400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/settings/asset-types
+ * @desc    Get active asset types
+ * @access  Private
+ */
+router.get('/asset-types', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    res.send(await getActiveNames(AssetType));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/asset-types
+ * @desc    Add an asset type
+ * @access  Private (Admin only)
+ */
+router.put('/asset-types', auth(['Admin']), addToList('assetTypes'));
+
+/**
+ * @route   GET /api/settings/bases
+ * @desc    Get active bases
+ * @access  Private
+ */
+router.get('/bases', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    res.send(await getActiveNames(Base));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/bases
+ * @desc    Add a base
+ * @access  Private (Admin only)
+ */
+router.put('/bases', auth(['Admin']), addToList('bases'));
+
+/**
+ * @route   PUT /api/settings/maintenance-mode
+ * @desc    Enable or disable maintenance mode
+ * @access  Private (Admin only)
+ */
+router.put('/maintenance-mode', auth(['Admin']), async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).send({ error: 'enabled must be true or false' });
+    }
+
+    const settings = await withTransaction(async (session) => {
+      const settings = await Settings.getSettings(session);
+      const changes = applyUpdates(settings, { maintenanceMode: enabled });
+
+      if (Object.keys(changes).length) {
+        settings.updatedBy = req.user._id;
+        await settings.save({ session });
+        await logSettingsChange(req, settings, changes, session);
+      }
+
+      return settings;
+    });
+
+    setMaintenanceMode(settings.maintenanceMode);
+
+    res.send({ maintenanceMode: settings.maintenanceMode });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/settings/history
+ * @desc    Get the change history of the system settings
+ * @access  Private (Admin only)
+ */
+router.get('/history', auth(['Admin']), async (req, res) => {
+  try {
+    const { limit = 20, skip = 0 } = req.query;
+    const match = { resourceType: 'Settings' };
+
+    const logs = await ActivityLog.find(match)
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip))
+      .populate('user', 'username fullName role');
+
+    const total = await ActivityLog.countDocuments(match);
+
+    res.send({
+      logs,
+      total,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+      hasMore: total > parseInt(skip) + logs.length
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
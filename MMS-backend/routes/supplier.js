@@ -0,0 +1,296 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const Purchase = require('../models/Purchase');
+const ActivityLog = require('../models/ActivityLog');
+const auth = require('../middleware/auth');
+const baseAccess = require('../middleware/baseAccess');
+const { toCode } = require('../utils/referenceValidators');
+const { computeMetrics, getSupplierMetrics } = require('../utils/supplierMetrics');
+const { withTransaction, requestError } = require('../utils/transaction');
+const router = new express.Router();
+
+/**
+ * Record a change to a supplier in the activity log
+ */
+const logSupplierChange = async (req, action, supplier, details) => {
+  try {
+    await new ActivityLog({
+      user: req.user._id,
+      username: req.user.username,
+      action,
+      resourceType: 'Supplier',
+      resourceId: supplier._id,
+      details: { code: supplier.code, name: supplier.name, ...details },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    }).save();
+  } catch (logError) {
+    console.error('Error logging supplier change:', logError.message);
+  }
+};
+
+/**
+ * Purchase filter for supplier metrics from the query, limited to a
+ * BaseCommander's own base
+ */
+const metricsMatch = (req) => {
+  const { base, startDate, endDate } = req.query;
+  const match = {};
+
+  if (base) match.base = base;
+  if (req.user.role === 'BaseCommander') {
+    match.base = req.user.assignedBase;
+  }
+
+  if (startDate || endDate) {
+    match.purchaseDate = {};
+    if (startDate) match.purchaseDate.$gte = new Date(startDate);
+    if (endDate) match.purchaseDate.$lte = new Date(endDate);
+  }
+
+  return match;
+};
+
+/**
+ * @route   GET /api/suppliers
+ * @desc    Get all suppliers
+ * @access  Private
+ */
+router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.active !== undefined) match.active = req.query.active === 'true';
+    if (req.query.category) match.categories = req.query.category;
+
+    const suppliers = await Supplier.find(match).sort({ name: 1 });
+    res.send(suppliers);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/suppliers/metrics
+ * @desc    Get performance metrics of every supplier with purchases
+ * @access  Private
+ */
+router.get('/metrics', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const metrics = await getSupplierMetrics(metricsMatch(req));
+    const suppliers = await Supplier.find({ _id: { $in: [...metrics.keys()] } })
+      .select('code name active')
+      .sort({ name: 1 });
+
+    res.send(suppliers.map(supplier => ({
+      supplier,
+      ...metrics.get(String(supplier._id))
+    })));
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/suppliers
+ * @desc    Register a new supplier
+ * @access  Private (Admin and LogisticsOfficer)
+ */
+router.post('/', auth(['Admin', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const { code, name, contactName, email, phone, address, categories, contractNumbers, notes } = req.body;
+    const supplier = new Supplier({
+      code: code || (name ? toCode(name) : undefined),
+      name,
+      contactName,
+      email,
+      phone,
+      address,
+      categories,
+      contractNumbers,
+      notes
+    });
+
+    await supplier.save();
+    await logSupplierChange(req, 'Create', supplier);
+
+    res.status(201).send(supplier);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ error: 'A supplier with this name or code already exists' });
+    }
+    res.status(400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/suppliers/:id
+ * @desc    Get supplier by ID
+ * @access  Private
+ */
+router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).send({ error: 'Supplier not found' });
+    }
+
+    res.send(supplier);
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/suppliers/:id/metrics
+ * @desc    Get performance metrics of a supplier
+ * @access  Private
+ */
+router.get('/:id/metrics', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).send({ error: 'Supplier not found' });
+    }
+
+    const purchases = await Purchase.find({ ...metricsMatch(req), supplier: supplier._id });
+
+    res.send({
+      supplier: { _id: supplier._id, code: supplier.code, name: supplier.name, active: supplier.active },
+      ...computeMetrics(purchases)
+    });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/suppliers/:id
+ * @desc    Update supplier details; a new name is copied to its purchases
+ * @access  Private (Admin and LogisticsOfficer)
+ */
+router.put('/:id', auth(['Admin', 'LogisticsOfficer']), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['name', 'contactName', 'email', 'phone', 'address', 'categories', 'contractNumbers', 'notes', 'active'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const supplier = await withTransaction(async (session) => {
+      const supplier = await Supplier.findById(req.params.id).session(session);
+
+      if (!supplier) {
+        throw requestError(404, 'Supplier not found');
+      }
+
+      updates.forEach(update => supplier[update] = req.body[update]);
+      const renamed = supplier.isModified('name');
+      await supplier.save({ session });
+
+      if (renamed) {
+        await Purchase.updateMany({ supplier: supplier._id }, { supplierName: supplier.name }, { session });
+      }
+
+      return supplier;
+    });
+
+    await logSupplierChange(req, 'Update', supplier, { updates: req.body });
+
+    res.send(supplier);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send({ error: 'A supplier with this name already exists' });
+    }
+    res.status(error.status || 400).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/suppliers/:id/merge
+ * @desc    Merge duplicate suppliers into this one: their purchases move
+ *          here and they are deactivated
+ * @access  Private (Admin only)
+ */
+router.post('/:id/merge', auth(['Admin']), async (req, res) => {
+  try {
+    const sources = Array.isArray(req.body.sources) ? req.body.sources : [];
+
+    if (!sources.length || !sources.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).send({ error: 'Give the ids of the suppliers to merge as sources' });
+    }
+    if (sources.includes(req.params.id)) {
+      return res.status(400).send({ error: 'A supplier cannot be merged into itself' });
+    }
+
+    const result = await withTransaction(async (session) => {
+      const supplier = await Supplier.findById(req.params.id).session(session);
+
+      if (!supplier) {
+        throw requestError(404, 'Supplier not found');
+      }
+
+      const duplicates = await Supplier.find({ _id: { $in: sources } }).session(session);
+
+      if (duplicates.length !== sources.length) {
+        throw requestError(404, 'Supplier to merge not found');
+      }
+
+      const moved = await Purchase.updateMany(
+        { supplier: { $in: sources } },
+        { supplier: supplier._id, supplierName: supplier.name },
+        { session }
+      );
+
+      // Keep the duplicates' categories and contracts on the merged supplier
+      duplicates.forEach(duplicate => {
+        supplier.categories = [...new Set([...supplier.categories, ...duplicate.categories])];
+        supplier.contractNumbers = [...new Set([...supplier.contractNumbers, ...duplicate.contractNumbers])];
+      });
+      await supplier.save({ session });
+
+      await Supplier.updateMany({ _id: { $in: sources } }, { active: false }, { session });
+
+      return { supplier, duplicates, purchasesMoved: moved.modifiedCount };
+    });
+
+    await logSupplierChange(req, 'Update', result.supplier, {
+      merged: result.duplicates.map(duplicate => duplicate.name),
+      purchasesMoved: result.purchasesMoved
+    });
+
+    res.send({ supplier: result.supplier, purchasesMoved: result.purchasesMoved });
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/suppliers/:id
+ * @desc    Deactivate supplier
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', auth(['Admin']), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).send({ error: 'Supplier not found' });
+    }
+
+    // Suppliers are referenced by existing purchases, so deactivate instead of deleting
+    supplier.active = false;
+    await supplier.save();
+    await logSupplierChange(req, 'Delete', supplier);
+
+    res.send({ message: 'Supplier deactivated successfully' });
+  } catch (error) {
+    res.status(500).send({ error: error.message });
+  }
+});
+
+module.exports = router;
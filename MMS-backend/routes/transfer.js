@@ -1,11 +1,166 @@
 const express = require('express');
 const Transfer = require('../models/Transfer');
 const Asset = require('../models/Asset');
+const Expenditure = require('../models/Expenditure');
+const ApprovalRequest = require('../models/ApprovalRequest');
 const auth = require('../middleware/auth');
 const baseAccess = require('../middleware/baseAccess');
 const logger = require('../middleware/logger');
+const { recordMovement } = require('../utils/stockLedger');
+const { normalizeSerials, serialsFor, findItems, updateItems } = require('../utils/serializedItems');
+const { allocateLots, drawLots, addLots } = require('../utils/lots');
+const { assertPeriodOpen } = require('../utils/periods');
+const { withTransaction, requestError } = require('../utils/transaction');
+const { startApproval, decide, cancelApproval } = require('../utils/approvals');
 const router = new express.Router();
 
+/**
+ * Details of a transfer that approval workflows are matched against
+ */
+const approvalContext = (transfer) => ({
+  fromBase: transfer.fromBase,
+  toBase: transfer.toBase,
+  assetName: transfer.assetName,
+  assetType: transfer.assetType,
+  quantity: transfer.quantity
+});
+
+/**
+ * Decide the current approval step of a transfer. Transfers requested before
+ * approval workflows existed get their approval request on first decision.
+ * @returns {Promise<Document>} The updated transfer
+ */
+const decideTransfer = async (req, decision, comments) => withTransaction(async (session) => {
+  const transfer = await Transfer.findById(req.params.id).session(session);
+  
+  if (!transfer) {
+    throw requestError(404, 'Transfer not found');
+  }
+  
+  // Only requested transfers await approval
+  if (transfer.status !== 'Requested') {
+    throw requestError(400, `Transfer is already ${transfer.status}`);
+  }
+  
+  let request = await ApprovalRequest.findOne({
+    resourceType: 'Transfer',
+    resourceId: transfer._id,
+    status: 'Pending'
+  }).session(session);
+  
+  if (!request) {
+    request = await startApproval({
+      actionType: 'Transfer',
+      resource: transfer,
+      context: approvalContext(transfer),
+      user: { _id: transfer.transferredBy }
+    }, session);
+  }
+  
+  return decide(request, req.user, decision, comments, session);
+});
+
+/**
+ * Validate the shortages recorded on a short receipt
+ * @param {Array} shortages - [{ quantity, reason, resolution, serialNumbers, notes }]
+ * @param {Number} shortfall - Dispatched quantity that did not arrive
+ * @param {Array<String>} [serialNumbers] - Serials dispatched, for serialized
+ *   assets; each shortage then names the items it covers
+ * @returns {Array} The validated shortages
+ * @throws {Error} With status 400 if they do not account for the shortfall
+ */
+const validateShortages = (shortages = [], shortfall, serialNumbers = []) => {
+  if (!Array.isArray(shortages)) {
+    throw requestError(400, 'Shortages must be a list');
+  }
+
+  const validated = shortages.map(shortage => {
+    const quantity = Number(shortage.quantity);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw requestError(400, 'Invalid shortage quantity');
+    }
+    if (!['Lost', 'Damaged'].includes(shortage.reason)) {
+      throw requestError(400, 'Shortage reason must be Lost or Damaged');
+    }
+    if (!['ReturnedToSource', 'WrittenOff'].includes(shortage.resolution)) {
+      throw requestError(400, 'Shortage resolution must be ReturnedToSource or WrittenOff');
+    }
+    if (shortage.reason === 'Lost' && shortage.resolution !== 'WrittenOff') {
+      throw requestError(400, 'Lost items can only be written off');
+    }
+
+    const validatedShortage = { quantity, reason: shortage.reason, resolution: shortage.resolution, notes: shortage.notes };
+
+    if (serialNumbers.length) {
+      validatedShortage.serialNumbers = normalizeSerials(shortage.serialNumbers || [], quantity);
+
+      const unknown = validatedShortage.serialNumbers.filter(serial => !serialNumbers.includes(serial));
+      if (unknown.length) {
+        throw requestError(400, 'Shortage serial numbers were not dispatched in this transfer', { serialNumbers: unknown });
+      }
+    } else if (shortage.serialNumbers && shortage.serialNumbers.length) {
+      throw requestError(400, 'Asset is not serialized');
+    }
+
+    return validatedShortage;
+  });
+
+  // An item can only be short once
+  if (serialNumbers.length) {
+    normalizeSerials(validated.flatMap(shortage => shortage.serialNumbers));
+  }
+
+  const accounted = validated.reduce((total, shortage) => total + shortage.quantity, 0);
+
+  if (accounted !== shortfall) {
+    throw requestError(400, 'Shortages must account for the difference between dispatched and received quantities', {
+      shortfall,
+      accounted
+    });
+  }
+
+  return validated;
+};
+
+/**
+ * Share the lots a transfer drew on between its shortages and the stock that
+ * arrived. Shortages come out of stock that was not in any lot first, then
+ * out of the lots last drawn on.
+ * @param {Array} lots - Lots the transfer drew on at dispatch
+ * @param {Array} shortages - Validated shortages; each is given its lots
+ * @param {Number} quantity - Dispatched quantity
+ * @returns {Array} Lots of the stock that arrived
+ */
+const splitLots = (lots, shortages, quantity) => {
+  const remaining = lots.map(lot => ({
+    lotNumber: lot.lotNumber,
+    quantity: lot.quantity,
+    manufactureDate: lot.manufactureDate,
+    expiryDate: lot.expiryDate
+  }));
+  let untracked = quantity - remaining.reduce((total, lot) => total + lot.quantity, 0);
+
+  shortages.forEach(shortage => {
+    let short = shortage.quantity;
+    const fromUntracked = Math.min(untracked, short);
+    untracked -= fromUntracked;
+    short -= fromUntracked;
+
+    shortage.lots = [];
+    for (let index = remaining.length - 1; index >= 0 && short; index--) {
+      const taken = Math.min(remaining[index].quantity, short);
+      if (!taken) continue;
+
+      remaining[index].quantity -= taken;
+      short -= taken;
+      shortage.lots.push({ ...remaining[index], quantity: taken });
+    }
+  });
+
+  return remaining.filter(lot => lot.quantity > 0);
+};
+
 /**
  * @route   GET /api/transfers
  * @desc    Get all transfers with optional filters
@@ -68,11 +223,17 @@ router.get('/', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess
 
 /**
  * @route   POST /api/transfers
- * @desc    Create a new transfer
+ * @desc    Request a new transfer
  * @access  Private (Admin and LogisticsOfficer)
  */
 router.post('/', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   try {
+    const quantity = Number(req.body.quantity);
+    
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).send({ error: 'Invalid quantity' });
+    }
+    
     // Check if asset exists and has enough quantity
     const asset = await Asset.findById(req.body.asset);
     
@@ -85,61 +246,69 @@ router.post('/', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async
       return res.status(400).send({ error: 'Asset does not belong to the specified source base' });
     }
     
-    // Check if there's enough available quantity
-    if (asset.available < req.body.quantity) {
+    // Check if there's enough available quantity; stock only leaves the
+    // source base when the transfer is dispatched
+    if (asset.available < quantity) {
       return res.status(400).send({ 
         error: 'Insufficient quantity available',
         available: asset.available,
-        requested: req.body.quantity
+        requested: quantity
       });
     }
     
-    // Create transfer record
-    const transfer = new Transfer({
-      ...req.body,
-      assetName: asset.name,
-      assetType: asset.type,
-      transferredBy: req.user._id,
-      status: 'Pending'
-    });
-    
-    await transfer.save();
-    
-    // Update asset balances for the source base
-    asset.transferOut += req.body.quantity;
-    await asset.updateBalances();
-    
-    // Check if the asset exists in the destination base
-    let destinationAsset = await Asset.findOne({ 
-      name: asset.name,
-      type: asset.type,
-      base: req.body.toBase
-    });
+    // Serialized assets move named items, which must be in stock at the source
+    const serials = serialsFor(asset, req.body.serialNumbers, quantity);
+    if (serials) {
+      await findItems(asset, serials, { status: 'Available' });
+    }
     
-    // If not, create a new asset record for the destination base
-    if (!destinationAsset) {
-      destinationAsset = new Asset({
-        name: asset.name,
-        type: asset.type,
-        base: req.body.toBase,
-        openingBalance: 0,
-        closingBalance: 0,
-        purchases: 0,
-        transferIn: 0,
-        transferOut: 0,
-        assigned: 0,
-        expended: 0,
-        available: 0
+    // Lots asked for must hold the quantity at the source; they are drawn on
+    // when the transfer is dispatched
+    const lots = req.body.lots && req.body.lots.length
+      ? await allocateLots(asset, quantity, { lots: req.body.lots })
+      : [];
+    
+    // Both bases must track the asset the same way
+    const destinationAsset = await Asset.findOne({ name: asset.name, type: asset.type, base: req.body.toBase });
+    if (destinationAsset && destinationAsset.serialized !== asset.serialized) {
+      return res.status(400).send({
+        error: `Asset is ${asset.serialized ? '' : 'not '}serialized at the source base but ${destinationAsset.serialized ? '' : 'not '}at the destination base`
+      });
+    }
+    if (destinationAsset && destinationAsset.lotTracked !== asset.lotTracked) {
+      return res.status(400).send({
+        error: `Asset is ${asset.lotTracked ? '' : 'not '}lot-tracked at the source base but ${destinationAsset.lotTracked ? '' : 'not '}at the destination base`
       });
     }
     
-    // Update destination asset balances
-    destinationAsset.transferIn += req.body.quantity;
-    await destinationAsset.updateBalances();
+    // Create the transfer request and start its approval chain
+    const transfer = await withTransaction(async (session) => {
+      const transfer = new Transfer({
+        ...req.body,
+        quantity,
+        serialNumbers: serials,
+        lots,
+        assetName: asset.name,
+        assetType: asset.type,
+        transferredBy: req.user._id,
+        status: 'Requested'
+      });
+      
+      await transfer.save({ session });
+      
+      await startApproval({
+        actionType: 'Transfer',
+        resource: transfer,
+        context: approvalContext(transfer),
+        user: req.user
+      }, session);
+      
+      return transfer;
+    });
     
     res.status(201).send(transfer);
   } catch (error) {
-    res.status(400).send({ error: error.message });
+    res.status(error.status || 400).send({ error: error.message, ...error.details });
   }
 });
 
@@ -152,7 +321,10 @@ router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAcc
   try {
     const transfer = await Transfer.findById(req.params.id)
       .populate('transferredBy', 'username fullName')
-      .populate('approvedBy', 'username fullName');
+      .populate('approvedBy', 'username fullName')
+      .populate('rejectedBy', 'username fullName')
+      .populate('dispatchedBy', 'username fullName')
+      .populate('receivedBy', 'username fullName');
     
     if (!transfer) {
       return res.status(404).send({ error: 'Transfer not found' });
@@ -165,7 +337,13 @@ router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAcc
       return res.status(403).send({ error: 'Not authorized to access this transfer' });
     }
     
-    res.send(transfer);
+    // Include the approval chain, newest request first
+    const approvals = await ApprovalRequest.find({ resourceType: 'Transfer', resourceId: transfer._id })
+      .sort({ createdAt: -1 })
+      .populate('steps.decidedBy', 'username fullName')
+      .populate('requestedBy', 'username fullName');
+    
+    res.send({ ...transfer.toObject(), approvals });
   } catch (error) {
     res.status(500).send({ error: error.message });
   }
@@ -173,87 +351,339 @@ router.get('/:id', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAcc
 
 /**
  * @route   PUT /api/transfers/:id/approve
- * @desc    Approve a transfer
- * @access  Private (Admin and BaseCommander)
+ * @desc    Approve the current step of a transfer's approval chain; the
+ *          transfer is Approved once every step has approved
+ * @access  Private (approvers named by the workflow)
  */
-router.put('/:id/approve', auth(['Admin', 'BaseCommander']), baseAccess, logger, async (req, res) => {
+router.put('/:id/approve', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   try {
-    const transfer = await Transfer.findById(req.params.id);
-    
-    if (!transfer) {
-      return res.status(404).send({ error: 'Transfer not found' });
-    }
+    const transfer = await decideTransfer(req, 'approve', req.body.comments);
     
-    // Check if BaseCommander has access to approve this transfer
-    if (req.user.role === 'BaseCommander' && req.user.assignedBase !== transfer.toBase) {
-      return res.status(403).send({ error: 'Not authorized to approve this transfer' });
-    }
+    res.send(transfer);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/transfers/:id/reject
+ * @desc    Reject a transfer request at its current approval step
+ * @access  Private (approvers named by the workflow)
+ */
+router.put('/:id/reject', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const transfer = await decideTransfer(req, 'reject', req.body.reason);
     
-    // Check if transfer is already completed or cancelled
-    if (transfer.status !== 'Pending') {
-      return res.status(400).send({ error: `Transfer is already ${transfer.status}` });
-    }
+    res.send(transfer);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/transfers/:id/dispatch
+ * @desc    Dispatch an approved transfer; the quantity leaves the source
+ *          base and is in transit until received
+ * @access  Private (Admin, BaseCommander and LogisticsOfficer)
+ */
+router.put('/:id/dispatch', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const transfer = await withTransaction(async (session) => {
+      const transfer = await Transfer.findById(req.params.id).session(session);
+      
+      if (!transfer) {
+        throw requestError(404, 'Transfer not found');
+      }
+      
+      // Check if BaseCommander has access to dispatch from this base
+      if (req.user.role === 'BaseCommander' && req.user.assignedBase !== transfer.fromBase) {
+        throw requestError(403, 'Not authorized to dispatch this transfer');
+      }
+      
+      if (transfer.status !== 'Approved') {
+        throw requestError(400, transfer.status === 'Requested'
+          ? 'Transfer must be approved before dispatch'
+          : `Transfer is already ${transfer.status}`);
+      }
+      
+      await assertPeriodOpen(null, session);
+      
+      const asset = await Asset.findById(transfer.asset).session(session);
+      
+      if (!asset || asset.base !== transfer.fromBase) {
+        throw requestError(404, 'Source asset not found');
+      }
+      
+      // Lot-tracked stock leaves from the lots asked for, or from those next
+      // in the consumption order
+      transfer.lots = await drawLots(asset, transfer.quantity, { lots: transfer.lots, session });
+      
+      transfer.status = 'Dispatched';
+      transfer.dispatchedBy = req.user._id;
+      transfer.dispatchedAt = new Date();
+      await transfer.save({ session });
+      
+      // Record the outgoing leg for the source base
+      await recordMovement(asset, {
+        type: 'TransferOut',
+        field: 'transferOut',
+        quantity: transfer.quantity,
+        sourceType: 'Transfer',
+        sourceId: transfer._id,
+        user: req.user,
+        date: transfer.dispatchedAt
+      }, { session });
+      
+      // The items are in transit until received
+      if (transfer.serialNumbers.length) {
+        const items = await findItems(asset, transfer.serialNumbers, { status: 'Available' }, session);
+        
+        await updateItems(items, { status: 'InTransit' }, {
+          event: 'Dispatched',
+          sourceType: 'Transfer',
+          sourceId: transfer._id,
+          user: req.user,
+          date: transfer.dispatchedAt,
+          notes: `To ${transfer.toBase}`
+        }, session);
+      }
+      
+      return transfer;
+    });
     
-    // Update transfer status
-    transfer.status = 'Completed';
-    transfer.approvedBy = req.user._id;
-    await transfer.save();
+    res.send(transfer);
+  } catch (error) {
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
+  }
+});
+
+/**
+ * @route   PUT /api/transfers/:id/receive
+ * @desc    Confirm receipt of a dispatched transfer at the destination base
+ * @access  Private (Admin, BaseCommander and LogisticsOfficer)
+ */
+router.put('/:id/receive', auth(['Admin', 'BaseCommander', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
+  try {
+    const { discrepancies } = req.body;
+    
+    const transfer = await withTransaction(async (session) => {
+      const transfer = await Transfer.findById(req.params.id).session(session);
+      
+      if (!transfer) {
+        throw requestError(404, 'Transfer not found');
+      }
+      
+      // Check if BaseCommander has access to receive at this base
+      if (req.user.role === 'BaseCommander' && req.user.assignedBase !== transfer.toBase) {
+        throw requestError(403, 'Not authorized to receive this transfer');
+      }
+      
+      if (transfer.status !== 'Dispatched') {
+        throw requestError(400, transfer.status === 'Received'
+          ? 'Transfer is already Received'
+          : 'Transfer has not been dispatched');
+      }
+      
+      // Received quantity defaults to the dispatched quantity
+      const receivedQuantity = req.body.receivedQuantity === undefined
+        ? transfer.quantity
+        : Number(req.body.receivedQuantity);
+      
+      if (!Number.isInteger(receivedQuantity) || receivedQuantity < 0 || receivedQuantity > transfer.quantity) {
+        throw requestError(400, 'Invalid received quantity', {
+          dispatched: transfer.quantity,
+          received: req.body.receivedQuantity
+        });
+      }
+      
+      const shortages = validateShortages(req.body.shortages, transfer.quantity - receivedQuantity, transfer.serialNumbers);
+      const receivedLots = splitLots(transfer.lots, shortages, transfer.quantity);
+      
+      await assertPeriodOpen(null, session);
+      
+      // Dispatched items, still booked to the source asset while in transit
+      const items = transfer.serialNumbers.length
+        ? await findItems({ _id: transfer.asset }, transfer.serialNumbers, { status: 'InTransit' }, session)
+        : [];
+      const itemsOf = (serialNumbers = []) => items.filter(item => serialNumbers.includes(item.serialNumber));
+      const itemEvent = (event, sourceType, sourceId) => ({
+        event,
+        sourceType,
+        sourceId,
+        user: req.user,
+        date: transfer.receivedAt
+      });
+      
+      transfer.status = 'Received';
+      transfer.receivedBy = req.user._id;
+      transfer.receivedAt = new Date();
+      transfer.receivedQuantity = receivedQuantity;
+      if (discrepancies) transfer.discrepancies = discrepancies;
+      
+      if (shortages.length) {
+        const sourceAsset = await Asset.findById(transfer.asset).session(session);
+        
+        if (!sourceAsset) {
+          throw requestError(404, 'Source asset not found');
+        }
+        
+        for (const shortage of shortages) {
+          // The shortfall never reached the destination, so it goes back on
+          // the source base's books
+          await recordMovement(sourceAsset, {
+            type: 'TransferOut',
+            field: 'transferOut',
+            quantity: -shortage.quantity,
+            sourceType: 'Transfer',
+            sourceId: transfer._id,
+            reason: `Short receipt: ${shortage.reason}`,
+            user: req.user,
+            date: transfer.receivedAt
+          }, { session });
+          
+          if (shortage.resolution !== 'WrittenOff') {
+            await addLots(sourceAsset, shortage.lots, { restore: true }, session);
+            await updateItems(itemsOf(shortage.serialNumbers), { status: 'Available' },
+              itemEvent('ReturnedToSource', 'Transfer', transfer._id), session);
+            continue;
+          }
+          
+          // Written-off items are expended at the source base, on the
+          // authority of the receiving user
+          const expenditure = new Expenditure({
+            asset: sourceAsset._id,
+            assetName: transfer.assetName,
+            assetType: transfer.assetType,
+            base: transfer.fromBase,
+            quantity: shortage.quantity,
+            serialNumbers: shortage.serialNumbers,
+            lots: shortage.lots,
+            reason: shortage.reason,
+            authorizedBy: req.user._id,
+            expenditureDate: transfer.receivedAt,
+            notes: shortage.notes || `${shortage.reason} in transfer to ${transfer.toBase}`,
+            transfer: transfer._id
+          });
+          
+          await expenditure.save({ session });
+          
+          await recordMovement(sourceAsset, {
+            type: 'Expenditure',
+            field: 'expended',
+            quantity: shortage.quantity,
+            sourceType: 'Expenditure',
+            sourceId: expenditure._id,
+            reason: shortage.reason,
+            user: req.user,
+            date: transfer.receivedAt
+          }, { session });
+          
+          await updateItems(itemsOf(shortage.serialNumbers), shortage.reason === 'Lost'
+            ? { status: 'Lost' }
+            : { status: 'Expended', condition: 'Damaged' },
+          itemEvent(shortage.reason, 'Expenditure', expenditure._id), session);
+          
+          shortage.expenditure = expenditure._id;
+        }
+      }
+      
+      transfer.shortages = shortages;
+      await transfer.save({ session });
+      
+      if (!receivedQuantity) return transfer;
+      
+      // Check if the asset exists in the destination base
+      let destinationAsset = await Asset.findOne({ 
+        name: transfer.assetName,
+        type: transfer.assetType,
+        base: transfer.toBase
+      }).session(session);
+      
+      // If not, create a new asset record for the destination base, tracked
+      // the same way as at the source
+      if (!destinationAsset) {
+        const sourceAsset = await Asset.findById(transfer.asset).session(session);
+        
+        destinationAsset = new Asset({
+          name: transfer.assetName,
+          type: transfer.assetType,
+          base: transfer.toBase,
+          serialized: items.length > 0,
+          lotTracked: !!(sourceAsset && sourceAsset.lotTracked),
+          openingBalance: 0,
+          closingBalance: 0,
+          purchases: 0,
+          transferIn: 0,
+          transferOut: 0,
+          assigned: 0,
+          expended: 0,
+          available: 0
+        });
+      }
+      
+      // Record the incoming leg for the destination base
+      destinationAsset = await recordMovement(destinationAsset, {
+        type: 'TransferIn',
+        field: 'transferIn',
+        quantity: receivedQuantity,
+        sourceType: 'Transfer',
+        sourceId: transfer._id,
+        user: req.user,
+        date: transfer.receivedAt
+      }, { session });
+      
+      await addLots(destinationAsset, receivedLots, { date: transfer.receivedAt }, session);
+      
+      // Received items are now held by the destination base
+      const short = new Set(shortages.flatMap(shortage => shortage.serialNumbers || []));
+      await updateItems(items.filter(item => !short.has(item.serialNumber)), {
+        status: 'Available',
+        asset: destinationAsset._id,
+        base: transfer.toBase,
+        location: undefined
+      }, itemEvent('Received', 'Transfer', transfer._id), session);
+      
+      return transfer;
+    });
     
     res.send(transfer);
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
   }
 });
 
 /**
  * @route   PUT /api/transfers/:id/cancel
- * @desc    Cancel a transfer
+ * @desc    Cancel a transfer that has not been dispatched
  * @access  Private (Admin and LogisticsOfficer)
  */
 router.put('/:id/cancel', auth(['Admin', 'LogisticsOfficer']), baseAccess, logger, async (req, res) => {
   try {
-    const transfer = await Transfer.findById(req.params.id);
-    
-    if (!transfer) {
-      return res.status(404).send({ error: 'Transfer not found' });
-    }
-    
-    // Check if transfer is already completed or cancelled
-    if (transfer.status !== 'Pending') {
-      return res.status(400).send({ error: `Transfer is already ${transfer.status}` });
-    }
-    
-    // Update transfer status
-    transfer.status = 'Cancelled';
-    await transfer.save();
-    
-    // Revert the asset balances for source base
-    const sourceAsset = await Asset.findOne({ 
-      name: transfer.assetName,
-      type: transfer.assetType,
-      base: transfer.fromBase
+    // Cancelled in one transaction, so a dispatch or approval of the same
+    // transfer at the same time either completes first or fails
+    const transfer = await withTransaction(async (session) => {
+      const transfer = await Transfer.findById(req.params.id).session(session);
+      
+      if (!transfer) {
+        throw requestError(404, 'Transfer not found');
+      }
+      
+      // Stock has moved once a transfer is dispatched, so it can no longer be cancelled
+      if (!['Requested', 'Approved'].includes(transfer.status)) {
+        throw requestError(400, `Transfer is already ${transfer.status}`);
+      }
+      
+      // Update transfer status and close its approval request
+      transfer.status = 'Cancelled';
+      await transfer.save({ session });
+      await cancelApproval(transfer, session);
+      
+      return transfer;
     });
     
-    if (sourceAsset) {
-      sourceAsset.transferOut -= transfer.quantity;
-      await sourceAsset.updateBalances();
-    }
-    
-    // Revert the asset balances for destination base
-    const destinationAsset = await Asset.findOne({ 
-      name: transfer.assetName,
-      type: transfer.assetType,
-      base: transfer.toBase
-    });
-    
-    if (destinationAsset) {
-      destinationAsset.transferIn -= transfer.quantity;
-      await destinationAsset.updateBalances();
-    }
-    
     res.send(transfer);
   } catch (error) {
-    res.status(500).send({ error: error.message });
+    res.status(error.status || 500).send({ error: error.message, ...error.details });
   }
 });
 
@@ -0,0 +1,74 @@
+/**
+ * Script to create stock ledger entries for balances recorded before the
+ * StockMovement ledger existed
+ *
+ * For every asset, each counter that the ledger does not fully account for
+ * gets an Adjustment entry for the difference, so that the ledger matches
+ * the stored balances. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const StockMovement = require('../models/StockMovement');
+const { computeLedgerBalances } = require('../utils/stockLedger');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Backfill function
+const backfillLedger = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    const assets = await Asset.find({});
+    let entries = 0;
+
+    console.log(`\nChecking ${assets.length} assets:`);
+
+    for (const asset of assets) {
+      const ledger = await computeLedgerBalances(asset._id);
+
+      for (const field of StockMovement.MOVEMENT_FIELDS) {
+        const difference = (asset[field] || 0) - ledger[field];
+        if (!difference) continue;
+
+        await new StockMovement({
+          asset: asset._id,
+          assetName: asset.name,
+          assetType: asset.type,
+          base: asset.base,
+          type: field === 'openingBalance' ? 'Opening' : 'Adjustment',
+          field,
+          quantity: difference,
+          sourceType: 'Asset',
+          sourceId: asset._id,
+          reason: 'Backfilled from stored balance',
+          occurredAt: asset.createdAt
+        }).save();
+
+        entries++;
+        console.log(`- ${asset.name} at ${asset.base}: ${field} ${difference > 0 ? '+' : ''}${difference}`);
+      }
+    }
+
+    console.log(`\nCreated ${entries} ledger entries.`);
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error backfilling stock ledger:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the backfill function
+backfillLedger();
@@ -0,0 +1,45 @@
+/**
+ * Script to flag overdue assignments and escalate them to the BaseCommanders
+ * Usage: node check-overdue-assignments.js
+ *
+ * The server runs the same check every OVERDUE_CHECK_INTERVAL_MINUTES
+ * minutes; this runs it once, such as from cron when the check should not
+ * depend on the server being up.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { checkOverdueAssignments } = require('../utils/overdueAssignments');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Check function
+const runCheck = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    const result = await checkOverdueAssignments();
+
+    console.log(`Flagged ${result.marked} assignments as overdue and cleared ${result.cleared}.`);
+    console.log(`Escalated ${result.escalated} overdue assignments in ${result.notifications} notifications.`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error checking overdue assignments:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the check function
+runCheck();
@@ -0,0 +1,56 @@
+/**
+ * Script to give active assignments created before expected return dates
+ * existed their due date
+ *
+ * Until then the end date entered when issuing an assignment was the date it
+ * was planned to end, so active assignments with an end date take it as
+ * their expected return date and lose the end date, which is now set when an
+ * assignment ends. Active assignments without one are left without a due
+ * date and are never flagged overdue. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Migration function
+const migrateAssignmentDueDates = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    const result = await mongoose.connection.db.collection('assignments').updateMany(
+      {
+        status: 'Active',
+        endDate: { $ne: null },
+        expectedReturnDate: { $exists: false }
+      },
+      [{
+        $set: { expectedReturnDate: '$endDate' }
+      }, {
+        $unset: 'endDate'
+      }]
+    );
+
+    console.log(`Migrated ${result.modifiedCount} active assignments.`);
+    console.log('Run node scripts/check-overdue-assignments.js to flag those already overdue.');
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating assignments:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the migration function
+migrateAssignmentDueDates();
@@ -0,0 +1,64 @@
+/**
+ * Script to give assignments issued before hand receipts were numbered a
+ * receipt number
+ *
+ * Each assignment gets a receipt of its own, numbered in order of issue
+ * within its base and year, since there is no record of which assignments
+ * were handed over together. Numbers are taken from the same sequences as
+ * new issues, so they follow any already given out. Safe to run more than
+ * once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const { nextReceiptNumber } = require('../utils/handReceipts');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Migration function
+const migrateHandReceipts = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    const assignments = await Assignment.find({ receiptNumber: null })
+      .select('base startDate')
+      .sort({ startDate: 1, _id: 1 });
+
+    let migrated = 0;
+
+    for (const assignment of assignments) {
+      const receiptNumber = await nextReceiptNumber(assignment.base, assignment.startDate);
+
+      const result = await Assignment.updateOne(
+        { _id: assignment._id, receiptNumber: null },
+        { $set: { receiptNumber } }
+      );
+
+      if (result.modifiedCount) {
+        migrated++;
+        console.log(`- ${assignment._id} -> ${receiptNumber}`);
+      }
+    }
+
+    console.log(`Migrated ${migrated} assignments.`);
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating hand receipts:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the migration function
+migrateHandReceipts();
@@ -0,0 +1,104 @@
+/**
+ * Script to move assignments and expenditures from embedded assignee details
+ * onto Personnel records
+ *
+ * Each service number becomes one person, named and ranked after their most
+ * recent record and placed at the base of that record. Their assignments and
+ * expenditures then reference them and carry the same copy of their details.
+ * Write-offs recorded from transfer shortages are not expended by a person
+ * and are left as they are. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Personnel = require('../models/Personnel');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Records holding assignee details but no personnel reference
+const sources = [
+  { collection: 'assignments', field: 'assignedTo', dateField: 'startDate', filter: {} },
+  { collection: 'expenditures', field: 'expendedBy', dateField: 'expenditureDate', filter: { transfer: null } }
+];
+
+// Migration function
+const migratePersonnel = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    // Latest details and base for each service number, across both collections
+    const people = new Map();
+
+    for (const { collection, field, dateField, filter } of sources) {
+      const records = await mongoose.connection.db.collection(collection)
+        .find({ ...filter, personnel: null, [`${field}.id`]: { $nin: [null, ''] } })
+        .project({ [field]: 1, base: 1, [dateField]: 1 })
+        .toArray();
+
+      for (const record of records) {
+        const serviceNumber = record[field].id.trim().toUpperCase();
+        const latest = people.get(serviceNumber);
+
+        // Spellings of the service number as recorded, to find the records again
+        const ids = latest ? latest.ids : new Set();
+        ids.add(record[field].id);
+
+        if (!latest || record[dateField] > latest.date) {
+          people.set(serviceNumber, {
+            name: record[field].name,
+            rank: record[field].rank,
+            base: record.base,
+            date: record[dateField],
+            ids
+          });
+        }
+      }
+    }
+
+    console.log(`\nFound ${people.size} service numbers:`);
+
+    for (const [serviceNumber, details] of [...people].sort(([a], [b]) => a.localeCompare(b))) {
+      let person = await Personnel.findOne({ serviceNumber });
+      if (person) {
+        console.log(`- ${serviceNumber} -> ${person.rank} ${person.name}`);
+      } else {
+        person = await new Personnel({
+          serviceNumber,
+          name: details.name,
+          rank: details.rank,
+          base: details.base
+        }).save();
+        console.log(`- Created personnel: ${serviceNumber} ${person.rank} ${person.name}`);
+      }
+
+      const assignee = { name: person.name, rank: person.rank, id: person.serviceNumber };
+
+      for (const { collection, field, filter } of sources) {
+        await mongoose.connection.db.collection(collection).updateMany(
+          { ...filter, personnel: null, [`${field}.id`]: { $in: [...details.ids] } },
+          { $set: { personnel: person._id, [field]: assignee } }
+        );
+      }
+    }
+
+    console.log('\nPersonnel migrated.');
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating personnel:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the migration function
+migratePersonnel();
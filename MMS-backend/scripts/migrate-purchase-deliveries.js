@@ -0,0 +1,58 @@
+/**
+ * Script to give purchases delivered before partial deliveries existed
+ * their delivery record
+ *
+ * Those purchases were delivered in full in one shot, so each gets a single
+ * delivery of its whole quantity on its delivery date, received by whoever
+ * marked it delivered. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Migration function
+const migratePurchaseDeliveries = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    // Delivered purchases without delivery records
+    const result = await mongoose.connection.db.collection('purchases').updateMany(
+      {
+        status: 'Delivered',
+        'deliveries.0': { $exists: false }
+      },
+      [{
+        $set: {
+          deliveries: [{
+            date: { $ifNull: ['$deliveryDate', '$purchaseDate'] },
+            quantity: '$quantity',
+            receivedBy: { $ifNull: ['$approvedBy', '$purchasedBy'] }
+          }],
+          deliveredQuantity: '$quantity'
+        }
+      }]
+    );
+
+    console.log(`Migrated ${result.modifiedCount} delivered purchases.`);
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating purchases:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the migration function
+migratePurchaseDeliveries();
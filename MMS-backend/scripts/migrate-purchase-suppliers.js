@@ -0,0 +1,69 @@
+/**
+ * Script to move purchases from free-text supplier names onto Supplier
+ * records
+ *
+ * Names that differ only in case, spacing or punctuation become one supplier,
+ * named after the first spelling found. Other variants of the same vendor
+ * can be merged afterwards with POST /api/suppliers/:id/merge. Safe to run
+ * more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const { toCode } = require('../utils/referenceValidators');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Migration function
+const migratePurchaseSuppliers = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    const purchases = mongoose.connection.db.collection('purchases');
+
+    // Purchases still holding the supplier's name instead of a reference
+    const names = (await purchases.distinct('supplier', { supplier: { $type: 'string' } }))
+      .filter(name => name.trim())
+      .sort();
+
+    console.log(`\nFound ${names.length} supplier names:`);
+
+    for (const name of names) {
+      const code = toCode(name);
+
+      let supplier = await Supplier.findOne({ code });
+      if (supplier) {
+        console.log(`- ${name} -> ${supplier.name} (${code})`);
+      } else {
+        supplier = await new Supplier({ code, name: name.trim() }).save();
+        console.log(`- Created supplier: ${supplier.name} (${code})`);
+      }
+
+      await purchases.updateMany(
+        { supplier: name },
+        { $set: { supplier: supplier._id, supplierName: supplier.name } }
+      );
+    }
+
+    console.log('\nPurchase suppliers migrated.');
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating purchase suppliers:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the migration function
+migratePurchaseSuppliers();
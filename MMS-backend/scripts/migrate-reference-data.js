@@ -0,0 +1,95 @@
+/**
+ * Script to create Base and AssetType records for every base and asset
+ * type name already used by existing data
+ *
+ * Run once after upgrading a database created before bases and asset
+ * types became reference collections.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Base = require('../models/Base');
+const AssetType = require('../models/AssetType');
+const { toCode } = require('../utils/referenceValidators');
+
+// Fields holding base and asset type names, per collection
+const BASE_FIELDS = {
+  assets: ['base'],
+  transfers: ['fromBase', 'toBase'],
+  purchases: ['base'],
+  assignments: ['base'],
+  expenditures: ['base'],
+  users: ['assignedBase']
+};
+
+const ASSET_TYPE_FIELDS = {
+  assets: ['type'],
+  transfers: ['assetType'],
+  purchases: ['assetType'],
+  assignments: ['assetType'],
+  expenditures: ['assetType']
+};
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Collect the distinct non-empty values of the given fields
+const collectNames = async (fieldsByCollection) => {
+  const names = new Set();
+
+  for (const [collection, fields] of Object.entries(fieldsByCollection)) {
+    for (const field of fields) {
+      const values = await mongoose.connection.db.collection(collection).distinct(field);
+      values.filter(Boolean).forEach(value => names.add(value));
+    }
+  }
+
+  return [...names].sort();
+};
+
+// Create a reference record for each name that does not have one yet
+const createMissing = async (Model, names, label) => {
+  for (const name of names) {
+    if (await Model.exists({ name })) {
+      console.log(`- ${label} exists: ${name}`);
+      continue;
+    }
+
+    await new Model({ code: toCode(name), name }).save();
+    console.log(`- Created ${label}: ${name} (${toCode(name)})`);
+  }
+};
+
+// Migration function
+const migrateReferenceData = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    const bases = await collectNames(BASE_FIELDS);
+    console.log(`\nFound ${bases.length} base names:`);
+    await createMissing(Base, bases, 'base');
+
+    const assetTypes = await collectNames(ASSET_TYPE_FIELDS);
+    console.log(`\nFound ${assetTypes.length} asset type names:`);
+    await createMissing(AssetType, assetTypes, 'asset type');
+
+    console.log('\nReview the created records: names that differ only by a typo should be fixed in the data, not kept as separate bases or types.');
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating reference data:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the migration function
+migrateReferenceData();
@@ -0,0 +1,55 @@
+/**
+ * Script to move transfers created before the dispatch/receipt lifecycle
+ * onto the new statuses
+ *
+ * Transfers used to add the quantity to both bases as soon as they were
+ * created, so Pending and Completed transfers have already been received in
+ * full. They become Received, dispatched and received at their creation date.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Migration function
+const migrateTransferStatus = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    // Update the raw collection: the old statuses no longer pass validation
+    const result = await mongoose.connection.db.collection('transfers').updateMany(
+      { status: { $in: ['Pending', 'Completed'] } },
+      [{
+        $set: {
+          status: 'Received',
+          dispatchedBy: '$transferredBy',
+          dispatchedAt: '$createdAt',
+          receivedBy: { $ifNull: ['$approvedBy', '$transferredBy'] },
+          receivedAt: '$createdAt',
+          receivedQuantity: '$quantity'
+        }
+      }]
+    );
+
+    console.log(`Migrated ${result.modifiedCount} transfers to Received.`);
+
+    mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating transfers:', error);
+    mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the migration function
+migrateTransferStatus();
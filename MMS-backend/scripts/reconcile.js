@@ -0,0 +1,80 @@
+/**
+ * Script to check asset counters against the Purchase, Transfer, Assignment
+ * and Expenditure records that back them
+ * Usage: node reconcile.js [--base=<base>] [--asset-type=<type>] [--repair]
+ *
+ * Without --repair the script only reports discrepancies. With --repair each
+ * drifted counter is corrected through a ledger adjustment and logged in the
+ * activity log. Exits with status 2 when discrepancies remain.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcile, repair } = require('../utils/reconciliation');
+
+// Get command line arguments
+const args = process.argv.slice(2);
+const option = (name) => {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const filters = {};
+if (option('base')) filters.base = option('base');
+if (option('asset-type')) filters.assetType = option('asset-type');
+const shouldRepair = args.includes('--repair');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => console.log('Connected to MongoDB'))
+.catch(err => {
+  console.error('MongoDB connection error:', err);
+  process.exit(1);
+});
+
+// Print a reconciliation report
+const printReport = (report) => {
+  console.log(`\nChecked ${report.assetsChecked} assets, ${report.inconsistentAssets} with discrepancies.`);
+
+  report.byBase.forEach(base => {
+    console.log(`\n${base.base}: ${base.inconsistentAssets} of ${base.assets} assets inconsistent`);
+
+    report.assets
+      .filter(asset => asset.base === base.base)
+      .forEach(asset => {
+        console.log(`- ${asset.name} (${asset.type})`);
+        asset.discrepancies.forEach(d => {
+          console.log(`    ${d.field}: stored ${d.actual}, expected ${d.expected} (${d.difference > 0 ? '+' : ''}${d.difference})`);
+        });
+      });
+  });
+};
+
+// Reconcile function
+const runReconciliation = async () => {
+  try {
+    await mongoose.connection.asPromise();
+
+    const report = shouldRepair ? await repair(filters) : await reconcile(filters);
+    printReport(report);
+
+    if (shouldRepair) {
+      console.log(`\nRepaired ${report.repaired} assets.`);
+    } else if (report.inconsistentAssets) {
+      console.log('\nRun with --repair to correct these counters.');
+    }
+
+    await mongoose.connection.close();
+    process.exit(report.inconsistentAssets && !shouldRepair ? 2 : 0);
+  } catch (error) {
+    console.error('Error reconciling balances:', error);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+// Run the reconciliation function
+runReconciliation();
@@ -17,6 +17,16 @@ const Purchase = require('../models/Purchase');
 const Assignment = require('../models/Assignment');
 const Expenditure = require('../models/Expenditure'); 
 const ActivityLog = require('../models/ActivityLog');
+const Base = require('../models/Base');
+const AssetType = require('../models/AssetType');
+const Supplier = require('../models/Supplier');
+const Personnel = require('../models/Personnel');
+const Budget = require('../models/Budget');
+const Notification = require('../models/Notification');
+const Investigation = require('../models/Investigation');
+const Sequence = require('../models/Sequence');
+const StockMovement = require('../models/StockMovement');
+const { recordMovement } = require('../utils/stockLedger');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
@@ -30,6 +40,34 @@ mongoose.connect(process.env.MONGODB_URI, {
 });
 
 // Sample data
+const bases = [
+  { code: 'ALPHA', name: 'Base Alpha', location: 'Northern Sector', parentCommand: 'Northern Command' },
+  { code: 'BRAVO', name: 'Base Bravo', location: 'Southern Sector', parentCommand: 'Southern Command' },
+  { code: 'CHARLIE', name: 'Base Charlie', location: 'Eastern Sector', parentCommand: 'Northern Command' }
+];
+
+const assetTypes = [
+  { code: 'VEHICLE', name: 'Vehicle' },
+  { code: 'WEAPON', name: 'Weapon' },
+  { code: 'AMMUNITION', name: 'Ammunition' },
+  { code: 'EQUIPMENT', name: 'Equipment' },
+  { code: 'OTHER', name: 'Other' }
+];
+
+const suppliers = [
+  { code: 'MWI', name: 'Military Weapons Inc.', contactName: 'Sales Desk', email: 'sales@militaryweapons.example', categories: ['Weapon'], contractNumbers: ['W-2023-001'] },
+  { code: 'MVI', name: 'Military Vehicles Inc.', contactName: 'Fleet Sales', email: 'fleet@militaryvehicles.example', categories: ['Vehicle'] },
+  { code: 'ASL', name: 'Ammo Suppliers Ltd.', contactName: 'Orders', email: 'orders@ammosuppliers.example', categories: ['Ammunition'] },
+  { code: 'MO', name: 'Military Outfitters', contactName: 'Customer Service', categories: ['Equipment', 'Other'] }
+];
+
+const personnel = [
+  { serviceNumber: 'SQ-001', name: 'Squad Alpha', rank: 'Squad', unit: '1st Platoon', base: 'Base Alpha' },
+  { serviceNumber: 'SGT-123', name: 'Firearms Instructor', rank: 'Sergeant', unit: 'Training Wing', base: 'Base Alpha' },
+  { serviceNumber: 'CPL-204', name: 'Daniel Reyes', rank: 'Corporal', unit: '2nd Platoon', base: 'Base Bravo' },
+  { serviceNumber: 'LT-310', name: 'Amira Hassan', rank: 'Lieutenant', unit: 'Signals Detachment', base: 'Base Charlie' }
+];
+
 const users = [
   {
     username: 'admin',
@@ -82,105 +120,49 @@ const assets = [
     name: 'M4 Rifle',
     type: 'Weapon',
     base: 'Base Alpha',
-    openingBalance: 100,
-    closingBalance: 100,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 100
+    openingBalance: 100
   },
   {
     name: 'M9 Pistol',
     type: 'Weapon',
     base: 'Base Alpha',
-    openingBalance: 50,
-    closingBalance: 50,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 50
+    openingBalance: 50
   },
   {
     name: 'Humvee',
     type: 'Vehicle',
     base: 'Base Alpha',
-    openingBalance: 20,
-    closingBalance: 20,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 20
+    openingBalance: 20
   },
   {
     name: '5.56mm Ammunition',
     type: 'Ammunition',
     base: 'Base Alpha',
-    openingBalance: 10000,
-    closingBalance: 10000,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 10000
+    openingBalance: 10000
   },
   {
     name: 'M4 Rifle',
     type: 'Weapon',
     base: 'Base Bravo',
-    openingBalance: 80,
-    closingBalance: 80,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 80
+    openingBalance: 80
   },
   {
     name: 'M9 Pistol',
     type: 'Weapon',
     base: 'Base Bravo',
-    openingBalance: 40,
-    closingBalance: 40,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 40
+    openingBalance: 40
   },
   {
     name: 'Humvee',
     type: 'Vehicle',
     base: 'Base Bravo',
-    openingBalance: 15,
-    closingBalance: 15,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 15
+    openingBalance: 15
   },
   {
     name: '5.56mm Ammunition',
     type: 'Ammunition',
     base: 'Base Bravo',
-    openingBalance: 8000,
-    closingBalance: 8000,
-    purchases: 0,
-    transferIn: 0,
-    transferOut: 0,
-    assigned: 0,
-    expended: 0,
-    available: 8000
+    openingBalance: 8000
   }
 ];
 
@@ -195,9 +177,44 @@ const seedDatabase = async () => {
     await Assignment.deleteMany({});
     await Expenditure.deleteMany({});
     await ActivityLog.deleteMany({});
+    await Base.deleteMany({});
+    await AssetType.deleteMany({});
+    await Supplier.deleteMany({});
+    await Personnel.deleteMany({});
+    await Budget.deleteMany({});
+    await Notification.deleteMany({});
+    await Investigation.deleteMany({});
+    await Sequence.deleteMany({});
+    // The ledger rejects deletes through the model, so clear the collection directly
+    await StockMovement.collection.deleteMany({});
     
     console.log('Cleared existing data');
     
+    // Create reference data
+    for (const base of bases) {
+      await new Base(base).save();
+      console.log(`Created base: ${base.name}`);
+    }
+    
+    for (const assetType of assetTypes) {
+      await new AssetType(assetType).save();
+      console.log(`Created asset type: ${assetType.name}`);
+    }
+    
+    const createdSuppliers = [];
+    for (const supplier of suppliers) {
+      createdSuppliers.push(await new Supplier(supplier).save());
+      console.log(`Created supplier: ${supplier.name}`);
+    }
+    
+    const createdPersonnel = [];
+    for (const person of personnel) {
+      createdPersonnel.push(await new Personnel(person).save());
+      console.log(`Created personnel: ${person.rank} ${person.name}`);
+    }
+    const squadAlpha = createdPersonnel.find(p => p.serviceNumber === 'SQ-001');
+    const instructor = createdPersonnel.find(p => p.serviceNumber === 'SGT-123');
+    
     // Create users
     const createdUsers = [];
     for (const user of users) {
@@ -213,9 +230,16 @@ const seedDatabase = async () => {
     
     // Create assets
     const createdAssets = [];
-    for (const asset of assets) {
-      const newAsset = new Asset(asset);
+    for (const { openingBalance, ...asset } of assets) {
+      let newAsset = new Asset(asset);
       await newAsset.save();
+      newAsset = await recordMovement(newAsset, {
+        type: 'Opening',
+        field: 'openingBalance',
+        quantity: openingBalance,
+        sourceType: 'Asset',
+        sourceId: newAsset._id
+      });
       createdAssets.push(newAsset);
       console.log(`Created asset: ${asset.name} at ${asset.base}`);
     }
@@ -231,10 +255,16 @@ const seedDatabase = async () => {
       quantity: 20,
       unitCost: 1200,
       totalCost: 24000,
-      supplier: 'Military Weapons Inc.',
+      supplier: createdSuppliers.find(s => s.code === 'MWI')._id,
+      supplierName: 'Military Weapons Inc.',
       purchaseDate: new Date(),
       status: 'Ordered',
       purchasedBy: logisticsOfficer1._id,
+      approvedBy: adminUser._id,
+      approvedAt: new Date(),
+      orderedBy: logisticsOfficer1._id,
+      orderedAt: new Date(),
+      expectedDeliveryDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000),
       invoiceNumber: 'INV-001',
       notes: 'Regular procurement'
     });
@@ -242,6 +272,12 @@ const seedDatabase = async () => {
     await purchase1.save();
     console.log('Created sample purchase');
     
+    // Create sample budgets for the current fiscal year
+    const fiscalYear = new Date().getUTCFullYear();
+    await new Budget({ base: 'Base Alpha', fiscalYear, amount: 500000, createdBy: adminUser._id }).save();
+    await new Budget({ base: 'Base Alpha', assetType: 'Weapon', fiscalYear, amount: 100000, enforcement: 'Flag', createdBy: adminUser._id }).save();
+    console.log('Created sample budgets');
+    
     // Create sample transfer
     const m4Alpha = createdAssets.find(a => a.name === 'M4 Rifle' && a.base === 'Base Alpha');
     const commander1 = createdUsers.find(u => u.username === 'commander1');
@@ -254,7 +290,7 @@ const seedDatabase = async () => {
       fromBase: 'Base Alpha',
       toBase: 'Base Bravo',
       quantity: 10,
-      status: 'Pending',
+      status: 'Requested',
       transferredBy: logisticsOfficer1._id,
       notes: 'Regular transfer'
     });
@@ -269,14 +305,16 @@ const seedDatabase = async () => {
       assetType: m4Alpha.type,
       base: 'Base Alpha',
       quantity: 20,
+      personnel: squadAlpha._id,
       assignedTo: {
-        name: 'Squad Alpha',
-        rank: 'Squad',
-        id: 'SQ-001'
+        name: squadAlpha.name,
+        rank: squadAlpha.rank,
+        id: squadAlpha.serviceNumber
       },
       assignedBy: commander1._id,
       purpose: 'Training Exercise',
       startDate: new Date(),
+      expectedReturnDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
       status: 'Active',
       returnedQuantity: 0,
       notes: 'Weekly training'
@@ -284,9 +322,15 @@ const seedDatabase = async () => {
     
     await assignment1.save();
     
-    // Update asset assigned quantity
-    m4Alpha.assigned += 20;
-    await m4Alpha.updateBalances();
+    // Record the issue in the stock ledger
+    await recordMovement(m4Alpha, {
+      type: 'Assignment',
+      field: 'assigned',
+      quantity: 20,
+      sourceType: 'Assignment',
+      sourceId: assignment1._id,
+      user: commander1
+    });
     console.log('Created sample assignment');
     
     // Create sample expenditure
@@ -300,10 +344,11 @@ const seedDatabase = async () => {
       quantity: 1000,
       reason: 'Training',
       authorizedBy: commander1._id,
+      personnel: instructor._id,
       expendedBy: {
-        name: 'Firearms Instructor',
-        rank: 'Sergeant',
-        id: 'SGT-123'
+        name: instructor.name,
+        rank: instructor.rank,
+        id: instructor.serviceNumber
       },
       operationName: 'Marksmanship Training',
       expenditureDate: new Date(),
@@ -313,9 +358,16 @@ const seedDatabase = async () => {
     
     await expenditure1.save();
     
-    // Update asset expended quantity
-    ammoAlpha.expended += 1000;
-    await ammoAlpha.updateBalances();
+    // Record the expenditure in the stock ledger
+    await recordMovement(ammoAlpha, {
+      type: 'Expenditure',
+      field: 'expended',
+      quantity: 1000,
+      sourceType: 'Expenditure',
+      sourceId: expenditure1._id,
+      reason: expenditure1.reason,
+      user: commander1
+    });
     console.log('Created sample expenditure');
     
     // Create activity logs
@@ -0,0 +1,146 @@
+/**
+ * Approval permissions: who may decide a step of the default chains, and
+ * whose pending queue a request shows up in.
+ */
+
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Purchase = require('../models/Purchase');
+const Transfer = require('../models/Transfer');
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createFixtures,
+  api
+} = require('./setup');
+
+let fixtures;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  fixtures = await createFixtures({ stock: 10 });
+});
+
+/**
+ * Request a transfer of the fixture asset to Bravo Base
+ * @param {Object} as - User requesting it
+ */
+const requestTransfer = async (as) => {
+  const res = await api('post', '/api/transfers', as, {
+    asset: fixtures.asset._id,
+    fromBase: 'Alpha Base',
+    toBase: 'Bravo Base',
+    quantity: 2
+  });
+  expect(res.status).toBe(201);
+  return res.body;
+};
+
+describe('deciding a transfer', () => {
+  it('lets the destination base commander approve', async () => {
+    const transfer = await requestTransfer(fixtures.logistics);
+
+    const res = await api('put', `/api/transfers/${transfer._id}/approve`, fixtures.bravoCommander);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('Approved');
+  });
+
+  it('refuses a base commander of another base', async () => {
+    const transfer = await requestTransfer(fixtures.logistics);
+
+    const res = await api('put', `/api/transfers/${transfer._id}/approve`, fixtures.alphaCommander);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Not authorized to decide this approval step');
+    expect((await Transfer.findById(transfer._id)).status).toBe('Requested');
+  });
+
+  it('refuses a role the step does not name', async () => {
+    const transfer = await requestTransfer(fixtures.admin);
+
+    const res = await api('put', `/api/transfers/${transfer._id}/approve`, fixtures.logistics);
+
+    expect(res.status).toBe(403);
+    expect((await Transfer.findById(transfer._id)).status).toBe('Requested');
+  });
+
+  it('refuses the requester, even an admin', async () => {
+    const transfer = await requestTransfer(fixtures.admin);
+
+    const res = await api('put', `/api/transfers/${transfer._id}/approve`, fixtures.admin);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Requesters cannot decide their own request');
+    expect((await Transfer.findById(transfer._id)).status).toBe('Requested');
+  });
+
+  it('lets an admin decide a step named for a base commander', async () => {
+    const transfer = await requestTransfer(fixtures.logistics);
+
+    const res = await api('put', `/api/transfers/${transfer._id}/approve`, fixtures.admin);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('Approved');
+
+    const request = await ApprovalRequest.findOne({ resourceType: 'Transfer', resourceId: transfer._id });
+    expect(request.status).toBe('Approved');
+    expect(String(request.steps[0].decidedBy)).toBe(String(fixtures.admin.user._id));
+  });
+
+  it('refuses a second decision once the request is closed', async () => {
+    const transfer = await requestTransfer(fixtures.logistics);
+    expect((await api('put', `/api/transfers/${transfer._id}/approve`, fixtures.bravoCommander)).status).toBe(200);
+
+    const res = await api('put', `/api/transfers/${transfer._id}/reject`, fixtures.admin, { reason: 'Too late' });
+
+    expect(res.status).toBe(400);
+    expect((await Transfer.findById(transfer._id)).status).toBe('Approved');
+  });
+});
+
+describe('deciding a purchase', () => {
+  it('lets the base commander of the purchasing base approve, and no other', async () => {
+    const created = await api('post', '/api/purchases', fixtures.logistics, {
+      assetName: 'Field Rations',
+      assetType: 'Ammunition',
+      base: 'Alpha Base',
+      quantity: 5,
+      unitCost: 10,
+      supplier: fixtures.supplier._id
+    });
+    expect(created.status).toBe(201);
+
+    const refused = await api('put', `/api/purchases/${created.body._id}/approve`, fixtures.bravoCommander);
+    expect(refused.status).toBe(403);
+    expect((await Purchase.findById(created.body._id)).status).toBe('Requested');
+
+    const approved = await api('put', `/api/purchases/${created.body._id}/approve`, fixtures.alphaCommander);
+    expect(approved.status).toBe(200);
+    expect(approved.body.status).toBe('Approved');
+  });
+});
+
+describe('pending queue', () => {
+  it('lists a request for those who can decide it and nobody else', async () => {
+    const transfer = await requestTransfer(fixtures.logistics);
+
+    const queued = async (as) => {
+      const res = await api('get', '/api/approvals/pending', as);
+      expect(res.status).toBe(200);
+      return res.body.requests.map(request => String(request.resourceId));
+    };
+
+    expect(await queued(fixtures.bravoCommander)).toEqual([String(transfer._id)]);
+    expect(await queued(fixtures.admin)).toEqual([String(transfer._id)]);
+    expect(await queued(fixtures.alphaCommander)).toEqual([]);
+    expect(await queued(fixtures.logistics)).toEqual([]);
+
+    // Decided requests leave every queue
+    expect((await api('put', `/api/transfers/${transfer._id}/approve`, fixtures.bravoCommander)).status).toBe(200);
+    expect(await queued(fixtures.admin)).toEqual([]);
+  });
+});
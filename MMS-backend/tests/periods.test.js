@@ -0,0 +1,129 @@
+/**
+ * Closing accounting periods: periods close in order and only once they have
+ * ended, closing rolls the period's flows into the opening balance, and
+ * transactions dated inside a closed period are refused.
+ */
+
+const Asset = require('../models/Asset');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const StockMovement = require('../models/StockMovement');
+const { verifyAssetBalances } = require('../utils/stockLedger');
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createFixtures,
+  api
+} = require('./setup');
+
+// January and February of last year, both long over
+const YEAR = new Date().getUTCFullYear() - 1;
+const JANUARY = `${YEAR}-01`;
+const FEBRUARY = `${YEAR}-02`;
+
+let fixtures;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  fixtures = await createFixtures({ stock: 10 });
+});
+
+/**
+ * Create a calendar-month period as the admin
+ */
+const createPeriod = async (month) => {
+  const res = await api('post', '/api/periods', fixtures.admin, { month });
+  expect(res.status).toBe(201);
+  return res.body;
+};
+
+/**
+ * Record an expenditure of the fixture asset on a date
+ */
+const expend = (quantity, expenditureDate) => api('post', '/api/expenditures', fixtures.admin, {
+  asset: fixtures.asset._id,
+  base: 'Alpha Base',
+  quantity,
+  reason: 'Training',
+  personnel: fixtures.personnel._id,
+  expenditureDate
+});
+
+describe('closing a period', () => {
+  it('refuses a period that has not ended yet', async () => {
+    const now = new Date();
+    const current = await createPeriod(`${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`);
+
+    const res = await api('put', `/api/periods/${current._id}/close`, fixtures.admin);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/has not ended yet/);
+    expect((await AccountingPeriod.findById(current._id)).status).toBe('Open');
+  });
+
+  it('refuses a period while an earlier one is still open', async () => {
+    const january = await createPeriod(JANUARY);
+    const february = await createPeriod(FEBRUARY);
+
+    const refused = await api('put', `/api/periods/${february._id}/close`, fixtures.admin);
+    expect(refused.status).toBe(400);
+    expect(refused.body.error).toBe('Earlier accounting periods must be closed first');
+    expect((await AccountingPeriod.findById(february._id)).status).toBe('Open');
+
+    expect((await api('put', `/api/periods/${january._id}/close`, fixtures.admin)).status).toBe(200);
+    expect((await api('put', `/api/periods/${february._id}/close`, fixtures.admin)).status).toBe(200);
+    expect((await AccountingPeriod.findById(february._id)).status).toBe('Closed');
+  });
+
+  it('refuses a period that is already closed', async () => {
+    const january = await createPeriod(JANUARY);
+    expect((await api('put', `/api/periods/${january._id}/close`, fixtures.admin)).status).toBe(200);
+
+    const res = await api('put', `/api/periods/${january._id}/close`, fixtures.admin);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/is already closed/);
+  });
+
+  it('rolls the period flows into the opening balance', async () => {
+    const january = await createPeriod(JANUARY);
+    expect((await expend(2, `${JANUARY}-15`)).status).toBe(201);
+
+    const res = await api('put', `/api/periods/${january._id}/close`, fixtures.admin);
+
+    expect(res.status).toBe(200);
+    expect(res.body.period.status).toBe('Closed');
+
+    const asset = await Asset.findById(fixtures.asset._id);
+    expect(asset.openingBalance).toBe(8);
+    expect(asset.expended).toBe(0);
+    expect(asset.available).toBe(8);
+    expect((await verifyAssetBalances(asset)).consistent).toBe(true);
+    expect(await StockMovement.countDocuments({ type: 'PeriodClose', sourceId: january._id })).toBe(2);
+  });
+
+  it('refuses transactions dated inside a closed period', async () => {
+    const january = await createPeriod(JANUARY);
+    expect((await api('put', `/api/periods/${january._id}/close`, fixtures.admin)).status).toBe(200);
+
+    const refused = await expend(2, `${JANUARY}-15`);
+    expect(refused.status).toBe(400);
+    expect(refused.body.error).toBe(`Accounting period ${JANUARY} is closed`);
+
+    // Today is outside every closed period
+    expect((await expend(2)).status).toBe(201);
+    expect((await Asset.findById(fixtures.asset._id)).available).toBe(8);
+  });
+
+  it('is limited to admins', async () => {
+    const january = await createPeriod(JANUARY);
+
+    const res = await api('put', `/api/periods/${january._id}/close`, fixtures.alphaCommander);
+
+    expect(res.status).toBe(401);
+    expect((await AccountingPeriod.findById(january._id)).status).toBe('Open');
+  });
+});
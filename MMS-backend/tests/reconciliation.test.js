@@ -0,0 +1,96 @@
+/**
+ * Reconciliation: counters that no longer match the transaction documents
+ * behind them are reported, and repaired through Adjustment entries in the
+ * stock ledger so the cached counters keep matching the ledger.
+ */
+
+const ActivityLog = require('../models/ActivityLog');
+const Asset = require('../models/Asset');
+const Expenditure = require('../models/Expenditure');
+const StockMovement = require('../models/StockMovement');
+const { verifyAssetBalances } = require('../utils/stockLedger');
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createFixtures,
+  api
+} = require('./setup');
+
+let fixtures;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  fixtures = await createFixtures({ stock: 10 });
+
+  // Record an expenditure, then remove its document behind the app's back,
+  // leaving the counters and the ledger with 3 expended that nothing backs
+  const expended = await api('post', '/api/expenditures', fixtures.admin, {
+    asset: fixtures.asset._id,
+    base: 'Alpha Base',
+    quantity: 3,
+    reason: 'Training',
+    personnel: fixtures.personnel._id
+  });
+  expect(expended.status).toBe(201);
+  await Expenditure.deleteOne({ _id: expended.body._id });
+});
+
+describe('reconciliation report', () => {
+  it('reports the drifted counter without changing it', async () => {
+    const res = await api('get', '/api/reconciliation', fixtures.admin);
+
+    expect(res.status).toBe(200);
+    expect(res.body.inconsistentAssets).toBe(1);
+    expect(res.body.assets[0].discrepancies).toEqual([
+      { field: 'expended', expected: 0, actual: 3, difference: -3 }
+    ]);
+
+    expect((await Asset.findById(fixtures.asset._id)).expended).toBe(3);
+  });
+});
+
+describe('reconciliation repair', () => {
+  it('repairs the drift through ledger adjustments', async () => {
+    const res = await api('post', '/api/reconciliation/repair', fixtures.admin, {});
+
+    expect(res.status).toBe(200);
+    expect(res.body.repaired).toBe(1);
+
+    const asset = await Asset.findById(fixtures.asset._id);
+    expect(asset.expended).toBe(0);
+    expect(asset.closingBalance).toBe(10);
+    expect(asset.available).toBe(10);
+
+    const adjustments = await StockMovement.find({ asset: asset._id, type: 'Adjustment' });
+    expect(adjustments).toHaveLength(1);
+    expect(adjustments[0].field).toBe('expended');
+    expect(adjustments[0].quantity).toBe(-3);
+
+    // The counters still agree with the ledger, and the repair is logged
+    expect((await verifyAssetBalances(asset)).consistent).toBe(true);
+    expect(await ActivityLog.countDocuments({ resourceType: 'Asset', resourceId: asset._id, 'details.reconciliation': true })).toBe(1);
+
+    const after = await api('get', '/api/reconciliation', fixtures.admin);
+    expect(after.body.inconsistentAssets).toBe(0);
+  });
+
+  it('leaves assets outside the filters alone', async () => {
+    const res = await api('post', '/api/reconciliation/repair', fixtures.admin, { base: 'Bravo Base' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.repaired).toBe(0);
+    expect((await Asset.findById(fixtures.asset._id)).expended).toBe(3);
+    expect(await StockMovement.countDocuments({ type: 'Adjustment' })).toBe(0);
+  });
+
+  it('is limited to admins', async () => {
+    const res = await api('post', '/api/reconciliation/repair', fixtures.alphaCommander, {});
+
+    expect(res.status).toBe(401);
+    expect(await StockMovement.countDocuments({ type: 'Adjustment' })).toBe(0);
+  });
+});
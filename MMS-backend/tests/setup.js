@@ -0,0 +1,177 @@
+/**
+ * Test Setup
+ *
+ * Starts a single-node in-memory replica set, so routes run their
+ * transactions as they do in production, and creates the records the tests
+ * work with: two bases, an asset type, a user for each role, a person, a
+ * supplier and an asset with stock at the first base.
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const logger = require('../utils/logger');
+const app = require('../app');
+const Asset = require('../models/Asset');
+const AssetType = require('../models/AssetType');
+const Base = require('../models/Base');
+const Personnel = require('../models/Personnel');
+const Supplier = require('../models/Supplier');
+const User = require('../models/User');
+const { recordMovement } = require('../utils/stockLedger');
+
+// Keep request and error logs out of the log files
+logger.silent = true;
+
+let replSet;
+
+/**
+ * Start the replica set and connect to it
+ */
+const startDatabase = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections cannot always be created inside a transaction, so create
+  // them and their indexes up front
+  for (const model of Object.values(mongoose.models)) {
+    await model.init();
+  }
+};
+
+/**
+ * Disconnect and stop the replica set
+ */
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+};
+
+/**
+ * Empty every collection, keeping the collections and their indexes
+ */
+const clearDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Create a user and sign them in
+ * @returns {Promise<Object>} { user, token }
+ */
+const createUser = async (username, role, assignedBase) => {
+  const user = await new User({
+    username,
+    password: 'password123',
+    email: `${username}@example.com`,
+    fullName: username,
+    role,
+    assignedBase
+  }).save();
+
+  return { user, token: await user.generateAuthToken() };
+};
+
+/**
+ * Create the records the tests work with
+ * @param {Object} [options]
+ * @param {Number} [options.stock] - Quantity in stock at Alpha Base
+ * @returns {Promise<Object>} { asset, personnel, supplier, admin, logistics, alphaCommander, bravoCommander }
+ */
+const createFixtures = async ({ stock = 10 } = {}) => {
+  await Base.create([
+    { code: 'ALPHA', name: 'Alpha Base' },
+    { code: 'BRAVO', name: 'Bravo Base' }
+  ]);
+  await AssetType.create({ code: 'AMMUNITION', name: 'Ammunition' });
+
+  const fixtures = {
+    admin: await createUser('admin', 'Admin'),
+    logistics: await createUser('logistics', 'LogisticsOfficer', 'Alpha Base'),
+    alphaCommander: await createUser('alpha.commander', 'BaseCommander', 'Alpha Base'),
+    bravoCommander: await createUser('bravo.commander', 'BaseCommander', 'Bravo Base'),
+    personnel: await Personnel.create({ serviceNumber: 'S-0001', name: 'J. Smith', rank: 'Sergeant', base: 'Alpha Base' }),
+    supplier: await Supplier.create({ code: 'ACME', name: 'Acme Munitions' })
+  };
+
+  fixtures.asset = await recordMovement(new Asset({ name: '5.56mm Rounds', type: 'Ammunition', base: 'Alpha Base' }), {
+    type: 'Opening',
+    field: 'openingBalance',
+    quantity: stock,
+    sourceType: 'Asset',
+    user: fixtures.admin.user
+  });
+
+  return fixtures;
+};
+
+/**
+ * Send an API request as a user
+ * @param {String} method - 'get', 'post', 'put' or 'delete'
+ * @param {String} url - Path under the app, e.g. /api/transfers
+ * @param {Object} as - { token } of the user sending it
+ * @param {Object} [body]
+ * @returns {Promise<Response>}
+ */
+const api = (method, url, as, body) => {
+  const req = request(app)[method](url).set('Authorization', `Bearer ${as.token}`);
+  return body ? req.send(body) : req;
+};
+
+/**
+ * Request a transfer of the fixture asset to Bravo Base and approve it
+ * @returns {Promise<Object>} The approved transfer
+ */
+const createApprovedTransfer = async (fixtures, quantity) => {
+  const created = await api('post', '/api/transfers', fixtures.logistics, {
+    asset: fixtures.asset._id,
+    fromBase: 'Alpha Base',
+    toBase: 'Bravo Base',
+    quantity
+  });
+  expect(created.status).toBe(201);
+
+  const approved = await api('put', `/api/transfers/${created.body._id}/approve`, fixtures.bravoCommander);
+  expect(approved.status).toBe(200);
+  expect(approved.body.status).toBe('Approved');
+
+  return approved.body;
+};
+
+/**
+ * Request, approve and order a purchase for Alpha Base
+ * @returns {Promise<Object>} The ordered purchase
+ */
+const createOrderedPurchase = async (fixtures, { assetName = 'Field Rations', quantity = 5 } = {}) => {
+  const created = await api('post', '/api/purchases', fixtures.logistics, {
+    assetName,
+    assetType: 'Ammunition',
+    base: 'Alpha Base',
+    quantity,
+    unitCost: 10,
+    supplier: fixtures.supplier._id
+  });
+  expect(created.status).toBe(201);
+
+  const approved = await api('put', `/api/purchases/${created.body._id}/approve`, fixtures.alphaCommander);
+  expect(approved.status).toBe(200);
+
+  const ordered = await api('put', `/api/purchases/${created.body._id}/order`, fixtures.logistics);
+  expect(ordered.status).toBe(200);
+  expect(ordered.body.status).toBe('Ordered');
+
+  return ordered.body;
+};
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createFixtures,
+  api,
+  createApprovedTransfer,
+  createOrderedPurchase
+};
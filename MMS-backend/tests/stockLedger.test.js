@@ -0,0 +1,115 @@
+/**
+ * Concurrent stock movements: transfers, assignments and expenditures
+ * competing for the same stock must never take more than is available.
+ */
+
+const Asset = require('../models/Asset');
+const StockMovement = require('../models/StockMovement');
+const { verifyAssetBalances } = require('../utils/stockLedger');
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createFixtures,
+  api,
+  createApprovedTransfer
+} = require('./setup');
+
+const STOCK = 10;
+const QUANTITY = 3;
+const REQUESTS_PER_KIND = 4;
+
+let fixtures;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  fixtures = await createFixtures({ stock: STOCK });
+});
+
+describe('recordMovement under concurrent requests', () => {
+  it('never takes the available quantity below zero', async () => {
+    // Transfers are requested and approved up front; stock only leaves on dispatch
+    const transfers = [];
+    for (let i = 0; i < REQUESTS_PER_KIND; i++) {
+      transfers.push(await createApprovedTransfer(fixtures, QUANTITY));
+    }
+
+    const body = {
+      asset: fixtures.asset._id,
+      base: 'Alpha Base',
+      quantity: QUANTITY,
+      personnel: fixtures.personnel._id
+    };
+    const expectedReturnDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+    // Twelve requests for three units each, against ten in stock
+    const responses = await Promise.all([
+      ...transfers.map(transfer => api('put', `/api/transfers/${transfer._id}/dispatch`, fixtures.logistics)),
+      ...Array.from({ length: REQUESTS_PER_KIND }, () =>
+        api('post', '/api/assignments', fixtures.admin, { ...body, purpose: 'Exercise', expectedReturnDate })),
+      ...Array.from({ length: REQUESTS_PER_KIND }, () =>
+        api('post', '/api/expenditures', fixtures.admin, { ...body, reason: 'Training' }))
+    ]);
+
+    const succeeded = responses.filter(res => res.status === 200 || res.status === 201);
+    const refused = responses.filter(res => res.status === 400);
+
+    // Every request either went through or was refused for lack of stock
+    expect(succeeded.length + refused.length).toBe(responses.length);
+    refused.forEach(res => expect(res.body.error).toBe('Insufficient quantity available'));
+
+    // Exactly as many as the stock covers went through
+    expect(succeeded).toHaveLength(Math.floor(STOCK / QUANTITY));
+
+    const asset = await Asset.findById(fixtures.asset._id);
+    expect(asset.available).toBeGreaterThanOrEqual(0);
+    expect(asset.available).toBe(STOCK - succeeded.length * QUANTITY);
+
+    // The cached counters still match the ledger, which only holds the
+    // movements of the requests that went through
+    expect((await verifyAssetBalances(asset)).consistent).toBe(true);
+    expect(await StockMovement.countDocuments({ asset: asset._id })).toBe(1 + succeeded.length);
+  });
+
+  it('refuses quantities that are not positive whole numbers', async () => {
+    const expectedReturnDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+    for (const quantity of [-3, 0, 1.5]) {
+      const responses = [
+        await api('post', '/api/transfers', fixtures.logistics, {
+          asset: fixtures.asset._id,
+          fromBase: 'Alpha Base',
+          toBase: 'Bravo Base',
+          quantity
+        }),
+        await api('post', '/api/assignments', fixtures.admin, {
+          asset: fixtures.asset._id,
+          base: 'Alpha Base',
+          quantity,
+          personnel: fixtures.personnel._id,
+          purpose: 'Exercise',
+          expectedReturnDate
+        }),
+        await api('post', '/api/expenditures', fixtures.admin, {
+          asset: fixtures.asset._id,
+          base: 'Alpha Base',
+          quantity,
+          personnel: fixtures.personnel._id,
+          reason: 'Training'
+        })
+      ];
+
+      responses.forEach(res => {
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid quantity');
+      });
+    }
+
+    const asset = await Asset.findById(fixtures.asset._id);
+    expect(asset.available).toBe(STOCK);
+    expect(await StockMovement.countDocuments({ asset: asset._id })).toBe(1);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Rollback of multi-document workflows: a failure on the last write of a
+ * dispatch, receipt, delivery or expenditure must leave no trace of the
+ * writes made before it.
+ */
+
+const Asset = require('../models/Asset');
+const Expenditure = require('../models/Expenditure');
+const Purchase = require('../models/Purchase');
+const StockMovement = require('../models/StockMovement');
+const Transfer = require('../models/Transfer');
+const {
+  startDatabase,
+  stopDatabase,
+  clearDatabase,
+  createFixtures,
+  api,
+  createApprovedTransfer,
+  createOrderedPurchase
+} = require('./setup');
+
+// Fail the next save of a model's documents
+const failNextSave = (Model) =>
+  jest.spyOn(Model.prototype, 'save').mockRejectedValueOnce(new Error('Simulated failure'));
+
+let fixtures;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+  await clearDatabase();
+  fixtures = await createFixtures({ stock: 10 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transfer dispatch', () => {
+  it('rolls back the transfer and the outgoing movement', async () => {
+    const transfer = await createApprovedTransfer(fixtures, 4);
+
+    // The movement is saved after the transfer and the source asset's counters
+    failNextSave(StockMovement);
+    const res = await api('put', `/api/transfers/${transfer._id}/dispatch`, fixtures.logistics);
+
+    expect(res.status).toBe(500);
+    expect((await Transfer.findById(transfer._id)).status).toBe('Approved');
+
+    const asset = await Asset.findById(fixtures.asset._id);
+    expect(asset.transferOut).toBe(0);
+    expect(asset.available).toBe(10);
+    expect(await StockMovement.countDocuments({ type: 'TransferOut' })).toBe(0);
+  });
+});
+
+describe('transfer receipt', () => {
+  it('rolls back the receipt, the destination asset and the incoming movement', async () => {
+    const transfer = await createApprovedTransfer(fixtures, 4);
+    const dispatched = await api('put', `/api/transfers/${transfer._id}/dispatch`, fixtures.logistics);
+    expect(dispatched.status).toBe(200);
+
+    // The movement is saved after the transfer and the new destination asset
+    failNextSave(StockMovement);
+    const res = await api('put', `/api/transfers/${transfer._id}/receive`, fixtures.bravoCommander, {});
+
+    expect(res.status).toBe(500);
+
+    const unchanged = await Transfer.findById(transfer._id);
+    expect(unchanged.status).toBe('Dispatched');
+    expect(unchanged.receivedBy).toBeUndefined();
+
+    expect(await Asset.countDocuments({ base: 'Bravo Base' })).toBe(0);
+    expect(await StockMovement.countDocuments({ type: 'TransferIn' })).toBe(0);
+    expect((await Asset.findById(fixtures.asset._id)).transferOut).toBe(4);
+  });
+});
+
+describe('purchase delivery', () => {
+  it('rolls back the new asset and the purchase movement', async () => {
+    const purchase = await createOrderedPurchase(fixtures, { assetName: 'Field Rations', quantity: 5 });
+
+    // The purchase is saved last, after the asset and the ledger entry
+    failNextSave(Purchase);
+    const res = await api('put', `/api/purchases/${purchase._id}/deliver`, fixtures.logistics, { quantity: 3 });
+
+    expect(res.status).toBe(500);
+
+    const unchanged = await Purchase.findById(purchase._id);
+    expect(unchanged.status).toBe('Ordered');
+    expect(unchanged.deliveries).toHaveLength(0);
+
+    expect(await Asset.countDocuments({ name: 'Field Rations' })).toBe(0);
+    expect(await StockMovement.countDocuments({ type: 'Purchase' })).toBe(0);
+  });
+});
+
+describe('expenditure', () => {
+  it('rolls back the expenditure and the asset counters', async () => {
+    // The movement is saved after the expenditure and the asset's counters
+    failNextSave(StockMovement);
+    const res = await api('post', '/api/expenditures', fixtures.admin, {
+      asset: fixtures.asset._id,
+      base: 'Alpha Base',
+      quantity: 2,
+      reason: 'Training',
+      personnel: fixtures.personnel._id
+    });
+
+    expect(res.status).toBe(500);
+    expect(await Expenditure.countDocuments()).toBe(0);
+
+    const asset = await Asset.findById(fixtures.asset._id);
+    expect(asset.expended).toBe(0);
+    expect(asset.available).toBe(10);
+    expect(await StockMovement.countDocuments({ type: 'Expenditure' })).toBe(0);
+  });
+});
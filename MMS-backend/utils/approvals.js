@@ -0,0 +1,289 @@
+/**
+ * Approval workflows
+ *
+ * Requests such as transfers go through a chain of approval steps defined by
+ * an ApprovalWorkflow. The workflow is chosen when the request is made, its
+ * steps are copied onto an ApprovalRequest with the approving base resolved,
+ * and each decision is recorded on that request. Once every step approves,
+ * the underlying resource becomes Approved; any rejection rejects it.
+ */
+
+const mongoose = require('mongoose');
+const ApprovalWorkflow = require('../models/ApprovalWorkflow');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const { requestError } = require('./transaction');
+const { checkBudget } = require('./budgets');
+
+// Chains used when no workflow matches a request
+const DEFAULT_STEPS = {
+  Transfer: [
+    { name: 'Destination base commander', approverRole: 'BaseCommander', baseScope: 'Destination' }
+  ],
+  Purchase: [
+    { name: 'Base commander', approverRole: 'BaseCommander', baseScope: 'Base' }
+  ]
+};
+
+// Checks a resource must pass before its final approval
+const APPROVAL_CHECKS = {
+  Purchase: checkBudget
+};
+
+/**
+ * Number of conditions a workflow sets, so that the most specific of several
+ * equally prioritised workflows wins
+ */
+const specificity = (workflow) =>
+  ['base', 'assetType', 'quantityOver', 'costOver'].filter(key => workflow[key] != null).length;
+
+/**
+ * Check whether a workflow's conditions match a request
+ * @param {Document} workflow - Approval workflow
+ * @param {Object} context - { base, fromBase, toBase, assetType, quantity, cost }
+ */
+const matchesWorkflow = (workflow, context) => {
+  const bases = [context.base, context.fromBase, context.toBase].filter(Boolean);
+
+  if (workflow.base && !bases.includes(workflow.base)) return false;
+  if (workflow.assetType && workflow.assetType !== context.assetType) return false;
+  if (workflow.quantityOver != null && !(context.quantity > workflow.quantityOver)) return false;
+  if (workflow.costOver != null && !(context.cost > workflow.costOver)) return false;
+
+  return true;
+};
+
+/**
+ * Find the active workflow for a request: the matching workflow with the
+ * highest priority, then the most conditions
+ * @param {String} actionType - e.g. 'Transfer'
+ * @param {Object} context - Request details, see matchesWorkflow
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Document|null>} The workflow, or null to use the default chain
+ */
+const findWorkflow = async (actionType, context, session) => {
+  const workflows = await ApprovalWorkflow.find({ actionType, active: true }).session(session || null);
+
+  const matching = workflows
+    .filter(workflow => matchesWorkflow(workflow, context))
+    .sort((a, b) => (b.priority - a.priority) || (specificity(b) - specificity(a)));
+
+  return matching[0] || null;
+};
+
+/**
+ * Resolve the base an approver must belong to for a step
+ */
+const resolveStepBase = (baseScope, context) => {
+  switch (baseScope) {
+    case 'Source':
+      return context.fromBase;
+    case 'Destination':
+      return context.toBase;
+    case 'Base':
+      return context.base || context.fromBase;
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Point the request's queue fields at its current step
+ */
+const setPending = (request) => {
+  const step = request.steps[request.currentStep];
+  request.pendingRole = step ? step.approverRole : undefined;
+  request.pendingBase = step ? step.base : undefined;
+};
+
+/**
+ * Start the approval chain for a new request
+ * @param {Object} options
+ * @param {String} options.actionType - Workflow action type
+ * @param {Document} options.resource - The transfer (etc.) awaiting approval
+ * @param {Object} options.context - { base, fromBase, toBase, assetName, assetType, quantity, cost }
+ * @param {Object} options.user - User making the request
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Document>} The saved approval request
+ */
+const startApproval = async ({ actionType, resource, context, user }, session) => {
+  const workflow = await findWorkflow(actionType, context, session);
+  const steps = workflow ? workflow.steps : DEFAULT_STEPS[actionType];
+
+  const request = new ApprovalRequest({
+    actionType,
+    resourceType: resource.constructor.modelName,
+    resourceId: resource._id,
+    workflow: workflow ? workflow._id : undefined,
+    workflowName: workflow ? workflow.name : 'Default',
+    summary: {
+      assetName: context.assetName,
+      assetType: context.assetType,
+      quantity: context.quantity,
+      cost: context.cost,
+      fromBase: context.fromBase,
+      toBase: context.toBase,
+      base: context.base
+    },
+    steps: steps.map(step => ({
+      name: step.name,
+      approverRole: step.approverRole,
+      base: resolveStepBase(step.baseScope, context)
+    })),
+    requestedBy: user._id
+  });
+
+  setPending(request);
+  await request.save({ session });
+
+  return request;
+};
+
+/**
+ * Check whether a user made a request
+ */
+const isRequester = (request, user) =>
+  !!request.requestedBy && request.requestedBy.equals(user._id);
+
+/**
+ * Check whether a user may decide the current step of a request. Admins can
+ * decide any step; others need the step's role and base. Nobody decides
+ * their own request or more than one step of the same request.
+ * @returns {Boolean}
+ */
+const canDecide = (request, user) => {
+  if (request.status !== 'Pending') return false;
+
+  const step = request.steps[request.currentStep];
+  if (!step) return false;
+
+  if (isRequester(request, user)) return false;
+
+  const alreadyDecided = request.steps.some(s => s.decidedBy && s.decidedBy.equals(user._id));
+  if (alreadyDecided) return false;
+
+  if (user.role === 'Admin') return true;
+
+  return step.approverRole === user.role && (!step.base || step.base === user.assignedBase);
+};
+
+/**
+ * Approve or reject the current step of a request. The final approval marks
+ * the resource Approved; a rejection marks it Rejected with the reason.
+ * @param {Document} request - Pending approval request (loaded in `session`)
+ * @param {Object} user - User deciding
+ * @param {String} decision - 'approve' or 'reject'
+ * @param {String} [comments] - Comments; required when rejecting
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Document>} The updated resource
+ * @throws {Error} With a status if the user may not decide or the request is closed
+ */
+const decide = async (request, user, decision, comments, session) => {
+  if (request.status !== 'Pending') {
+    throw requestError(400, `Approval request is already ${request.status}`);
+  }
+
+  if (isRequester(request, user)) {
+    throw requestError(403, 'Requesters cannot decide their own request');
+  }
+
+  if (!canDecide(request, user)) {
+    throw requestError(403, 'Not authorized to decide this approval step', {
+      step: request.steps[request.currentStep].name
+    });
+  }
+
+  if (decision === 'reject' && !comments) {
+    throw requestError(400, 'A reason is required to reject a request');
+  }
+
+  const resource = await mongoose.model(request.resourceType)
+    .findById(request.resourceId)
+    .session(session || null);
+
+  if (!resource) {
+    throw requestError(404, `${request.resourceType} not found`);
+  }
+
+  const now = new Date();
+  const step = request.steps[request.currentStep];
+  step.status = decision === 'reject' ? 'Rejected' : 'Approved';
+  step.decidedBy = user._id;
+  step.decidedAt = now;
+  step.comments = comments;
+
+  if (decision === 'reject') {
+    request.status = 'Rejected';
+    request.rejectionReason = comments;
+    request.completedAt = now;
+
+    resource.status = 'Rejected';
+    resource.rejectedBy = user._id;
+    resource.rejectedAt = now;
+    resource.rejectionReason = comments;
+  } else if (request.currentStep + 1 < request.steps.length) {
+    request.currentStep += 1;
+  } else {
+    const check = APPROVAL_CHECKS[request.resourceType];
+    if (check) await check(resource, session);
+    
+    request.status = 'Approved';
+    request.completedAt = now;
+
+    resource.status = 'Approved';
+    resource.approvedBy = user._id;
+    resource.approvedAt = now;
+  }
+
+  setPending(request);
+  await request.save({ session });
+  await resource.save({ session });
+
+  return resource;
+};
+
+/**
+ * Cancel the pending approval request of a resource, if any
+ * @param {Document} resource - The cancelled transfer (etc.)
+ * @param {ClientSession} [session] - Transaction session
+ */
+const cancelApproval = async (resource, session) => {
+  await ApprovalRequest.updateMany(
+    { resourceType: resource.constructor.modelName, resourceId: resource._id, status: 'Pending' },
+    { $set: { status: 'Cancelled', completedAt: new Date() }, $unset: { pendingRole: '', pendingBase: '' } },
+    { session }
+  );
+};
+
+/**
+ * Build the query for the requests a user can decide now
+ * @param {Object} user - Current user
+ */
+const pendingQueueMatch = (user) => {
+  const match = {
+    status: 'Pending',
+    requestedBy: { $ne: user._id },
+    'steps.decidedBy': { $ne: user._id }
+  };
+
+  // Admins can decide every step
+  if (user.role !== 'Admin') {
+    match.pendingRole = user.role;
+    match.$or = [
+      { pendingBase: { $exists: false } },
+      { pendingBase: null },
+      { pendingBase: user.assignedBase }
+    ];
+  }
+
+  return match;
+};
+
+module.exports = {
+  DEFAULT_STEPS,
+  findWorkflow,
+  startApproval,
+  canDecide,
+  decide,
+  cancelApproval,
+  pendingQueueMatch
+};
@@ -0,0 +1,165 @@
+/**
+ * Assignment issue and return
+ *
+ * The stock and custody changes of issuing assets to a person and of taking
+ * them back, shared by the single and bulk assignment routes. Callers check
+ * availability, personnel and the accounting period first, and run these
+ * inside a transaction.
+ */
+
+const Assignment = require('../models/Assignment');
+const { recordMovement } = require('./stockLedger');
+const { normalizeSerials, serialsFor, findItems, updateItems } = require('./serializedItems');
+const { assigneeOf } = require('./personnel');
+const { isOverdue } = require('./overdueAssignments');
+const { nextReceiptNumber } = require('./handReceipts');
+const { requestError } = require('./transaction');
+
+/**
+ * Issue assets to a person as a new assignment
+ * @param {Document} asset - Asset issued from, with enough available
+ * @param {Document} person - Serving personnel of the asset's base
+ * @param {Object} fields - Assignment fields: quantity, serialNumbers,
+ *   purpose, startDate, expectedReturnDate, notes, and the receiptNumber of
+ *   a bulk issue; a single issue takes a new receipt number
+ * @param {Object} context - { user, session }
+ * @returns {Promise<Document>} The new assignment
+ */
+const issueAssets = async (asset, person, fields, { user, session }) => {
+  const quantity = Number(fields.quantity);
+
+  // Serialized assets issue named items from available stock
+  const serials = serialsFor(asset, fields.serialNumbers, quantity);
+  const items = serials ? await findItems(asset, serials, { status: 'Available' }, session) : [];
+
+  const assignment = new Assignment({
+    purpose: fields.purpose,
+    startDate: fields.startDate,
+    expectedReturnDate: fields.expectedReturnDate,
+    notes: fields.notes,
+    asset: asset._id,
+    base: asset.base,
+    quantity,
+    personnel: person._id,
+    assignedTo: assigneeOf(person),
+    serialNumbers: serials,
+    returnedSerialNumbers: [],
+    assetName: asset.name,
+    assetType: asset.type,
+    assignedBy: user._id,
+    status: 'Active'
+  });
+
+  assignment.receiptNumber = fields.receiptNumber
+    || await nextReceiptNumber(asset.base, assignment.startDate, session);
+
+  // Backdated assignments may already be overdue
+  assignment.overdue = isOverdue(assignment);
+
+  await assignment.save({ session });
+
+  // Record the issue in the stock ledger
+  await recordMovement(asset, {
+    type: 'Assignment',
+    field: 'assigned',
+    quantity,
+    sourceType: 'Assignment',
+    sourceId: assignment._id,
+    user,
+    date: assignment.startDate
+  }, { session });
+
+  await updateItems(items, {
+    status: 'Assigned',
+    holder: assignment.assignedTo,
+    assignment: assignment._id
+  }, {
+    event: 'Assigned',
+    sourceType: 'Assignment',
+    sourceId: assignment._id,
+    user,
+    date: assignment.startDate,
+    notes: assignment.purpose
+  }, session);
+
+  return assignment;
+};
+
+/**
+ * Take assets back from an active assignment, closing it once everything
+ * issued is back
+ * @param {Document} assignment - Active assignment
+ * @param {Document} [asset] - Asset the assignment was issued from
+ * @param {Object} options - { returnedQuantity, serialNumbers, notes };
+ *   returns of serialized assets name the items handed back
+ * @param {Object} context - { user, session }
+ * @returns {Promise<Document>} The updated assignment
+ * @throws {Error} With status 400 if the quantity is not a positive whole
+ *   number or more is returned than is still out
+ */
+const returnAssets = async (assignment, asset, { returnedQuantity, serialNumbers, notes }, { user, session }) => {
+  // Check if returned quantity is valid
+  const remainingQuantity = assignment.quantity - assignment.returnedQuantity;
+  if (!Number.isInteger(returnedQuantity) || returnedQuantity <= 0 || returnedQuantity > remainingQuantity) {
+    throw requestError(400, 'Invalid returned quantity', {
+      assignment: assignment._id,
+      remaining: remainingQuantity,
+      requested: returnedQuantity
+    });
+  }
+
+  // Returned items must be ones still out on this assignment
+  let items = [];
+  if (assignment.serialNumbers.length) {
+    const serials = normalizeSerials(serialNumbers || [], returnedQuantity);
+    items = await findItems({ _id: assignment.asset }, serials, { status: 'Assigned', assignment: assignment._id }, session);
+    assignment.returnedSerialNumbers.push(...serials);
+  } else if (Array.isArray(serialNumbers) && serialNumbers.length) {
+    throw requestError(400, 'Asset is not serialized');
+  }
+
+  assignment.returnedQuantity += returnedQuantity;
+
+  // If all items are returned, mark as returned
+  if (assignment.returnedQuantity >= assignment.quantity) {
+    assignment.status = 'Returned';
+    assignment.endDate = new Date();
+    assignment.overdue = false;
+  }
+
+  if (notes) {
+    assignment.notes = assignment.notes
+      ? `${assignment.notes}\n${new Date().toISOString()}: ${notes}`
+      : `${new Date().toISOString()}: ${notes}`;
+  }
+
+  await assignment.save({ session });
+
+  // Update asset assigned quantity
+  if (asset) {
+    await recordMovement(asset, {
+      type: 'Return',
+      field: 'assigned',
+      quantity: -returnedQuantity,
+      sourceType: 'Assignment',
+      sourceId: assignment._id,
+      reason: notes,
+      user
+    }, { session });
+  }
+
+  await updateItems(items, { status: 'Available', holder: undefined, assignment: undefined }, {
+    event: 'Returned',
+    sourceType: 'Assignment',
+    sourceId: assignment._id,
+    user,
+    notes
+  }, session);
+
+  return assignment;
+};
+
+module.exports = {
+  issueAssets,
+  returnAssets
+};
@@ -0,0 +1,198 @@
+/**
+ * Budgets
+ *
+ * Purchases are charged against the budgets of their base for the fiscal year
+ * of the purchase date: the base-wide budget and the budget for their asset
+ * type, where these exist. A purchase commits its total cost once approved;
+ * of that, the cost of ordered purchases is its committed spend and the
+ * value of the deliveries received so far its actual spend.
+ *
+ * Budgets either reject purchases that would exceed them or only flag them
+ * as over budget, depending on their enforcement.
+ */
+
+const Budget = require('../models/Budget');
+const Purchase = require('../models/Purchase');
+const { requestError } = require('./transaction');
+
+// Purchase statuses whose cost counts against a budget
+const COMMITTED_STATUSES = ['Approved', 'Ordered', 'Partially Delivered', 'Delivered'];
+
+// Purchase statuses whose order has been placed with the supplier
+const ORDERED_STATUSES = ['Ordered', 'Partially Delivered', 'Delivered'];
+
+/**
+ * Fiscal year of a date (fiscal years follow the calendar year)
+ * @param {Date|String} [date] - Defaults to now
+ * @returns {Number}
+ */
+const getFiscalYear = (date) => new Date(date || Date.now()).getUTCFullYear();
+
+/**
+ * Date range of a fiscal year
+ * @param {Number} fiscalYear
+ * @returns {{ start: Date, end: Date }}
+ */
+const fiscalYearRange = (fiscalYear) => ({
+  start: new Date(Date.UTC(fiscalYear, 0, 1)),
+  end: new Date(Date.UTC(fiscalYear + 1, 0, 1) - 1)
+});
+
+/**
+ * Spending against a budget, from the purchases it covers
+ * @param {Document} budget - Budget
+ * @param {Object} [options]
+ * @param {ObjectId} [options.exclude] - Purchase to leave out
+ * @param {ClientSession} [options.session] - Transaction session
+ * @returns {Promise<Object>} { requested, approved, committed, actual }:
+ *   the cost of purchases awaiting approval, of approved purchases (which
+ *   the remaining budget is counted from), of ordered purchases, and the
+ *   value delivered
+ */
+const getSpend = async (budget, { exclude, session } = {}) => {
+  const { start, end } = fiscalYearRange(budget.fiscalYear);
+  const match = {
+    base: budget.base,
+    status: { $in: ['Requested', ...COMMITTED_STATUSES] },
+    purchaseDate: { $gte: start, $lte: end }
+  };
+
+  if (budget.assetType) match.assetType = budget.assetType;
+  if (exclude) match._id = { $ne: exclude };
+
+  const costIn = (statuses, cost = '$totalCost') => ({
+    $sum: { $cond: [{ $in: ['$status', statuses] }, cost, 0] }
+  });
+
+  const [result] = await Purchase.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        requested: costIn(['Requested']),
+        approved: costIn(COMMITTED_STATUSES),
+        committed: costIn(ORDERED_STATUSES),
+        actual: costIn(ORDERED_STATUSES, { $multiply: [{ $ifNull: ['$deliveredQuantity', 0] }, '$unitCost'] })
+      }
+    }
+  ]).session(session || null);
+
+  return {
+    requested: result ? result.requested : 0,
+    approved: result ? result.approved : 0,
+    committed: result ? result.committed : 0,
+    actual: result ? result.actual : 0
+  };
+};
+
+/**
+ * Total cost of approved purchases counted against a budget
+ * @param {Document} budget - Budget
+ * @param {Object} [options] - See getSpend
+ * @returns {Promise<Number>}
+ */
+const getApproved = async (budget, options) => (await getSpend(budget, options)).approved;
+
+/**
+ * A budget with its spending, remaining amount and utilisation (the share
+ * of the budget approved purchases take up)
+ * @param {Document} budget - Budget
+ * @returns {Promise<Object>}
+ */
+const summarizeBudget = async (budget) => {
+  const spend = await getSpend(budget);
+
+  return {
+    ...budget.toObject(),
+    ...spend,
+    remaining: budget.amount - spend.approved,
+    utilisation: budget.amount ? Math.round(spend.approved / budget.amount * 100) / 100 : null
+  };
+};
+
+/**
+ * Utilisation of a fiscal year's budgets, most used first
+ * @param {Object} [filters]
+ * @param {String} [filters.base] - Only budgets of this base
+ * @param {String} [filters.assetType] - Only budgets covering this asset type,
+ *   including base-wide budgets
+ * @param {Number} [filters.fiscalYear] - Defaults to the current fiscal year
+ * @returns {Promise<Object>} { fiscalYear, budgets, overBudget }
+ */
+const getUtilisation = async ({ base, assetType, fiscalYear = getFiscalYear() } = {}) => {
+  const match = { fiscalYear };
+
+  if (base) match.base = base;
+  if (assetType) match.$or = [{ assetType }, { assetType: null }];
+
+  const budgets = await Promise.all((await Budget.find(match)).map(summarizeBudget));
+  budgets.sort((a, b) => (b.utilisation || 0) - (a.utilisation || 0));
+
+  return {
+    fiscalYear,
+    budgets,
+    overBudget: budgets.filter(budget => budget.remaining < 0).length
+  };
+};
+
+/**
+ * Check a purchase against the remaining budgets that cover it. Bases
+ * without a budget for the year are not limited. Purchases exceeding only
+ * budgets that flag are marked over budget; `purchase` is not saved.
+ * @param {Document} purchase - Purchase being requested or approved
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Array>} The budgets the purchase exceeds
+ * @throws {Error} With status 400 if the purchase would exceed a budget that rejects
+ */
+const checkBudget = async (purchase, session) => {
+  const fiscalYear = getFiscalYear(purchase.purchaseDate);
+  const budgets = await Budget.find({
+    base: purchase.base,
+    fiscalYear,
+    $or: [{ assetType: purchase.assetType }, { assetType: null }]
+  }).session(session || null);
+
+  const exceeded = [];
+
+  for (const budget of budgets) {
+    const approved = await getApproved(budget, { exclude: purchase._id, session });
+    const remaining = budget.amount - approved;
+
+    if (purchase.totalCost > remaining) {
+      const details = {
+        budget: {
+          _id: budget._id,
+          base: budget.base,
+          assetType: budget.assetType,
+          fiscalYear: budget.fiscalYear,
+          amount: budget.amount,
+          enforcement: budget.enforcement
+        },
+        approved,
+        remaining,
+        requested: purchase.totalCost
+      };
+
+      if (budget.enforcement === 'Reject') {
+        throw requestError(400, 'Purchase exceeds the remaining budget', details);
+      }
+      exceeded.push(details);
+    }
+  }
+
+  purchase.overBudget = exceeded.length > 0;
+
+  return exceeded;
+};
+
+module.exports = {
+  COMMITTED_STATUSES,
+  ORDERED_STATUSES,
+  getFiscalYear,
+  fiscalYearRange,
+  getSpend,
+  getApproved,
+  summarizeBudget,
+  getUtilisation,
+  checkBudget
+};
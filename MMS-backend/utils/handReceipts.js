@@ -0,0 +1,171 @@
+/**
+ * Hand Receipts
+ *
+ * Every issue of assets is covered by a numbered hand receipt: a single
+ * assignment gets its own, and all the assignments of a bulk issue share
+ * one. The number is stored on the assignments, and the receipt can be
+ * printed again at any time from their current state, so the signed paper
+ * copy kept by the unit matches the system.
+ */
+
+const PDFDocument = require('pdfkit');
+const Assignment = require('../models/Assignment');
+const Base = require('../models/Base');
+const Sequence = require('../models/Sequence');
+const { requestError } = require('./transaction');
+const { formatValue, drawTable, withNumericColumns } = require('./reportFormatter');
+
+// Line items of a receipt, one per assignment
+const RECEIPT_COLUMNS = [
+  { key: 'line', label: 'Line' },
+  { key: 'receivedBy', label: 'Received By' },
+  { key: 'serviceNumber', label: 'Service No.' },
+  { key: 'item', label: 'Item' },
+  { key: 'quantity', label: 'Qty' },
+  { key: 'returned', label: 'Returned' },
+  { key: 'serialNumbers', label: 'Serial Numbers' },
+  { key: 'status', label: 'Status' }
+];
+
+/**
+ * Take the next hand receipt number of a base, numbered per base and year,
+ * e.g. HR-ALPHA-2026-00042
+ * @param {string} base - Base name
+ * @param {Date} [date] - Date of issue
+ * @param {ClientSession} [session]
+ * @returns {Promise<string>}
+ */
+const nextReceiptNumber = async (base, date = new Date(), session) => {
+  const record = await Base.findOne({ name: base }).session(session || null);
+  const code = record ? record.code : base.toUpperCase().replace(/[^A-Z0-9]+/g, '-');
+  const year = new Date(date).getFullYear();
+
+  const value = await Sequence.next(`hand-receipt:${code}:${year}`, session);
+
+  return `HR-${code}-${year}-${String(value).padStart(5, '0')}`;
+};
+
+/**
+ * Get the assignments covered by an assignment's hand receipt. Assignments
+ * issued before receipts were numbered are given their number by
+ * scripts/migrate-hand-receipts.js.
+ * @param {Document} assignment
+ * @returns {Promise<Object>} { receiptNumber, assignments }
+ */
+const findReceipt = async (assignment) => {
+  const { receiptNumber } = assignment;
+
+  if (!receiptNumber) {
+    throw requestError(404, 'Assignment has no hand receipt number');
+  }
+
+  const assignments = await Assignment.find({ receiptNumber })
+    .sort({ 'assignedTo.name': 1, assetName: 1 })
+    .populate('assignedBy', 'username fullName');
+
+  return { receiptNumber, assignments };
+};
+
+/**
+ * Draw a labelled signature line
+ */
+const drawSignature = (doc, label, name) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  if (doc.y + 50 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const y = doc.y + 25;
+  doc.moveTo(left, y).lineTo(left + width * 0.55, y).lineWidth(0.5).strokeColor('#000000').stroke();
+  doc.moveTo(left + width * 0.65, y).lineTo(left + width, y).stroke();
+
+  doc.font('Helvetica').fontSize(8).fillColor('#000000');
+  doc.text(`${label}: ${name}`, left, y + 3, { width: width * 0.55 });
+  doc.text('Date', left + width * 0.65, y + 3, { width: width * 0.35 });
+
+  doc.x = left;
+  doc.y = y + 18;
+};
+
+/**
+ * Render a hand receipt as a PDF document streamed to the response
+ * @param {Object} receipt - { receiptNumber, assignments }
+ * @param {Object} user - User printing the receipt
+ * @param {Writable} stream
+ */
+const writeHandReceipt = ({ receiptNumber, assignments }, user, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  const [first] = assignments;
+  const issuedBy = first.assignedBy
+    ? `${first.assignedBy.fullName} (${first.assignedBy.username})`
+    : 'Unknown';
+
+  // Title block
+  doc.font('Helvetica-Bold').fontSize(18).text('Hand Receipt');
+  doc.font('Helvetica-Bold').fontSize(11).text(`Receipt No. ${receiptNumber}`);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Printed ${new Date().toUTCString()} by ${user.fullName || user.username}`);
+  doc.moveDown(0.5);
+
+  doc.fillColor('#000000').fontSize(10);
+  doc.text(`Base: ${first.base}`);
+  doc.text(`Issued: ${formatValue(first.startDate)} by ${issuedBy}`);
+  doc.text(`Due back: ${first.expectedReturnDate ? formatValue(first.expectedReturnDate) : 'Not set'}`);
+  doc.text(`Purpose: ${first.purpose}`);
+  doc.moveDown();
+
+  const rows = assignments.map((assignment, index) => ({
+    line: index + 1,
+    receivedBy: `${assignment.assignedTo.rank} ${assignment.assignedTo.name}`,
+    serviceNumber: assignment.assignedTo.id,
+    item: `${assignment.assetName} (${assignment.assetType})`,
+    quantity: assignment.quantity,
+    returned: assignment.returnedQuantity,
+    serialNumbers: assignment.serialNumbers.join(', '),
+    status: assignment.status
+  }));
+
+  drawTable(doc, withNumericColumns(RECEIPT_COLUMNS, rows), rows);
+
+  doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+    'The persons named below acknowledge receipt of the items listed against their names and accept ' +
+    'responsibility for them until they are returned or otherwise accounted for.'
+  );
+  doc.fillColor('#000000');
+  doc.moveDown();
+
+  // One signature line for the issuer and one for each recipient
+  drawSignature(doc, 'Issued by', issuedBy);
+
+  const recipients = new Map();
+  assignments.forEach(assignment => {
+    recipients.set(String(assignment.personnel), assignment.assignedTo);
+  });
+
+  recipients.forEach(recipient => {
+    drawSignature(doc, 'Received by', `${recipient.rank} ${recipient.name} (${recipient.id})`);
+  });
+
+  doc.end();
+};
+
+/**
+ * Send a hand receipt as a PDF download
+ */
+const sendHandReceipt = (res, receipt, user) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="hand-receipt-${receipt.receiptNumber}.pdf"`);
+
+  writeHandReceipt(receipt, user, res);
+};
+
+module.exports = {
+  nextReceiptNumber,
+  findReceipt,
+  writeHandReceipt,
+  sendHandReceipt
+};
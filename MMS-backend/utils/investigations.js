@@ -0,0 +1,191 @@
+/**
+ * Loss and Damage Investigations
+ *
+ * An assignment reported lost or damaged opens an investigation instead of
+ * writing its stock off straight away. The outstanding quantity stays in the
+ * asset's assigned counter while the case is open; closing it either writes
+ * the stock off as an Expenditure or restores it to the base's stock.
+ */
+
+const Asset = require('../models/Asset');
+const Assignment = require('../models/Assignment');
+const Expenditure = require('../models/Expenditure');
+const Investigation = require('../models/Investigation');
+const SerializedItem = require('../models/SerializedItem');
+const { recordMovement } = require('./stockLedger');
+const { drawLots } = require('./lots');
+const { updateItems } = require('./serializedItems');
+const { assertPeriodOpen } = require('./periods');
+const { requestError } = require('./transaction');
+
+/**
+ * Open an investigation into an assignment reported lost or damaged
+ * @param {Document} assignment - Assignment, already marked Lost or Damaged
+ * @param {Object} options - { notes, user }
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Document>} The new investigation
+ */
+const openInvestigation = async (assignment, { notes, user }, session) => {
+  const remaining = assignment.quantity - assignment.returnedQuantity;
+
+  const investigation = new Investigation({
+    assignment: assignment._id,
+    type: assignment.status,
+    asset: assignment.asset,
+    assetName: assignment.assetName,
+    assetType: assignment.assetType,
+    base: assignment.base,
+    quantity: remaining,
+    serialNumbers: assignment.serialNumbers.filter(serial => !assignment.returnedSerialNumbers.includes(serial)),
+    personnel: assignment.personnel,
+    assignedTo: assignment.assignedTo,
+    openedBy: user._id,
+    history: [{ event: 'Opened', user: user._id, notes }]
+  });
+
+  await investigation.save({ session });
+
+  return investigation;
+};
+
+/**
+ * Close an investigation, writing the stock off or restoring it
+ * @param {Document} investigation - Open investigation
+ * @param {Object} options - { outcome, notes, user }
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Document>} The closed investigation
+ * @throws {Error} With status 400 if the case is not ready to close
+ */
+const closeInvestigation = async (investigation, { outcome, notes, user }, session) => {
+  if (investigation.status === 'Closed') {
+    throw requestError(400, 'Investigation is already closed');
+  }
+  if (!Investigation.OUTCOMES.includes(outcome)) {
+    throw requestError(400, `Outcome must be one of: ${Investigation.OUTCOMES.join(', ')}`);
+  }
+  if (!investigation.findings) {
+    throw requestError(400, 'Findings must be recorded before the investigation is closed');
+  }
+  if (investigation.liability.decision === 'Pending') {
+    throw requestError(400, 'A liability decision must be made before the investigation is closed');
+  }
+
+  const closedAt = new Date();
+  await assertPeriodOpen(closedAt, session);
+
+  const assignment = await Assignment.findById(investigation.assignment).session(session);
+  const asset = await Asset.findById(investigation.asset).session(session);
+  const items = await SerializedItem.find({
+    assignment: investigation.assignment,
+    status: { $in: ['Assigned', 'Lost'] }
+  }).session(session);
+
+  if (outcome === 'WrittenOff') {
+    // Lot-tracked stock is written off from the lots next in the consumption
+    // order, expired or not
+    const lots = asset
+      ? await drawLots(asset, investigation.quantity, { includeExpired: true, session })
+      : [];
+
+    const expenditure = new Expenditure({
+      asset: investigation.asset,
+      assetName: investigation.assetName,
+      assetType: investigation.assetType,
+      base: investigation.base,
+      quantity: investigation.quantity,
+      serialNumbers: investigation.serialNumbers,
+      lots,
+      reason: investigation.type,
+      authorizedBy: user._id,
+      personnel: investigation.personnel,
+      expendedBy: investigation.assignedTo,
+      expenditureDate: closedAt,
+      notes: notes || `${investigation.type} on assignment, written off by investigation`,
+      investigation: investigation._id
+    });
+
+    await expenditure.save({ session });
+
+    if (asset) {
+      const movement = {
+        type: 'Loss',
+        sourceType: 'Expenditure',
+        sourceId: expenditure._id,
+        reason: investigation.type,
+        user,
+        date: closedAt
+      };
+
+      await recordMovement(asset, { ...movement, field: 'assigned', quantity: -investigation.quantity }, { session });
+      await recordMovement(asset, { ...movement, field: 'expended', quantity: investigation.quantity }, { session });
+    }
+
+    if (assignment) {
+      assignment.lots = lots;
+      await assignment.save({ session });
+    }
+
+    // Lost items stay lost; damaged ones are expended
+    await updateItems(items, investigation.type === 'Lost'
+      ? { status: 'Lost', holder: undefined, assignment: undefined }
+      : { status: 'Expended', holder: undefined, assignment: undefined }, {
+      event: 'Expended',
+      sourceType: 'Expenditure',
+      sourceId: expenditure._id,
+      user,
+      date: closedAt,
+      notes
+    }, session);
+
+    investigation.expenditure = expenditure._id;
+  } else {
+    // Restored stock goes back to the base, as if returned
+    if (asset) {
+      await recordMovement(asset, {
+        type: 'Return',
+        field: 'assigned',
+        quantity: -investigation.quantity,
+        sourceType: 'Assignment',
+        sourceId: investigation.assignment,
+        reason: 'Restored by investigation',
+        user,
+        date: closedAt
+      }, { session });
+    }
+
+    // The assignment is settled as returned, so it agrees with the ledger
+    if (assignment) {
+      assignment.returnedQuantity += investigation.quantity;
+      assignment.returnedSerialNumbers.push(...investigation.serialNumbers);
+      assignment.status = 'Returned';
+      assignment.endDate = assignment.endDate || closedAt;
+      assignment.overdue = false;
+      await assignment.save({ session });
+    }
+
+    await updateItems(items, { status: 'Available', holder: undefined, assignment: undefined }, {
+      event: 'Restored',
+      sourceType: 'Assignment',
+      sourceId: investigation.assignment,
+      user,
+      date: closedAt,
+      notes
+    }, session);
+  }
+
+  investigation.status = 'Closed';
+  investigation.outcome = outcome;
+  investigation.outcomeNotes = notes;
+  investigation.closedBy = user._id;
+  investigation.closedAt = closedAt;
+  investigation.history.push({ event: 'Closed', date: closedAt, user: user._id, notes: notes || outcome });
+
+  await investigation.save({ session });
+
+  return investigation;
+};
+
+module.exports = {
+  openInvestigation,
+  closeInvestigation
+};
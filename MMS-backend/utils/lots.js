@@ -0,0 +1,350 @@
+/**
+ * Lots
+ *
+ * Lot-tracked assets, such as ammunition and consumables, record their
+ * stock by lot with manufacture and expiry dates. Stock received into a base
+ * names the lots it arrives in; stock leaving a base is drawn from named
+ * lots, or from the base's lots in the configured consumption order: first
+ * expired, first out (FEFO) or first in, first out (FIFO). Each movement
+ * stores the lots it drew on so that it can be reversed.
+ *
+ * Stock held before an asset was lot-tracked has no lot. It is the part of
+ * the closing balance not covered by lots, and is drawn on once the asset's
+ * unexpired lots run out.
+ */
+
+const Lot = require('../models/Lot');
+const Settings = require('../models/Settings');
+const { requestError } = require('./transaction');
+
+// Parse an optional date from a request
+const parseDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw requestError(400, `Invalid ${label}`);
+  }
+  return date;
+};
+
+// Sum of the quantities of a list of lot records
+const totalOf = (records) => records.reduce((total, record) => total + record.quantity, 0);
+
+/**
+ * Validate the lots stock is received in
+ * @param {Array} lots - [{ lotNumber, quantity, manufactureDate, expiryDate }]
+ * @param {Object} [options] - { quantity } the lots must add up to, or
+ *   { max } they must not exceed
+ * @returns {Array} The normalized lot records
+ * @throws {Error} With status 400 if the lots are invalid
+ */
+const normalizeLots = (lots, { quantity, max } = {}) => {
+  if (!Array.isArray(lots)) {
+    throw requestError(400, 'Lots must be a list');
+  }
+
+  const records = lots.map(lot => {
+    const lotNumber = String((lot && lot.lotNumber) || '').trim().toUpperCase();
+    const lotQuantity = Number(lot && lot.quantity);
+
+    if (!lotNumber) {
+      throw requestError(400, 'Lot number is required');
+    }
+    if (!Number.isInteger(lotQuantity) || lotQuantity < 1) {
+      throw requestError(400, 'Lot quantity must be a positive whole number', { lotNumber });
+    }
+
+    const manufactureDate = parseDate(lot.manufactureDate, 'manufacture date');
+    const expiryDate = parseDate(lot.expiryDate, 'expiry date');
+
+    if (manufactureDate && expiryDate && expiryDate <= manufactureDate) {
+      throw requestError(400, 'Expiry date must be after the manufacture date', { lotNumber });
+    }
+
+    return { lotNumber, quantity: lotQuantity, manufactureDate, expiryDate };
+  });
+
+  const lotNumbers = records.map(record => record.lotNumber);
+  const duplicates = lotNumbers.filter((lotNumber, index) => lotNumbers.indexOf(lotNumber) !== index);
+  if (duplicates.length) {
+    throw requestError(400, 'Each lot can only be listed once', { lotNumbers: [...new Set(duplicates)] });
+  }
+
+  const total = totalOf(records);
+  if (quantity !== undefined && total !== quantity) {
+    throw requestError(400, 'Lot quantities must add up to the quantity', { quantity, lots: total });
+  }
+  if (max !== undefined && total > max) {
+    throw requestError(400, 'Lot quantities exceed the quantity', { quantity: max, lots: total });
+  }
+
+  return records;
+};
+
+/**
+ * Lots stock of an asset is received in: required for lot-tracked assets and
+ * refused for others
+ * @param {Document} asset - Asset receiving the stock
+ * @param {Array} [lots] - Lots from the request
+ * @param {Number} quantity - Quantity received
+ * @returns {Array|undefined} The normalized lots, or undefined if the asset
+ *   is not lot-tracked
+ */
+const lotsFor = (asset, lots, quantity) => {
+  if (!asset.lotTracked) {
+    if (Array.isArray(lots) && lots.length) {
+      throw requestError(400, 'Asset is not lot-tracked');
+    }
+    return undefined;
+  }
+
+  if (!lots) {
+    throw requestError(400, 'Lots are required for lot-tracked assets');
+  }
+
+  return normalizeLots(lots, { quantity });
+};
+
+/**
+ * Copy of a lot's details to store on the movement that drew on it
+ */
+const recordOf = (lot, quantity) => ({
+  lotNumber: lot.lotNumber,
+  quantity,
+  manufactureDate: lot.manufactureDate,
+  expiryDate: lot.expiryDate
+});
+
+/**
+ * Add stock to an asset's lots, creating the lots it does not hold yet
+ * @param {Document} asset - Saved asset record receiving the stock
+ * @param {Array} records - Normalized lot records
+ * @param {Object} [options] - { purchase, date, notes }, and { restore } when
+ *   stock drawn from the lots is put back rather than received
+ * @param {ClientSession} [session] - Transaction session
+ * @throws {Error} With status 400 if a lot's dates differ from those on record
+ */
+const addLots = async (asset, records = [], { purchase, date, notes, restore = false } = {}, session) => {
+  for (const record of records) {
+    const lot = await Lot.findOne({ asset: asset._id, lotNumber: record.lotNumber }).session(session || null);
+
+    if (!lot) {
+      await new Lot({
+        asset: asset._id,
+        assetName: asset.name,
+        assetType: asset.type,
+        base: asset.base,
+        lotNumber: record.lotNumber,
+        manufactureDate: record.manufactureDate,
+        expiryDate: record.expiryDate,
+        quantity: record.quantity,
+        receivedQuantity: restore ? 0 : record.quantity,
+        receivedAt: date || new Date(),
+        purchase,
+        notes
+      }).save({ session });
+      continue;
+    }
+
+    for (const field of ['manufactureDate', 'expiryDate']) {
+      if (!record[field]) continue;
+
+      if (!lot[field]) {
+        lot[field] = record[field];
+      } else if (lot[field].getTime() !== new Date(record[field]).getTime()) {
+        throw requestError(400, 'Lot dates do not match the lot on record', {
+          lotNumber: lot.lotNumber,
+          [field]: lot[field]
+        });
+      }
+    }
+
+    lot.quantity += record.quantity;
+    if (!restore) lot.receivedQuantity += record.quantity;
+    await lot.save({ session });
+  }
+};
+
+/**
+ * Take stock out of an asset's lots. The decrement only applies while the lot
+ * still holds enough, so concurrent requests cannot both spend the same lot.
+ * @param {Document} asset - Asset record holding the lots
+ * @param {Array} records - Lot records to take
+ * @param {Object} [options] - { unreceive } to also reverse the receipt, when
+ *   a delivery is cancelled
+ * @param {ClientSession} [session] - Transaction session
+ * @throws {Error} With status 400 if a lot no longer holds the quantity
+ */
+const removeLots = async (asset, records = [], { unreceive = false } = {}, session) => {
+  for (const record of records) {
+    const increment = { quantity: -record.quantity };
+    if (unreceive) increment.receivedQuantity = -record.quantity;
+
+    const result = await Lot.updateOne(
+      { asset: asset._id, lotNumber: record.lotNumber, quantity: { $gte: record.quantity } },
+      { $inc: increment },
+      { session }
+    );
+
+    if (!result.matchedCount) {
+      throw requestError(400, unreceive ? 'Lot stock has already been used' : 'Lot does not hold enough stock', {
+        lotNumber: record.lotNumber,
+        requested: record.quantity
+      });
+    }
+  }
+};
+
+/**
+ * Quantity of an asset's stock that is not in any lot
+ * @param {Document} asset - Asset record
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Number>}
+ */
+const untrackedQuantity = async (asset, session) => {
+  const [result] = await Lot.aggregate([
+    { $match: { asset: asset._id } },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]).session(session || null);
+
+  return Math.max(0, asset.closingBalance - (result ? result.quantity : 0));
+};
+
+/**
+ * Choose the lots stock leaving an asset is drawn from. Named lots must cover
+ * the whole quantity; otherwise unexpired lots are used in the configured
+ * consumption order, then stock that is not in any lot. Call before the
+ * movement is recorded, while the asset's closing balance still includes the
+ * stock.
+ * @param {Document} asset - Asset record the stock leaves
+ * @param {Number} quantity - Quantity leaving
+ * @param {Object} [options] - { lots } named in the request as
+ *   [{ lotNumber, quantity }], { includeExpired } to draw on expired lots
+ *   automatically, e.g. for losses, and { session }
+ * @returns {Promise<Array>} Records of the lots to draw on; empty if the
+ *   asset is not lot-tracked or only stock outside lots is used
+ * @throws {Error} With status 400 if the lots do not hold enough stock
+ */
+const allocateLots = async (asset, quantity, { lots, includeExpired = false, session } = {}) => {
+  const named = Array.isArray(lots) && lots.length > 0;
+
+  if (!asset.lotTracked) {
+    if (named) {
+      throw requestError(400, 'Asset is not lot-tracked');
+    }
+    return [];
+  }
+
+  let records;
+
+  if (named) {
+    const requested = normalizeLots(lots.map(lot => ({ lotNumber: lot.lotNumber, quantity: lot.quantity })), { quantity });
+    const held = await Lot.find({
+      asset: asset._id,
+      lotNumber: { $in: requested.map(lot => lot.lotNumber) }
+    }).session(session || null);
+
+    records = requested.map(request => {
+      const lot = held.find(candidate => candidate.lotNumber === request.lotNumber);
+
+      if (!lot || lot.quantity < request.quantity) {
+        throw requestError(400, 'Lot does not hold enough stock', {
+          lotNumber: request.lotNumber,
+          held: lot ? lot.quantity : 0,
+          requested: request.quantity
+        });
+      }
+      return recordOf(lot, request.quantity);
+    });
+  } else {
+    const { lotConsumption } = await Settings.getSettings();
+    const filter = { asset: asset._id, quantity: { $gt: 0 } };
+    if (!includeExpired) {
+      filter.$or = [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }];
+    }
+
+    const held = await Lot.find(filter)
+      .sort({ receivedAt: 1 })
+      .session(session || null);
+
+    // Lots without an expiry date are used last under FEFO
+    if (lotConsumption !== 'FIFO') {
+      held.sort((a, b) => (a.expiryDate ? a.expiryDate.getTime() : Infinity)
+        - (b.expiryDate ? b.expiryDate.getTime() : Infinity));
+    }
+
+    records = [];
+    let remaining = quantity;
+    for (const lot of held) {
+      if (!remaining) break;
+
+      const taken = Math.min(lot.quantity, remaining);
+      records.push(recordOf(lot, taken));
+      remaining -= taken;
+    }
+
+    if (remaining) {
+      const untracked = await untrackedQuantity(asset, session);
+
+      if (untracked < remaining) {
+        throw requestError(400, 'Not enough unexpired stock in lots', {
+          requested: quantity,
+          inLots: quantity - remaining,
+          untracked
+        });
+      }
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Choose the lots stock leaving an asset is drawn from, as allocateLots, and
+ * take the stock out of them
+ * @returns {Promise<Array>} Records of the lots drawn on
+ */
+const drawLots = async (asset, quantity, options = {}) => {
+  const records = await allocateLots(asset, quantity, options);
+
+  await removeLots(asset, records, {}, options.session);
+
+  return records;
+};
+
+/**
+ * Lots with stock that have expired or expire within a number of days,
+ * soonest first
+ * @param {Object} [filter] - { asset, base, assetType, days }; days defaults
+ *   to the expiry warning setting
+ * @returns {Promise<Object>} { days, cutoff, lots }
+ */
+const getExpiringLots = async ({ asset, base, assetType, days } = {}) => {
+  if (days === undefined) {
+    ({ expiryWarningDays: days } = await Settings.getSettings());
+  }
+
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() + days);
+
+  const match = { quantity: { $gt: 0 }, expiryDate: { $ne: null, $lte: cutoff } };
+  if (asset) match.asset = asset;
+  if (base) match.base = base;
+  if (assetType) match.assetType = assetType;
+
+  const lots = await Lot.find(match).sort({ expiryDate: 1, assetName: 1 });
+
+  return { days, cutoff, lots };
+};
+
+module.exports = {
+  normalizeLots,
+  lotsFor,
+  addLots,
+  removeLots,
+  untrackedQuantity,
+  allocateLots,
+  drawLots,
+  getExpiringLots
+};
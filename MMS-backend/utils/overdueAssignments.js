@@ -0,0 +1,178 @@
+/**
+ * Overdue assignments
+ *
+ * Assignments are issued until an expected return date. A periodic check
+ * flags active assignments past that date as overdue, clears the flag once
+ * they are returned, written off or extended, and escalates each overdue
+ * assignment to the BaseCommanders of its base: when it first becomes
+ * overdue, then again every `overdueReminderDays` days until it is resolved.
+ * Bases without an active BaseCommander escalate to the Admins.
+ */
+
+const Assignment = require('../models/Assignment');
+const Notification = require('../models/Notification');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether an assignment is active past its expected return date
+ * @param {Object} assignment - Assignment
+ * @param {Date} [now]
+ * @returns {Boolean}
+ */
+const isOverdue = (assignment, now = new Date()) =>
+  assignment.status === 'Active' &&
+  !!assignment.expectedReturnDate && assignment.expectedReturnDate < now;
+
+/**
+ * Users to notify about the overdue assignments of a base
+ * @param {String} base
+ * @returns {Promise<Array>} Active BaseCommanders of the base, or the active
+ *   Admins when it has none
+ */
+const getEscalationRecipients = async (base) => {
+  const commanders = await User.find({ role: 'BaseCommander', assignedBase: base, active: true }).select('_id');
+
+  if (commanders.length) {
+    return commanders;
+  }
+
+  return User.find({ role: 'Admin', active: true }).select('_id');
+};
+
+/**
+ * Notification telling a recipient an assignment is overdue
+ */
+const escalationNotification = (assignment, user, now) => {
+  const outstanding = assignment.quantity - assignment.returnedQuantity;
+  const days = Math.floor((now - assignment.expectedReturnDate) / DAY_MS);
+  const { rank, name, id } = assignment.assignedTo;
+
+  return {
+    user: user._id,
+    type: assignment.lastEscalatedAt ? 'error' : 'warning',
+    title: assignment.lastEscalatedAt ? 'Overdue assignment reminder' : 'Assignment overdue',
+    message: `${outstanding} × ${assignment.assetName} issued to ${rank} ${name} (${id}) at ${assignment.base} ` +
+      `was due back on ${assignment.expectedReturnDate.toISOString().slice(0, 10)} and is ${days} day(s) overdue.`,
+    resourceType: 'Assignment',
+    resourceId: assignment._id
+  };
+};
+
+/**
+ * Update the overdue flags of assignments and escalate the overdue ones that
+ * are due a notification
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Time to check against
+ * @returns {Promise<Object>} { marked, cleared, escalated, notifications }
+ */
+const checkOverdueAssignments = async ({ now = new Date() } = {}) => {
+  // Clear assignments that are no longer overdue
+  const cleared = await Assignment.updateMany({
+    overdue: true,
+    $or: [
+      { status: { $ne: 'Active' } },
+      { expectedReturnDate: { $not: { $lt: now } } }
+    ]
+  }, {
+    $set: { overdue: false },
+    $unset: { lastEscalatedAt: 1 }
+  });
+
+  const marked = await Assignment.updateMany({
+    status: 'Active',
+    expectedReturnDate: { $lt: now },
+    overdue: { $ne: true }
+  }, {
+    $set: { overdue: true }
+  });
+
+  // Escalate overdue assignments not notified within the reminder interval
+  const { overdueReminderDays } = await Settings.getSettings();
+  const remindBefore = new Date(now.getTime() - overdueReminderDays * DAY_MS);
+
+  const dueForEscalation = {
+    status: 'Active',
+    overdue: true,
+    $or: [
+      { lastEscalatedAt: null },
+      { lastEscalatedAt: { $lte: remindBefore } }
+    ]
+  };
+
+  const candidates = await Assignment.find(dueForEscalation)
+    .select('_id')
+    .sort({ base: 1, expectedReturnDate: 1 });
+
+  const recipients = {};
+  let escalated = 0;
+  let notifications = 0;
+
+  for (const { _id } of candidates) {
+    // Claim the escalation before notifying, so a check running at the same
+    // time in another process or from the script skips the assignment. The
+    // assignment is returned as it was before the claim.
+    const assignment = await Assignment.findOneAndUpdate({ _id, ...dueForEscalation }, {
+      $set: { lastEscalatedAt: now },
+      $inc: { escalations: 1 }
+    }, { new: false });
+
+    if (!assignment) continue;
+    escalated++;
+
+    if (!recipients[assignment.base]) {
+      recipients[assignment.base] = await getEscalationRecipients(assignment.base);
+    }
+
+    const users = recipients[assignment.base];
+    if (users.length) {
+      await Notification.insertMany(users.map(user => escalationNotification(assignment, user, now)));
+      notifications += users.length;
+    }
+  }
+
+  return {
+    marked: marked.modifiedCount,
+    cleared: cleared.modifiedCount,
+    escalated,
+    notifications
+  };
+};
+
+/**
+ * Run the overdue check now and then on an interval
+ * @param {Number} intervalMinutes - Minutes between checks
+ * @returns {Timeout} Interval timer
+ */
+const startOverdueCheck = (intervalMinutes) => {
+  const run = async () => {
+    try {
+      const result = await checkOverdueAssignments();
+
+      if (result.marked || result.cleared || result.escalated) {
+        logger.info({ message: 'Checked overdue assignments', ...result });
+      }
+    } catch (error) {
+      logger.error({
+        message: 'Overdue assignment check failed',
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  isOverdue,
+  checkOverdueAssignments,
+  startOverdueCheck
+};
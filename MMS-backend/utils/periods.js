@@ -0,0 +1,234 @@
+/**
+ * Accounting Periods
+ *
+ * Balances for a period are derived from the stock ledger: the opening
+ * balance is the closing balance as of the period start, and the period's
+ * purchases, transfers and expenditures are the ledger entries dated inside
+ * it. Closing a period snapshots those balances and rolls them forward by
+ * appending PeriodClose entries that move the period's flows into each
+ * asset's opening balance, so the counters stored on Asset always describe
+ * the current open period. Transactions dated inside a closed period are
+ * rejected.
+ */
+
+const Asset = require('../models/Asset');
+const AccountingPeriod = require('../models/AccountingPeriod');
+const PeriodBalance = require('../models/PeriodBalance');
+const StockMovement = require('../models/StockMovement');
+const { recordMovement } = require('./stockLedger');
+const { withTransaction, requestError } = require('./transaction');
+
+// Counters that accumulate within a period and roll into the next opening balance
+const FLOW_FIELDS = ['purchases', 'transferIn', 'transferOut', 'expended'];
+
+// Sign of each flow in the closing balance
+const FLOW_SIGNS = { purchases: 1, transferIn: 1, transferOut: -1, expended: -1 };
+
+const BALANCE_KEYS = ['openingBalance', 'purchases', 'transferIn', 'transferOut', 'assigned', 'expended', 'closingBalance', 'available'];
+
+/**
+ * Reject a transaction dated inside a closed accounting period
+ * @param {Date} [date] - Date of the transaction, defaults to now
+ * @param {ClientSession} [session] - Transaction session
+ * @throws {Error} With status 400 if the period is closed
+ */
+const assertPeriodOpen = async (date, session) => {
+  const period = await AccountingPeriod.findClosedContaining(date ? new Date(date) : new Date(), session);
+
+  if (period) {
+    throw requestError(400, `Accounting period ${period.name} is closed`, { period: period._id });
+  }
+};
+
+/**
+ * Get the end date of the most recently closed period, or null
+ */
+const getLastClosedEnd = async () => {
+  const period = await AccountingPeriod.findOne({ status: 'Closed' }).sort({ endDate: -1 });
+  return period ? period.endDate : null;
+};
+
+/**
+ * Compute the balances of every asset in scope for a period from the ledger
+ * @param {Document} period - Accounting period
+ * @param {Object} [match] - Asset filter, e.g. { base, type }
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Array} One row per asset with its period balances
+ */
+const computePeriodBalances = async (period, match = {}, session) => {
+  const assets = await Asset.find({ ...match, createdAt: { $lte: period.endDate } })
+    .sort({ base: 1, type: 1, name: 1 })
+    .session(session || null);
+
+  const sums = await StockMovement.aggregate([
+    {
+      $match: {
+        asset: { $in: assets.map(asset => asset._id) },
+        type: { $ne: 'PeriodClose' },
+        occurredAt: { $lte: period.endDate }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          asset: '$asset',
+          field: '$field',
+          before: { $lt: ['$occurredAt', period.startDate] }
+        },
+        quantity: { $sum: '$quantity' }
+      }
+    }
+  ]).session(session || null);
+
+  const totals = new Map();
+  sums.forEach(sum => {
+    const key = String(sum._id.asset);
+    if (!totals.has(key)) totals.set(key, { before: {}, during: {} });
+    totals.get(key)[sum._id.before ? 'before' : 'during'][sum._id.field] = sum.quantity;
+  });
+
+  return assets.map(asset => {
+    const { before = {}, during = {} } = totals.get(String(asset._id)) || {};
+    const closingAt = (sums) => (sums.openingBalance || 0) +
+      FLOW_FIELDS.reduce((total, field) => total + FLOW_SIGNS[field] * (sums[field] || 0), 0);
+
+    const row = {
+      asset: asset._id,
+      assetName: asset.name,
+      assetType: asset.type,
+      base: asset.base,
+      openingBalance: closingAt(before) + (during.openingBalance || 0),
+      purchases: during.purchases || 0,
+      transferIn: during.transferIn || 0,
+      transferOut: during.transferOut || 0,
+      assigned: (before.assigned || 0) + (during.assigned || 0),
+      expended: during.expended || 0
+    };
+
+    row.closingBalance = row.openingBalance + row.purchases + row.transferIn - row.transferOut - row.expended;
+    row.available = row.closingBalance - row.assigned;
+
+    return row;
+  });
+};
+
+/**
+ * Get the balances of a period: the snapshot for closed periods, computed
+ * from the ledger for open ones
+ * @param {Document} period - Accounting period
+ * @param {Object} [filters] - { base, assetType }
+ */
+const getPeriodBalances = async (period, filters = {}) => {
+  if (period.status !== 'Closed') {
+    const match = {};
+    if (filters.base) match.base = filters.base;
+    if (filters.assetType) match.type = filters.assetType;
+    return computePeriodBalances(period, match);
+  }
+
+  const match = { period: period._id };
+  if (filters.base) match.base = filters.base;
+  if (filters.assetType) match.assetType = filters.assetType;
+
+  const balances = await PeriodBalance.find(match).sort({ base: 1, assetType: 1, assetName: 1 });
+
+  return balances.map(balance => BALANCE_KEYS.reduce((row, key) => ({ ...row, [key]: balance[key] }), {
+    asset: balance.asset,
+    assetName: balance.assetName,
+    assetType: balance.assetType,
+    base: balance.base
+  }));
+};
+
+/**
+ * Close a period: snapshot every asset's balances, roll the closing balances
+ * forward into the opening balances and lock the period
+ * @param {Document} period - Open accounting period
+ * @param {Document} user - Admin closing the period
+ * @returns {Object} { period, assets } with the number of assets snapshotted
+ */
+const closePeriod = async (period, user) => {
+  if (period.status === 'Closed') {
+    throw requestError(400, `Accounting period ${period.name} is already closed`);
+  }
+
+  // A closed period rejects everything dated inside it, so closing one that
+  // has not ended would block new transactions until it does
+  if (period.endDate > new Date()) {
+    throw requestError(400, `Accounting period ${period.name} has not ended yet`, { endDate: period.endDate });
+  }
+
+  const earlierOpen = await AccountingPeriod.exists({
+    _id: { $ne: period._id },
+    status: 'Open',
+    startDate: { $lt: period.startDate }
+  });
+
+  if (earlierOpen) {
+    throw requestError(400, 'Earlier accounting periods must be closed first');
+  }
+
+  return withTransaction(async (session) => {
+    const rows = await computePeriodBalances(period, {}, session);
+
+    await PeriodBalance.insertMany(rows.map(row => ({ ...row, period: period._id })), { session });
+
+    // Flows recorded up to the period end that have not been rolled forward yet
+    const residuals = await StockMovement.aggregate([
+      {
+        $match: {
+          field: { $in: FLOW_FIELDS },
+          occurredAt: { $lte: period.endDate }
+        }
+      },
+      { $group: { _id: { asset: '$asset', field: '$field' }, quantity: { $sum: '$quantity' } } }
+    ]).session(session);
+
+    const byAsset = new Map();
+    residuals.forEach(residual => {
+      if (!residual.quantity) return;
+      const key = String(residual._id.asset);
+      if (!byAsset.has(key)) byAsset.set(key, {});
+      byAsset.get(key)[residual._id.field] = residual.quantity;
+    });
+
+    const movement = {
+      type: 'PeriodClose',
+      sourceType: 'AccountingPeriod',
+      sourceId: period._id,
+      reason: `Closed ${period.name}`,
+      user,
+      date: period.endDate
+    };
+
+    for (const [assetId, flows] of byAsset) {
+      const asset = await Asset.findById(assetId).session(session);
+      if (!asset) continue;
+
+      const carried = FLOW_FIELDS.reduce((total, field) => total + FLOW_SIGNS[field] * (flows[field] || 0), 0);
+
+      if (carried) {
+        await recordMovement(asset, { ...movement, field: 'openingBalance', quantity: carried }, { session, allowNegative: true });
+      }
+
+      for (const field of Object.keys(flows)) {
+        await recordMovement(asset, { ...movement, field, quantity: -flows[field] }, { session, allowNegative: true });
+      }
+    }
+
+    period.status = 'Closed';
+    period.closedBy = user._id;
+    period.closedAt = new Date();
+    await period.save({ session });
+
+    return { period, assets: rows.length };
+  });
+};
+
+module.exports = {
+  assertPeriodOpen,
+  getLastClosedEnd,
+  computePeriodBalances,
+  getPeriodBalances,
+  closePeriod
+};
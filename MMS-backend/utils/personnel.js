@@ -0,0 +1,163 @@
+/**
+ * Personnel
+ *
+ * Assignments and expenditures reference the person from the personnel
+ * registry and keep a copy of their name, rank and service number, so lists
+ * and reports read the same as before the registry existed.
+ */
+
+const mongoose = require('mongoose');
+const Personnel = require('../models/Personnel');
+const Assignment = require('../models/Assignment');
+const Expenditure = require('../models/Expenditure');
+const SerializedItem = require('../models/SerializedItem');
+const Investigation = require('../models/Investigation');
+const { requestError } = require('./transaction');
+
+/**
+ * Copy of a person's details stored on the records that reference them
+ * @param {Document} person - Personnel record
+ * @returns {Object} { name, rank, id }
+ */
+const assigneeOf = (person) => ({
+  name: person.name,
+  rank: person.rank,
+  id: person.serviceNumber
+});
+
+/**
+ * Look up the registered person a record is made for
+ * @param {String} id - Personnel id from the request
+ * @param {Object} [options] - { base } the person must belong to, and
+ *   { serving } to refuse personnel who have been transferred or discharged
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Document>}
+ * @throws {Error} With status 400 if the person is not registered or cannot
+ *   be issued assets
+ */
+const findPersonnel = async (id, { base, serving = false } = {}, session) => {
+  const person = mongoose.isValidObjectId(id)
+    ? await Personnel.findById(id).session(session || null)
+    : null;
+
+  if (!person) {
+    throw requestError(400, 'Personnel must be registered');
+  }
+  if (serving && Personnel.INACTIVE_STATUSES.includes(person.status)) {
+    throw requestError(400, `Personnel is ${person.status}`, { serviceNumber: person.serviceNumber });
+  }
+  if (base && person.base !== base) {
+    throw requestError(400, 'Personnel belongs to another base', {
+      serviceNumber: person.serviceNumber,
+      base: person.base
+    });
+  }
+
+  return person;
+};
+
+/**
+ * Copy a person's current name and rank to the records that reference them
+ * @param {Document} person - Updated personnel record
+ * @param {ClientSession} [session] - Transaction session
+ */
+const copyToRecords = async (person, session) => {
+  const assignee = assigneeOf(person);
+
+  await Assignment.updateMany({ personnel: person._id }, { assignedTo: assignee }, { session });
+  await Expenditure.updateMany({ personnel: person._id }, { expendedBy: assignee }, { session });
+  await Investigation.updateMany({ personnel: person._id }, { assignedTo: assignee }, { session });
+  await Investigation.updateMany({ investigatingOfficer: person._id }, { officer: assignee }, { session });
+  await SerializedItem.updateMany(
+    { 'holder.id': person.serviceNumber },
+    { 'holder.name': person.name, 'holder.rank': person.rank },
+    { session }
+  );
+};
+
+/**
+ * Assets held by each person on active assignments
+ * @param {Object} [match] - Assignment filter, e.g. { base, assetType }
+ * @param {Object} [options] - { personnel } ids to limit the result to,
+ *   { limit, skip }
+ * @returns {Promise<Object>} { holdings, total }, where each holding is
+ *   { personnel, assignedTo, assignments, quantity, assets }, largest first
+ */
+const getHoldings = async (match = {}, { personnel, limit, skip = 0 } = {}) => {
+  const filter = { ...match, status: 'Active', personnel: { $ne: null } };
+  if (personnel) filter.personnel = { $in: personnel };
+
+  const page = [{ $sort: { quantity: -1, _id: 1 } }, { $skip: skip }];
+  if (limit) page.push({ $limit: limit });
+
+  const [result] = await Assignment.aggregate([
+    { $match: filter },
+    { $project: {
+      personnel: 1,
+      assignedTo: 1,
+      asset: 1,
+      assetName: 1,
+      assetType: 1,
+      base: 1,
+      outstanding: { $subtract: ['$quantity', '$returnedQuantity'] }
+    } },
+    { $group: {
+      _id: { personnel: '$personnel', asset: '$asset' },
+      assignedTo: { $last: '$assignedTo' },
+      assetName: { $first: '$assetName' },
+      assetType: { $first: '$assetType' },
+      base: { $first: '$base' },
+      assignments: { $sum: 1 },
+      quantity: { $sum: '$outstanding' }
+    } },
+    { $sort: { assetName: 1 } },
+    { $group: {
+      _id: '$_id.personnel',
+      assignedTo: { $last: '$assignedTo' },
+      assignments: { $sum: '$assignments' },
+      quantity: { $sum: '$quantity' },
+      assets: { $push: {
+        asset: '$_id.asset',
+        assetName: '$assetName',
+        assetType: '$assetType',
+        base: '$base',
+        assignments: '$assignments',
+        quantity: '$quantity'
+      } }
+    } },
+    { $facet: {
+      holdings: page,
+      total: [{ $count: 'count' }]
+    } }
+  ]);
+
+  const people = await Personnel.find({ _id: { $in: result.holdings.map(holding => holding._id) } })
+    .select('serviceNumber name rank unit base status');
+
+  return {
+    holdings: result.holdings.map(({ _id, ...holding }) => ({
+      personnel: people.find(person => person._id.equals(_id)) || { _id },
+      ...holding
+    })),
+    total: result.total.length ? result.total[0].count : 0
+  };
+};
+
+/**
+ * Number of active assignments a person holds
+ * @param {Document} person - Personnel record
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Number>}
+ */
+const countActiveAssignments = (person, session) => Assignment.countDocuments({
+  personnel: person._id,
+  status: 'Active'
+}).session(session || null);
+
+module.exports = {
+  assigneeOf,
+  findPersonnel,
+  copyToRecords,
+  getHoldings,
+  countActiveAssignments
+};
@@ -0,0 +1,257 @@
+/**
+ * Balance Reconciliation
+ *
+ * Recomputes the counters every asset should have from the Purchase,
+ * Transfer, Assignment and Expenditure documents that back them, reports
+ * where the stored counters have drifted, and can repair the drift by
+ * recording Adjustment entries in the stock ledger.
+ *
+ * Flows up to the end of the last closed accounting period have been rolled
+ * into the opening balance, so only transactions dated after it are counted.
+ */
+
+const Asset = require('../models/Asset');
+const Purchase = require('../models/Purchase');
+const Transfer = require('../models/Transfer');
+const Assignment = require('../models/Assignment');
+const Expenditure = require('../models/Expenditure');
+const Investigation = require('../models/Investigation');
+const ActivityLog = require('../models/ActivityLog');
+const { recordMovement } = require('./stockLedger');
+const { withTransaction } = require('./transaction');
+const { getLastClosedEnd } = require('./periods');
+
+// Counters that can be recomputed from transaction documents
+const RECONCILED_FIELDS = ['purchases', 'transferIn', 'transferOut', 'assigned', 'expended'];
+
+/**
+ * Key identifying an asset record by name, type and base
+ */
+const assetKey = (name, type, base) => `${name}|${type}|${base}`;
+
+/**
+ * Sum quantities into a map, keyed by the given key
+ */
+const addTo = (map, key, quantity) => {
+  map.set(key, (map.get(key) || 0) + quantity);
+};
+
+/**
+ * Compute the expected counters of the given assets from the transaction
+ * collections
+ * @param {Array} assets - Asset documents to compute
+ * @returns {Map} Asset id -> expected counters
+ */
+const computeExpectedCounters = async (assets) => {
+  const baseNames = [...new Set(assets.map(asset => asset.base))];
+  const assetIds = assets.map(asset => asset._id);
+
+  // Only transactions after the last closed period are still in the counters
+  const closedEnd = await getLastClosedEnd();
+  const after = (field) => closedEnd ? { [field]: { $gt: closedEnd } } : {};
+
+  const purchases = new Map();
+  const transferIn = new Map();
+  const transferOut = new Map();
+  const assigned = new Map();
+  const expended = new Map();
+
+  // Each delivery against a purchase adds to the receiving base
+  const deliveredPurchases = await Purchase.find({
+    base: { $in: baseNames },
+    status: { $in: ['Partially Delivered', 'Delivered'] },
+    ...after('deliveries.date')
+  }).select('assetName assetType base deliveries');
+  deliveredPurchases.forEach(p => p.deliveries.forEach(d => {
+    if (!closedEnd || d.date > closedEnd) {
+      addTo(purchases, assetKey(p.assetName, p.assetType, p.base), d.quantity);
+    }
+  }));
+
+  // Dispatched transfers have left the source base; received transfers
+  // have added the received quantity to the destination base and put any
+  // shortfall back on the source base's books
+  const transfers = await Transfer.find({
+    status: { $in: ['Dispatched', 'Received'] },
+    $or: [{ fromBase: { $in: baseNames } }, { toBase: { $in: baseNames } }]
+  }).select('assetName assetType fromBase toBase quantity status dispatchedAt receivedAt receivedQuantity');
+  transfers.forEach(t => {
+    if (!closedEnd || t.dispatchedAt > closedEnd) {
+      addTo(transferOut, assetKey(t.assetName, t.assetType, t.fromBase), t.quantity);
+    }
+    if (t.status === 'Received' && (!closedEnd || t.receivedAt > closedEnd)) {
+      const received = t.receivedQuantity || 0;
+      addTo(transferIn, assetKey(t.assetName, t.assetType, t.toBase), received);
+      addTo(transferOut, assetKey(t.assetName, t.assetType, t.fromBase), received - t.quantity);
+    }
+  });
+
+  // Active assignments hold their unreturned quantity; lost or damaged
+  // assignments from before investigations moved it to expended
+  const assignments = await Assignment.find({ asset: { $in: assetIds } })
+    .select('asset status quantity returnedQuantity endDate investigation');
+  assignments.forEach(a => {
+    const outstanding = a.quantity - (a.returnedQuantity || 0);
+    if (a.status === 'Active') addTo(assigned, String(a.asset), outstanding);
+    if (['Lost', 'Damaged'].includes(a.status) && !a.investigation && (!closedEnd || a.endDate > closedEnd)) {
+      addTo(expended, String(a.asset), outstanding);
+    }
+  });
+
+  // Lost or damaged stock stays assigned while its investigation is open;
+  // write-offs are counted with the expenditures
+  const openInvestigations = await Investigation.find({ asset: { $in: assetIds }, status: { $ne: 'Closed' } })
+    .select('asset quantity');
+  openInvestigations.forEach(i => addTo(assigned, String(i.asset), i.quantity));
+
+  const expenditures = await Expenditure.find({ asset: { $in: assetIds }, ...after('expenditureDate') })
+    .select('asset quantity');
+  expenditures.forEach(e => addTo(expended, String(e.asset), e.quantity));
+
+  const expected = new Map();
+
+  assets.forEach(asset => {
+    const key = assetKey(asset.name, asset.type, asset.base);
+    expected.set(String(asset._id), {
+      purchases: purchases.get(key) || 0,
+      transferIn: transferIn.get(key) || 0,
+      transferOut: transferOut.get(key) || 0,
+      assigned: assigned.get(String(asset._id)) || 0,
+      expended: expended.get(String(asset._id)) || 0
+    });
+  });
+
+  return expected;
+};
+
+/**
+ * Compare every asset's stored counters with the counters expected from the
+ * transaction collections
+ * @param {Object} [filters] - { base, assetType, asset }
+ * @returns {Object} Report with per-asset discrepancies and per-base totals
+ */
+const reconcile = async (filters = {}) => {
+  const match = {};
+  if (filters.base) match.base = filters.base;
+  if (filters.assetType) match.type = filters.assetType;
+  if (filters.asset) match._id = filters.asset;
+
+  const assets = await Asset.find(match).sort({ base: 1, name: 1 });
+  const expected = await computeExpectedCounters(assets);
+
+  const results = [];
+  const byBase = {};
+
+  assets.forEach(asset => {
+    const counters = expected.get(String(asset._id));
+    const discrepancies = [];
+
+    RECONCILED_FIELDS.forEach(field => {
+      const actual = asset[field] || 0;
+      if (actual !== counters[field]) {
+        discrepancies.push({ field, expected: counters[field], actual, difference: counters[field] - actual });
+      }
+    });
+
+    // Derived balances must agree with the stored counters
+    const closingBalance = asset.openingBalance + asset.purchases + asset.transferIn - asset.transferOut - asset.expended;
+    const available = closingBalance - asset.assigned;
+
+    if (asset.closingBalance !== closingBalance) {
+      discrepancies.push({ field: 'closingBalance', expected: closingBalance, actual: asset.closingBalance, difference: closingBalance - asset.closingBalance });
+    }
+    if (asset.available !== available) {
+      discrepancies.push({ field: 'available', expected: available, actual: asset.available, difference: available - asset.available });
+    }
+
+    if (!byBase[asset.base]) {
+      byBase[asset.base] = { base: asset.base, assets: 0, inconsistentAssets: 0, discrepancies: 0 };
+    }
+    byBase[asset.base].assets++;
+
+    if (discrepancies.length) {
+      byBase[asset.base].inconsistentAssets++;
+      byBase[asset.base].discrepancies += discrepancies.length;
+
+      results.push({
+        asset: asset._id,
+        name: asset.name,
+        type: asset.type,
+        base: asset.base,
+        discrepancies
+      });
+    }
+  });
+
+  return {
+    checkedAt: new Date(),
+    filters,
+    assetsChecked: assets.length,
+    inconsistentAssets: results.length,
+    assets: results,
+    byBase: Object.values(byBase)
+  };
+};
+
+/**
+ * Repair the discrepancies found by reconcile. Each drifted counter gets an
+ * Adjustment entry in the stock ledger for the difference, and every repaired
+ * asset gets an ActivityLog entry listing what was changed. Counters are only
+ * ever changed through the ledger, so closing and available balances that
+ * disagree with the counters are reported but left alone: they disagree
+ * with the ledger itself (see verifyAssetBalances).
+ * @param {Object} [filters] - { base, assetType, asset }
+ * @param {Object} [context] - { user, ipAddress, userAgent } of whoever requested the repair
+ * @returns {Object} The report from before the repair, with `repaired` counts
+ */
+const repair = async (filters = {}, context = {}) => {
+  const report = await reconcile(filters);
+  let repaired = 0;
+
+  for (const result of report.assets) {
+    const adjustments = result.discrepancies.filter(d => RECONCILED_FIELDS.includes(d.field));
+    if (!adjustments.length) continue;
+
+    await withTransaction(async (session) => {
+      const asset = await Asset.findById(result.asset).session(session);
+
+      for (const adjustment of adjustments) {
+        await recordMovement(asset, {
+          type: 'Adjustment',
+          field: adjustment.field,
+          quantity: adjustment.difference,
+          sourceType: 'Asset',
+          sourceId: asset._id,
+          reason: 'Reconciliation',
+          user: context.user
+        }, { session, allowNegative: true });
+      }
+
+      await new ActivityLog({
+        user: context.user ? context.user._id : undefined,
+        username: context.user ? context.user.username : 'reconcile',
+        action: 'Update',
+        resourceType: 'Asset',
+        resourceId: asset._id,
+        details: {
+          reconciliation: true,
+          name: result.name,
+          base: result.base,
+          discrepancies: result.discrepancies
+        },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      }).save({ session });
+    });
+
+    repaired++;
+  }
+
+  return { ...report, repaired };
+};
+
+module.exports = {
+  RECONCILED_FIELDS,
+  reconcile,
+  repair
+};
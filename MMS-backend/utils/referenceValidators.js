@@ -0,0 +1,49 @@
+/**
+ * Reference Validators
+ *
+ * Mongoose validators that check base and asset type names against the
+ * Base and AssetType collections. New values must name an active record;
+ * values already stored on a document are left alone when it is saved
+ * again, so deactivating a base does not lock its history.
+ */
+
+const Base = require('../models/Base');
+const AssetType = require('../models/AssetType');
+
+/**
+ * Build a validator that checks a value against a reference collection
+ * @param {Model} Model - Reference model with `name` and `active` fields
+ * @param {String} label - Name of the reference used in error messages
+ */
+const referenceValidator = (Model, label) => ({
+  validator: async function(value, props) {
+    if (value === undefined || value === null || value === '') return true;
+
+    // Skip unchanged values on existing documents
+    if (this && typeof this.isModified === 'function' && !this.isNew && !this.isModified(props.path)) {
+      return true;
+    }
+
+    return !!(await Model.exists({ name: value, active: true }));
+  },
+  propsParameter: true,
+  message: props => `${props.value} is not an active ${label}`
+});
+
+const validBase = referenceValidator(Base, 'base');
+const validAssetType = referenceValidator(AssetType, 'asset type');
+
+/**
+ * Derive a reference code from a name, e.g. "Base Alpha" -> "BASE-ALPHA"
+ */
+const toCode = (name) => name
+  .trim()
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  validBase,
+  validAssetType,
+  toCode
+};
@@ -0,0 +1,263 @@
+/**
+ * Report Formatter
+ *
+ * Renders report objects built by the report routes as JSON, CSV or PDF.
+ * A report is either a single table (`columns`, `rows`, `totals`) or a
+ * composite report whose `sections` are tables of that shape.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// Summary groupings rendered under a table in PDF output
+const GROUPINGS = {
+  byType: 'By Asset Type',
+  byBase: 'By Base',
+  byStatus: 'By Status',
+  bySupplier: 'By Supplier',
+  byReason: 'By Reason'
+};
+
+/**
+ * Format a single cell value for output
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  return String(value);
+};
+
+/**
+ * Turn a camelCase key into a column label
+ */
+const humanize = (key) => key
+  .replace(/([A-Z])/g, ' $1')
+  .replace(/^./, first => first.toUpperCase());
+
+/**
+ * Escape a value for CSV. Values containing separators, quotes or line
+ * breaks are quoted, and text that a spreadsheet would evaluate as a
+ * formula is prefixed with a quote.
+ */
+const escapeCsv = (value) => {
+  let text = formatValue(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Get the tables that make up a report
+ */
+const getSections = (report) => report.sections || [report];
+
+/**
+ * Build the totals row of a table, aligned to its columns
+ */
+const totalsRow = (columns, totals) => columns.reduce((row, column, index) => {
+  if (totals[column.key] !== undefined) {
+    row[column.key] = totals[column.key];
+  } else if (index === 0) {
+    row[column.key] = 'Total';
+  }
+  return row;
+}, {});
+
+/**
+ * Describe the filters a report was generated with
+ */
+const describeFilters = (filters = {}) => {
+  const period = filters.startDate || filters.endDate
+    ? `${filters.startDate ? formatValue(filters.startDate) : 'beginning'} to ${filters.endDate ? formatValue(filters.endDate) : 'present'}`
+    : 'All dates';
+
+  return [
+    `Base: ${filters.base || 'All bases'}`,
+    `Asset type: ${filters.assetType || 'All types'}`,
+    `Period: ${filters.period ? `${filters.period.name} (${period})` : period}`
+  ];
+};
+
+/**
+ * Render a report as CSV with a header row per table
+ */
+const toCsv = (report) => {
+  const sections = getSections(report);
+  const lines = [];
+
+  sections.forEach((section, index) => {
+    if (sections.length > 1) {
+      if (index > 0) lines.push('');
+      lines.push(escapeCsv(section.title));
+    }
+
+    const { columns } = section;
+    const rows = section.totals ? [...section.rows, totalsRow(columns, section.totals)] : section.rows;
+
+    lines.push(columns.map(column => escapeCsv(column.label)).join(','));
+    rows.forEach(row => {
+      lines.push(columns.map(column => escapeCsv(row[column.key])).join(','));
+    });
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Draw a table on the PDF document, breaking onto new pages as needed
+ */
+const drawTable = (doc, columns, rows, options = {}) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columnWidth = width / columns.length;
+  const padding = 3;
+
+  const rowHeight = (cells) => Math.max(...cells.map(cell =>
+    doc.heightOfString(cell, { width: columnWidth - padding * 2 })
+  )) + padding * 2;
+
+  const drawRow = (cells, style = {}) => {
+    doc.font(style.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+    const height = rowHeight(cells);
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!style.header) drawHeader();
+      doc.font(style.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    }
+
+    const y = doc.y;
+    if (style.fill) {
+      doc.rect(left, y, width, height).fill(style.fill);
+    }
+
+    doc.fillColor('#000000');
+    cells.forEach((cell, index) => {
+      doc.text(cell, left + index * columnWidth + padding, y + padding, {
+        width: columnWidth - padding * 2,
+        align: columns[index].numeric ? 'right' : 'left'
+      });
+    });
+
+    doc.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const drawHeader = () => drawRow(columns.map(column => column.label), { bold: true, header: true, fill: '#e6e6e6' });
+
+  drawHeader();
+
+  if (!rows.length) {
+    drawRow(['No records found'].concat(columns.slice(1).map(() => '')));
+  }
+
+  rows.forEach(row => drawRow(columns.map(column => formatValue(row[column.key]))));
+
+  if (options.totals) {
+    const totals = totalsRow(columns, options.totals);
+    drawRow(columns.map(column => formatValue(totals[column.key])), { bold: true, fill: '#f2f2f2' });
+  }
+
+  doc.moveDown();
+};
+
+/**
+ * Mark the columns of a table that hold numbers so they can be right-aligned
+ */
+const withNumericColumns = (columns, rows) => columns.map(column => ({
+  ...column,
+  numeric: rows.some(row => typeof row[column.key] === 'number')
+}));
+
+/**
+ * Render a report as a PDF document streamed to the response
+ */
+const writePdf = (report, stream) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+  doc.pipe(stream);
+
+  // Title block
+  doc.font('Helvetica-Bold').fontSize(18).text(report.title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Generated ${new Date(report.generatedAt).toUTCString()} by ${report.generatedBy}`);
+  doc.moveDown(0.5);
+
+  // Filter summary
+  doc.fillColor('#000000').fontSize(10).text(describeFilters(report.filters).join('    |    '));
+
+  if (report.asset) {
+    const { asset } = report;
+    doc.text(`Opening: ${asset.openingBalance}    Closing: ${asset.closingBalance}    Assigned: ${asset.assigned}    Available: ${asset.available}`);
+  }
+
+  doc.moveDown();
+
+  const sections = getSections(report);
+
+  sections.forEach(section => {
+    if (sections.length > 1) {
+      doc.font('Helvetica-Bold').fontSize(13).text(section.title);
+      doc.moveDown(0.3);
+    }
+
+    drawTable(doc, withNumericColumns(section.columns, section.rows), section.rows, { totals: section.totals });
+
+    Object.keys(GROUPINGS).forEach(key => {
+      const groups = section[key];
+      if (!groups || !groups.length) return;
+
+      const columns = Object.keys(groups[0]).map(field => ({ key: field, label: humanize(field) }));
+
+      doc.font('Helvetica-Bold').fontSize(10).text(GROUPINGS[key]);
+      doc.moveDown(0.2);
+      drawTable(doc, withNumericColumns(columns, groups), groups);
+    });
+  });
+
+  doc.end();
+};
+
+/**
+ * Send a report in the requested format
+ */
+const sendReport = (res, format, report) => {
+  if (format === 'json') {
+    return res.send(report);
+  }
+
+  const filename = `${report.report}-report-${formatValue(new Date(report.generatedAt))}.${format}`;
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    return res.send(toCsv(report));
+  }
+
+  writePdf(report, res);
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  formatValue,
+  escapeCsv,
+  toCsv,
+  drawTable,
+  withNumericColumns,
+  writePdf,
+  sendReport
+};
@@ -0,0 +1,213 @@
+/**
+ * Serialized Items
+ *
+ * Assets in serialized mode record each item by serial number alongside the
+ * quantities kept by the stock ledger. Every movement of a serialized asset
+ * names the serials it moves, and the items' status and custody history are
+ * updated in the same transaction as the ledger entry. Once all of an
+ * asset's stock is registered, its Available and Assigned items match its
+ * `available` and `assigned` counters.
+ */
+
+const SerializedItem = require('../models/SerializedItem');
+const { requestError } = require('./transaction');
+
+// Wording of item statuses in error messages
+const STATUS_LABELS = {
+  Available: 'available',
+  Assigned: 'assigned',
+  InTransit: 'in transit',
+  Expended: 'expended',
+  Lost: 'lost'
+};
+
+/**
+ * Trim and upper-case a list of serial numbers and check it has one unique
+ * serial per item
+ * @param {Array} serialNumbers - Serial numbers from the request
+ * @param {Number} [quantity] - Number of items the serials must cover
+ * @returns {Array<String>}
+ * @throws {Error} With status 400 if the list is invalid
+ */
+const normalizeSerials = (serialNumbers, quantity) => {
+  if (!Array.isArray(serialNumbers)) {
+    throw requestError(400, 'Serial numbers must be a list');
+  }
+
+  const serials = serialNumbers.map(serial => String(serial || '').trim().toUpperCase());
+
+  if (serials.some(serial => !serial)) {
+    throw requestError(400, 'Serial numbers cannot be blank');
+  }
+
+  const duplicates = serials.filter((serial, index) => serials.indexOf(serial) !== index);
+  if (duplicates.length) {
+    throw requestError(400, 'Serial numbers must be unique', { serialNumbers: [...new Set(duplicates)] });
+  }
+
+  if (quantity !== undefined && serials.length !== quantity) {
+    throw requestError(400, 'Give one serial number per item', { quantity, serialNumbers: serials.length });
+  }
+
+  return serials;
+};
+
+/**
+ * Serial numbers of a movement of an asset: required for serialized assets
+ * and refused for others
+ * @param {Document} asset - Asset being moved
+ * @param {Array} [serialNumbers] - Serial numbers from the request
+ * @param {Number} [quantity] - Quantity being moved
+ * @returns {Array<String>|undefined} The normalized serials, or undefined if
+ *   the asset is not serialized
+ */
+const serialsFor = (asset, serialNumbers, quantity) => {
+  if (!asset.serialized) {
+    if (Array.isArray(serialNumbers) && serialNumbers.length) {
+      throw requestError(400, 'Asset is not serialized');
+    }
+    return undefined;
+  }
+
+  if (!serialNumbers) {
+    throw requestError(400, 'Serial numbers are required for serialized assets');
+  }
+
+  return normalizeSerials(serialNumbers, quantity);
+};
+
+/**
+ * Load the items of an asset by serial number, checking that each is in the
+ * state a movement expects
+ * @param {Document} asset - Asset record the items are booked to
+ * @param {Array<String>} serialNumbers - Normalized serials
+ * @param {Object} filter - Expected state, e.g. { status: 'Available' }
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Array>} The items
+ * @throws {Error} With status 400 listing the serials not in that state
+ */
+const findItems = async (asset, serialNumbers, filter, session) => {
+  const items = await SerializedItem.find({
+    asset: asset._id,
+    serialNumber: { $in: serialNumbers },
+    ...filter
+  }).session(session || null);
+
+  if (items.length !== serialNumbers.length) {
+    const found = new Set(items.map(item => item.serialNumber));
+    throw requestError(400, `Serial numbers are not ${STATUS_LABELS[filter.status] || 'registered'} for this asset`, {
+      serialNumbers: serialNumbers.filter(serial => !found.has(serial))
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Register new items of an asset
+ * @param {Document} asset - Saved asset record the items are booked to
+ * @param {Array<String>} serialNumbers - Normalized serials
+ * @param {Object} event - { event, sourceType, sourceId, user, date, condition, location, notes }
+ * @param {ClientSession} [session] - Transaction session
+ * @returns {Promise<Array>} The created items
+ * @throws {Error} With status 400 if a serial is already registered
+ */
+const createItems = async (asset, serialNumbers, { event, sourceType, sourceId, user, date, condition, location, notes }, session) => {
+  const existing = await SerializedItem.find({
+    assetName: asset.name,
+    assetType: asset.type,
+    serialNumber: { $in: serialNumbers }
+  }).session(session || null);
+
+  if (existing.length) {
+    throw requestError(400, 'Serial numbers are already registered', {
+      serialNumbers: existing.map(item => item.serialNumber)
+    });
+  }
+
+  const items = serialNumbers.map(serialNumber => ({
+    asset: asset._id,
+    assetName: asset.name,
+    assetType: asset.type,
+    serialNumber,
+    base: asset.base,
+    location,
+    status: 'Available',
+    condition,
+    history: [{
+      event,
+      date: date || new Date(),
+      asset: asset._id,
+      base: asset.base,
+      condition: condition || 'Serviceable',
+      sourceType,
+      sourceId,
+      recordedBy: user ? user._id : undefined,
+      notes
+    }]
+  }));
+
+  return SerializedItem.create(items, { session, ordered: true });
+};
+
+// Copy of an item's holder, if it has one
+const holderOf = (item) => (item.holder && item.holder.name
+  ? { name: item.holder.name, rank: item.holder.rank, id: item.holder.id }
+  : undefined);
+
+/**
+ * Apply a change to items and record it in their custody history. The
+ * history names the item's holder after the change, or the one it was taken
+ * from when the change clears the holder.
+ * @param {Array} items - Items to change
+ * @param {Object} changes - Fields to set, e.g. { status, holder, asset, base }
+ * @param {Object} event - { event, sourceType, sourceId, user, date, notes }
+ * @param {ClientSession} [session] - Transaction session
+ */
+const updateItems = async (items, changes, { event, sourceType, sourceId, user, date, notes }, session) => {
+  for (const item of items) {
+    const previousHolder = holderOf(item);
+    Object.assign(item, changes);
+
+    item.history.push({
+      event,
+      date: date || new Date(),
+      asset: item.asset,
+      base: item.base,
+      holder: holderOf(item) || previousHolder,
+      condition: item.condition,
+      sourceType,
+      sourceId,
+      recordedBy: user ? user._id : undefined,
+      notes
+    });
+
+    await item.save({ session });
+  }
+};
+
+/**
+ * Count an asset's items by status
+ * @param {Document} asset - Asset record
+ * @returns {Promise<Object>} Status -> count, with every status present
+ */
+const countItems = async (asset) => {
+  const counts = Object.fromEntries(SerializedItem.ITEM_STATUSES.map(status => [status, 0]));
+
+  const results = await SerializedItem.aggregate([
+    { $match: { asset: asset._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  results.forEach(result => counts[result._id] = result.count);
+
+  return counts;
+};
+
+module.exports = {
+  normalizeSerials,
+  serialsFor,
+  findItems,
+  createItems,
+  updateItems,
+  countItems
+};
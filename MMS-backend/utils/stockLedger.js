@@ -0,0 +1,162 @@
+/**
+ * Stock Ledger
+ *
+ * Every change to an asset's quantities is written as an immutable
+ * StockMovement entry. The counters stored on Asset are a cache of the
+ * ledger: they are only ever changed by recordMovement, which appends the
+ * entry and applies the same signed change with an atomic $inc, and they
+ * can be checked against the ledger at any time with verifyAssetBalances.
+ *
+ * A movement that reduces the available quantity is applied with a
+ * conditional update that only matches while enough is available, so
+ * concurrent requests cannot both spend the same stock.
+ */
+
+const Asset = require('../models/Asset');
+const StockMovement = require('../models/StockMovement');
+const { requestError } = require('./transaction');
+
+const { MOVEMENT_FIELDS, BALANCE_EFFECTS } = StockMovement;
+
+// Counters cached on Asset, in the order they are reported
+const BALANCE_FIELDS = [...MOVEMENT_FIELDS, 'closingBalance', 'available'];
+
+/**
+ * Build the $inc update that applies a signed change to an asset counter
+ * together with its effect on the closing and available balances
+ */
+const buildIncrement = (field, quantity) => {
+  const increment = { [field]: quantity };
+
+  Object.keys(BALANCE_EFFECTS[field]).forEach(balance => {
+    const effect = BALANCE_EFFECTS[field][balance];
+    if (effect) increment[balance] = effect * quantity;
+  });
+
+  return increment;
+};
+
+/**
+ * Append a movement to the ledger and apply it to the asset's cached balances
+ * @param {Document} asset - Asset the movement belongs to; saved first if new
+ * @param {Object} movement - { type, field, quantity, sourceType, sourceId, reason, user, date }
+ * @param {Object} [options] - { session } to write inside a transaction, and
+ *   { allowNegative } to skip the available check for corrective entries
+ * @returns {Document} The asset with its updated balances
+ * @throws {Error} With status 400 if the asset does not have enough available
+ */
+const recordMovement = async (asset, movement, { session, allowNegative = false } = {}) => {
+  const { type, field, quantity, sourceType, sourceId, reason, user, date } = movement;
+
+  if (!MOVEMENT_FIELDS.includes(field)) {
+    throw new Error(`Invalid movement field: ${field}`);
+  }
+
+  if (asset.isNew) {
+    await asset.save({ session });
+  }
+
+  const entry = new StockMovement({
+    asset: asset._id,
+    assetName: asset.name,
+    assetType: asset.type,
+    base: asset.base,
+    type,
+    field,
+    quantity,
+    sourceType,
+    sourceId,
+    reason,
+    recordedBy: user ? user._id : undefined,
+    occurredAt: date || new Date()
+  });
+
+  await entry.validate();
+
+  const increment = buildIncrement(field, quantity);
+  const filter = { _id: asset._id };
+
+  // Only match while the asset still has the quantity being taken out
+  if (increment.available < 0 && !allowNegative) {
+    filter.available = { $gte: -increment.available };
+  }
+
+  const updated = await Asset.findOneAndUpdate(
+    filter,
+    { $inc: increment, $set: { updatedAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    const current = await Asset.findById(asset._id).session(session);
+
+    if (!current) {
+      throw requestError(404, 'Asset not found');
+    }
+
+    throw requestError(400, 'Insufficient quantity available', {
+      available: current.available,
+      requested: -increment.available
+    });
+  }
+
+  await entry.save({ session });
+
+  return updated;
+};
+
+/**
+ * Derive an asset's balances from its ledger entries
+ * @param {ObjectId} assetId - Asset to compute
+ * @returns {Object} Counters keyed like the Asset balance fields
+ */
+const computeLedgerBalances = async (assetId) => {
+  const sums = await StockMovement.aggregate([
+    { $match: { asset: assetId } },
+    { $group: { _id: '$field', quantity: { $sum: '$quantity' } } }
+  ]);
+
+  const balances = BALANCE_FIELDS.reduce((result, field) => ({ ...result, [field]: 0 }), {});
+
+  sums.forEach(sum => {
+    const increment = buildIncrement(sum._id, sum.quantity);
+    Object.keys(increment).forEach(field => {
+      balances[field] += increment[field];
+    });
+  });
+
+  return balances;
+};
+
+/**
+ * Compare an asset's cached balances with the balances derived from its ledger
+ * @param {Document} asset - Asset to verify
+ * @returns {Object} { consistent, cached, ledger, discrepancies }
+ */
+const verifyAssetBalances = async (asset) => {
+  const ledger = await computeLedgerBalances(asset._id);
+  const cached = {};
+  const discrepancies = [];
+
+  BALANCE_FIELDS.forEach(field => {
+    cached[field] = asset[field] || 0;
+
+    if (cached[field] !== ledger[field]) {
+      discrepancies.push({ field, cached: cached[field], ledger: ledger[field] });
+    }
+  });
+
+  return {
+    consistent: discrepancies.length === 0,
+    cached,
+    ledger,
+    discrepancies
+  };
+};
+
+module.exports = {
+  BALANCE_FIELDS,
+  recordMovement,
+  computeLedgerBalances,
+  verifyAssetBalances
+};
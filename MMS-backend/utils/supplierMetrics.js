@@ -0,0 +1,111 @@
+/**
+ * Supplier Metrics
+ *
+ * Performance figures per supplier, derived from its purchases:
+ * - spend: the total cost of approved purchases, and the value delivered so far
+ * - average unit cost per asset across approved purchases
+ * - on-time delivery rate: completed purchases delivered by the end of their
+ *   expected delivery date, out of those with an expected date plus open
+ *   purchases already past it
+ * - cancellation rate: ordered purchases that were cancelled, out of all
+ *   ordered purchases
+ */
+
+const Purchase = require('../models/Purchase');
+const { COMMITTED_STATUSES } = require('./budgets');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Share of `count` in `total`, or null when there is nothing to measure
+ */
+const rate = (count, total) => total ? round(count / total) : null;
+
+/**
+ * Compute the metrics of one supplier's purchases
+ * @param {Array} purchases - Purchase documents of the supplier
+ * @returns {Object} Metrics
+ */
+const computeMetrics = (purchases) => {
+  const now = new Date();
+  const assets = {};
+  let totalSpend = 0;
+  let deliveredSpend = 0;
+  let onTime = 0;
+  let late = 0;
+  let ordered = 0;
+  let cancelled = 0;
+
+  purchases.forEach(p => {
+    const totalCost = p.totalCost || p.quantity * p.unitCost;
+
+    if (COMMITTED_STATUSES.includes(p.status)) {
+      totalSpend += totalCost;
+      deliveredSpend += (p.deliveredQuantity || 0) * p.unitCost;
+
+      const key = `${p.assetType}|${p.assetName}`;
+      if (!assets[key]) {
+        assets[key] = { assetName: p.assetName, assetType: p.assetType, quantity: 0, totalCost: 0 };
+      }
+      assets[key].quantity += p.quantity;
+      assets[key].totalCost += totalCost;
+    }
+
+    // Expected dates are calendar days, so a delivery any time that day is on time
+    if (p.expectedDeliveryDate) {
+      const deadline = new Date(p.expectedDeliveryDate.getTime() + DAY);
+
+      if (p.status === 'Delivered' && p.deliveryDate) {
+        if (p.deliveryDate < deadline) onTime++;
+        else late++;
+      } else if (Purchase.OPEN_DELIVERY_STATUSES.includes(p.status) && deadline <= now) {
+        late++;
+      }
+    }
+
+    if (p.orderedAt) {
+      ordered++;
+      if (p.status === 'Cancelled') cancelled++;
+    }
+  });
+
+  return {
+    purchases: purchases.length,
+    totalSpend,
+    deliveredSpend,
+    averageUnitCost: Object.values(assets)
+      .map(asset => ({ ...asset, averageUnitCost: round(asset.totalCost / asset.quantity) }))
+      .sort((a, b) => a.assetName.localeCompare(b.assetName)),
+    deliveries: { onTime, late, onTimeRate: rate(onTime, onTime + late) },
+    cancellations: { ordered, cancelled, cancellationRate: rate(cancelled, ordered) }
+  };
+};
+
+/**
+ * Compute the metrics of every supplier with purchases matching `match`
+ * @param {Object} [match] - Purchase filter, e.g. { base, supplier, purchaseDate }
+ * @returns {Promise<Map>} Supplier id -> metrics
+ */
+const getSupplierMetrics = async (match = {}) => {
+  const purchases = await Purchase.find(match)
+    .select('supplier assetName assetType quantity unitCost totalCost status deliveredQuantity expectedDeliveryDate deliveryDate orderedAt');
+
+  const bySupplier = new Map();
+  purchases.forEach(p => {
+    const key = String(p.supplier);
+    if (!bySupplier.has(key)) bySupplier.set(key, []);
+    bySupplier.get(key).push(p);
+  });
+
+  const metrics = new Map();
+  bySupplier.forEach((supplierPurchases, key) => metrics.set(key, computeMetrics(supplierPurchases)));
+
+  return metrics;
+};
+
+module.exports = {
+  computeMetrics,
+  getSupplierMetrics
+};
@@ -0,0 +1,38 @@
+/**
+ * Transactions
+ *
+ * Runs multi-document workflows inside a MongoDB transaction so that a
+ * failure part-way through rolls back every write made so far. Transactions
+ * need a replica set (a single-node replica set is enough for development).
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run a function inside a transaction, committing if it resolves and
+ * aborting if it throws. Transient errors are retried by the driver, so the
+ * function must pass `session` to every read and write it makes.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} The result of `work`
+ */
+const withTransaction = async (work) => {
+  let result;
+
+  await mongoose.connection.transaction(async (session) => {
+    result = await work(session);
+  });
+
+  return result;
+};
+
+/**
+ * Create an error carrying the HTTP status (and extra response fields) to
+ * send when it aborts a transaction
+ */
+const requestError = (status, message, details) =>
+  Object.assign(new Error(message), { status, details });
+
+module.exports = {
+  withTransaction,
+  requestError
+};
@@ -0,0 +1,77 @@
+import { format } from 'date-fns';
+import { ApprovalRequest } from '@/types/approval';
+import { User } from '@/types/user';
+
+interface ApprovalChainProps {
+  approval: ApprovalRequest;
+}
+
+const stepBadgeClass = (status: string) => {
+  switch (status) {
+    case 'Approved':
+      return 'bg-green-100 text-green-800';
+    case 'Rejected':
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-yellow-100 text-yellow-800';
+  }
+};
+
+/**
+ * Check whether a user can decide the current step of a pending approval.
+ * Mirrors the server: Admins decide any step, others need the step's role
+ * and base; nobody decides their own request or two steps of the same
+ * request.
+ */
+export const canDecideApproval = (approval: ApprovalRequest | undefined, user: User | null) => {
+  if (!approval || !user || approval.status !== 'Pending') return false;
+  if (approval.requestedBy?._id === user._id) return false;
+  if (approval.steps.some(step => step.decidedBy?._id === user._id)) return false;
+
+  if (user.role === 'Admin') return true;
+
+  const step = approval.steps[approval.currentStep];
+  return !!step && step.approverRole === user.role && (!step.base || step.base === user.assignedBase);
+};
+
+const ApprovalChain = ({ approval }: ApprovalChainProps) => (
+  <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+    <div className="px-4 py-5 sm:px-6">
+      <h3 className="text-lg leading-6 font-medium text-gray-900">Approval</h3>
+      <p className="mt-1 max-w-2xl text-sm text-gray-500">
+        {approval.workflowName} workflow · {approval.status}
+      </p>
+    </div>
+    <div className="border-t border-gray-200">
+      <ol className="divide-y divide-gray-200">
+        {approval.steps.map((step, index) => (
+          <li key={step._id || index} className="px-4 py-4 sm:px-6 flex justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                {index + 1}. {step.name}
+              </p>
+              <p className="text-xs text-gray-500">
+                {step.approverRole}{step.base && ` of ${step.base}`}
+              </p>
+              {step.comments && <p className="mt-1 text-sm text-gray-700">{step.comments}</p>}
+            </div>
+            <div className="text-right">
+              <span
+                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${stepBadgeClass(step.status)}`}
+              >
+                {step.status}
+              </span>
+              {step.decidedAt && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {step.decidedBy?.fullName} · {format(new Date(step.decidedAt), 'PPP p')}
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  </div>
+);
+
+export default ApprovalChain;
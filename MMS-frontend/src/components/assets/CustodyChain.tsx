@@ -0,0 +1,69 @@
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { CustodyEvent } from '@/types/asset';
+
+interface CustodyChainProps {
+  history: CustodyEvent[];
+}
+
+const EVENT_LABELS: Record<CustodyEvent['event'], string> = {
+  Registered: 'Registered',
+  Delivered: 'Delivered',
+  Assigned: 'Assigned',
+  Returned: 'Returned',
+  Dispatched: 'Dispatched',
+  Received: 'Received',
+  ReturnedToSource: 'Returned to source',
+  Expended: 'Expended',
+  Lost: 'Lost',
+  Damaged: 'Damaged',
+  Restored: 'Restored',
+  Updated: 'Updated',
+};
+
+// Pages the source of each event links to
+const SOURCE_PATHS: Partial<Record<NonNullable<CustodyEvent['sourceType']>, string>> = {
+  Purchase: '/purchases',
+  Transfer: '/transfers',
+  Assignment: '/assignments',
+  Expenditure: '/expenditures',
+};
+
+const CustodyChain = ({ history }: CustodyChainProps) => (
+  <ol className="border-l border-gray-200 ml-2 space-y-3">
+    {[...history].reverse().map((event) => {
+      const sourcePath = event.sourceType && SOURCE_PATHS[event.sourceType];
+
+      return (
+        <li key={event._id} className="ml-4">
+          <div className="text-sm text-gray-900">
+            <span className="font-medium">{EVENT_LABELS[event.event]}</span>
+            {event.base && <span className="text-gray-500"> at {event.base}</span>}
+            {event.holder && (
+              <span className="text-gray-500">
+                {' '}
+                — {event.holder.rank} {event.holder.name} ({event.holder.id})
+              </span>
+            )}
+          </div>
+          <div className="text-xs text-gray-500">
+            {format(new Date(event.date), 'MMM d, yyyy HH:mm')}
+            {event.condition && ` · ${event.condition}`}
+            {event.recordedBy && ` · by ${event.recordedBy.fullName}`}
+            {sourcePath && event.sourceId && (
+              <>
+                {' · '}
+                <Link href={`${sourcePath}/${event.sourceId}`} className="text-primary-600 hover:text-primary-900">
+                  {event.sourceType}
+                </Link>
+              </>
+            )}
+          </div>
+          {event.notes && <div className="text-xs text-gray-500">{event.notes}</div>}
+        </li>
+      );
+    })}
+  </ol>
+);
+
+export default CustodyChain;
@@ -0,0 +1,66 @@
+import { format } from 'date-fns';
+import { Lot } from '@/types/asset';
+import LotExpiryBadge from './LotExpiryBadge';
+
+interface LotAllocationPickerProps {
+  lots: Lot[];
+  // Quantity to take from each lot, by lot number
+  allocation: Record<string, string>;
+  onChange: (allocation: Record<string, string>) => void;
+  quantity?: number;
+  expiryWarningDays?: number;
+}
+
+// Lots named in a request; none means they are chosen automatically
+export const toLotAllocation = (allocation: Record<string, string>) =>
+  Object.entries(allocation)
+    .filter(([, quantity]) => Number(quantity) > 0)
+    .map(([lotNumber, quantity]) => ({ lotNumber, quantity: Number(quantity) }));
+
+const LotAllocationPicker = ({ lots, allocation, onChange, quantity, expiryWarningDays }: LotAllocationPickerProps) => {
+  if (lots.length === 0) {
+    return <p className="text-sm text-gray-500">No lots with stock to choose from.</p>;
+  }
+
+  const total = toLotAllocation(allocation).reduce((sum, lot) => sum + lot.quantity, 0);
+
+  return (
+    <div>
+      <div className="max-h-56 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+        {lots.map((lot) => (
+          <div key={lot._id} className="flex items-center justify-between px-3 py-2 text-sm">
+            <div>
+              <span className="font-mono text-gray-900">{lot.lotNumber}</span>
+              <span className="ml-2 text-gray-500">{lot.quantity} held</span>
+              {lot.expiryDate && (
+                <span className="ml-2 text-xs text-gray-500">
+                  expires {format(new Date(lot.expiryDate), 'MMM d, yyyy')}
+                </span>
+              )}
+              <LotExpiryBadge expiryDate={lot.expiryDate} warningDays={expiryWarningDays} className="ml-2" />
+            </div>
+            <input
+              type="number"
+              min={0}
+              max={lot.quantity}
+              className="form-input w-24"
+              value={allocation[lot.lotNumber] || ''}
+              onChange={(e) => onChange({ ...allocation, [lot.lotNumber]: e.target.value })}
+            />
+          </div>
+        ))}
+      </div>
+      <p
+        className={`mt-1 text-xs ${
+          total > 0 && quantity !== undefined && total !== quantity ? 'text-red-600' : 'text-gray-500'
+        }`}
+      >
+        {total > 0
+          ? `${total} allocated${quantity !== undefined ? ` of ${quantity}` : ''}`
+          : 'Leave blank to use lots in the configured consumption order'}
+      </p>
+    </div>
+  );
+};
+
+export default LotAllocationPicker;
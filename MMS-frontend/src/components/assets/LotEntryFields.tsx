@@ -0,0 +1,100 @@
+import { PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { LotRecord } from '@/types/asset';
+
+// A lot as typed into the form; blank rows are ignored
+export interface LotEntry {
+  lotNumber: string;
+  quantity: string;
+  manufactureDate: string;
+  expiryDate: string;
+}
+
+export const emptyLotEntry = (): LotEntry => ({ lotNumber: '', quantity: '', manufactureDate: '', expiryDate: '' });
+
+// Lots to send with a request, leaving out blank rows
+export const toLotRecords = (entries: LotEntry[]): LotRecord[] =>
+  entries
+    .filter((entry) => entry.lotNumber.trim() || entry.quantity)
+    .map((entry) => ({
+      lotNumber: entry.lotNumber.trim().toUpperCase(),
+      quantity: Number(entry.quantity),
+      manufactureDate: entry.manufactureDate || undefined,
+      expiryDate: entry.expiryDate || undefined,
+    }));
+
+interface LotEntryFieldsProps {
+  entries: LotEntry[];
+  onChange: (entries: LotEntry[]) => void;
+  // Quantity the lots should add up to, when it is known
+  quantity?: number;
+}
+
+const LotEntryFields = ({ entries, onChange, quantity }: LotEntryFieldsProps) => {
+  const update = (index: number, field: keyof LotEntry, value: string) => {
+    onChange(entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  };
+
+  const total = toLotRecords(entries).reduce((sum, lot) => sum + (lot.quantity || 0), 0);
+
+  return (
+    <div>
+      <div className="grid grid-cols-12 gap-2 text-xs font-medium text-gray-500">
+        <span className="col-span-3">Lot number</span>
+        <span className="col-span-2">Quantity</span>
+        <span className="col-span-3">Manufactured</span>
+        <span className="col-span-3">Expires</span>
+      </div>
+      {entries.map((entry, index) => (
+        <div key={index} className="mt-1 grid grid-cols-12 gap-2 items-center">
+          <input
+            type="text"
+            className="form-input col-span-3 font-mono uppercase"
+            value={entry.lotNumber}
+            onChange={(e) => update(index, 'lotNumber', e.target.value)}
+          />
+          <input
+            type="number"
+            min={1}
+            className="form-input col-span-2"
+            value={entry.quantity}
+            onChange={(e) => update(index, 'quantity', e.target.value)}
+          />
+          <input
+            type="date"
+            className="form-input col-span-3"
+            value={entry.manufactureDate}
+            onChange={(e) => update(index, 'manufactureDate', e.target.value)}
+          />
+          <input
+            type="date"
+            className="form-input col-span-3"
+            value={entry.expiryDate}
+            onChange={(e) => update(index, 'expiryDate', e.target.value)}
+          />
+          <button
+            type="button"
+            className="col-span-1 text-gray-400 hover:text-red-600"
+            onClick={() => onChange(entries.length > 1 ? entries.filter((_, i) => i !== index) : [emptyLotEntry()])}
+          >
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+      ))}
+      <div className="mt-2 flex items-center justify-between">
+        <button
+          type="button"
+          className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-900"
+          onClick={() => onChange([...entries, emptyLotEntry()])}
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add lot
+        </button>
+        <span className={`text-xs ${quantity !== undefined && total !== quantity ? 'text-red-600' : 'text-gray-500'}`}>
+          {total} in lots{quantity !== undefined && ` of ${quantity}`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default LotEntryFields;
@@ -0,0 +1,28 @@
+import { differenceInCalendarDays } from 'date-fns';
+
+interface LotExpiryBadgeProps {
+  expiryDate?: string;
+  // Lots expiring within this many days are flagged
+  warningDays?: number;
+  className?: string;
+}
+
+const LotExpiryBadge = ({ expiryDate, warningDays = 90, className = '' }: LotExpiryBadgeProps) => {
+  if (!expiryDate) return null;
+
+  const days = differenceInCalendarDays(new Date(expiryDate), new Date());
+
+  if (days > warningDays) return null;
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${
+        days <= 0 ? 'bg-red-100 text-red-800' : 'bg-orange-100 text-orange-800'
+      } ${className}`}
+    >
+      {days <= 0 ? 'Expired' : `Expires in ${days} day${days === 1 ? '' : 's'}`}
+    </span>
+  );
+};
+
+export default LotExpiryBadge;
@@ -0,0 +1,23 @@
+import { format } from 'date-fns';
+import { LotRecord } from '@/types/asset';
+
+interface LotListProps {
+  lots: LotRecord[];
+}
+
+// Lots a movement received or drew on
+const LotList = ({ lots }: LotListProps) => (
+  <ul className="space-y-1">
+    {lots.map((lot) => (
+      <li key={lot.lotNumber} className="text-sm text-gray-900">
+        <span className="font-mono">{lot.lotNumber}</span>
+        <span className="text-gray-500"> × {lot.quantity}</span>
+        {lot.expiryDate && (
+          <span className="text-xs text-gray-500"> · expires {format(new Date(lot.expiryDate), 'MMM d, yyyy')}</span>
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+export default LotList;
@@ -0,0 +1,51 @@
+interface SerialNumberPickerProps {
+  options: string[];
+  selected: string[];
+  onChange: (selected: string[]) => void;
+  // Number of items the movement covers, when it is already known
+  quantity?: number;
+}
+
+// Split pasted serial numbers on commas, semicolons or whitespace
+export const parseSerialNumbers = (text: string): string[] =>
+  text
+    .split(/[\s,;]+/)
+    .map((serial) => serial.trim().toUpperCase())
+    .filter(Boolean);
+
+const SerialNumberPicker = ({ options, selected, onChange, quantity }: SerialNumberPickerProps) => {
+  const toggle = (serial: string) => {
+    onChange(selected.includes(serial) ? selected.filter((s) => s !== serial) : [...selected, serial]);
+  };
+
+  if (options.length === 0) {
+    return <p className="text-sm text-gray-500">No serial numbers to choose from.</p>;
+  }
+
+  return (
+    <div>
+      <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-md p-2 grid grid-cols-2 gap-1 sm:grid-cols-3">
+        {options.map((serial) => (
+          <label key={serial} className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="form-checkbox mr-2"
+              checked={selected.includes(serial)}
+              onChange={() => toggle(serial)}
+            />
+            <span className="font-mono">{serial}</span>
+          </label>
+        ))}
+      </div>
+      <p
+        className={`mt-1 text-xs ${
+          quantity !== undefined && selected.length !== quantity ? 'text-red-600' : 'text-gray-500'
+        }`}
+      >
+        {selected.length} selected{quantity !== undefined && ` of ${quantity}`}
+      </p>
+    </div>
+  );
+};
+
+export default SerialNumberPicker;
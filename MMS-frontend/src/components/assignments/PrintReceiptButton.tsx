@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import { PrinterIcon } from '@heroicons/react/24/outline';
+import { assignmentService } from '@/services/assignmentService';
+import toast from 'react-hot-toast';
+
+interface PrintReceiptButtonProps {
+  // Any assignment on the receipt
+  assignmentId: string;
+  receiptNumber?: string;
+  className?: string;
+}
+
+// Download the hand receipt covering an assignment for printing and signature
+export const downloadReceipt = async (assignmentId: string, receiptNumber?: string) => {
+  const blob = await assignmentService.downloadReceipt(assignmentId);
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `hand-receipt-${receiptNumber || assignmentId}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const PrintReceiptButton = ({ assignmentId, receiptNumber, className = 'btn btn-secondary' }: PrintReceiptButtonProps) => {
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const handleClick = async () => {
+    setIsDownloading(true);
+    try {
+      await downloadReceipt(assignmentId, receiptNumber);
+    } catch (error) {
+      console.error('Error downloading hand receipt:', error);
+      toast.error('Failed to download hand receipt');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <button type="button" className={className} onClick={handleClick} disabled={isDownloading}>
+      <PrinterIcon className="h-5 w-5 mr-2" />
+      {isDownloading ? 'Preparing...' : 'Hand Receipt'}
+    </button>
+  );
+};
+
+export default PrintReceiptButton;
@@ -0,0 +1,66 @@
+import { Budget } from '@/types/budget';
+
+interface BudgetUtilisationPanelProps {
+  budgets: Budget[];
+}
+
+// Share of a budget as a bar width, capped at the full bar
+const barWidth = (value: number, amount: number) =>
+  `${amount ? Math.min(Math.max(value / amount, 0), 1) * 100 : 0}%`;
+
+const BudgetUtilisationPanel = ({ budgets }: BudgetUtilisationPanelProps) => {
+  if (budgets.length === 0) {
+    return <div className="text-center py-4 text-sm text-gray-500">No budgets set for this fiscal year</div>;
+  }
+
+  return (
+    <div className="space-y-5">
+      {budgets.map((budget) => {
+        const overBudget = budget.remaining < 0;
+
+        return (
+          <div key={budget._id}>
+            <div className="flex justify-between text-sm">
+              <span className="font-medium text-gray-900">
+                {budget.base} · {budget.assetType || 'All asset types'}
+                {budget.enforcement === 'Flag' && (
+                  <span className="ml-2 text-xs font-normal text-gray-500">(flags only)</span>
+                )}
+              </span>
+              <span className={overBudget ? 'font-medium text-red-600' : 'text-gray-500'}>
+                {budget.utilisation == null ? '—' : `${Math.round(budget.utilisation * 100)}%`} of $
+                {budget.amount.toLocaleString()}
+              </span>
+            </div>
+            {/* Approved spend, with the ordered and delivered parts of it shaded darker */}
+            <div className="relative mt-2 h-3 rounded-full bg-gray-100 overflow-hidden">
+              <div
+                className={`absolute inset-y-0 left-0 ${overBudget ? 'bg-red-200' : 'bg-primary-200'}`}
+                style={{ width: barWidth(budget.approved, budget.amount) }}
+              />
+              <div
+                className={`absolute inset-y-0 left-0 ${overBudget ? 'bg-red-400' : 'bg-primary-400'}`}
+                style={{ width: barWidth(budget.committed, budget.amount) }}
+              />
+              <div
+                className={`absolute inset-y-0 left-0 ${overBudget ? 'bg-red-600' : 'bg-primary-600'}`}
+                style={{ width: barWidth(budget.actual, budget.amount) }}
+              />
+            </div>
+            <div className="mt-1 flex flex-wrap gap-x-4 text-xs text-gray-500">
+              <span>Actual ${budget.actual.toLocaleString()}</span>
+              <span>Committed ${budget.committed.toLocaleString()}</span>
+              <span>Approved ${budget.approved.toLocaleString()}</span>
+              <span className={overBudget ? 'text-red-600' : ''}>
+                Remaining ${budget.remaining.toLocaleString()}
+              </span>
+              {budget.requested > 0 && <span>Awaiting approval ${budget.requested.toLocaleString()}</span>}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BudgetUtilisationPanel;
@@ -0,0 +1,58 @@
+import { format } from 'date-fns';
+import { CorrectableField, ExpenditureRevision } from '@/types/expenditure';
+
+interface RevisionHistoryProps {
+  revisions: ExpenditureRevision[];
+}
+
+const FIELD_LABELS: Record<CorrectableField, string> = {
+  quantity: 'Quantity',
+  reason: 'Reason',
+  expenditureDate: 'Expenditure Date',
+};
+
+const formatChange = (field: CorrectableField, value: number | string) =>
+  field === 'expenditureDate' ? format(new Date(value), 'PPP p') : String(value);
+
+/**
+ * Corrections made to an expenditure, newest first, each shown as the
+ * values it replaced and the values it set
+ */
+const RevisionHistory = ({ revisions }: RevisionHistoryProps) => {
+  if (!revisions.length) {
+    return <p className="text-sm text-gray-500">No corrections have been made.</p>;
+  }
+
+  return (
+    <ol className="border-l border-gray-200">
+      {[...revisions].reverse().map((revision, index) => (
+        <li key={revision._id || index} className="ml-4 py-3">
+          <p className="text-sm text-gray-900">
+            Revision {revisions.length - index}
+            <span className="ml-2 text-xs text-gray-500">
+              {format(new Date(revision.date), 'PPP p')}
+              {revision.user?.fullName && ` · ${revision.user.fullName}`}
+            </span>
+          </p>
+          <ul className="mt-1 space-y-1">
+            {revision.changes.map((change) => (
+              <li key={change.field} className="text-sm">
+                <span className="text-gray-500">{FIELD_LABELS[change.field]}: </span>
+                <span className="px-1 rounded bg-red-50 text-red-700 line-through">
+                  {formatChange(change.field, change.from)}
+                </span>
+                <span className="mx-1 text-gray-400">→</span>
+                <span className="px-1 rounded bg-green-50 text-green-700">
+                  {formatChange(change.field, change.to)}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <p className="mt-1 text-sm text-gray-600">{revision.justification}</p>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default RevisionHistory;
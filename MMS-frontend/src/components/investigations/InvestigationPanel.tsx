@@ -0,0 +1,522 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { investigationService } from '@/services/investigationService';
+import Modal from '@/components/ui/Modal';
+import PersonnelPicker from '@/components/personnel/PersonnelPicker';
+import { Investigation, InvestigationOutcome, LiabilityDecision } from '@/types/investigation';
+import { PersonnelSummary } from '@/types/personnel';
+import toast from 'react-hot-toast';
+
+interface InvestigationPanelProps {
+  investigationId: string;
+  // Admins and the base's commander run the case
+  canManage: boolean;
+}
+
+const STATUS_LABELS: Record<Investigation['status'], string> = {
+  Open: 'Open',
+  UnderInvestigation: 'Under Investigation',
+  Closed: 'Closed',
+};
+
+const LIABILITY_LABELS: Record<LiabilityDecision, string> = {
+  Pending: 'Pending',
+  NotLiable: 'Not liable',
+  Liable: 'Liable',
+};
+
+const EVENT_LABELS: Record<string, string> = {
+  Opened: 'Opened',
+  OfficerAppointed: 'Officer appointed',
+  Updated: 'Updated',
+  EvidenceAdded: 'Evidence added',
+  Closed: 'Closed',
+};
+
+export const investigationBadgeClass = (status: Investigation['status']) => {
+  switch (status) {
+    case 'Open':
+      return 'bg-yellow-100 text-yellow-800';
+    case 'UnderInvestigation':
+      return 'bg-blue-100 text-blue-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+};
+
+const Spinner = () => (
+  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+  </svg>
+);
+
+/**
+ * Case record of a lost or damaged assignment: officer, findings, liability,
+ * evidence and history, with the actions that move the case to its outcome
+ */
+const InvestigationPanel = ({ investigationId, canManage }: InvestigationPanelProps) => {
+  const [investigation, setInvestigation] = useState<Investigation | null>(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  // State for the update modal
+  const [showUpdateModal, setShowUpdateModal] = useState(false);
+  const [officer, setOfficer] = useState<PersonnelSummary | null>(null);
+  const [findings, setFindings] = useState('');
+  const [decision, setDecision] = useState<LiabilityDecision>('Pending');
+  const [amount, setAmount] = useState('');
+  const [liabilityNotes, setLiabilityNotes] = useState('');
+  const [notes, setNotes] = useState('');
+
+  // State for the evidence and close modals
+  const [showEvidenceModal, setShowEvidenceModal] = useState(false);
+  const [evidenceDescription, setEvidenceDescription] = useState('');
+  const [evidenceReference, setEvidenceReference] = useState('');
+  const [showCloseModal, setShowCloseModal] = useState(false);
+  const [outcome, setOutcome] = useState<InvestigationOutcome>('WrittenOff');
+
+  useEffect(() => {
+    investigationService
+      .getInvestigationById(investigationId)
+      .then(setInvestigation)
+      .catch((error) => {
+        console.error('Error fetching investigation:', error);
+        toast.error('Failed to load the investigation');
+      });
+  }, [investigationId]);
+
+  if (!investigation) return null;
+
+  const isClosed = investigation.status === 'Closed';
+
+  // Re-read the case so the history names who made each change
+  const refresh = async () => {
+    setInvestigation(await investigationService.getInvestigationById(investigationId));
+  };
+
+  const openUpdateModal = () => {
+    setOfficer(null);
+    setFindings(investigation.findings || '');
+    setDecision(investigation.liability.decision);
+    setAmount(investigation.liability.amount !== undefined ? String(investigation.liability.amount) : '');
+    setLiabilityNotes(investigation.liability.notes || '');
+    setNotes('');
+    setShowUpdateModal(true);
+  };
+
+  const handleUpdate = async () => {
+    setIsProcessing(true);
+    try {
+      await investigationService.updateInvestigation(investigation._id, {
+        investigatingOfficer: officer?._id,
+        findings: findings.trim() || undefined,
+        liability: {
+          decision,
+          amount: decision === 'Liable' && amount ? Number(amount) : undefined,
+          notes: liabilityNotes.trim() || undefined,
+        },
+        notes: notes.trim() || undefined,
+      });
+      await refresh();
+      toast.success('Investigation updated');
+      setShowUpdateModal(false);
+    } catch (error: any) {
+      console.error('Error updating investigation:', error);
+      toast.error(error.response?.data?.error || 'Failed to update the investigation');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleAddEvidence = async () => {
+    setIsProcessing(true);
+    try {
+      await investigationService.addEvidence(investigation._id, {
+        description: evidenceDescription.trim(),
+        reference: evidenceReference.trim() || undefined,
+      });
+      await refresh();
+      toast.success('Evidence added');
+      setShowEvidenceModal(false);
+      setEvidenceDescription('');
+      setEvidenceReference('');
+    } catch (error: any) {
+      console.error('Error adding evidence:', error);
+      toast.error(error.response?.data?.error || 'Failed to add evidence');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleClose = async () => {
+    setIsProcessing(true);
+    try {
+      await investigationService.closeInvestigation(investigation._id, {
+        outcome,
+        notes: notes.trim() || undefined,
+      });
+      await refresh();
+      toast.success(outcome === 'WrittenOff' ? 'Stock written off' : 'Stock restored');
+      setShowCloseModal(false);
+    } catch (error: any) {
+      console.error('Error closing investigation:', error);
+      toast.error(error.response?.data?.error || 'Failed to close the investigation');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Closing needs findings and a liability decision, as on the server
+  const canClose = !!investigation.findings && investigation.liability.decision !== 'Pending';
+
+  return (
+    <>
+      <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+        <div className="px-4 py-5 sm:px-6 flex justify-between items-start">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900">Investigation</h3>
+            <p className="mt-1 max-w-2xl text-sm text-gray-500">
+              {investigation.type} · opened {format(new Date(investigation.createdAt), 'PPP')}
+              {investigation.openedBy && ` by ${investigation.openedBy.fullName}`}
+            </p>
+          </div>
+          <span
+            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${investigationBadgeClass(
+              investigation.status
+            )}`}
+          >
+            {STATUS_LABELS[investigation.status]}
+          </span>
+        </div>
+        <div className="border-t border-gray-200">
+          <dl>
+            <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+              <dt className="text-sm font-medium text-gray-500">Quantity</dt>
+              <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                {investigation.quantity} {investigation.assetName}
+                {!!investigation.serialNumbers?.length && (
+                  <p className="text-xs text-gray-500">{investigation.serialNumbers.join(', ')}</p>
+                )}
+              </dd>
+            </div>
+            <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+              <dt className="text-sm font-medium text-gray-500">Investigating Officer</dt>
+              <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                {investigation.officer && investigation.investigatingOfficer ? (
+                  <Link href={`/personnel/${investigation.investigatingOfficer}`} className="text-primary-600 hover:text-primary-900">
+                    {investigation.officer.rank} {investigation.officer.name} ({investigation.officer.id})
+                  </Link>
+                ) : (
+                  'Not appointed'
+                )}
+              </dd>
+            </div>
+            <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+              <dt className="text-sm font-medium text-gray-500">Findings</dt>
+              <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2 whitespace-pre-line">
+                {investigation.findings || '—'}
+              </dd>
+            </div>
+            <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+              <dt className="text-sm font-medium text-gray-500">Liability</dt>
+              <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                {LIABILITY_LABELS[investigation.liability.decision]}
+                {investigation.liability.amount !== undefined && investigation.liability.amount !== null && (
+                  <span> · ${investigation.liability.amount.toLocaleString()}</span>
+                )}
+                {investigation.liability.notes && (
+                  <p className="text-xs text-gray-500">{investigation.liability.notes}</p>
+                )}
+              </dd>
+            </div>
+            {isClosed && (
+              <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                <dt className="text-sm font-medium text-gray-500">Outcome</dt>
+                <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                  {investigation.outcome === 'WrittenOff' ? 'Written off' : 'Restored to stock'}
+                  {investigation.closedAt && ` on ${format(new Date(investigation.closedAt), 'PPP')}`}
+                  {investigation.closedBy && ` by ${investigation.closedBy.fullName}`}
+                  {investigation.expenditure && (
+                    <>
+                      {' · '}
+                      <Link href={`/expenditures/${investigation.expenditure}`} className="text-primary-600 hover:text-primary-900">
+                        View expenditure
+                      </Link>
+                    </>
+                  )}
+                  {investigation.outcomeNotes && (
+                    <p className="text-xs text-gray-500">{investigation.outcomeNotes}</p>
+                  )}
+                </dd>
+              </div>
+            )}
+          </dl>
+        </div>
+
+        {/* Evidence */}
+        <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
+          <h4 className="text-sm font-medium text-gray-900">Evidence</h4>
+          {!investigation.evidence?.length ? (
+            <p className="mt-2 text-sm text-gray-500">No evidence recorded.</p>
+          ) : (
+            <ul className="mt-2 divide-y divide-gray-200">
+              {investigation.evidence.map((item, index) => (
+                <li key={item._id || index} className="py-2">
+                  <p className="text-sm text-gray-900">{item.description}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.reference && `${item.reference} · `}
+                    {item.addedBy?.fullName && `${item.addedBy.fullName} · `}
+                    {format(new Date(item.addedAt), 'PPP p')}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* History */}
+        <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
+          <h4 className="text-sm font-medium text-gray-900">History</h4>
+          <ol className="mt-2 border-l border-gray-200">
+            {(investigation.history || []).map((entry, index) => (
+              <li key={entry._id || index} className="ml-4 py-2">
+                <p className="text-sm text-gray-900">
+                  {EVENT_LABELS[entry.event] || entry.event}
+                  <span className="ml-2 text-xs text-gray-500">
+                    {format(new Date(entry.date), 'PPP p')}
+                    {entry.user?.fullName && ` · ${entry.user.fullName}`}
+                  </span>
+                </p>
+                {entry.notes && <p className="text-sm text-gray-600">{entry.notes}</p>}
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        {canManage && !isClosed && (
+          <div className="border-t border-gray-200 px-4 py-4 sm:px-6 flex justify-end space-x-3">
+            <button type="button" className="btn btn-secondary" onClick={() => setShowEvidenceModal(true)}>
+              Add Evidence
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={openUpdateModal}>
+              Update Case
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={() => {
+                setOutcome('WrittenOff');
+                setNotes('');
+                setShowCloseModal(true);
+              }}
+              disabled={!canClose}
+              title={canClose ? undefined : 'Record findings and a liability decision first'}
+            >
+              Close Case
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Update Investigation Modal */}
+      <Modal isOpen={showUpdateModal} onClose={() => setShowUpdateModal(false)} title="Update Investigation" size="lg">
+        <div className="py-4 space-y-4">
+          <div>
+            <label htmlFor="investigatingOfficer" className="block text-sm font-medium text-gray-700">
+              Investigating Officer
+            </label>
+            {investigation.officer && (
+              <p className="text-xs text-gray-500">
+                Currently {investigation.officer.rank} {investigation.officer.name}; pick someone to replace them
+              </p>
+            )}
+            <div className="mt-1">
+              <PersonnelPicker id="investigatingOfficer" value={officer} onChange={setOfficer} />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="findings" className="block text-sm font-medium text-gray-700">Findings</label>
+            <textarea
+              id="findings"
+              className="mt-1 form-textarea"
+              rows={4}
+              value={findings}
+              onChange={(e) => setFindings(e.target.value)}
+            />
+          </div>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label htmlFor="liabilityDecision" className="block text-sm font-medium text-gray-700">Liability</label>
+              <select
+                id="liabilityDecision"
+                className="mt-1 form-select"
+                value={decision}
+                onChange={(e) => setDecision(e.target.value as LiabilityDecision)}
+              >
+                {(Object.keys(LIABILITY_LABELS) as LiabilityDecision[]).map((value) => (
+                  <option key={value} value={value}>{LIABILITY_LABELS[value]}</option>
+                ))}
+              </select>
+            </div>
+            {decision === 'Liable' && (
+              <div>
+                <label htmlFor="liabilityAmount" className="block text-sm font-medium text-gray-700">Amount</label>
+                <input
+                  id="liabilityAmount"
+                  type="number"
+                  min={0}
+                  className="mt-1 form-input"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+              </div>
+            )}
+          </div>
+          <div>
+            <label htmlFor="liabilityNotes" className="block text-sm font-medium text-gray-700">Liability Notes</label>
+            <input
+              id="liabilityNotes"
+              type="text"
+              className="mt-1 form-input"
+              value={liabilityNotes}
+              onChange={(e) => setLiabilityNotes(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="investigationNotes" className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea
+              id="investigationNotes"
+              className="mt-1 form-textarea"
+              rows={2}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Added to the case history"
+            />
+          </div>
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button type="button" className="btn btn-secondary" onClick={() => setShowUpdateModal(false)} disabled={isProcessing}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handleUpdate} disabled={isProcessing}>
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <Spinner />
+                  Processing...
+                </span>
+              ) : (
+                'Save'
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Add Evidence Modal */}
+      <Modal isOpen={showEvidenceModal} onClose={() => setShowEvidenceModal(false)} title="Add Evidence" size="md">
+        <div className="py-4 space-y-4">
+          <div>
+            <label htmlFor="evidenceDescription" className="block text-sm font-medium text-gray-700">Description</label>
+            <textarea
+              id="evidenceDescription"
+              className="mt-1 form-textarea"
+              rows={3}
+              value={evidenceDescription}
+              onChange={(e) => setEvidenceDescription(e.target.value)}
+              placeholder="Statement, photograph or report and what it shows"
+            />
+          </div>
+          <div>
+            <label htmlFor="evidenceReference" className="block text-sm font-medium text-gray-700">Reference (Optional)</label>
+            <input
+              id="evidenceReference"
+              type="text"
+              className="mt-1 form-input"
+              value={evidenceReference}
+              onChange={(e) => setEvidenceReference(e.target.value)}
+              placeholder="Where the evidence is kept"
+            />
+          </div>
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button type="button" className="btn btn-secondary" onClick={() => setShowEvidenceModal(false)} disabled={isProcessing}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleAddEvidence}
+              disabled={isProcessing || !evidenceDescription.trim()}
+            >
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <Spinner />
+                  Processing...
+                </span>
+              ) : (
+                'Add Evidence'
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Close Investigation Modal */}
+      <Modal isOpen={showCloseModal} onClose={() => setShowCloseModal(false)} title="Close Investigation" size="md">
+        <div className="py-4 space-y-4">
+          <div>
+            <label htmlFor="outcome" className="block text-sm font-medium text-gray-700">Outcome</label>
+            <select
+              id="outcome"
+              className="mt-1 form-select"
+              value={outcome}
+              onChange={(e) => setOutcome(e.target.value as InvestigationOutcome)}
+            >
+              <option value="WrittenOff">Write off</option>
+              <option value="Restored">Restore to stock</option>
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              {outcome === 'WrittenOff'
+                ? `${investigation.quantity} ${investigation.assetName} will be recorded as a ${investigation.type.toLowerCase()} expenditure.`
+                : `${investigation.quantity} ${investigation.assetName} will go back into ${investigation.base}'s available stock.`}
+            </p>
+          </div>
+          <div>
+            <label htmlFor="closeNotes" className="block text-sm font-medium text-gray-700">Notes (Optional)</label>
+            <textarea
+              id="closeNotes"
+              className="mt-1 form-textarea"
+              rows={3}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button type="button" className="btn btn-secondary" onClick={() => setShowCloseModal(false)} disabled={isProcessing}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className={`btn ${outcome === 'WrittenOff' ? 'btn-danger' : 'btn-primary'}`}
+              onClick={handleClose}
+              disabled={isProcessing}
+            >
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <Spinner />
+                  Processing...
+                </span>
+              ) : (
+                'Close Case'
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </>
+  );
+};
+
+export default InvestigationPanel;
@@ -3,6 +3,7 @@ import { useRouter } from 'next/router';
 import { useAuth } from '@/contexts/AuthContext';
 import Sidebar from './Sidebar';
 import Navbar from './Navbar';
+import MaintenanceBanner from './MaintenanceBanner';
 
 interface LayoutProps {
   children: ReactNode;
@@ -17,7 +18,12 @@ const Layout = ({ children }: LayoutProps) => {
   const isPublicPage = publicPaths.includes(router.pathname);
   
   if (isPublicPage || !isAuthenticated) {
-    return <div className="min-h-screen bg-gray-50">{children}</div>;
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <MaintenanceBanner />
+        {children}
+      </div>
+    );
   }
   
   return (
@@ -25,6 +31,7 @@ const Layout = ({ children }: LayoutProps) => {
       <Sidebar />
       <div className="lg:pl-64">
         <Navbar />
+        <MaintenanceBanner />
         <main className="py-6 px-4 sm:px-6 lg:px-8">
           {children}
         </main>
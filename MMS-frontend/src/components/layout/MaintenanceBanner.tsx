@@ -0,0 +1,31 @@
+import { ExclamationTriangleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useMaintenanceStore } from '@/stores/maintenanceStore';
+
+const MaintenanceBanner = () => {
+  const { isMaintenanceMode, message, setMaintenanceMode } = useMaintenanceStore();
+
+  if (!isMaintenanceMode) return null;
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="flex items-center justify-between px-4 py-3 sm:px-6 lg:px-8">
+        <div className="flex items-center">
+          <ExclamationTriangleIcon className="h-5 w-5 text-yellow-500" aria-hidden="true" />
+          <p className="ml-3 text-sm font-medium text-yellow-800">
+            {message || 'The system is in maintenance mode. Changes are disabled until maintenance is complete.'}
+          </p>
+        </div>
+        <button
+          type="button"
+          className="ml-4 text-yellow-500 hover:text-yellow-700"
+          onClick={() => setMaintenanceMode(false)}
+        >
+          <span className="sr-only">Dismiss</span>
+          <XMarkIcon className="h-5 w-5" aria-hidden="true" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MaintenanceBanner;
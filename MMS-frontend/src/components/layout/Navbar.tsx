@@ -1,8 +1,9 @@
-import { Fragment } from 'react';
+import { Fragment, useEffect } from 'react';
 import { Menu, Transition } from '@headlessui/react';
 import { BellIcon, Bars3Icon } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
-import { useNotificationStore } from '@/stores/notificationStore';
+import { Notification, useNotificationStore } from '@/stores/notificationStore';
+import { notificationService, ServerNotification } from '@/services/notificationService';
 import Link from 'next/link';
 import Image from 'next/image';
 import NotificationsDropdown from '../notifications/NotificationsDropdown';
@@ -11,13 +12,51 @@ function classNames(...classes: string[]) {
   return classes.filter(Boolean).join(' ');
 }
 
+// How often notifications sent by the server are fetched
+const NOTIFICATION_POLL_MS = 60 * 1000;
+
+// Pages of the records server notifications can be about
+const RESOURCE_PATHS: Record<string, string> = {
+  Assignment: '/assignments',
+};
+
+const toNotification = (notification: ServerNotification): Notification => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  read: notification.read,
+  createdAt: new Date(notification.createdAt),
+  link: notification.resourceType && notification.resourceId && RESOURCE_PATHS[notification.resourceType]
+    ? `${RESOURCE_PATHS[notification.resourceType]}/${notification.resourceId}`
+    : undefined,
+});
+
 interface NavbarProps {
   setSidebarOpen?: (open: boolean) => void;
 }
 
 const Navbar = ({ setSidebarOpen }: NavbarProps) => {
   const { user, logout } = useAuth();
-  const { notifications, unreadCount } = useNotificationStore();
+  const { notifications, unreadCount, setRemoteNotifications } = useNotificationStore();
+
+  // Fetch the notifications sent by the server, and check for new ones
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchNotifications = async () => {
+      try {
+        const response = await notificationService.getNotifications({ limit: 20 });
+        setRemoteNotifications(response.notifications.map(toNotification));
+      } catch (error) {
+        console.error('Error fetching notifications:', error);
+      }
+    };
+
+    fetchNotifications();
+    const timer = setInterval(fetchNotifications, NOTIFICATION_POLL_MS);
+    return () => clearInterval(timer);
+  }, [user, setRemoteNotifications]);
 
   return (
     <div className="sticky top-0 z-10 flex h-16 flex-shrink-0 bg-white shadow">
@@ -11,6 +11,11 @@ import {
   Cog6ToothIcon,
   UsersIcon,
   ClockIcon,
+  CheckBadgeIcon,
+  BuildingStorefrontIcon,
+  BanknotesIcon,
+  IdentificationIcon,
+  ShieldExclamationIcon,
 } from '@heroicons/react/24/outline';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
@@ -30,9 +35,14 @@ const Sidebar = () => {
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, roles: ['Admin'] },
     { name: 'Assets', href: '/assets', icon: CubeIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
     { name: 'Transfers', href: '/transfers', icon: TruckIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
+    { name: 'Approvals', href: '/approvals', icon: CheckBadgeIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
     { name: 'Purchases', href: '/purchases', icon: ShoppingCartIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
+    { name: 'Budgets', href: '/budgets', icon: BanknotesIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
+    { name: 'Suppliers', href: '/suppliers', icon: BuildingStorefrontIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
     { name: 'Assignments', href: '/assignments', icon: UserGroupIcon, roles: ['Admin', 'BaseCommander'] },
+    { name: 'Personnel', href: '/personnel', icon: IdentificationIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
     { name: 'Expenditures', href: '/expenditures', icon: ArchiveBoxIcon, roles: ['Admin', 'BaseCommander'] },
+    { name: 'Investigations', href: '/investigations', icon: ShieldExclamationIcon, roles: ['Admin', 'BaseCommander', 'LogisticsOfficer'] },
     { name: 'Users', href: '/users', icon: UsersIcon, roles: ['Admin'] },
     { name: 'Settings', href: '/settings', icon: Cog6ToothIcon, roles: ['Admin'] },
   ];
@@ -1,7 +1,9 @@
 import { Fragment } from 'react';
+import { useRouter } from 'next/router';
 import { Menu } from '@headlessui/react';
 import { format } from 'date-fns';
 import { Notification, useNotificationStore } from '@/stores/notificationStore';
+import { notificationService } from '@/services/notificationService';
 import { BellIcon, CheckCircleIcon, ExclamationCircleIcon, InformationCircleIcon } from '@heroicons/react/24/outline';
 
 interface NotificationsDropdownProps {
@@ -13,8 +15,29 @@ function classNames(...classes: string[]) {
 }
 
 const NotificationsDropdown = ({ notifications }: NotificationsDropdownProps) => {
+  const router = useRouter();
   const { markAsRead, markAllAsRead } = useNotificationStore();
 
+  // Notifications sent by the server are also marked read there
+  const handleRead = (notification: Notification) => {
+    markAsRead(notification.id);
+    if (notification.remote && !notification.read) {
+      notificationService.markAsRead(notification.id)
+        .catch((error) => console.error('Error marking notification as read:', error));
+    }
+    if (notification.link) {
+      router.push(notification.link);
+    }
+  };
+
+  const handleReadAll = () => {
+    markAllAsRead();
+    if (notifications.some((notification) => notification.remote && !notification.read)) {
+      notificationService.markAllAsRead()
+        .catch((error) => console.error('Error marking notifications as read:', error));
+    }
+  };
+
   const getIcon = (type: string) => {
     switch (type) {
       case 'success':
@@ -35,7 +58,7 @@ const NotificationsDropdown = ({ notifications }: NotificationsDropdownProps) =>
         <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
         {notifications.length > 0 && (
           <button
-            onClick={() => markAllAsRead()}
+            onClick={handleReadAll}
             className="text-xs text-primary-600 hover:text-primary-800"
           >
             Mark all as read
@@ -58,7 +81,7 @@ const NotificationsDropdown = ({ notifications }: NotificationsDropdownProps) =>
                     notification.read ? 'opacity-75' : '',
                     'px-4 py-3 border-b border-gray-200 last:border-b-0'
                   )}
-                  onClick={() => markAsRead(notification.id)}
+                  onClick={() => handleRead(notification)}
                 >
                   <div className="flex items-start">
                     <div className="flex-shrink-0 pt-0.5">
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { personnelService } from '@/services/personnelService';
+import { PersonnelSummary } from '@/types/personnel';
+
+interface PersonnelPickerProps {
+  id?: string;
+  // Only personnel of this base are offered
+  base?: string;
+  value: PersonnelSummary | null;
+  onChange: (person: PersonnelSummary | null) => void;
+  onBlur?: () => void;
+  error?: string;
+}
+
+// Label for a person in lists and pickers
+export const personnelLabel = (person: Pick<PersonnelSummary, 'rank' | 'name' | 'serviceNumber'>) =>
+  `${person.rank} ${person.name} (${person.serviceNumber})`;
+
+/**
+ * Search the personnel registry by name or service number and pick a person
+ */
+const PersonnelPicker = ({ id, base, value, onChange, onBlur, error }: PersonnelPickerProps) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState<PersonnelSummary[]>([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (value || !query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      setIsSearching(true);
+      try {
+        setResults(await personnelService.searchPersonnel(query.trim(), { base: base || undefined }));
+      } catch (searchError) {
+        console.error('Error searching personnel:', searchError);
+        setResults([]);
+      } finally {
+        setIsSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [query, base, value]);
+
+  if (value) {
+    return (
+      <div className="flex items-center justify-between form-input bg-gray-50">
+        <span className="text-sm text-gray-900">{personnelLabel(value)}</span>
+        <button
+          type="button"
+          className="text-gray-400 hover:text-gray-600"
+          onClick={() => {
+            onChange(null);
+            setQuery('');
+          }}
+        >
+          <span className="sr-only">Clear</span>
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <input
+        id={id}
+        type="text"
+        className={`form-input ${error ? 'border-red-500' : ''}`}
+        placeholder="Search by name or service number"
+        autoComplete="off"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => {
+          setIsOpen(false);
+          onBlur?.();
+        }}
+      />
+      {isOpen && query.trim() && (
+        <ul className="absolute z-10 mt-1 w-full bg-white shadow-lg max-h-60 rounded-md py-1 text-sm ring-1 ring-black ring-opacity-5 overflow-auto">
+          {isSearching ? (
+            <li className="px-3 py-2 text-gray-500">Searching...</li>
+          ) : results.length === 0 ? (
+            <li className="px-3 py-2 text-gray-500">No registered personnel match.</li>
+          ) : (
+            results.map((person) => (
+              <li key={person._id}>
+                <button
+                  type="button"
+                  className="w-full text-left px-3 py-2 hover:bg-gray-100"
+                  // Pick before the input's blur hides the list
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => onChange(person)}
+                >
+                  <span className="text-gray-900">{personnelLabel(person)}</span>
+                  <span className="ml-2 text-xs text-gray-500">
+                    {[person.unit, person.base].filter(Boolean).join(', ')}
+                    {person.status !== 'Active' && ` · ${person.status}`}
+                  </span>
+                </button>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default PersonnelPicker;
@@ -0,0 +1,22 @@
+import { PersonnelStatus } from '@/types/personnel';
+
+interface PersonnelStatusBadgeProps {
+  status: PersonnelStatus;
+}
+
+// Badge colours by personnel status
+const statusClasses: Record<PersonnelStatus, string> = {
+  Active: 'bg-green-100 text-green-800',
+  OnLeave: 'bg-yellow-100 text-yellow-800',
+  Deployed: 'bg-blue-100 text-blue-800',
+  Transferred: 'bg-gray-100 text-gray-800',
+  Discharged: 'bg-gray-100 text-gray-800',
+};
+
+const PersonnelStatusBadge = ({ status }: PersonnelStatusBadgeProps) => (
+  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusClasses[status]}`}>
+    {status === 'OnLeave' ? 'On Leave' : status}
+  </span>
+);
+
+export default PersonnelStatusBadge;
@@ -0,0 +1,86 @@
+import { SupplierMetrics } from '@/types/supplier';
+
+interface SupplierMetricsCardProps {
+  metrics: SupplierMetrics;
+}
+
+/**
+ * Format a 0-1 rate as a percentage, or a dash when there is nothing to measure
+ */
+export const formatRate = (rate: number | null | undefined) =>
+  rate == null ? '—' : `${Math.round(rate * 100)}%`;
+
+const SupplierMetricsCard = ({ metrics }: SupplierMetricsCardProps) => (
+  <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+    <div className="px-4 py-5 sm:px-6">
+      <h3 className="text-lg leading-6 font-medium text-gray-900">Performance</h3>
+      <p className="mt-1 max-w-2xl text-sm text-gray-500">
+        Based on {metrics.purchases} purchase{metrics.purchases === 1 ? '' : 's'}
+      </p>
+    </div>
+    <div className="border-t border-gray-200">
+      <dl className="grid grid-cols-2 sm:grid-cols-4">
+        <div className="px-4 py-5 sm:px-6">
+          <dt className="text-sm font-medium text-gray-500">Total Spend</dt>
+          <dd className="mt-1 text-lg font-medium text-gray-900">${metrics.totalSpend.toLocaleString()}</dd>
+          <dd className="text-xs text-gray-500">${metrics.deliveredSpend.toLocaleString()} delivered</dd>
+        </div>
+        <div className="px-4 py-5 sm:px-6">
+          <dt className="text-sm font-medium text-gray-500">On-Time Delivery</dt>
+          <dd className="mt-1 text-lg font-medium text-gray-900">{formatRate(metrics.deliveries.onTimeRate)}</dd>
+          <dd className="text-xs text-gray-500">
+            {metrics.deliveries.onTime} on time, {metrics.deliveries.late} late
+          </dd>
+        </div>
+        <div className="px-4 py-5 sm:px-6">
+          <dt className="text-sm font-medium text-gray-500">Cancellation Rate</dt>
+          <dd className="mt-1 text-lg font-medium text-gray-900">{formatRate(metrics.cancellations.cancellationRate)}</dd>
+          <dd className="text-xs text-gray-500">
+            {metrics.cancellations.cancelled} of {metrics.cancellations.ordered} orders
+          </dd>
+        </div>
+        <div className="px-4 py-5 sm:px-6">
+          <dt className="text-sm font-medium text-gray-500">Assets Supplied</dt>
+          <dd className="mt-1 text-lg font-medium text-gray-900">{metrics.averageUnitCost.length}</dd>
+        </div>
+      </dl>
+    </div>
+    {metrics.averageUnitCost.length > 0 && (
+      <div className="border-t border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Asset
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Quantity
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Total Cost
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Average Unit Cost
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {metrics.averageUnitCost.map((asset) => (
+              <tr key={`${asset.assetType}|${asset.assetName}`}>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                  {asset.assetName}
+                  <p className="text-xs text-gray-500">{asset.assetType}</p>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{asset.quantity}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${asset.totalCost.toLocaleString()}</td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${asset.averageUnitCost.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+export default SupplierMetricsCard;
@@ -0,0 +1,293 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { CheckIcon, XMarkIcon, Cog6ToothIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@/contexts/AuthContext';
+import { approvalService } from '@/services/approvalService';
+import { useNotificationStore } from '@/stores/notificationStore';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import Pagination from '@/components/ui/Pagination';
+import Modal from '@/components/ui/Modal';
+import { ApprovalRequest } from '@/types/approval';
+import toast from 'react-hot-toast';
+
+// Detail page of the resource an approval request is for, e.g. /transfers/:id
+const resourceHref = (request: ApprovalRequest) =>
+  `/${request.resourceType.toLowerCase()}s/${request.resourceId}`;
+
+const ApprovalsPage = () => {
+  const { user } = useAuth();
+  const addNotification = useNotificationStore((state) => state.addNotification);
+
+  // State for the pending queue and pagination
+  const [requests, setRequests] = useState<ApprovalRequest[]>([]);
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
+  const [totalRequests, setTotalRequests] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // State for decision modals
+  const [selectedRequest, setSelectedRequest] = useState<ApprovalRequest | null>(null);
+  const [decision, setDecision] = useState<'approve' | 'reject' | null>(null);
+  const [comments, setComments] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  // Fetch the requests waiting on the current user
+  const fetchRequests = async () => {
+    setIsLoading(true);
+    try {
+      const response = await approvalService.getPendingApprovals({
+        limit,
+        skip: (page - 1) * limit,
+      });
+      setRequests(response.requests);
+      setTotalRequests(response.total);
+    } catch (error) {
+      console.error('Error fetching approvals:', error);
+      toast.error('Failed to load pending approvals');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRequests();
+  }, [page, limit, user]);
+
+  const openDecisionModal = (request: ApprovalRequest, newDecision: 'approve' | 'reject') => {
+    setSelectedRequest(request);
+    setDecision(newDecision);
+    setComments('');
+  };
+
+  const closeDecisionModal = () => {
+    setSelectedRequest(null);
+    setDecision(null);
+  };
+
+  // Handle approve or reject
+  const handleDecision = async () => {
+    if (!selectedRequest || !decision) return;
+
+    if (decision === 'reject' && !comments.trim()) {
+      toast.error('Please give a reason for the rejection');
+      return;
+    }
+
+    setIsProcessing(true);
+    try {
+      const updated = decision === 'approve'
+        ? await approvalService.approveRequest(selectedRequest._id, comments.trim() || undefined)
+        : await approvalService.rejectRequest(selectedRequest._id, comments.trim());
+
+      const label = `${updated.resourceType} of ${updated.summary.quantity} ${updated.summary.assetName}`;
+
+      addNotification({
+        type: decision === 'approve' ? 'success' : 'warning',
+        title: decision === 'approve' ? 'Approval Recorded' : 'Request Rejected',
+        message: updated.status === 'Pending'
+          ? `${label} moves on to ${updated.steps[updated.currentStep].name}.`
+          : `${label} has been ${updated.status.toLowerCase()}.`
+      });
+
+      toast.success(decision === 'approve' ? 'Approval recorded' : 'Request rejected');
+
+      closeDecisionModal();
+      fetchRequests();
+    } catch (error: any) {
+      console.error('Error deciding approval:', error);
+      toast.error(error.response?.data?.error || 'Failed to record decision');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (isLoading && requests.length === 0) return <LoadingScreen />;
+
+  return (
+    <>
+      <Head>
+        <title>Approvals | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl font-semibold text-gray-900">Pending Approvals</h1>
+              <p className="mt-1 text-sm text-gray-500">Requests waiting on your decision</p>
+            </div>
+            {user?.role === 'Admin' && (
+              <Link href="/approvals/workflows" className="btn btn-secondary">
+                <Cog6ToothIcon className="h-5 w-5 mr-2" />
+                Workflows
+              </Link>
+            )}
+          </div>
+
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-md">
+            {isLoading && (
+              <div className="flex justify-center items-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              </div>
+            )}
+
+            {!isLoading && requests.length === 0 && (
+              <div className="text-center py-8 text-gray-500">
+                Nothing is waiting on your approval.
+              </div>
+            )}
+
+            {!isLoading && requests.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Request
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Bases
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Quantity
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Step
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Requested
+                      </th>
+                      <th scope="col" className="relative px-6 py-3">
+                        <span className="sr-only">Actions</span>
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {requests.map((request) => (
+                      <tr key={request._id}>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <Link href={resourceHref(request)} className="text-primary-600 hover:text-primary-900">
+                            {request.resourceType}: {request.summary.assetName}
+                          </Link>
+                          <div className="text-xs text-gray-500">{request.summary.assetType}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {request.summary.fromBase
+                            ? `${request.summary.fromBase} → ${request.summary.toBase}`
+                            : request.summary.base}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {request.summary.quantity}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {request.steps[request.currentStep]?.name}
+                          <div className="text-xs text-gray-500">
+                            Step {request.currentStep + 1} of {request.steps.length} · {request.workflowName}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {format(new Date(request.createdAt), 'MMM d, yyyy')}
+                          {request.requestedBy && (
+                            <div className="text-xs">{request.requestedBy.fullName}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                          <button
+                            type="button"
+                            className="text-green-600 hover:text-green-900"
+                            onClick={() => openDecisionModal(request, 'approve')}
+                          >
+                            Approve
+                          </button>
+                          <button
+                            type="button"
+                            className="text-red-600 hover:text-red-900"
+                            onClick={() => openDecisionModal(request, 'reject')}
+                          >
+                            Reject
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {totalRequests > 0 && (
+              <Pagination
+                currentPage={page}
+                totalItems={totalRequests}
+                itemsPerPage={limit}
+                onPageChange={setPage}
+                onLimitChange={(newLimit) => {
+                  setLimit(newLimit);
+                  setPage(1);
+                }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Decision Modal */}
+      <Modal
+        isOpen={!!selectedRequest && !!decision}
+        onClose={closeDecisionModal}
+        title={decision === 'reject' ? 'Reject Request' : 'Approve Request'}
+        size="sm"
+      >
+        {selectedRequest && (
+          <div className="py-4 space-y-4">
+            <p className="text-gray-700">
+              {decision === 'reject' ? 'Reject' : 'Approve'} the {selectedRequest.resourceType.toLowerCase()} of{' '}
+              <span className="font-semibold">{selectedRequest.summary.quantity} {selectedRequest.summary.assetName}</span>{' '}
+              as <span className="font-semibold">{selectedRequest.steps[selectedRequest.currentStep]?.name}</span>?
+            </p>
+
+            <div>
+              <label htmlFor="comments" className="block text-sm font-medium text-gray-700">
+                {decision === 'reject' ? 'Reason' : 'Comments (optional)'}
+              </label>
+              <textarea
+                id="comments"
+                rows={3}
+                className="mt-1 form-textarea"
+                value={comments}
+                onChange={(e) => setComments(e.target.value)}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={closeDecisionModal}
+                disabled={isProcessing}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={decision === 'reject' ? 'btn btn-danger' : 'btn btn-success'}
+                onClick={handleDecision}
+                disabled={isProcessing}
+              >
+                {decision === 'reject' ? (
+                  <XMarkIcon className="h-5 w-5 mr-2" />
+                ) : (
+                  <CheckIcon className="h-5 w-5 mr-2" />
+                )}
+                {isProcessing ? 'Processing...' : decision === 'reject' ? 'Reject' : 'Approve'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default ApprovalsPage;
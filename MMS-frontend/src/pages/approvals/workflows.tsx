@@ -0,0 +1,407 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { ArrowLeftIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@/contexts/AuthContext';
+import { approvalService, ApprovalWorkflowInput } from '@/services/approvalService';
+import { settingsService } from '@/services/settingsService';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import Modal from '@/components/ui/Modal';
+import { ApprovalWorkflow, ApprovalWorkflowStep } from '@/types/approval';
+import toast from 'react-hot-toast';
+
+const emptyStep: ApprovalWorkflowStep = { name: '', approverRole: 'BaseCommander', baseScope: 'Any' };
+
+const emptyWorkflow: ApprovalWorkflowInput = {
+  name: '',
+  description: '',
+  actionType: 'Transfer',
+  base: '',
+  assetType: '',
+  priority: 0,
+  steps: [{ ...emptyStep }],
+  active: true,
+};
+
+const baseScopeLabels: Record<ApprovalWorkflowStep['baseScope'], string> = {
+  Any: 'Any base',
+  Source: 'Source base',
+  Destination: 'Destination base',
+  Base: 'Request base',
+};
+
+// Describe a workflow's conditions for the list
+const describeConditions = (workflow: ApprovalWorkflow) => {
+  const conditions = [];
+  if (workflow.base) conditions.push(`base ${workflow.base}`);
+  if (workflow.assetType) conditions.push(workflow.assetType);
+  if (workflow.quantityOver != null) conditions.push(`more than ${workflow.quantityOver} units`);
+  if (workflow.costOver != null) conditions.push(`cost over $${workflow.costOver}`);
+  return conditions.length ? conditions.join(', ') : 'All requests';
+};
+
+const ApprovalWorkflowsPage = () => {
+  const router = useRouter();
+  const { user } = useAuth();
+  const [isLoading, setIsLoading] = useState(true);
+  const [workflows, setWorkflows] = useState<ApprovalWorkflow[]>([]);
+  const [bases, setBases] = useState<string[]>([]);
+  const [assetTypes, setAssetTypes] = useState<string[]>([]);
+
+  // State for the create/edit modal
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<ApprovalWorkflowInput | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchWorkflows = async () => {
+    try {
+      const data = await approvalService.getWorkflows();
+      setWorkflows(data);
+    } catch (error) {
+      console.error('Error fetching workflows:', error);
+      toast.error('Failed to load approval workflows');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user && user.role !== 'Admin') {
+      router.push('/approvals');
+      return;
+    }
+
+    fetchWorkflows();
+    settingsService.getBases().then(setBases).catch(() => setBases([]));
+    settingsService.getAssetTypes().then(setAssetTypes).catch(() => setAssetTypes([]));
+  }, [user]);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm({ ...emptyWorkflow, steps: [{ ...emptyStep }] });
+  };
+
+  const openEdit = (workflow: ApprovalWorkflow) => {
+    setEditingId(workflow._id);
+    setForm({
+      name: workflow.name,
+      description: workflow.description || '',
+      actionType: workflow.actionType,
+      base: workflow.base || '',
+      assetType: workflow.assetType || '',
+      quantityOver: workflow.quantityOver,
+      costOver: workflow.costOver,
+      priority: workflow.priority,
+      steps: workflow.steps.map(step => ({ ...step })),
+      active: workflow.active,
+    });
+  };
+
+  const updateStep = (index: number, changes: Partial<ApprovalWorkflowStep>) => {
+    if (!form) return;
+    setForm({
+      ...form,
+      steps: form.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)),
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    if (!form.name.trim() || form.steps.some(step => !step.name.trim())) {
+      toast.error('Name the workflow and each of its steps');
+      return;
+    }
+
+    // Empty conditions are sent as null so that they match every request
+    const payload: any = {
+      ...form,
+      base: form.base || null,
+      assetType: form.assetType || null,
+      quantityOver: form.quantityOver ?? null,
+      costOver: form.costOver ?? null,
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await approvalService.updateWorkflow(editingId, payload);
+        toast.success('Workflow updated');
+      } else {
+        await approvalService.createWorkflow(payload);
+        toast.success('Workflow created');
+      }
+      setForm(null);
+      fetchWorkflows();
+    } catch (error: any) {
+      console.error('Error saving workflow:', error);
+      toast.error(error.response?.data?.error || 'Failed to save workflow');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (workflow: ApprovalWorkflow) => {
+    try {
+      await approvalService.updateWorkflow(workflow._id, { active: !workflow.active });
+      fetchWorkflows();
+    } catch (error) {
+      console.error('Error updating workflow:', error);
+      toast.error('Failed to update workflow');
+    }
+  };
+
+  const handleDelete = async (workflow: ApprovalWorkflow) => {
+    if (!window.confirm(`Delete the ${workflow.name} workflow?`)) return;
+
+    try {
+      await approvalService.deleteWorkflow(workflow._id);
+      toast.success('Workflow deleted');
+      fetchWorkflows();
+    } catch (error) {
+      console.error('Error deleting workflow:', error);
+      toast.error('Failed to delete workflow');
+    }
+  };
+
+  if (isLoading) return <LoadingScreen />;
+
+  return (
+    <>
+      <Head>
+        <title>Approval Workflows | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <div className="flex justify-between items-center">
+            <div className="flex items-center">
+              <button
+                onClick={() => router.push('/approvals')}
+                className="mr-4 text-gray-500 hover:text-gray-700"
+              >
+                <ArrowLeftIcon className="h-5 w-5" />
+              </button>
+              <h1 className="text-2xl font-semibold text-gray-900">Approval Workflows</h1>
+            </div>
+            <button type="button" className="btn btn-primary" onClick={openCreate}>
+              <PlusIcon className="h-5 w-5 mr-2" />
+              New Workflow
+            </button>
+          </div>
+          <p className="mt-2 text-sm text-gray-500">
+            Requests use the matching workflow with the highest priority. Transfers that match no
+            workflow are approved by the destination base commander, purchases by the commander of
+            their base.
+          </p>
+
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-md">
+            {workflows.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">No approval workflows defined.</div>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {workflows.map((workflow) => (
+                  <li key={workflow._id} className="px-6 py-4">
+                    <div className="flex justify-between items-start">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {workflow.name}
+                          <span className="ml-2 text-xs text-gray-500">
+                            {workflow.actionType} · priority {workflow.priority}
+                          </span>
+                          {!workflow.active && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                              Inactive
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-500">{describeConditions(workflow)}</p>
+                        <ol className="mt-2 text-sm text-gray-700 list-decimal list-inside">
+                          {workflow.steps.map((step, index) => (
+                            <li key={index}>
+                              {step.name} — {step.approverRole}, {baseScopeLabels[step.baseScope]}
+                            </li>
+                          ))}
+                        </ol>
+                      </div>
+                      <div className="flex space-x-3 text-sm font-medium">
+                        <button type="button" className="text-primary-600 hover:text-primary-900" onClick={() => openEdit(workflow)}>
+                          Edit
+                        </button>
+                        <button type="button" className="text-gray-600 hover:text-gray-900" onClick={() => handleToggleActive(workflow)}>
+                          {workflow.active ? 'Deactivate' : 'Activate'}
+                        </button>
+                        <button type="button" className="text-red-600 hover:text-red-900" onClick={() => handleDelete(workflow)}>
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Create/Edit Workflow Modal */}
+      <Modal
+        isOpen={!!form}
+        onClose={() => setForm(null)}
+        title={editingId ? 'Edit Workflow' : 'New Workflow'}
+        size="lg"
+      >
+        {form && (
+          <div className="py-4 space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="actionType" className="block text-sm font-medium text-gray-700">Action</label>
+                <select
+                  id="actionType"
+                  className="mt-1 form-select"
+                  value={form.actionType}
+                  onChange={(e) => setForm({ ...form, actionType: e.target.value as ApprovalWorkflowInput['actionType'] })}
+                >
+                  <option value="Transfer">Transfer</option>
+                  <option value="Purchase">Purchase</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  id="name"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="priority" className="block text-sm font-medium text-gray-700">Priority</label>
+                <input
+                  id="priority"
+                  type="number"
+                  className="mt-1 form-input"
+                  value={form.priority ?? 0}
+                  onChange={(e) => setForm({ ...form, priority: Number(e.target.value) })}
+                />
+              </div>
+              <div>
+                <label htmlFor="base" className="block text-sm font-medium text-gray-700">Base</label>
+                <select
+                  id="base"
+                  className="mt-1 form-select"
+                  value={form.base}
+                  onChange={(e) => setForm({ ...form, base: e.target.value })}
+                >
+                  <option value="">Any base</option>
+                  {bases.map((base) => (
+                    <option key={base} value={base}>{base}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="assetType" className="block text-sm font-medium text-gray-700">Asset Type</label>
+                <select
+                  id="assetType"
+                  className="mt-1 form-select"
+                  value={form.assetType}
+                  onChange={(e) => setForm({ ...form, assetType: e.target.value })}
+                >
+                  <option value="">Any type</option>
+                  {assetTypes.map((type) => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="quantityOver" className="block text-sm font-medium text-gray-700">Quantity Over</label>
+                <input
+                  id="quantityOver"
+                  type="number"
+                  min={0}
+                  className="mt-1 form-input"
+                  value={form.quantityOver ?? ''}
+                  onChange={(e) => setForm({ ...form, quantityOver: e.target.value === '' ? undefined : Number(e.target.value) })}
+                />
+              </div>
+              <div>
+                <label htmlFor="costOver" className="block text-sm font-medium text-gray-700">Cost Over</label>
+                <input
+                  id="costOver"
+                  type="number"
+                  min={0}
+                  className="mt-1 form-input"
+                  value={form.costOver ?? ''}
+                  onChange={(e) => setForm({ ...form, costOver: e.target.value === '' ? undefined : Number(e.target.value) })}
+                />
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700">Approval Steps</h4>
+              <div className="mt-2 space-y-2">
+                {form.steps.map((step, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <span className="col-span-1 text-sm text-gray-500">{index + 1}.</span>
+                    <input
+                      type="text"
+                      placeholder="Step name"
+                      className="col-span-4 form-input"
+                      value={step.name}
+                      onChange={(e) => updateStep(index, { name: e.target.value })}
+                    />
+                    <select
+                      className="col-span-3 form-select"
+                      value={step.approverRole}
+                      onChange={(e) => updateStep(index, { approverRole: e.target.value as ApprovalWorkflowStep['approverRole'] })}
+                    >
+                      <option value="Admin">Admin</option>
+                      <option value="BaseCommander">Base Commander</option>
+                      <option value="LogisticsOfficer">Logistics Officer</option>
+                    </select>
+                    <select
+                      className="col-span-3 form-select"
+                      value={step.baseScope}
+                      onChange={(e) => updateStep(index, { baseScope: e.target.value as ApprovalWorkflowStep['baseScope'] })}
+                    >
+                      {Object.entries(baseScopeLabels).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className="col-span-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      disabled={form.steps.length === 1}
+                      onClick={() => setForm({ ...form, steps: form.steps.filter((_, i) => i !== index) })}
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                className="mt-2 text-sm text-primary-600 hover:text-primary-900"
+                onClick={() => setForm({ ...form, steps: [...form.steps, { ...emptyStep }] })}
+              >
+                + Add step
+              </button>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" className="btn btn-secondary" onClick={() => setForm(null)} disabled={isSaving}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Workflow'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default ApprovalWorkflowsPage;
@@ -11,6 +11,7 @@ import {
   UserGroupIcon,
   ArchiveBoxIcon,
   TrashIcon,
+  ClipboardDocumentListIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
 import { assetService } from '@/services/assetService';
@@ -22,7 +23,18 @@ import DashboardTable from '@/components/dashboard/DashboardTable';
 import AssetStatusBadge from '@/components/assets/AssetStatusBadge';
 import AssetActionButton from '@/components/assets/AssetActionButton';
 import Modal from '@/components/ui/Modal';
-import { Asset } from '@/types/asset';
+import CustodyChain from '@/components/assets/CustodyChain';
+import { parseSerialNumbers } from '@/components/assets/SerialNumberPicker';
+import LotEntryFields, { LotEntry, emptyLotEntry, toLotRecords } from '@/components/assets/LotEntryFields';
+import LotExpiryBadge from '@/components/assets/LotExpiryBadge';
+import {
+  Asset,
+  LotResponse,
+  StockMovement,
+  SerializedItemCondition,
+  SerializedItemResponse,
+  SerializedItemStatus,
+} from '@/types/asset';
 import toast from 'react-hot-toast';
 
 // Interface for related data
@@ -32,8 +44,17 @@ interface AssetDetails {
   purchases: any[];
   assignments: any[];
   expenditures: any[];
+  movements: StockMovement[];
 }
 
+const ITEM_STATUS_CLASSES: Record<SerializedItemStatus, string> = {
+  Available: 'bg-green-100 text-green-800',
+  Assigned: 'bg-blue-100 text-blue-800',
+  InTransit: 'bg-yellow-100 text-yellow-800',
+  Expended: 'bg-gray-100 text-gray-800',
+  Lost: 'bg-red-100 text-red-800',
+};
+
 const AssetDetailPage = () => {
   const router = useRouter();
   const { id } = router.query;
@@ -47,6 +68,23 @@ const AssetDetailPage = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
 
+  // State for serialized items
+  const [itemData, setItemData] = useState<SerializedItemResponse | null>(null);
+  const [itemStatus, setItemStatus] = useState<SerializedItemStatus | ''>('');
+  const [expandedItem, setExpandedItem] = useState<string | null>(null);
+  const [registerForm, setRegisterForm] = useState<{
+    serialNumbers: string;
+    condition: SerializedItemCondition;
+    location: string;
+  } | null>(null);
+  const [isRegistering, setIsRegistering] = useState(false);
+
+  // State for lots
+  const [lotData, setLotData] = useState<LotResponse | null>(null);
+  const [showEmptyLots, setShowEmptyLots] = useState(false);
+  const [lotEntries, setLotEntries] = useState<LotEntry[] | null>(null);
+  const [isRegisteringLots, setIsRegisteringLots] = useState(false);
+
   // Fetch asset details
   useEffect(() => {
     if (!id) return;
@@ -54,8 +92,11 @@ const AssetDetailPage = () => {
     const fetchAssetDetails = async () => {
       setIsLoading(true);
       try {
-        // Fetch the asset
-        const asset = await assetService.getAssetById(id as string);
+        // Fetch the asset and its stock ledger
+        const [asset, { movements }] = await Promise.all([
+          assetService.getAssetById(id as string),
+          assetService.getAssetMovements(id as string, { limit: 50 }),
+        ]);
         
         // For now, we'll use empty arrays for related data
         // In a real application, you would fetch these from their respective endpoints
@@ -65,6 +106,7 @@ const AssetDetailPage = () => {
           purchases: [],
           assignments: [],
           expenditures: [],
+          movements,
         };
         
         setAssetData(assetDetails);
@@ -80,6 +122,95 @@ const AssetDetailPage = () => {
     fetchAssetDetails();
   }, [id, router]);
 
+  // Fetch serialized items when their tab is opened
+  const fetchItems = async () => {
+    if (!id) return;
+    
+    try {
+      setItemData(await assetService.getAssetItems(id as string, { status: itemStatus || undefined }));
+    } catch (error) {
+      console.error('Error fetching serialized items:', error);
+      toast.error('Failed to load serial numbers');
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'items') fetchItems();
+  }, [activeTab, itemStatus, id]);
+
+  // Handle registering serial numbers of stock already held
+  const handleRegisterItems = async () => {
+    if (!id || !registerForm) return;
+    
+    const serialNumbers = parseSerialNumbers(registerForm.serialNumbers);
+    if (serialNumbers.length === 0) {
+      toast.error('Enter at least one serial number');
+      return;
+    }
+    
+    setIsRegistering(true);
+    try {
+      await assetService.registerAssetItems(id as string, {
+        serialNumbers,
+        condition: registerForm.condition,
+        location: registerForm.location || undefined,
+      });
+      toast.success(`${serialNumbers.length} serial number${serialNumbers.length === 1 ? '' : 's'} registered`);
+      setRegisterForm(null);
+      fetchItems();
+    } catch (error: any) {
+      console.error('Error registering serial numbers:', error);
+      const serials = error.response?.data?.serialNumbers;
+      toast.error(
+        `${error.response?.data?.error || 'Failed to register serial numbers'}${
+          Array.isArray(serials) ? `: ${serials.join(', ')}` : ''
+        }`
+      );
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  // Fetch lots when their tab is opened
+  const fetchLots = async () => {
+    if (!id) return;
+    
+    try {
+      setLotData(await assetService.getAssetLots(id as string, { includeEmpty: showEmptyLots }));
+    } catch (error) {
+      console.error('Error fetching lots:', error);
+      toast.error('Failed to load lots');
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'lots') fetchLots();
+  }, [activeTab, showEmptyLots, id]);
+
+  // Handle recording the lots of stock already held
+  const handleRegisterLots = async () => {
+    if (!id || !lotEntries) return;
+    
+    const lots = toLotRecords(lotEntries);
+    if (lots.length === 0) {
+      toast.error('Enter at least one lot');
+      return;
+    }
+    
+    setIsRegisteringLots(true);
+    try {
+      await assetService.registerAssetLots(id as string, { lots });
+      toast.success(`${lots.length} lot${lots.length === 1 ? '' : 's'} recorded`);
+      setLotEntries(null);
+      fetchLots();
+    } catch (error: any) {
+      console.error('Error recording lots:', error);
+      toast.error(error.response?.data?.error || 'Failed to record lots');
+    } finally {
+      setIsRegisteringLots(false);
+    }
+  };
+
   // Handle delete asset
   const handleDeleteAsset = async () => {
     if (!id) return;
@@ -109,7 +240,7 @@ const AssetDetailPage = () => {
 
   if (isLoading || !assetData) return <LoadingScreen />;
 
-  const { asset, transfers, purchases, assignments, expenditures } = assetData;
+  const { asset, transfers, purchases, assignments, expenditures, movements } = assetData;
 
   // Check if user has edit permissions
   const canEdit = user?.role === 'Admin' || user?.role === 'LogisticsOfficer';
@@ -207,7 +338,14 @@ const AssetDetailPage = () => {
                 </div>
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                   <dt className="text-sm font-medium text-gray-500">Base</dt>
-                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{asset.base}</dd>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                    {asset.base}
+                    {asset.serialized && (
+                      <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-primary-100 text-primary-800">
+                        Serialized
+                      </span>
+                    )}
+                  </dd>
                 </div>
                 <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                   <dt className="text-sm font-medium text-gray-500">Opening Balance</dt>
@@ -326,6 +464,40 @@ const AssetDetailPage = () => {
               >
                 Expenditures
               </button>
+              <button
+                className={`${
+                  activeTab === 'movements'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                onClick={() => setActiveTab('movements')}
+              >
+                Movements
+              </button>
+              {asset.serialized && (
+                <button
+                  className={`${
+                    activeTab === 'items'
+                      ? 'border-primary-500 text-primary-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                  onClick={() => setActiveTab('items')}
+                >
+                  Serial Numbers
+                </button>
+              )}
+              {asset.lotTracked && (
+                <button
+                  className={`${
+                    activeTab === 'lots'
+                      ? 'border-primary-500 text-primary-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                  onClick={() => setActiveTab('lots')}
+                >
+                  Lots
+                </button>
+              )}
             </nav>
           </div>
 
@@ -353,10 +525,10 @@ const AssetDetailPage = () => {
                           title = `Transferred from ${item.fromBase} to ${item.toBase}`;
                           description = `Quantity: ${item.quantity}, Status: ${item.status}`;
                           color = 'bg-blue-500';
-                        } else if ('supplier' in item) {
+                        } else if ('supplierName' in item) {
                           // Purchase
                           icon = <ShoppingCartIcon className="h-5 w-5" />;
-                          title = `Purchased from ${item.supplier}`;
+                          title = `Purchased from ${item.supplierName}`;
                           description = `Quantity: ${item.quantity}, Status: ${item.status}`;
                           color = 'bg-green-500';
                         } else if ('assignedTo' in item) {
@@ -431,11 +603,11 @@ const AssetDetailPage = () => {
                     <span
                       key={transfer._id}
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        transfer.status === 'Completed'
+                        transfer.status === 'Received'
                           ? 'bg-green-100 text-green-800'
-                          : transfer.status === 'Pending'
-                          ? 'bg-yellow-100 text-yellow-800'
-                          : 'bg-red-100 text-red-800'
+                          : transfer.status === 'Cancelled'
+                          ? 'bg-red-100 text-red-800'
+                          : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
                       {transfer.status}
@@ -463,7 +635,7 @@ const AssetDetailPage = () => {
                 headers={['Supplier', 'Quantity', 'Unit Cost', 'Total Cost', 'Status', 'Date']}
                 data={
                   (purchases || []).map((purchase) => [
-                    purchase.supplier,
+                    purchase.supplierName,
                     purchase.quantity.toString(),
                     `$${purchase.unitCost.toFixed(2)}`,
                     `$${purchase.totalCost.toFixed(2)}`,
@@ -472,9 +644,9 @@ const AssetDetailPage = () => {
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                         purchase.status === 'Delivered'
                           ? 'bg-green-100 text-green-800'
-                          : purchase.status === 'Ordered'
-                          ? 'bg-yellow-100 text-yellow-800'
-                          : 'bg-red-100 text-red-800'
+                          : ['Cancelled', 'Rejected'].includes(purchase.status)
+                          ? 'bg-red-100 text-red-800'
+                          : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
                       {purchase.status}
@@ -543,7 +715,9 @@ const AssetDetailPage = () => {
                   (expenditures || []).map((expenditure) => [
                     expenditure.reason,
                     expenditure.quantity.toString(),
-                    `${expenditure.expendedBy.name} (${expenditure.expendedBy.rank})`,
+                    expenditure.expendedBy
+                      ? `${expenditure.expendedBy.name} (${expenditure.expendedBy.rank})`
+                      : 'Transfer write-off',
                     expenditure.operationName || 'N/A',
                     expenditure.location || 'N/A',
                     format(new Date(expenditure.expenditureDate), 'MMM d, yyyy'),
@@ -554,9 +728,288 @@ const AssetDetailPage = () => {
               />
             </DashboardCard>
           )}
+
+          {activeTab === 'movements' && (
+            <DashboardCard title="Stock Movements">
+              <DashboardTable
+                headers={['Date', 'Movement', 'Quantity', 'Source', 'Reason', 'Recorded By']}
+                data={
+                  (movements || []).map((movement) => [
+                    format(new Date(movement.occurredAt), 'MMM d, yyyy HH:mm'),
+                    movement.type,
+                    <span
+                      key={movement._id}
+                      className={movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}
+                    >
+                      {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                    </span>,
+                    movement.sourceType || 'N/A',
+                    movement.reason || '',
+                    movement.recordedBy?.fullName || 'System',
+                  ])
+                }
+                icon={<ClipboardDocumentListIcon className="h-5 w-5 text-gray-400" />}
+                emptyMessage="No stock movements recorded"
+              />
+            </DashboardCard>
+          )}
+
+          {activeTab === 'items' && (
+            <DashboardCard
+              title="Serial Numbers"
+              action={
+                canEdit && (itemData?.unregistered ?? 0) > 0 ? (
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-sm"
+                    onClick={() => setRegisterForm({ serialNumbers: '', condition: 'Serviceable', location: '' })}
+                  >
+                    Register Serial Numbers
+                  </button>
+                ) : undefined
+              }
+            >
+              {!itemData ? (
+                <p className="text-sm text-gray-500">Loading serial numbers...</p>
+              ) : (
+                <>
+                  <div className="flex flex-wrap items-center gap-4 mb-4">
+                    <select
+                      className="form-select w-auto"
+                      value={itemStatus}
+                      onChange={(e) => setItemStatus(e.target.value as SerializedItemStatus | '')}
+                    >
+                      <option value="">All statuses</option>
+                      {(Object.keys(ITEM_STATUS_CLASSES) as SerializedItemStatus[]).map((status) => (
+                        <option key={status} value={status}>
+                          {status} ({itemData.counts[status]})
+                        </option>
+                      ))}
+                    </select>
+                    {itemData.unregistered > 0 && (
+                      <p className="text-sm text-yellow-700">
+                        {itemData.unregistered} item{itemData.unregistered === 1 ? '' : 's'} on the books without a serial number
+                      </p>
+                    )}
+                  </div>
+
+                  {itemData.items.length === 0 ? (
+                    <p className="text-sm text-gray-500">No serialized items found</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-200">
+                      {itemData.items.map((item) => (
+                        <li key={item._id} className="py-3">
+                          <button
+                            type="button"
+                            className="w-full flex flex-wrap items-center justify-between gap-2 text-left"
+                            onClick={() => setExpandedItem(expandedItem === item._id ? null : item._id)}
+                          >
+                            <span className="font-mono text-sm font-medium text-gray-900">{item.serialNumber}</span>
+                            <span className="flex items-center gap-2 text-sm text-gray-500">
+                              {item.asset !== asset._id && <span>Now at {item.base}</span>}
+                              {item.status === 'Assigned' && item.holder && (
+                                <span>
+                                  {item.holder.rank} {item.holder.name}
+                                </span>
+                              )}
+                              {item.location && <span>{item.location}</span>}
+                              <span>{item.condition}</span>
+                              <span
+                                className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${ITEM_STATUS_CLASSES[item.status]}`}
+                              >
+                                {item.status === 'InTransit' ? 'In Transit' : item.status}
+                              </span>
+                            </span>
+                          </button>
+                          {expandedItem === item._id && (
+                            <div className="mt-3">
+                              <CustodyChain history={item.history} />
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              )}
+            </DashboardCard>
+          )}
+
+          {activeTab === 'lots' && (
+            <DashboardCard
+              title="Lots"
+              action={
+                canEdit && (lotData?.untracked ?? 0) > 0 ? (
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-sm"
+                    onClick={() => setLotEntries([emptyLotEntry()])}
+                  >
+                    Record Lots
+                  </button>
+                ) : undefined
+              }
+            >
+              {!lotData ? (
+                <p className="text-sm text-gray-500">Loading lots...</p>
+              ) : (
+                <>
+                  <div className="flex flex-wrap items-center gap-4 mb-4">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="form-checkbox mr-2"
+                        checked={showEmptyLots}
+                        onChange={(e) => setShowEmptyLots(e.target.checked)}
+                      />
+                      Show used-up lots
+                    </label>
+                    <p className="text-sm text-gray-500">
+                      Drawn {lotData.lotConsumption === 'FIFO' ? 'first in, first out' : 'first expired, first out'}
+                    </p>
+                    {lotData.untracked > 0 && (
+                      <p className="text-sm text-yellow-700">
+                        {lotData.untracked} held without a lot
+                      </p>
+                    )}
+                  </div>
+
+                  {lotData.lots.length === 0 ? (
+                    <p className="text-sm text-gray-500">No lots found</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            {['Lot', 'Held', 'Received', 'Manufactured', 'Expires', ''].map((header) => (
+                              <th
+                                key={header}
+                                scope="col"
+                                className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                              >
+                                {header}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {lotData.lots.map((lot) => (
+                            <tr key={lot._id}>
+                              <td className="px-4 py-3 font-mono text-sm text-gray-900">{lot.lotNumber}</td>
+                              <td className="px-4 py-3 text-sm text-gray-900">{lot.quantity}</td>
+                              <td className="px-4 py-3 text-sm text-gray-500">{lot.receivedQuantity}</td>
+                              <td className="px-4 py-3 text-sm text-gray-500">
+                                {lot.manufactureDate ? format(new Date(lot.manufactureDate), 'MMM d, yyyy') : '—'}
+                              </td>
+                              <td className="px-4 py-3 text-sm text-gray-500">
+                                {lot.expiryDate ? format(new Date(lot.expiryDate), 'MMM d, yyyy') : '—'}
+                              </td>
+                              <td className="px-4 py-3 text-sm">
+                                {lot.quantity > 0 && (
+                                  <LotExpiryBadge expiryDate={lot.expiryDate} warningDays={lotData.expiryWarningDays} />
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </>
+              )}
+            </DashboardCard>
+          )}
         </div>
       </div>
 
+      {/* Record Lots Modal */}
+      <Modal isOpen={!!lotEntries} onClose={() => setLotEntries(null)} title="Record Lots">
+        {lotEntries && (
+          <div className="py-4 space-y-4">
+            <p className="text-sm text-gray-500">
+              Record the lots of stock held before the asset was lot-tracked. {lotData?.untracked ?? 0} held without a
+              lot.
+            </p>
+            <LotEntryFields entries={lotEntries} onChange={setLotEntries} />
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => setLotEntries(null)}
+                disabled={isRegisteringLots}
+              >
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleRegisterLots} disabled={isRegisteringLots}>
+                {isRegisteringLots ? 'Recording...' : 'Record'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Register Serial Numbers Modal */}
+      <Modal isOpen={!!registerForm} onClose={() => setRegisterForm(null)} title="Register Serial Numbers">
+        {registerForm && (
+          <div className="py-4 space-y-4">
+            <p className="text-sm text-gray-500">
+              Record the serial numbers of available stock that has none yet. Items still out on assignments
+              made before the asset was serialized are registered once returned.
+            </p>
+            <div>
+              <label htmlFor="registerSerialNumbers" className="block text-sm font-medium text-gray-700">
+                Serial Numbers
+              </label>
+              <textarea
+                id="registerSerialNumbers"
+                rows={5}
+                className="mt-1 form-textarea font-mono"
+                placeholder="One per line, or separated by commas"
+                value={registerForm.serialNumbers}
+                onChange={(e) => setRegisterForm({ ...registerForm, serialNumbers: e.target.value })}
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                {parseSerialNumbers(registerForm.serialNumbers).length} entered
+              </p>
+            </div>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="registerCondition" className="block text-sm font-medium text-gray-700">Condition</label>
+                <select
+                  id="registerCondition"
+                  className="mt-1 form-select"
+                  value={registerForm.condition}
+                  onChange={(e) => setRegisterForm({ ...registerForm, condition: e.target.value as SerializedItemCondition })}
+                >
+                  <option value="Serviceable">Serviceable</option>
+                  <option value="Unserviceable">Unserviceable</option>
+                  <option value="Damaged">Damaged</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="registerLocation" className="block text-sm font-medium text-gray-700">Location</label>
+                <input
+                  id="registerLocation"
+                  type="text"
+                  className="mt-1 form-input"
+                  placeholder="e.g. Armoury rack 3"
+                  value={registerForm.location}
+                  onChange={(e) => setRegisterForm({ ...registerForm, location: e.target.value })}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button type="button" className="btn btn-secondary" onClick={() => setRegisterForm(null)} disabled={isRegistering}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleRegisterItems} disabled={isRegistering}>
+                {isRegistering ? 'Registering...' : 'Register'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteModal}
@@ -7,6 +7,8 @@ import Link from 'next/link';
 import { ArrowLeftIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
 import { assetService } from '@/services/assetService';
+import { parseSerialNumbers } from '@/components/assets/SerialNumberPicker';
+import LotEntryFields, { LotEntry, emptyLotEntry, toLotRecords } from '@/components/assets/LotEntryFields';
 import { useNotificationStore } from '@/stores/notificationStore';
 import toast from 'react-hot-toast';
 
@@ -24,6 +26,7 @@ const NewAssetPage = () => {
   const { user } = useAuth();
   const addNotification = useNotificationStore((state) => state.addNotification);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [lotEntries, setLotEntries] = useState<LotEntry[]>([emptyLotEntry()]);
 
   // Check if user has permission to create assets
   useEffect(() => {
@@ -40,12 +43,22 @@ const NewAssetPage = () => {
       type: '',
       base: user?.role === 'LogisticsOfficer' && user.assignedBase ? user.assignedBase : '',
       openingBalance: 0,
+      serialized: false,
+      serialNumbers: '',
+      lotTracked: false,
     },
     validationSchema: AssetSchema,
-    onSubmit: async (values) => {
+    onSubmit: async ({ serialNumbers, ...values }) => {
       try {
         setIsSubmitting(true);
-        const newAsset = await assetService.createAsset(values);
+        // Serialized assets open with the items whose serial numbers are listed,
+        // and lot-tracked assets with the lots listed
+        const newAsset = await assetService.createAsset({
+          ...(values.serialized
+            ? { ...values, openingBalance: 0, serialNumbers: parseSerialNumbers(serialNumbers) }
+            : values),
+          lots: values.lotTracked ? toLotRecords(lotEntries) : undefined,
+        });
         
         // Add notification
         addNotification({
@@ -176,15 +189,82 @@ const NewAssetPage = () => {
                         id="openingBalance"
                         className="form-input"
                         min="0"
-                        value={formik.values.openingBalance}
+                        value={
+                          formik.values.serialized
+                            ? parseSerialNumbers(formik.values.serialNumbers).length
+                            : formik.values.openingBalance
+                        }
                         onChange={formik.handleChange}
                         onBlur={formik.handleBlur}
+                        disabled={formik.values.serialized}
                       />
                       {formik.touched.openingBalance && formik.errors.openingBalance && (
                         <p className="mt-2 text-sm text-red-600">{formik.errors.openingBalance}</p>
                       )}
                     </div>
                   </div>
+
+                  <div className="sm:col-span-6">
+                    <label className="flex items-center text-sm font-medium text-gray-700">
+                      <input
+                        type="checkbox"
+                        name="serialized"
+                        className="form-checkbox mr-2"
+                        checked={formik.values.serialized}
+                        onChange={formik.handleChange}
+                      />
+                      Track items individually by serial number
+                    </label>
+                    <p className="mt-1 text-sm text-gray-500">
+                      Every delivery, transfer, assignment and expenditure of a serialized asset names the items it moves.
+                    </p>
+                  </div>
+
+                  {formik.values.serialized && (
+                    <div className="sm:col-span-6">
+                      <label htmlFor="serialNumbers" className="block text-sm font-medium text-gray-700">
+                        Serial Numbers of Opening Stock
+                      </label>
+                      <div className="mt-1">
+                        <textarea
+                          id="serialNumbers"
+                          name="serialNumbers"
+                          rows={4}
+                          className="form-textarea font-mono"
+                          placeholder="One per line, or separated by commas"
+                          value={formik.values.serialNumbers}
+                          onChange={formik.handleChange}
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="sm:col-span-6">
+                    <label className="flex items-center text-sm font-medium text-gray-700">
+                      <input
+                        type="checkbox"
+                        name="lotTracked"
+                        className="form-checkbox mr-2"
+                        checked={formik.values.lotTracked}
+                        onChange={formik.handleChange}
+                      />
+                      Track stock by lot and expiry date
+                    </label>
+                    <p className="mt-1 text-sm text-gray-500">
+                      For ammunition and consumables. Deliveries list the lots they contain, and stock is drawn from the
+                      lots expiring first.
+                    </p>
+                  </div>
+
+                  {formik.values.lotTracked && (
+                    <div className="sm:col-span-6">
+                      <label className="block text-sm font-medium text-gray-700">Lots of Opening Stock</label>
+                      <p className="text-xs text-gray-500">Opening stock not listed can be recorded against lots later.</p>
+                      <div className="mt-2">
+                        <LotEntryFields entries={lotEntries} onChange={setLotEntries} />
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 <div className="mt-6 flex justify-end space-x-3">
@@ -9,6 +9,10 @@ import { assignmentService } from '@/services/assignmentService';
 import { useNotificationStore } from '@/stores/notificationStore';
 import LoadingScreen from '@/components/ui/LoadingScreen';
 import Modal from '@/components/ui/Modal';
+import SerialNumberPicker from '@/components/assets/SerialNumberPicker';
+import LotList from '@/components/assets/LotList';
+import InvestigationPanel from '@/components/investigations/InvestigationPanel';
+import PrintReceiptButton from '@/components/assignments/PrintReceiptButton';
 import { Assignment } from '@/types/assignment';
 import toast from 'react-hot-toast';
 
@@ -23,11 +27,20 @@ const AssignmentDetailPage = () => {
   // State for modals
   const [showReturnModal, setShowReturnModal] = useState(false);
   const [showStatusModal, setShowStatusModal] = useState(false);
+  const [showDueDateModal, setShowDueDateModal] = useState(false);
+  const [newDueDate, setNewDueDate] = useState('');
   const [returnQuantity, setReturnQuantity] = useState(0);
+  const [returnSerials, setReturnSerials] = useState<string[]>([]);
   const [statusNotes, setStatusNotes] = useState('');
   const [newStatus, setNewStatus] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
 
+  // Serialized assignments return named items
+  const isSerialized = !!assignment?.serialNumbers?.length;
+  const outstandingSerials = (assignment?.serialNumbers || []).filter(
+    (serial) => !assignment?.returnedSerialNumbers?.includes(serial)
+  );
+
   // Fetch assignment details
   useEffect(() => {
     if (!id) return;
@@ -73,6 +86,7 @@ const AssignmentDetailPage = () => {
   const openReturnModal = () => {
     if (!assignment) return;
     setReturnQuantity(assignment.quantity - assignment.returnedQuantity);
+    setReturnSerials(outstandingSerials);
     setStatusNotes('');
     setShowReturnModal(true);
   };
@@ -84,17 +98,16 @@ const AssignmentDetailPage = () => {
     try {
       const updatedAssignment = await assignmentService.returnAssignment(
         assignment._id, 
-        { 
-          returnedQuantity: returnQuantity,
-          notes: statusNotes || undefined
-        }
+        isSerialized
+          ? { returnedQuantity: returnSerials.length, serialNumbers: returnSerials, notes: statusNotes || undefined }
+          : { returnedQuantity: returnQuantity, notes: statusNotes || undefined }
       );
       
       // Add notification
       addNotification({
         type: 'success',
         title: 'Assignment Returned',
-        message: `${returnQuantity} ${updatedAssignment.assetName} returned successfully.`
+        message: `${isSerialized ? returnSerials.length : returnQuantity} ${updatedAssignment.assetName} returned successfully.`
       });
       
       toast.success('Assignment returned successfully');
@@ -103,9 +116,9 @@ const AssignmentDetailPage = () => {
       setShowReturnModal(false);
       setAssignment(updatedAssignment);
       
-    } catch (error) {
+    } catch (error: any) {
       console.error('Error returning assignment:', error);
-      toast.error('Failed to return assignment');
+      toast.error(error.response?.data?.error || 'Failed to return assignment');
     } finally {
       setIsProcessing(false);
     }
@@ -135,7 +148,7 @@ const AssignmentDetailPage = () => {
       addNotification({
         type: 'success',
         title: 'Assignment Updated',
-        message: `Assignment status changed to ${newStatus}.`
+        message: `Assignment marked as ${newStatus}; an investigation has been opened.`
       });
       
       toast.success(`Assignment marked as ${newStatus}`);
@@ -152,6 +165,41 @@ const AssignmentDetailPage = () => {
     }
   };
 
+  // Handle expected return date change
+  const openDueDateModal = () => {
+    if (!assignment) return;
+    
+    setNewDueDate(assignment.expectedReturnDate ? format(new Date(assignment.expectedReturnDate), 'yyyy-MM-dd') : '');
+    setStatusNotes('');
+    setShowDueDateModal(true);
+  };
+
+  const handleUpdateDueDate = async () => {
+    if (!assignment || !newDueDate) return;
+    
+    setIsProcessing(true);
+    try {
+      const updatedAssignment = await assignmentService.updateExpectedReturnDate(
+        assignment._id,
+        {
+          expectedReturnDate: newDueDate,
+          notes: statusNotes || undefined
+        }
+      );
+      
+      toast.success(`Assignment now due back on ${format(new Date(newDueDate), 'MMM d, yyyy')}`);
+      
+      setShowDueDateModal(false);
+      setAssignment(updatedAssignment);
+      
+    } catch (error: any) {
+      console.error('Error updating expected return date:', error);
+      toast.error(error.response?.data?.error || 'Failed to update expected return date');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   // Helper function for status badge styling
   const getStatusBadgeClass = (status: string) => {
     switch (status) {
@@ -163,6 +211,8 @@ const AssignmentDetailPage = () => {
         return 'bg-red-100 text-red-800';
       case 'Damaged':
         return 'bg-orange-100 text-orange-800';
+      case 'Overdue':
+        return 'bg-yellow-100 text-yellow-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
@@ -188,6 +238,12 @@ const AssignmentDetailPage = () => {
     return user.role === 'Admin' || 
       (user.role === 'BaseCommander' && user.assignedBase === assignment.base);
   };
+  
+  // Admins and the base's commander run investigations
+  const canManageInvestigation = !!user && !!assignment && (
+    user.role === 'Admin' ||
+    (user.role === 'BaseCommander' && user.assignedBase === assignment.base)
+  );
 
   if (isLoading) return <LoadingScreen />;
 
@@ -229,17 +285,36 @@ const AssignmentDetailPage = () => {
             >
               {assignment.status}
             </span>
+            {assignment.overdue && (
+              <span
+                className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(
+                  'Overdue'
+                )}`}
+              >
+                Overdue
+              </span>
+            )}
           </div>
 
           {/* Assignment details */}
           <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
-            <div className="px-4 py-5 sm:px-6">
-              <h3 className="text-lg leading-6 font-medium text-gray-900">
-                {assignment.assetName} Assignment
-              </h3>
-              <p className="mt-1 max-w-2xl text-sm text-gray-500">
-                Assigned to {assignment.assignedTo.name} for {assignment.purpose}
-              </p>
+            <div className="px-4 py-5 sm:px-6 flex justify-between items-start">
+              <div>
+                <h3 className="text-lg leading-6 font-medium text-gray-900">
+                  {assignment.assetName} Assignment
+                </h3>
+                <p className="mt-1 max-w-2xl text-sm text-gray-500">
+                  Assigned to {assignment.assignedTo.name} for {assignment.purpose}
+                </p>
+                {assignment.receiptNumber && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Hand receipt {assignment.receiptNumber}
+                  </p>
+                )}
+              </div>
+              {assignment.receiptNumber && (
+                <PrintReceiptButton assignmentId={assignment._id} receiptNumber={assignment.receiptNumber} />
+              )}
             </div>
             <div className="border-t border-gray-200">
               <dl>
@@ -264,7 +339,13 @@ const AssignmentDetailPage = () => {
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                   <dt className="text-sm font-medium text-gray-500">Assigned To</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                    <p>{assignment.assignedTo.name}</p>
+                    {assignment.personnel ? (
+                      <Link href={`/personnel/${assignment.personnel}`} className="text-primary-600 hover:text-primary-900">
+                        {assignment.assignedTo.name}
+                      </Link>
+                    ) : (
+                      <p>{assignment.assignedTo.name}</p>
+                    )}
                     <p className="text-xs text-gray-500">
                       {assignment.assignedTo.rank} ({assignment.assignedTo.id})
                     </p>
@@ -286,6 +367,24 @@ const AssignmentDetailPage = () => {
                   <dt className="text-sm font-medium text-gray-500">Quantity</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
                     {assignment.quantity}
+                    {isSerialized && (
+                      <ul className="mt-1 font-mono text-xs space-y-0.5">
+                        {assignment.serialNumbers?.map((serial) => (
+                          <li
+                            key={serial}
+                            className={assignment.returnedSerialNumbers?.includes(serial) ? 'text-gray-400 line-through' : 'text-gray-600'}
+                          >
+                            {serial}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {assignment.lots && assignment.lots.length > 0 && (
+                      <div className="mt-1">
+                        <p className="text-xs text-gray-500">Written off from lots</p>
+                        <LotList lots={assignment.lots} />
+                      </div>
+                    )}
                   </dd>
                 </div>
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
@@ -306,6 +405,25 @@ const AssignmentDetailPage = () => {
                     {format(new Date(assignment.startDate), 'PPP p')}
                   </dd>
                 </div>
+                {assignment.expectedReturnDate && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Expected Return</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {format(new Date(assignment.expectedReturnDate), 'PPP')}
+                      {assignment.overdue && (
+                        <p className="text-xs text-red-600">
+                          {assignment.daysOverdue} day(s) overdue
+                        </p>
+                      )}
+                      {assignment.overdue && assignment.lastEscalatedAt && (
+                        <p className="text-xs text-gray-500">
+                          Escalated to the base commander {assignment.escalations} time(s), last on{' '}
+                          {format(new Date(assignment.lastEscalatedAt), 'MMM d, yyyy')}
+                        </p>
+                      )}
+                    </dd>
+                  </div>
+                )}
                 {assignment.endDate && (
                   <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                     <dt className="text-sm font-medium text-gray-500">End Date</dt>
@@ -346,6 +464,11 @@ const AssignmentDetailPage = () => {
             </div>
           </div>
 
+          {/* Loss or damage investigation */}
+          {assignment.investigation && (
+            <InvestigationPanel investigationId={assignment.investigation} canManage={canManageInvestigation} />
+          )}
+
           {/* Action buttons */}
           {(canReturnAssignment() || canUpdateStatus()) && (
             <div className="flex justify-end space-x-4">
@@ -359,6 +482,16 @@ const AssignmentDetailPage = () => {
                 </button>
               )}
               
+              {canUpdateStatus() && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={openDueDateModal}
+                >
+                  Change Due Date
+                </button>
+              )}
+              
               {canUpdateStatus() && (
                 <div className="relative inline-block text-left">
                   <button
@@ -435,23 +568,32 @@ const AssignmentDetailPage = () => {
                 Return {assignment.assetName} assigned to {assignment.assignedTo.name}
               </p>
               
-              <div className="mb-4">
-                <label htmlFor="returnQuantity" className="block text-sm font-medium text-gray-700">
-                  Quantity to Return
-                </label>
-                <input
-                  type="number"
-                  id="returnQuantity"
-                  className="mt-1 form-input"
-                  min="1"
-                  max={assignment.quantity - assignment.returnedQuantity}
-                  value={returnQuantity}
-                  onChange={(e) => setReturnQuantity(parseInt(e.target.value))}
-                />
-                <p className="text-xs text-gray-500 mt-1">
-                  {assignment.quantity - assignment.returnedQuantity} available to return
-                </p>
-              </div>
+              {isSerialized ? (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700">Items Returned</label>
+                  <div className="mt-1">
+                    <SerialNumberPicker options={outstandingSerials} selected={returnSerials} onChange={setReturnSerials} />
+                  </div>
+                </div>
+              ) : (
+                <div className="mb-4">
+                  <label htmlFor="returnQuantity" className="block text-sm font-medium text-gray-700">
+                    Quantity to Return
+                  </label>
+                  <input
+                    type="number"
+                    id="returnQuantity"
+                    className="mt-1 form-input"
+                    min="1"
+                    max={assignment.quantity - assignment.returnedQuantity}
+                    value={returnQuantity}
+                    onChange={(e) => setReturnQuantity(parseInt(e.target.value))}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {assignment.quantity - assignment.returnedQuantity} available to return
+                  </p>
+                </div>
+              )}
               
               <div className="mb-4">
                 <label htmlFor="statusNotes" className="block text-sm font-medium text-gray-700">
@@ -482,7 +624,12 @@ const AssignmentDetailPage = () => {
               type="button"
               className="btn btn-primary"
               onClick={handleReturnAssignment}
-              disabled={isProcessing || returnQuantity < 1 || (assignment && returnQuantity > (assignment.quantity - assignment.returnedQuantity))}
+              disabled={
+                isProcessing ||
+                (isSerialized
+                  ? returnSerials.length < 1
+                  : returnQuantity < 1 || (!!assignment && returnQuantity > assignment.quantity - assignment.returnedQuantity))
+              }
             >
               {isProcessing ? (
                 <span className="flex items-center">
@@ -500,6 +647,81 @@ const AssignmentDetailPage = () => {
         </div>
       </Modal>
 
+      {/* Expected Return Date Modal */}
+      <Modal
+        isOpen={showDueDateModal}
+        onClose={() => setShowDueDateModal(false)}
+        title="Change Expected Return Date"
+        size="md"
+      >
+        <div className="py-4">
+          {assignment && (
+            <>
+              <p className="text-gray-700 mb-4">
+                Set when <span className="font-semibold">{assignment.assignedTo.name}</span> is due to return the <span className="font-semibold">{assignment.assetName}</span>.
+              </p>
+              
+              <div className="mb-4">
+                <label htmlFor="newDueDate" className="block text-sm font-medium text-gray-700">
+                  Expected Return Date
+                </label>
+                <input
+                  type="date"
+                  id="newDueDate"
+                  className="mt-1 form-input"
+                  value={newDueDate}
+                  min={format(new Date(assignment.startDate), 'yyyy-MM-dd')}
+                  onChange={(e) => setNewDueDate(e.target.value)}
+                />
+              </div>
+              
+              <div className="mb-4">
+                <label htmlFor="dueDateNotes" className="block text-sm font-medium text-gray-700">
+                  Notes (Optional)
+                </label>
+                <textarea
+                  id="dueDateNotes"
+                  className="mt-1 form-textarea"
+                  rows={3}
+                  value={statusNotes}
+                  onChange={(e) => setStatusNotes(e.target.value)}
+                  placeholder="Reason for the change"
+                />
+              </div>
+            </>
+          )}
+          
+          <div className="mt-6 flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowDueDateModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleUpdateDueDate}
+              disabled={isProcessing || !newDueDate}
+            >
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Processing...
+                </span>
+              ) : (
+                'Save Due Date'
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Update Status Modal */}
       <Modal
         isOpen={showStatusModal}
@@ -513,6 +735,9 @@ const AssignmentDetailPage = () => {
               <p className="text-gray-700 mb-4">
                 Are you sure you want to mark the assignment of <span className="font-semibold">{assignment.quantity} {assignment.assetName}</span> to <span className="font-semibold">{assignment.assignedTo.name}</span> as <span className="font-semibold">{newStatus}</span>?
               </p>
+              <p className="text-sm text-gray-500 mb-4">
+                An investigation will be opened. The items stay on the assignment until it is closed and they are written off or restored.
+              </p>
               
               <div className="mb-4">
                 <label htmlFor="statusNotes" className="block text-sm font-medium text-gray-700">
@@ -3,7 +3,7 @@ import Head from "next/head";
 import Link from "next/link";
 import { useRouter } from "next/router";
 import { format } from "date-fns";
-import { PlusIcon, FunnelIcon } from "@heroicons/react/24/outline";
+import { PlusIcon, FunnelIcon, UserGroupIcon } from "@heroicons/react/24/outline";
 import { useAuth } from "@/contexts/AuthContext";
 import { assignmentService } from "@/services/assignmentService";
 import { useNotificationStore } from "@/stores/notificationStore";
@@ -33,6 +33,7 @@ const AssignmentsPage = () => {
     base: user?.role === "BaseCommander" ? user.assignedBase : "",
     assetType: "",
     status: "",
+    overdue: router.query.overdue === "true",
     startDate: "",
     endDate: "",
     search: "",
@@ -51,9 +52,14 @@ const AssignmentsPage = () => {
   const [newStatus, setNewStatus] = useState("");
   const [isProcessing, setIsProcessing] = useState(false);
 
+  // Assignments picked for a bulk return
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [showBulkReturnModal, setShowBulkReturnModal] = useState(false);
+
   // Fetch assignments from API
   const fetchAssignments = async () => {
     setIsLoading(true);
+    setSelectedIds([]);
     try {
       const params: any = {
         sortBy,
@@ -66,6 +72,7 @@ const AssignmentsPage = () => {
       if (filters.base) params.base = filters.base;
       if (filters.assetType) params.assetType = filters.assetType;
       if (filters.status) params.status = filters.status;
+      if (filters.overdue) params.overdue = true;
       if (filters.startDate) params.startDate = filters.startDate;
       if (filters.endDate) params.endDate = filters.endDate;
       if (filters.search) params.search = filters.search;
@@ -199,7 +206,7 @@ const AssignmentsPage = () => {
       addNotification({
         type: "success",
         title: "Assignment Updated",
-        message: `Assignment status changed to ${newStatus}.`,
+        message: `Assignment marked as ${newStatus}; an investigation has been opened.`,
       });
 
       toast.success(`Assignment marked as ${newStatus}`);
@@ -216,6 +223,42 @@ const AssignmentsPage = () => {
     }
   };
 
+  const toggleSelected = (id: string) => {
+    setSelectedIds(
+      selectedIds.includes(id)
+        ? selectedIds.filter((selected) => selected !== id)
+        : [...selectedIds, id]
+    );
+  };
+
+  // Return everything still out on the selected assignments
+  const handleBulkReturn = async () => {
+    setIsProcessing(true);
+    try {
+      const response = await assignmentService.bulkReturn({
+        returns: selectedIds.map((id) => ({ assignment: id })),
+        notes: statusNotes || undefined,
+      });
+
+      addNotification({
+        type: "success",
+        title: "Assignments Returned",
+        message: `${response.count} assignments returned successfully.`,
+      });
+
+      toast.success("Assignments returned successfully");
+
+      setShowBulkReturnModal(false);
+      setStatusNotes("");
+      fetchAssignments();
+    } catch (error: any) {
+      console.error("Error returning assignments:", error);
+      toast.error(error.response?.data?.error || "Failed to return assignments");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   // Helper function for status badge styling
   const getStatusBadgeClass = (status: string) => {
     switch (status) {
@@ -227,6 +270,8 @@ const AssignmentsPage = () => {
         return "bg-red-100 text-red-800";
       case "Damaged":
         return "bg-orange-100 text-orange-800";
+      case "Overdue":
+        return "bg-yellow-100 text-yellow-800";
       default:
         return "bg-gray-100 text-gray-800";
     }
@@ -280,6 +325,24 @@ const AssignmentsPage = () => {
                 <FunnelIcon className="h-5 w-5 mr-2" />
                 Filters
               </button>
+              {selectedIds.length > 0 && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => {
+                    setStatusNotes("");
+                    setShowBulkReturnModal(true);
+                  }}
+                >
+                  Return Selected ({selectedIds.length})
+                </button>
+              )}
+              {canCreateAssignment && (
+                <Link href="/assignments/issue" className="btn btn-secondary">
+                  <UserGroupIcon className="h-5 w-5 mr-2" />
+                  Issue to Unit
+                </Link>
+              )}
               {canCreateAssignment && (
                 <Link href="/assignments/new" className="btn btn-primary">
                   <PlusIcon className="h-5 w-5 mr-2" />
@@ -365,6 +428,29 @@ const AssignmentsPage = () => {
                     <option value="Damaged">Damaged</option>
                   </select>
                 </div>
+                <div>
+                  <label
+                    htmlFor="overdue"
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    Return
+                  </label>
+                  <select
+                    id="overdue"
+                    name="overdue"
+                    className="mt-1 form-select"
+                    value={filters.overdue ? "overdue" : ""}
+                    onChange={(e) =>
+                      handleFilterChange({
+                        ...filters,
+                        overdue: e.target.value === "overdue",
+                      })
+                    }
+                  >
+                    <option value="">Any</option>
+                    <option value="overdue">Overdue only</option>
+                  </select>
+                </div>
                 <div>
                   <label
                     htmlFor="startDate"
@@ -437,6 +523,7 @@ const AssignmentsPage = () => {
                         user?.role === "BaseCommander" ? user.assignedBase : "",
                       assetType: "",
                       status: "",
+                      overdue: false,
                       startDate: "",
                       endDate: "",
                       search: "",
@@ -483,6 +570,11 @@ const AssignmentsPage = () => {
                 <table className="min-w-full divide-y divide-gray-200">
                   <thead className="bg-gray-50">
                     <tr>
+                      {canCreateAssignment && (
+                        <th scope="col" className="pl-6 py-3">
+                          <span className="sr-only">Select</span>
+                        </th>
+                      )}
                       <th
                         scope="col"
                         className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
@@ -578,6 +670,18 @@ const AssignmentsPage = () => {
                   <tbody className="bg-white divide-y divide-gray-200">
                     {assignments.map((assignment) => (
                       <tr key={assignment._id} className="hover:bg-gray-50">
+                        {canCreateAssignment && (
+                          <td className="pl-6 py-4 whitespace-nowrap">
+                            {canUpdateStatus(assignment) && (
+                              <input
+                                type="checkbox"
+                                className="h-4 w-4 rounded border-gray-300 text-primary-600"
+                                checked={selectedIds.includes(assignment._id)}
+                                onChange={() => toggleSelected(assignment._id)}
+                              />
+                            )}
+                          </td>
+                        )}
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                           <Link
                             href={`/assets/${assignment.asset}`}
@@ -620,13 +724,22 @@ const AssignmentsPage = () => {
                           >
                             {assignment.status}
                           </span>
+                          {assignment.overdue && (
+                            <span
+                              className={`ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(
+                                "Overdue"
+                              )}`}
+                            >
+                              Overdue
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {format(
                             new Date(assignment.startDate),
                             "MMM d, yyyy"
                           )}
-                          {assignment.endDate && (
+                          {assignment.endDate ? (
                             <p className="text-xs text-gray-500">
                               to{" "}
                               {format(
@@ -634,6 +747,22 @@ const AssignmentsPage = () => {
                                 "MMM d, yyyy"
                               )}
                             </p>
+                          ) : (
+                            assignment.expectedReturnDate && (
+                              <p
+                                className={`text-xs ${
+                                  assignment.overdue
+                                    ? "text-red-600"
+                                    : "text-gray-500"
+                                }`}
+                              >
+                                due{" "}
+                                {format(
+                                  new Date(assignment.expectedReturnDate),
+                                  "MMM d, yyyy"
+                                )}
+                              </p>
+                            )
                           )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
@@ -833,6 +962,86 @@ const AssignmentsPage = () => {
         </div>
       </Modal>
 
+      {/* Bulk Return Modal */}
+      <Modal
+        isOpen={showBulkReturnModal}
+        onClose={() => setShowBulkReturnModal(false)}
+        title="Return Selected Assignments"
+        size="md"
+      >
+        <div className="py-4">
+          <p className="text-gray-700 mb-4">
+            Return everything still held on{" "}
+            <span className="font-semibold">
+              {selectedIds.length} assignment(s)
+            </span>
+            ? Serialized items are all checked back in.
+          </p>
+
+          <div className="mb-4">
+            <label
+              htmlFor="bulkReturnNotes"
+              className="block text-sm font-medium text-gray-700"
+            >
+              Notes (Optional)
+            </label>
+            <textarea
+              id="bulkReturnNotes"
+              className="mt-1 form-textarea"
+              rows={3}
+              value={statusNotes}
+              onChange={(e) => setStatusNotes(e.target.value)}
+              placeholder="e.g., Returned after field exercise"
+            />
+          </div>
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowBulkReturnModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleBulkReturn}
+              disabled={isProcessing}
+            >
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <svg
+                    className="animate-spin -ml-1 mr-3 h-5 w-5 text-white"
+                    xmlns="http://www.w3.org/2000/svg"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                  >
+                    <circle
+                      className="opacity-25"
+                      cx="12"
+                      cy="12"
+                      r="10"
+                      stroke="currentColor"
+                      strokeWidth="4"
+                    ></circle>
+                    <path
+                      className="opacity-75"
+                      fill="currentColor"
+                      d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+                    ></path>
+                  </svg>
+                  Processing...
+                </span>
+              ) : (
+                "Return All"
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Update Status Modal */}
       <Modal
         isOpen={showStatusModal}
@@ -857,6 +1066,11 @@ const AssignmentsPage = () => {
                 </span>{" "}
                 as <span className="font-semibold">{newStatus}</span>?
               </p>
+              <p className="text-sm text-gray-500 mb-4">
+                An investigation will be opened. The items stay on the
+                assignment until it is closed and they are written off or
+                restored.
+              </p>
 
               <div className="mb-4">
                 <label
@@ -0,0 +1,460 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { ArrowLeftIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@/contexts/AuthContext';
+import { assetService } from '@/services/assetService';
+import { assignmentService } from '@/services/assignmentService';
+import { personnelService } from '@/services/personnelService';
+import { settingsService } from '@/services/settingsService';
+import { useNotificationStore } from '@/stores/notificationStore';
+import SerialNumberPicker from '@/components/assets/SerialNumberPicker';
+import PersonnelPicker, { personnelLabel } from '@/components/personnel/PersonnelPicker';
+import { downloadReceipt } from '@/components/assignments/PrintReceiptButton';
+import { Asset } from '@/types/asset';
+import { PersonnelSummary } from '@/types/personnel';
+import toast from 'react-hot-toast';
+
+interface IssueItem {
+  asset: string;
+  quantity: number;
+  serialNumbers: string[];
+}
+
+const emptyItem = (): IssueItem => ({ asset: '', quantity: 1, serialNumbers: [] });
+
+/**
+ * Issue kit to a unit: every listed person is given each item, as one
+ * assignment per person and asset, in a single all-or-nothing request
+ */
+const IssueToUnitPage = () => {
+  const router = useRouter();
+  const { user } = useAuth();
+  const addNotification = useNotificationStore((state) => state.addNotification);
+  const [bases, setBases] = useState<string[]>([]);
+  const [base, setBase] = useState(user?.role === 'BaseCommander' && user.assignedBase ? user.assignedBase : '');
+  const [assets, setAssets] = useState<Asset[]>([]);
+  // Available serial numbers of the serialized assets picked
+  const [serialOptions, setSerialOptions] = useState<Record<string, string[]>>({});
+
+  const [people, setPeople] = useState<PersonnelSummary[]>([]);
+  const [unit, setUnit] = useState('');
+  const [isAddingUnit, setIsAddingUnit] = useState(false);
+  const [items, setItems] = useState<IssueItem[]>([emptyItem()]);
+  const [purpose, setPurpose] = useState('');
+  const [startDate, setStartDate] = useState(new Date().toISOString().split('T')[0]);
+  const [expectedReturnDate, setExpectedReturnDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Check if user has permission to create assignments
+  useEffect(() => {
+    if (user && user.role !== 'Admin' && user.role !== 'BaseCommander') {
+      toast.error('You do not have permission to create assignments');
+      router.push('/assignments');
+    }
+  }, [user, router]);
+
+  useEffect(() => {
+    settingsService.getBases().then(setBases).catch(() => setBases([]));
+  }, []);
+
+  // Personnel and stock belong to the base; changing it starts again
+  useEffect(() => {
+    setPeople([]);
+    setItems([emptyItem()]);
+    setAssets([]);
+    if (!base) return;
+
+    assetService
+      .getAssets({ base, limit: 100 })
+      .then((response) => setAssets(response.assets.filter((asset) => asset.available > 0)))
+      .catch(() => toast.error('Failed to load assets'));
+  }, [base]);
+
+  const assetOf = (id: string) => assets.find((asset) => asset._id === id);
+
+  const updateItem = (index: number, changes: Partial<IssueItem>) => {
+    setItems(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const selectAsset = (index: number, id: string) => {
+    updateItem(index, { asset: id, quantity: 1, serialNumbers: [] });
+
+    const asset = assetOf(id);
+    if (!asset?.serialized || serialOptions[id]) return;
+
+    assetService
+      .getAssetItems(id, { status: 'Available' })
+      .then(({ items: stock }) =>
+        setSerialOptions((options) => ({
+          ...options,
+          [id]: stock.map((item) => item.serialNumber),
+        }))
+      )
+      .catch(() => toast.error('Failed to load serial numbers'));
+  };
+
+  const addPerson = (person: PersonnelSummary | null) => {
+    if (!person || people.some((p) => p._id === person._id)) return;
+    setPeople([...people, person]);
+  };
+
+  // Add the serving members of a unit at the base
+  const addUnit = async () => {
+    if (!unit.trim()) return;
+
+    setIsAddingUnit(true);
+    try {
+      const response = await personnelService.getPersonnel({ base, unit: unit.trim(), status: 'Active', limit: 200 });
+      const added = response.personnel.filter((person) => !people.some((p) => p._id === person._id));
+      setPeople([...people, ...added]);
+      toast.success(`${added.length} added from ${unit.trim()}`);
+      setUnit('');
+    } catch (error) {
+      console.error('Error loading unit:', error);
+      toast.error('Failed to load the unit');
+    } finally {
+      setIsAddingUnit(false);
+    }
+  };
+
+  // Quantity of each item needed for everyone, checked against stock
+  const needed = (item: IssueItem) => item.quantity * people.length;
+  const isShort = (item: IssueItem) => {
+    const asset = assetOf(item.asset);
+    return !!asset && needed(item) > asset.available;
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!base || !people.length || !purpose.trim() || !expectedReturnDate) {
+      toast.error('Give the base, personnel, purpose and expected return date');
+      return;
+    }
+    if (expectedReturnDate < startDate) {
+      toast.error('Expected return date cannot be before the start date');
+      return;
+    }
+    if (items.some((item) => !item.asset || item.quantity < 1)) {
+      toast.error('Choose an asset and quantity for every item');
+      return;
+    }
+    if (items.some(isShort)) {
+      toast.error('Not enough stock for everyone');
+      return;
+    }
+
+    const missingSerials = items.find(
+      (item) => assetOf(item.asset)?.serialized && item.serialNumbers.length !== needed(item)
+    );
+    if (missingSerials) {
+      toast.error(`Select ${needed(missingSerials)} serial numbers for ${assetOf(missingSerials.asset)?.name}`);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await assignmentService.issueToUnit({
+        base,
+        personnel: people.map((person) => person._id),
+        items: items.map((item) => ({
+          asset: item.asset,
+          quantity: item.quantity,
+          serialNumbers: assetOf(item.asset)?.serialized ? item.serialNumbers : undefined,
+        })),
+        purpose: purpose.trim(),
+        startDate,
+        expectedReturnDate,
+        notes: notes.trim() || undefined,
+      });
+
+      addNotification({
+        type: 'success',
+        title: 'Assets Issued',
+        message: `${response.count} assignments created for ${people.length} personnel.`,
+      });
+
+      toast.success('Assets issued');
+
+      // The issue is signed for on its hand receipt
+      downloadReceipt(response.assignments[0]._id, response.receiptNumber).catch(() =>
+        toast.error(`Failed to download hand receipt ${response.receiptNumber}; print it from any of the assignments`)
+      );
+
+      router.push('/assignments');
+    } catch (error: any) {
+      console.error('Error issuing assets:', error);
+      const data = error.response?.data;
+      toast.error(
+        data?.shortages
+          ? `${data.error}: ${data.shortages.map((s: any) => `${s.assetName} (${s.available} of ${s.requested})`).join(', ')}`
+          : data?.error || 'Failed to issue assets'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // If not authorized, don't render the page
+  if (user && user.role !== 'Admin' && user.role !== 'BaseCommander') {
+    return null;
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Issue to Unit | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          {/* Back button and title */}
+          <div className="flex items-center mb-6">
+            <button
+              onClick={() => router.back()}
+              className="mr-4 text-gray-500 hover:text-gray-700"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-2xl font-semibold text-gray-900">Issue to Unit</h1>
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Base and personnel */}
+            <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:p-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Personnel</h3>
+              <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-6">
+                <div className="sm:col-span-2">
+                  <label htmlFor="base" className="block text-sm font-medium text-gray-700">Base</label>
+                  <select
+                    id="base"
+                    className="mt-1 form-select"
+                    value={base}
+                    onChange={(e) => setBase(e.target.value)}
+                    disabled={user?.role === 'BaseCommander'}
+                  >
+                    <option value="">Select a base</option>
+                    {bases.map((b) => (
+                      <option key={b} value={b}>{b}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="sm:col-span-2">
+                  <label htmlFor="personnel" className="block text-sm font-medium text-gray-700">Add Person</label>
+                  <div className="mt-1">
+                    <PersonnelPicker id="personnel" base={base} value={null} onChange={addPerson} />
+                  </div>
+                </div>
+                <div className="sm:col-span-2">
+                  <label htmlFor="unit" className="block text-sm font-medium text-gray-700">Add Unit</label>
+                  <div className="mt-1 flex space-x-2">
+                    <input
+                      id="unit"
+                      type="text"
+                      className="form-input"
+                      placeholder="e.g., 1st Platoon"
+                      value={unit}
+                      onChange={(e) => setUnit(e.target.value)}
+                      disabled={!base}
+                    />
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={addUnit}
+                      disabled={!base || !unit.trim() || isAddingUnit}
+                    >
+                      Add
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              {people.length === 0 ? (
+                <p className="mt-4 text-sm text-gray-500">Nobody added yet.</p>
+              ) : (
+                <ul className="mt-4 flex flex-wrap gap-2">
+                  {people.map((person) => (
+                    <li
+                      key={person._id}
+                      className="inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800"
+                    >
+                      {personnelLabel(person)}
+                      <button
+                        type="button"
+                        className="ml-1 text-gray-400 hover:text-gray-600"
+                        onClick={() => setPeople(people.filter((p) => p._id !== person._id))}
+                      >
+                        <span className="sr-only">Remove</span>
+                        <XMarkIcon className="h-3 w-3" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* Items */}
+            <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:p-6">
+              <div className="flex justify-between items-center">
+                <h3 className="text-lg leading-6 font-medium text-gray-900">Items per Person</h3>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setItems([...items, emptyItem()])}
+                  disabled={!base}
+                >
+                  <PlusIcon className="h-5 w-5 mr-2" />
+                  Add Item
+                </button>
+              </div>
+
+              <div className="mt-4 space-y-4">
+                {items.map((item, index) => {
+                  const asset = assetOf(item.asset);
+                  return (
+                    <div key={index} className="border border-gray-200 rounded-md p-4">
+                      <div className="grid grid-cols-1 gap-4 sm:grid-cols-6">
+                        <div className="sm:col-span-3">
+                          <label htmlFor={`asset-${index}`} className="block text-sm font-medium text-gray-700">Asset</label>
+                          <select
+                            id={`asset-${index}`}
+                            className="mt-1 form-select"
+                            value={item.asset}
+                            onChange={(e) => selectAsset(index, e.target.value)}
+                            disabled={!base}
+                          >
+                            <option value="">Select an asset</option>
+                            {assets
+                              .filter((a) => a._id === item.asset || !items.some((other) => other.asset === a._id))
+                              .map((a) => (
+                                <option key={a._id} value={a._id}>
+                                  {a.name} ({a.type}) - {a.available} available
+                                </option>
+                              ))}
+                          </select>
+                        </div>
+                        <div className="sm:col-span-2">
+                          <label htmlFor={`quantity-${index}`} className="block text-sm font-medium text-gray-700">Quantity Each</label>
+                          <input
+                            id={`quantity-${index}`}
+                            type="number"
+                            min="1"
+                            className={`mt-1 form-input ${isShort(item) ? 'border-red-500' : ''}`}
+                            value={item.quantity}
+                            onChange={(e) => updateItem(index, { quantity: parseInt(e.target.value) || 0, serialNumbers: [] })}
+                          />
+                          {asset && (
+                            <p className={`mt-1 text-xs ${isShort(item) ? 'text-red-600' : 'text-gray-500'}`}>
+                              {needed(item)} needed for {people.length} personnel, {asset.available} available
+                            </p>
+                          )}
+                        </div>
+                        <div className="sm:col-span-1 flex items-end justify-end">
+                          {items.length > 1 && (
+                            <button
+                              type="button"
+                              className="text-sm text-red-600 hover:text-red-900"
+                              onClick={() => setItems(items.filter((_, i) => i !== index))}
+                            >
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                        {asset?.serialized && (
+                          <div className="sm:col-span-6">
+                            <label className="block text-sm font-medium text-gray-700">
+                              Serial Numbers ({item.serialNumbers.length} of {needed(item)}, handed out in the order picked)
+                            </label>
+                            <div className="mt-1">
+                              <SerialNumberPicker
+                                options={serialOptions[asset._id] || []}
+                                selected={item.serialNumbers}
+                                onChange={(serialNumbers) => updateItem(index, { serialNumbers })}
+                                quantity={needed(item)}
+                              />
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Purpose and dates */}
+            <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:p-6">
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-6">
+                <div className="sm:col-span-6">
+                  <label htmlFor="purpose" className="block text-sm font-medium text-gray-700">Purpose</label>
+                  <input
+                    id="purpose"
+                    type="text"
+                    className="mt-1 form-input"
+                    value={purpose}
+                    onChange={(e) => setPurpose(e.target.value)}
+                    placeholder="e.g., Platoon field exercise"
+                  />
+                </div>
+                <div className="sm:col-span-3">
+                  <label htmlFor="startDate" className="block text-sm font-medium text-gray-700">Start Date</label>
+                  <input
+                    id="startDate"
+                    type="date"
+                    className="mt-1 form-input"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                  />
+                </div>
+                <div className="sm:col-span-3">
+                  <label htmlFor="expectedReturnDate" className="block text-sm font-medium text-gray-700">Expected Return Date</label>
+                  <input
+                    id="expectedReturnDate"
+                    type="date"
+                    className="mt-1 form-input"
+                    value={expectedReturnDate}
+                    min={startDate}
+                    onChange={(e) => setExpectedReturnDate(e.target.value)}
+                  />
+                </div>
+                <div className="sm:col-span-6">
+                  <label htmlFor="notes" className="block text-sm font-medium text-gray-700">Notes (Optional)</label>
+                  <textarea
+                    id="notes"
+                    rows={3}
+                    className="mt-1 form-textarea"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" className="btn btn-secondary" onClick={() => router.back()}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+                {isSubmitting ? (
+                  <span className="flex items-center">
+                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    Issuing...
+                  </span>
+                ) : (
+                  `Issue to ${people.length} Personnel`
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default IssueToUnitPage;
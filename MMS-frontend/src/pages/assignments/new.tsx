@@ -9,23 +9,22 @@ import { assetService } from '@/services/assetService';
 import { assignmentService } from '@/services/assignmentService';
 import { useNotificationStore } from '@/stores/notificationStore';
 import LoadingScreen from '@/components/ui/LoadingScreen';
+import SerialNumberPicker from '@/components/assets/SerialNumberPicker';
+import PersonnelPicker from '@/components/personnel/PersonnelPicker';
 import toast from 'react-hot-toast';
 import { Asset } from '@/types/asset';
 import { Assignment } from '@/types/assignment';
+import { PersonnelSummary } from '@/types/personnel';
 
 // Interface for the form values
 interface AssignmentFormValues {
   asset: string;
   base: string;
   quantity: number;
-  assignedTo: {
-    name: string;
-    rank: string;
-    id: string;
-  };
+  personnel: string;
   purpose: string;
   startDate: string;
-  endDate?: string;
+  expectedReturnDate: string;
   notes?: string;
 }
 
@@ -39,14 +38,12 @@ const AssignmentSchema = Yup.object().shape({
     .required('Quantity is required')
     .positive('Quantity must be positive')
     .integer('Quantity must be a whole number'),
-  assignedTo: Yup.object().shape({
-    name: Yup.string().required('Name is required'),
-    rank: Yup.string().required('Rank is required'),
-    id: Yup.string().required('ID is required'),
-  }),
+  personnel: Yup.string().required('Select the person to assign to'),
   purpose: Yup.string().required('Purpose is required'),
   startDate: Yup.date().required('Start date is required'),
-  endDate: Yup.date().nullable(),
+  expectedReturnDate: Yup.date()
+    .required('Expected return date is required')
+    .min(Yup.ref('startDate'), 'Expected return date cannot be before the start date'),
   notes: Yup.string(),
 });
 
@@ -58,6 +55,9 @@ const NewAssignmentPage: React.FC = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [availableAssets, setAvailableAssets] = useState<Asset[]>([]);
   const [selectedAsset, setSelectedAsset] = useState<Asset | null>(null);
+  const [availableSerials, setAvailableSerials] = useState<string[]>([]);
+  const [selectedSerials, setSelectedSerials] = useState<string[]>([]);
+  const [selectedPerson, setSelectedPerson] = useState<PersonnelSummary | null>(null);
   const { asset: assetId } = router.query;
 
   const formik = useFormik<AssignmentFormValues>({
@@ -65,14 +65,10 @@ const NewAssignmentPage: React.FC = () => {
       asset: (Array.isArray(assetId) ? assetId[0] : assetId) || '',
       base: user?.role === 'BaseCommander' && user.assignedBase ? user.assignedBase : '',
       quantity: 1,
-      assignedTo: {
-        name: '',
-        rank: '',
-        id: '',
-      },
+      personnel: '',
       purpose: '',
       startDate: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD format
-      endDate: '',
+      expectedReturnDate: '',
       notes: '',
     },
     validationSchema: AssignmentSchema,
@@ -80,8 +76,18 @@ const NewAssignmentPage: React.FC = () => {
       try {
         setIsSubmitting(true);
         
+        // Serialized assets issue the items picked
+        if (selectedAsset?.serialized && selectedSerials.length === 0) {
+          toast.error('Select the serial numbers to assign');
+          return;
+        }
+        
         // Create the assignment
-        const newAssignment = await assignmentService.createAssignment(values);
+        const newAssignment = await assignmentService.createAssignment(
+          selectedAsset?.serialized
+            ? { ...values, quantity: selectedSerials.length, serialNumbers: selectedSerials }
+            : values
+        );
         
         // Add notification
         addNotification({
@@ -163,6 +169,18 @@ const NewAssignmentPage: React.FC = () => {
     }
   }, [formik.values.asset, availableAssets]);
 
+  // Load the serial numbers in stock for serialized assets
+  useEffect(() => {
+    setSelectedSerials([]);
+    setAvailableSerials([]);
+    if (!selectedAsset?.serialized) return;
+    
+    assetService
+      .getAssetItems(selectedAsset._id, { status: 'Available' })
+      .then(({ items }) => setAvailableSerials(items.filter((item) => item.asset === selectedAsset._id).map((item) => item.serialNumber)))
+      .catch(() => toast.error('Failed to load serial numbers'));
+  }, [selectedAsset]);
+
   // If not authorized, don't render the page
   if (user && user.role !== 'Admin' && user.role !== 'BaseCommander') {
     return null;
@@ -269,9 +287,10 @@ const NewAssignmentPage: React.FC = () => {
                         className={`form-input ${
                           formik.touched.quantity && formik.errors.quantity ? 'border-red-500' : ''
                         }`}
-                        value={formik.values.quantity}
+                        value={selectedAsset?.serialized ? selectedSerials.length : formik.values.quantity}
                         onChange={formik.handleChange}
                         onBlur={formik.handleBlur}
+                        disabled={!!selectedAsset?.serialized}
                       />
                       {selectedAsset && (
                         <p className="mt-1 text-xs text-gray-500">
@@ -284,6 +303,16 @@ const NewAssignmentPage: React.FC = () => {
                     </div>
                   </div>
 
+                  {/* Serial numbers */}
+                  {selectedAsset?.serialized && (
+                    <div className="sm:col-span-6">
+                      <label className="block text-sm font-medium text-gray-700">Serial Numbers</label>
+                      <div className="mt-1">
+                        <SerialNumberPicker options={availableSerials} selected={selectedSerials} onChange={setSelectedSerials} />
+                      </div>
+                    </div>
+                  )}
+
                   {/* Purpose */}
                   <div className="sm:col-span-3">
                     <label htmlFor="purpose" className="block text-sm font-medium text-gray-700">
@@ -308,72 +337,23 @@ const NewAssignmentPage: React.FC = () => {
                     </div>
                   </div>
 
-                  {/* Assigned To - Name */}
-                  <div className="sm:col-span-2">
-                    <label htmlFor="assignedTo.name" className="block text-sm font-medium text-gray-700">
-                      Assigned To (Name)
-                    </label>
-                    <div className="mt-1">
-                      <input
-                        type="text"
-                        name="assignedTo.name"
-                        id="assignedTo.name"
-                        className={`form-input ${
-                          formik.touched.assignedTo?.name && formik.errors.assignedTo?.name ? 'border-red-500' : ''
-                        }`}
-                        value={formik.values.assignedTo.name}
-                        onChange={formik.handleChange}
-                        onBlur={formik.handleBlur}
-                      />
-                      {formik.touched.assignedTo?.name && formik.errors.assignedTo?.name && (
-                        <p className="mt-2 text-sm text-red-600">{formik.errors.assignedTo.name}</p>
-                      )}
-                    </div>
-                  </div>
-
-                  {/* Assigned To - Rank */}
-                  <div className="sm:col-span-2">
-                    <label htmlFor="assignedTo.rank" className="block text-sm font-medium text-gray-700">
-                      Assigned To (Rank)
-                    </label>
-                    <div className="mt-1">
-                      <input
-                        type="text"
-                        name="assignedTo.rank"
-                        id="assignedTo.rank"
-                        className={`form-input ${
-                          formik.touched.assignedTo?.rank && formik.errors.assignedTo?.rank ? 'border-red-500' : ''
-                        }`}
-                        value={formik.values.assignedTo.rank}
-                        onChange={formik.handleChange}
-                        onBlur={formik.handleBlur}
-                      />
-                      {formik.touched.assignedTo?.rank && formik.errors.assignedTo?.rank && (
-                        <p className="mt-2 text-sm text-red-600">{formik.errors.assignedTo.rank}</p>
-                      )}
-                    </div>
-                  </div>
-
-                  {/* Assigned To - ID */}
-                  <div className="sm:col-span-2">
-                    <label htmlFor="assignedTo.id" className="block text-sm font-medium text-gray-700">
-                      Assigned To (ID)
+                  {/* Assigned To */}
+                  <div className="sm:col-span-6">
+                    <label htmlFor="personnel" className="block text-sm font-medium text-gray-700">
+                      Assigned To
                     </label>
                     <div className="mt-1">
-                      <input
-                        type="text"
-                        name="assignedTo.id"
-                        id="assignedTo.id"
-                        className={`form-input ${
-                          formik.touched.assignedTo?.id && formik.errors.assignedTo?.id ? 'border-red-500' : ''
-                        }`}
-                        value={formik.values.assignedTo.id}
-                        onChange={formik.handleChange}
-                        onBlur={formik.handleBlur}
+                      <PersonnelPicker
+                        id="personnel"
+                        base={formik.values.base}
+                        value={selectedPerson}
+                        onChange={(person) => {
+                          setSelectedPerson(person);
+                          formik.setFieldValue('personnel', person?._id || '');
+                        }}
+                        onBlur={() => formik.setFieldTouched('personnel')}
+                        error={formik.touched.personnel ? formik.errors.personnel : undefined}
                       />
-                      {formik.touched.assignedTo?.id && formik.errors.assignedTo?.id && (
-                        <p className="mt-2 text-sm text-red-600">{formik.errors.assignedTo.id}</p>
-                      )}
                     </div>
                   </div>
 
@@ -400,25 +380,26 @@ const NewAssignmentPage: React.FC = () => {
                     </div>
                   </div>
 
-                  {/* End Date (Optional) */}
+                  {/* Expected Return Date */}
                   <div className="sm:col-span-3">
-                    <label htmlFor="endDate" className="block text-sm font-medium text-gray-700">
-                      End Date (Optional)
+                    <label htmlFor="expectedReturnDate" className="block text-sm font-medium text-gray-700">
+                      Expected Return Date
                     </label>
                     <div className="mt-1">
                       <input
                         type="date"
-                        name="endDate"
-                        id="endDate"
+                        name="expectedReturnDate"
+                        id="expectedReturnDate"
                         className={`form-input ${
-                          formik.touched.endDate && formik.errors.endDate ? 'border-red-500' : ''
+                          formik.touched.expectedReturnDate && formik.errors.expectedReturnDate ? 'border-red-500' : ''
                         }`}
-                        value={formik.values.endDate}
+                        value={formik.values.expectedReturnDate}
                         onChange={formik.handleChange}
                         onBlur={formik.handleBlur}
+                        min={formik.values.startDate}
                       />
-                      {formik.touched.endDate && formik.errors.endDate && (
-                        <p className="mt-2 text-sm text-red-600">{formik.errors.endDate}</p>
+                      {formik.touched.expectedReturnDate && formik.errors.expectedReturnDate && (
+                        <p className="mt-2 text-sm text-red-600">{formik.errors.expectedReturnDate}</p>
                       )}
                     </div>
                   </div>
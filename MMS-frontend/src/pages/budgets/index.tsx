@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { PlusIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@/contexts/AuthContext';
+import { budgetService } from '@/services/budgetService';
+import { settingsService } from '@/services/settingsService';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import Modal from '@/components/ui/Modal';
+import { Budget, BudgetFormData } from '@/types/budget';
+import toast from 'react-hot-toast';
+
+const currentFiscalYear = new Date().getUTCFullYear();
+
+const emptyBudget: BudgetFormData = {
+  base: '',
+  assetType: '',
+  fiscalYear: currentFiscalYear,
+  amount: 0,
+  enforcement: 'Reject',
+  notes: '',
+};
+
+const BudgetsPage = () => {
+  const { user } = useAuth();
+  const [isLoading, setIsLoading] = useState(true);
+  const [budgets, setBudgets] = useState<Budget[]>([]);
+  const [fiscalYear, setFiscalYear] = useState(currentFiscalYear);
+  const [bases, setBases] = useState<string[]>([]);
+  const [assetTypes, setAssetTypes] = useState<string[]>([]);
+
+  // State for the create/edit modal
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<BudgetFormData | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isAdmin = user?.role === 'Admin';
+
+  const fetchBudgets = async () => {
+    try {
+      setBudgets(await budgetService.getBudgets({ fiscalYear }));
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+      toast.error('Failed to load budgets');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchBudgets();
+  }, [fiscalYear, user]);
+
+  useEffect(() => {
+    settingsService.getBases().then(setBases).catch(() => setBases([]));
+    settingsService.getAssetTypes().then(setAssetTypes).catch(() => setAssetTypes([]));
+  }, []);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm({ ...emptyBudget, fiscalYear });
+  };
+
+  const openEdit = (budget: Budget) => {
+    setEditingId(budget._id);
+    setForm({
+      base: budget.base,
+      assetType: budget.assetType || '',
+      fiscalYear: budget.fiscalYear,
+      amount: budget.amount,
+      enforcement: budget.enforcement,
+      notes: budget.notes || '',
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    if (!form.base) {
+      toast.error('Select a base');
+      return;
+    }
+    if (!(form.amount >= 0)) {
+      toast.error('Enter an amount of at least 0');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await budgetService.updateBudget(editingId, {
+          amount: form.amount,
+          enforcement: form.enforcement,
+          notes: form.notes,
+        });
+        toast.success('Budget updated');
+      } else {
+        await budgetService.createBudget({ ...form, assetType: form.assetType || undefined });
+        toast.success('Budget created');
+      }
+      setForm(null);
+      fetchBudgets();
+    } catch (error: any) {
+      console.error('Error saving budget:', error);
+      toast.error(error.response?.data?.error || 'Failed to save budget');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (budget: Budget) => {
+    if (!window.confirm(`Delete the ${budget.fiscalYear} budget of ${budget.base}?`)) return;
+
+    try {
+      await budgetService.deleteBudget(budget._id);
+      toast.success('Budget deleted');
+      fetchBudgets();
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      toast.error('Failed to delete budget');
+    }
+  };
+
+  if (isLoading) return <LoadingScreen />;
+
+  return (
+    <>
+      <Head>
+        <title>Budgets | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <div className="flex justify-between items-center">
+            <h1 className="text-2xl font-semibold text-gray-900">Budgets</h1>
+            <div className="flex items-center space-x-4">
+              <select
+                className="form-select"
+                value={fiscalYear}
+                onChange={(e) => setFiscalYear(parseInt(e.target.value))}
+              >
+                {[currentFiscalYear + 1, currentFiscalYear, currentFiscalYear - 1, currentFiscalYear - 2].map((year) => (
+                  <option key={year} value={year}>
+                    FY {year}
+                  </option>
+                ))}
+              </select>
+              {isAdmin && (
+                <button type="button" className="btn btn-primary" onClick={openCreate}>
+                  <PlusIcon className="h-5 w-5 mr-2" />
+                  New Budget
+                </button>
+              )}
+            </div>
+          </div>
+
+          <p className="mt-2 text-sm text-gray-500">
+            Approved purchases count against the remaining budget. Committed spend is the cost of ordered
+            purchases; actual spend is the value delivered.
+          </p>
+
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-md">
+            {budgets.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">No budgets for FY {fiscalYear}.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Base', 'Asset Type', 'Amount', 'Approved', 'Committed', 'Actual', 'Remaining', 'Used'].map((header) => (
+                        <th
+                          key={header}
+                          scope="col"
+                          className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                        >
+                          {header}
+                        </th>
+                      ))}
+                      <th scope="col" className="relative px-6 py-3">
+                        <span className="sr-only">Actions</span>
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {budgets.map((budget) => (
+                      <tr key={budget._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{budget.base}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {budget.assetType || 'All'}
+                          {budget.enforcement === 'Flag' && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Flags only
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${budget.amount.toLocaleString()}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${budget.approved.toLocaleString()}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${budget.committed.toLocaleString()}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${budget.actual.toLocaleString()}</td>
+                        <td
+                          className={`px-6 py-4 whitespace-nowrap text-sm ${
+                            budget.remaining < 0 ? 'font-medium text-red-600' : 'text-gray-500'
+                          }`}
+                        >
+                          ${budget.remaining.toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {budget.utilisation == null ? '—' : `${Math.round(budget.utilisation * 100)}%`}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                          {isAdmin && (
+                            <>
+                              <button type="button" className="text-primary-600 hover:text-primary-900" onClick={() => openEdit(budget)}>
+                                Edit
+                              </button>
+                              <button type="button" className="text-red-600 hover:text-red-900" onClick={() => handleDelete(budget)}>
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Create/Edit Budget Modal */}
+      <Modal isOpen={!!form} onClose={() => setForm(null)} title={editingId ? 'Edit Budget' : 'New Budget'}>
+        {form && (
+          <div className="py-4 space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="base" className="block text-sm font-medium text-gray-700">Base</label>
+                <select
+                  id="base"
+                  className="mt-1 form-select"
+                  value={form.base}
+                  disabled={!!editingId}
+                  onChange={(e) => setForm({ ...form, base: e.target.value })}
+                >
+                  <option value="">Select a base</option>
+                  {bases.map((base) => (
+                    <option key={base} value={base}>
+                      {base}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="assetType" className="block text-sm font-medium text-gray-700">Asset Type</label>
+                <select
+                  id="assetType"
+                  className="mt-1 form-select"
+                  value={form.assetType}
+                  disabled={!!editingId}
+                  onChange={(e) => setForm({ ...form, assetType: e.target.value })}
+                >
+                  <option value="">All asset types</option>
+                  {assetTypes.map((type) => (
+                    <option key={type} value={type}>
+                      {type}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="fiscalYear" className="block text-sm font-medium text-gray-700">Fiscal Year</label>
+                <input
+                  id="fiscalYear"
+                  type="number"
+                  className="mt-1 form-input"
+                  value={form.fiscalYear}
+                  disabled={!!editingId}
+                  onChange={(e) => setForm({ ...form, fiscalYear: parseInt(e.target.value) })}
+                />
+              </div>
+              <div>
+                <label htmlFor="amount" className="block text-sm font-medium text-gray-700">Amount ($)</label>
+                <input
+                  id="amount"
+                  type="number"
+                  min="0"
+                  className="mt-1 form-input"
+                  value={form.amount}
+                  onChange={(e) => setForm({ ...form, amount: parseFloat(e.target.value) })}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <label htmlFor="enforcement" className="block text-sm font-medium text-gray-700">
+                  Purchases exceeding the remaining budget
+                </label>
+                <select
+                  id="enforcement"
+                  className="mt-1 form-select"
+                  value={form.enforcement}
+                  onChange={(e) => setForm({ ...form, enforcement: e.target.value as BudgetFormData['enforcement'] })}
+                >
+                  <option value="Reject">Are rejected</option>
+                  <option value="Flag">Are allowed and flagged as over budget</option>
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="notes" className="block text-sm font-medium text-gray-700">Notes</label>
+              <textarea
+                id="notes"
+                rows={2}
+                className="mt-1 form-textarea"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" className="btn btn-secondary" onClick={() => setForm(null)} disabled={isSaving}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Budget'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default BudgetsPage;
@@ -11,14 +11,17 @@ import {
   ShoppingCartIcon,
   UserGroupIcon,
   ArchiveBoxIcon,
+  ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
 import { dashboardService, DashboardData } from '@/services/dashboardService';
+import { periodService, AccountingPeriod } from '@/services/periodService';
 import LoadingScreen from '@/components/ui/LoadingScreen';
 import DashboardCard from '@/components/dashboard/DashboardCard';
 import DashboardChart from '@/components/dashboard/DashboardChart';
 import DashboardSummaryCard from '@/components/dashboard/DashboardSummaryCard';
 import DashboardTable from '@/components/dashboard/DashboardTable';
+import BudgetUtilisationPanel from '@/components/dashboard/BudgetUtilisationPanel';
 import toast from 'react-hot-toast';
 
 const Dashboard = () => {
@@ -29,6 +32,8 @@ const Dashboard = () => {
   );
   const [assetTypeFilter, setAssetTypeFilter] = useState<string | undefined>(undefined);
   const [dateRange, setDateRange] = useState<{ startDate?: string; endDate?: string }>({});
+  const [periodFilter, setPeriodFilter] = useState<string | undefined>(undefined);
+  const [periods, setPeriods] = useState<AccountingPeriod[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [data, setData] = useState<DashboardData | null>(null);
 
@@ -53,6 +58,7 @@ const Dashboard = () => {
       if (assetTypeFilter) params.assetType = assetTypeFilter;
       if (dateRange.startDate) params.startDate = dateRange.startDate;
       if (dateRange.endDate) params.endDate = dateRange.endDate;
+      if (periodFilter) params.period = periodFilter;
       
       const dashboardData = await dashboardService.getDashboardData(params);
       setData(dashboardData);
@@ -69,7 +75,16 @@ const Dashboard = () => {
     if (user?.role === 'Admin') {
       fetchDashboardData();
     }
-  }, [baseFilter, assetTypeFilter, dateRange.startDate, dateRange.endDate, user]);
+  }, [baseFilter, assetTypeFilter, dateRange.startDate, dateRange.endDate, periodFilter, user]);
+
+  // Fetch accounting periods for the period filter
+  useEffect(() => {
+    if (user?.role !== 'Admin') return;
+
+    periodService.getPeriods()
+      .then(setPeriods)
+      .catch((error) => console.error('Error fetching accounting periods:', error));
+  }, [user]);
 
   // Apply base filter for BaseCommander
   useEffect(() => {
@@ -94,7 +109,7 @@ const Dashboard = () => {
         <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
           {/* Filters */}
           <div className="mt-4 bg-white shadow rounded-lg p-4 mb-6">
-            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
               {user?.role !== 'BaseCommander' && (
                 <div>
                   <label htmlFor="base" className="block text-sm font-medium text-gray-700">
@@ -134,6 +149,26 @@ const Dashboard = () => {
                 </select>
               </div>
 
+              <div>
+                <label htmlFor="period" className="block text-sm font-medium text-gray-700">
+                  Accounting Period
+                </label>
+                <select
+                  id="period"
+                  name="period"
+                  className="mt-1 form-select"
+                  value={periodFilter || ''}
+                  onChange={(e) => setPeriodFilter(e.target.value || undefined)}
+                >
+                  <option value="">Current Balances</option>
+                  {periods.map((period) => (
+                    <option key={period._id} value={period._id}>
+                      {period.name} ({period.status})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div>
                 <label htmlFor="dateRange" className="block text-sm font-medium text-gray-700">
                   Date Range
@@ -162,7 +197,7 @@ const Dashboard = () => {
           </div>
 
           {/* Summary Cards */}
-          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
+          <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-5">
             <DashboardSummaryCard
               title="Total Assets"
               value={data?.summary.totalAssets || 0}
@@ -187,6 +222,12 @@ const Dashboard = () => {
               icon={<ArrowTrendingDownIcon className="h-6 w-6 text-white" />}
               iconBg="bg-red-600"
             />
+            <DashboardSummaryCard
+              title="In Transit"
+              value={data?.summary.totalInTransit || 0}
+              icon={<TruckIcon className="h-6 w-6 text-white" />}
+              iconBg="bg-blue-600"
+            />
           </div>
 
           {/* Charts */}
@@ -234,6 +275,116 @@ const Dashboard = () => {
             </DashboardCard>
           </div>
 
+          {/* Budget utilisation */}
+          <div className="mt-6">
+            <DashboardCard
+              title={`Budget Utilisation ${data?.budgetUtilisation.fiscalYear || ''}`}
+              action={
+                <div className="flex space-x-4">
+                  {!!data?.budgetUtilisation.overBudget && (
+                    <span className="text-sm font-medium text-red-600">
+                      {data.budgetUtilisation.overBudget} over budget
+                    </span>
+                  )}
+                  <Link href="/budgets" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                    View all
+                  </Link>
+                </div>
+              }
+            >
+              <BudgetUtilisationPanel budgets={data?.budgetUtilisation.budgets || []} />
+            </DashboardCard>
+          </div>
+
+          {/* Lots expired or expiring within the warning window */}
+          {!!data?.expiringLots.lots.length && (
+            <div className="mt-6">
+              <DashboardCard
+                title={`Lots Expiring Within ${data.expiringLots.days} Days`}
+                action={
+                  <div className="flex space-x-4 text-sm font-medium">
+                    {!!data.expiringLots.expired && (
+                      <span className="text-red-600">{data.expiringLots.expired} expired</span>
+                    )}
+                    {!!data.expiringLots.expiring && (
+                      <span className="text-orange-600">{data.expiringLots.expiring} expiring</span>
+                    )}
+                  </div>
+                }
+              >
+                <DashboardTable
+                  headers={['Asset', 'Base', 'Lot', 'Quantity', 'Expires']}
+                  data={data.expiringLots.lots.map((lot) => {
+                    const expired = new Date(lot.expiryDate) <= new Date();
+
+                    return [
+                      <Link
+                        key={lot._id}
+                        href={`/assets/${lot.asset}`}
+                        className="text-primary-600 hover:text-primary-900"
+                      >
+                        {lot.assetName}
+                      </Link>,
+                      lot.base,
+                      <span key={`${lot._id}-lot`} className="font-mono">
+                        {lot.lotNumber}
+                      </span>,
+                      lot.quantity.toString(),
+                      <span key={`${lot._id}-expiry`} className={expired ? 'text-red-600' : 'text-orange-600'}>
+                        {expired ? 'Expired ' : ''}
+                        {format(new Date(lot.expiryDate), 'MMM d, yyyy')}
+                      </span>,
+                    ];
+                  })}
+                  icon={<ExclamationTriangleIcon className="h-5 w-5 text-gray-400" />}
+                  emptyMessage="No lots expiring soon"
+                />
+              </DashboardCard>
+            </div>
+          )}
+
+          {/* Assignments past their expected return date */}
+          {!!data?.overdueAssignments.total && (
+            <div className="mt-6">
+              <DashboardCard
+                title={`Overdue Assignments (${data.overdueAssignments.quantity} items out)`}
+                action={
+                  <div className="flex space-x-4 text-sm font-medium">
+                    {data.overdueAssignments.byBase.map((row) => (
+                      <span key={row.base} className="text-red-600">
+                        {row.base}: {row.assignments}
+                      </span>
+                    ))}
+                    <Link href="/assignments?overdue=true" className="text-primary-600 hover:text-primary-500">
+                      View all
+                    </Link>
+                  </div>
+                }
+              >
+                <DashboardTable
+                  headers={['Asset', 'Assigned To', 'Base', 'Outstanding', 'Due']}
+                  data={data.overdueAssignments.assignments.map((assignment) => [
+                    <Link
+                      key={assignment._id}
+                      href={`/assignments/${assignment._id}`}
+                      className="text-primary-600 hover:text-primary-900"
+                    >
+                      {assignment.assetName}
+                    </Link>,
+                    `${assignment.assignedTo.rank} ${assignment.assignedTo.name}`,
+                    assignment.base,
+                    (assignment.quantity - assignment.returnedQuantity).toString(),
+                    <span key={`${assignment._id}-due`} className="text-red-600">
+                      {format(new Date(assignment.expectedReturnDate), 'MMM d, yyyy')} ({assignment.daysOverdue}d overdue)
+                    </span>,
+                  ])}
+                  icon={<ExclamationTriangleIcon className="h-5 w-5 text-gray-400" />}
+                  emptyMessage="No overdue assignments"
+                />
+              </DashboardCard>
+            </div>
+          )}
+
           {/* Recent Activity */}
           <div className="mt-6 grid grid-cols-1 gap-5 lg:grid-cols-2">
             <DashboardCard
@@ -255,11 +406,11 @@ const Dashboard = () => {
                     <span
                       key={transfer._id}
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        transfer.status === 'Completed'
+                        transfer.status === 'Received'
                           ? 'bg-green-100 text-green-800'
-                          : transfer.status === 'Pending'
-                          ? 'bg-yellow-100 text-yellow-800'
-                          : 'bg-red-100 text-red-800'
+                          : transfer.status === 'Cancelled'
+                          ? 'bg-red-100 text-red-800'
+                          : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
                       {transfer.status}
@@ -277,9 +428,19 @@ const Dashboard = () => {
             <DashboardCard
               title="Recent Purchases"
               action={
-                <Link href="/purchases" className="text-sm font-medium text-primary-600 hover:text-primary-500">
-                  View all
-                </Link>
+                <div className="flex space-x-4">
+                  {!!data?.overdueDeliveries && (
+                    <Link
+                      href="/purchases?overdue=true"
+                      className="text-sm font-medium text-orange-600 hover:text-orange-500"
+                    >
+                      {data.overdueDeliveries} overdue
+                    </Link>
+                  )}
+                  <Link href="/purchases" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                    View all
+                  </Link>
+                </div>
               }
             >
               <DashboardTable
@@ -294,9 +455,9 @@ const Dashboard = () => {
                       className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                         purchase.status === 'Delivered'
                           ? 'bg-green-100 text-green-800'
-                          : purchase.status === 'Ordered'
-                          ? 'bg-yellow-100 text-yellow-800'
-                          : 'bg-red-100 text-red-800'
+                          : ['Cancelled', 'Rejected'].includes(purchase.status)
+                          ? 'bg-red-100 text-red-800'
+                          : 'bg-yellow-100 text-yellow-800'
                       }`}
                     >
                       {purchase.status}
@@ -316,9 +477,19 @@ const Dashboard = () => {
             <DashboardCard
               title="Recent Assignments"
               action={
-                <Link href="/assignments" className="text-sm font-medium text-primary-600 hover:text-primary-500">
-                  View all
-                </Link>
+                <div className="flex space-x-4">
+                  {!!data?.overdueAssignments.total && (
+                    <Link
+                      href="/assignments?overdue=true"
+                      className="text-sm font-medium text-orange-600 hover:text-orange-500"
+                    >
+                      {data.overdueAssignments.total} overdue
+                    </Link>
+                  )}
+                  <Link href="/assignments" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                    View all
+                  </Link>
+                </div>
               }
             >
               <DashboardTable
@@ -6,16 +6,32 @@ import { format } from 'date-fns';
 import { ArrowLeftIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
 import { expenditureService } from '@/services/expenditureService';
+import { investigationService } from '@/services/investigationService';
 import LoadingScreen from '@/components/ui/LoadingScreen';
-import { Expenditure } from '@/types/expenditure';
+import LotList from '@/components/assets/LotList';
+import Modal from '@/components/ui/Modal';
+import RevisionHistory from '@/components/expenditures/RevisionHistory';
+import { Expenditure, ExpenditureCorrection, ExpenditureReason } from '@/types/expenditure';
+import { Investigation } from '@/types/investigation';
 import toast from 'react-hot-toast';
 
+const reasons: ExpenditureReason[] = ['Training', 'Operation', 'Maintenance', 'Damaged', 'Lost', 'Other'];
+
 const ExpenditureDetailPage = () => {
   const router = useRouter();
   const { id } = router.query;
   const { user } = useAuth();
   const [isLoading, setIsLoading] = useState(true);
   const [expenditure, setExpenditure] = useState<Expenditure | null>(null);
+  const [investigation, setInvestigation] = useState<Investigation | null>(null);
+
+  // State for the correction modal
+  const [showCorrectModal, setShowCorrectModal] = useState(false);
+  const [quantity, setQuantity] = useState(0);
+  const [reason, setReason] = useState<ExpenditureReason>('Other');
+  const [expenditureDate, setExpenditureDate] = useState('');
+  const [justification, setJustification] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
 
   // Fetch expenditure details
   useEffect(() => {
@@ -38,6 +54,16 @@ const ExpenditureDetailPage = () => {
     fetchExpenditure();
   }, [id, router]);
 
+  // Write-offs link back to the assignment the investigation was about
+  useEffect(() => {
+    if (!expenditure?.investigation) return;
+
+    investigationService
+      .getInvestigationById(expenditure.investigation)
+      .then(setInvestigation)
+      .catch((error) => console.error('Error fetching investigation:', error));
+  }, [expenditure?.investigation]);
+
   // Get reason badge class
   const getReasonBadgeClass = (reason: string) => {
     switch (reason) {
@@ -56,6 +82,53 @@ const ExpenditureDetailPage = () => {
     }
   };
 
+  // Write-offs follow their transfer or investigation and cannot be corrected
+  const canCorrect = () => {
+    if (!expenditure || !user || expenditure.transfer || expenditure.investigation) return false;
+
+    return user.role === 'Admin' ||
+      (user.role === 'BaseCommander' && user.assignedBase === expenditure.base);
+  };
+
+  const openCorrectModal = () => {
+    if (!expenditure) return;
+
+    setQuantity(expenditure.quantity);
+    setReason(expenditure.reason);
+    setExpenditureDate(expenditure.expenditureDate.split('T')[0]);
+    setJustification('');
+    setShowCorrectModal(true);
+  };
+
+  // Only the fields that differ are sent
+  const handleCorrect = async () => {
+    if (!expenditure) return;
+
+    const correction: ExpenditureCorrection = { justification: justification.trim() };
+    if (quantity !== expenditure.quantity) correction.quantity = quantity;
+    if (reason !== expenditure.reason) correction.reason = reason;
+    if (expenditureDate !== expenditure.expenditureDate.split('T')[0]) correction.expenditureDate = expenditureDate;
+
+    if (Object.keys(correction).length === 1) {
+      toast.error('Nothing has been changed');
+      return;
+    }
+
+    setIsProcessing(true);
+    try {
+      await expenditureService.correctExpenditure(expenditure._id, correction);
+      // Re-read the expenditure so the revisions name who made them
+      setExpenditure(await expenditureService.getExpenditureById(expenditure._id));
+      toast.success('Expenditure corrected');
+      setShowCorrectModal(false);
+    } catch (error: any) {
+      console.error('Error correcting expenditure:', error);
+      toast.error(error.response?.data?.error || 'Failed to correct expenditure');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   // Check if user can generate report
   const canGenerateReport = () => {
     if (!expenditure || !user) return false;
@@ -142,6 +215,14 @@ const ExpenditureDetailPage = () => {
                   <dt className="text-sm font-medium text-gray-500">Quantity</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
                     {expenditure.quantity}
+                    {expenditure.serialNumbers && expenditure.serialNumbers.length > 0 && (
+                      <p className="mt-1 font-mono text-xs text-gray-500">{expenditure.serialNumbers.join(', ')}</p>
+                    )}
+                    {expenditure.lots && expenditure.lots.length > 0 && (
+                      <div className="mt-1">
+                        <LotList lots={expenditure.lots} />
+                      </div>
+                    )}
                   </dd>
                 </div>
                 <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
@@ -167,10 +248,22 @@ const ExpenditureDetailPage = () => {
                 <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                   <dt className="text-sm font-medium text-gray-500">Expended By</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                    <p>{expenditure.expendedBy.name}</p>
-                    <p className="text-xs text-gray-500">
-                      {expenditure.expendedBy.rank} ({expenditure.expendedBy.id})
-                    </p>
+                    {!expenditure.expendedBy ? (
+                      <p className="text-gray-500">Written off on receipt of the transfer</p>
+                    ) : (
+                      <>
+                        {expenditure.personnel ? (
+                          <Link href={`/personnel/${expenditure.personnel}`} className="text-primary-600 hover:text-primary-900">
+                            {expenditure.expendedBy.name}
+                          </Link>
+                        ) : (
+                          <p>{expenditure.expendedBy.name}</p>
+                        )}
+                        <p className="text-xs text-gray-500">
+                          {expenditure.expendedBy.rank} ({expenditure.expendedBy.id})
+                        </p>
+                      </>
+                    )}
                   </dd>
                 </div>
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
@@ -213,15 +306,56 @@ const ExpenditureDetailPage = () => {
                     </dd>
                   </div>
                 )}
+                {expenditure.transfer && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Written Off From</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      <Link
+                        href={`/transfers/${expenditure.transfer}`}
+                        className="text-primary-600 hover:text-primary-900"
+                      >
+                        Transfer shortage
+                      </Link>
+                    </dd>
+                  </div>
+                )}
+                {investigation && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Written Off By</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      <Link
+                        href={`/assignments/${investigation.assignment}`}
+                        className="text-primary-600 hover:text-primary-900"
+                      >
+                        {investigation.type} assignment investigation
+                      </Link>
+                    </dd>
+                  </div>
+                )}
               </dl>
             </div>
           </div>
 
+          {/* Revision history */}
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Revision History</h3>
+            </div>
+            <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
+              <RevisionHistory revisions={expenditure.revisions || []} />
+            </div>
+          </div>
+
           {/* Action buttons */}
           <div className="flex justify-end space-x-4">
             <Link href="/expenditures" className="btn btn-secondary">
               Back to Expenditures
             </Link>
+            {canCorrect() && (
+              <button type="button" className="btn btn-secondary" onClick={openCorrectModal}>
+                Correct
+              </button>
+            )}
             {canGenerateReport() && (
               <Link href={`/reports/expenditure/${expenditure._id}`} className="btn btn-primary">
                 Generate Report
@@ -230,6 +364,113 @@ const ExpenditureDetailPage = () => {
           </div>
         </div>
       </div>
+
+      {/* Correct Expenditure Modal */}
+      <Modal
+        isOpen={showCorrectModal}
+        onClose={() => setShowCorrectModal(false)}
+        title="Correct Expenditure"
+        size="md"
+      >
+        <div className="py-4 space-y-4">
+          <p className="text-sm text-gray-500">
+            The asset&apos;s expended quantity is adjusted by any change in quantity. The correction is
+            kept in the revision history.
+          </p>
+
+          <div>
+            <label htmlFor="quantity" className="block text-sm font-medium text-gray-700">
+              Quantity
+            </label>
+            <input
+              type="number"
+              id="quantity"
+              className="mt-1 form-input"
+              min="1"
+              value={quantity}
+              onChange={(e) => setQuantity(parseInt(e.target.value) || 0)}
+              disabled={!!expenditure.serialNumbers?.length}
+            />
+            {!!expenditure.serialNumbers?.length && (
+              <p className="mt-1 text-xs text-gray-500">
+                The quantity of a serialized expenditure is the number of its serial numbers.
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="reason" className="block text-sm font-medium text-gray-700">
+              Reason
+            </label>
+            <select
+              id="reason"
+              className="mt-1 form-select"
+              value={reason}
+              onChange={(e) => setReason(e.target.value as ExpenditureReason)}
+            >
+              {reasons.map((r) => (
+                <option key={r} value={r}>{r}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="expenditureDate" className="block text-sm font-medium text-gray-700">
+              Expenditure Date
+            </label>
+            <input
+              type="date"
+              id="expenditureDate"
+              className="mt-1 form-input"
+              value={expenditureDate}
+              onChange={(e) => setExpenditureDate(e.target.value)}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="justification" className="block text-sm font-medium text-gray-700">
+              Justification (Required)
+            </label>
+            <textarea
+              id="justification"
+              className="mt-1 form-textarea"
+              rows={3}
+              value={justification}
+              onChange={(e) => setJustification(e.target.value)}
+              placeholder="Why the record is being corrected"
+            />
+          </div>
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowCorrectModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleCorrect}
+              disabled={isProcessing || !justification.trim() || quantity < 1 || !expenditureDate}
+            >
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Saving...
+                </span>
+              ) : (
+                'Save Correction'
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
     </>
   );
 };
@@ -405,10 +405,14 @@ const ExpendituresPage = () => {
                           )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          <div>
-                            {expenditure.expendedBy.name}
-                            <p className="text-xs text-gray-500">{expenditure.expendedBy.rank}</p>
-                          </div>
+                          {expenditure.expendedBy ? (
+                            <div>
+                              {expenditure.expendedBy.name}
+                              <p className="text-xs text-gray-500">{expenditure.expendedBy.rank}</p>
+                            </div>
+                          ) : (
+                            'Transfer write-off'
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {format(new Date(expenditure.expenditureDate), 'MMM d, yyyy')}
@@ -9,8 +9,12 @@ import { assetService } from '@/services/assetService';
 import { expenditureService } from '@/services/expenditureService';
 import { useNotificationStore } from '@/stores/notificationStore';
 import LoadingScreen from '@/components/ui/LoadingScreen';
+import SerialNumberPicker from '@/components/assets/SerialNumberPicker';
+import LotAllocationPicker, { toLotAllocation } from '@/components/assets/LotAllocationPicker';
+import PersonnelPicker from '@/components/personnel/PersonnelPicker';
 import toast from 'react-hot-toast';
-import { Asset } from '@/types/asset';
+import { Asset, LotResponse } from '@/types/asset';
+import { PersonnelSummary } from '@/types/personnel';
 
 // List of bases
 const bases = ['Base Alpha', 'Base Bravo', 'Base Charlie'];
@@ -29,7 +33,7 @@ interface ExpenditureFormValues {
   base: string;
   quantity: number;
   reason: ExpenditureReason | ''; // Use ExpenditureReason, allow empty for initial state
-  expendedBy: { name: string; rank: string; id: string; };
+  personnel: string;
   expenditureDate: string;
   operationName?: string;
   location?: string;
@@ -44,11 +48,7 @@ const ExpenditureSchema = Yup.object().shape({
     .positive('Quantity must be positive')
     .integer('Quantity must be a whole number'),
   reason: Yup.string().oneOf([...reasons]).required('Reason is required'),
-  expendedBy: Yup.object().shape({
-    name: Yup.string().required('Name is required'),
-    rank: Yup.string().required('Rank is required'),
-    id: Yup.string().required('ID is required'),
-  }),
+  personnel: Yup.string().required('Select the person who expended the assets'),
   expenditureDate: Yup.date().required('Expenditure date is required'),
   operationName: Yup.string().when('reason', {
     is: (reason: string) => reason === 'Operation' || reason === 'Training',
@@ -69,6 +69,11 @@ const NewExpenditurePage = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [availableAssets, setAvailableAssets] = useState<Asset[]>([]);
   const [selectedAsset, setSelectedAsset] = useState<Asset | null>(null);
+  const [availableSerials, setAvailableSerials] = useState<string[]>([]);
+  const [selectedSerials, setSelectedSerials] = useState<string[]>([]);
+  const [lotData, setLotData] = useState<LotResponse | null>(null);
+  const [lotAllocation, setLotAllocation] = useState<Record<string, string>>({});
+  const [selectedPerson, setSelectedPerson] = useState<PersonnelSummary | null>(null);
   const { asset: assetId } = router.query;
 
   // Check if user has permission to create expenditures
@@ -126,11 +131,7 @@ const NewExpenditurePage = () => {
       base: user?.role === 'BaseCommander' && user.assignedBase ? user.assignedBase : '',
       quantity: 1,
       reason: '',
-      expendedBy: {
-        name: '',
-        rank: '',
-        id: '',
-      },
+      personnel: '',
       expenditureDate: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD format
       operationName: '',
       location: '',
@@ -141,10 +142,26 @@ const NewExpenditurePage = () => {
       try {
         setIsSubmitting(true);
         
+        // Serialized assets expend the items picked
+        if (selectedAsset?.serialized && selectedSerials.length === 0) {
+          toast.error('Select the serial numbers to expend');
+          return;
+        }
+        
+        // Lots named for the expenditure must cover the whole quantity
+        const lots = toLotAllocation(lotAllocation);
+        const quantity = selectedAsset?.serialized ? selectedSerials.length : Number(values.quantity);
+        if (lots.length && lots.reduce((sum, lot) => sum + lot.quantity, 0) !== quantity) {
+          toast.error('Lot quantities must add up to the quantity expended');
+          return;
+        }
+        
         // Prepare payload, ensuring reason is ExpenditureReason or undefined
         const expenditurePayload = {
           ...values,
           reason: values.reason === '' ? undefined : values.reason,
+          ...(selectedAsset?.serialized && { quantity: selectedSerials.length, serialNumbers: selectedSerials }),
+          ...(lots.length && { lots }),
         };
         // Create the expenditure
         const newExpenditure = await expenditureService.createExpenditure(expenditurePayload);
@@ -179,6 +196,30 @@ const NewExpenditurePage = () => {
     }
   }, [formik.values.asset, availableAssets]);
 
+  // Load the serial numbers in stock for serialized assets
+  useEffect(() => {
+    setSelectedSerials([]);
+    setAvailableSerials([]);
+    if (!selectedAsset?.serialized) return;
+    
+    assetService
+      .getAssetItems(selectedAsset._id, { status: 'Available' })
+      .then(({ items }) => setAvailableSerials(items.filter((item) => item.asset === selectedAsset._id).map((item) => item.serialNumber)))
+      .catch(() => toast.error('Failed to load serial numbers'));
+  }, [selectedAsset]);
+
+  // Load the lots in stock for lot-tracked assets
+  useEffect(() => {
+    setLotAllocation({});
+    setLotData(null);
+    if (!selectedAsset?.lotTracked) return;
+    
+    assetService
+      .getAssetLots(selectedAsset._id)
+      .then(setLotData)
+      .catch(() => toast.error('Failed to load lots'));
+  }, [selectedAsset]);
+
   // If not authorized, don't render the page
   if (user && user.role !== 'Admin' && user.role !== 'BaseCommander' && user.role !== 'LogisticsOfficer') {
     return null;
@@ -284,9 +325,10 @@ const NewExpenditurePage = () => {
                         className={`form-input ${
                           formik.touched.quantity && formik.errors.quantity ? 'border-red-500' : ''
                         }`}
-                        value={formik.values.quantity}
+                        value={selectedAsset?.serialized ? selectedSerials.length : formik.values.quantity}
                         onChange={formik.handleChange}
                         onBlur={formik.handleBlur}
+                        disabled={!!selectedAsset?.serialized}
                       />
                       {formik.touched.quantity && formik.errors.quantity && (
                         <p className="mt-2 text-sm text-red-600">{formik.errors.quantity}</p>
@@ -294,6 +336,39 @@ const NewExpenditurePage = () => {
                     </div>
                   </div>
 
+                  {/* Serial numbers */}
+                  {selectedAsset?.serialized && (
+                    <div className="sm:col-span-6">
+                      <label className="block text-sm font-medium text-gray-700">Serial Numbers</label>
+                      <div className="mt-1">
+                        <SerialNumberPicker options={availableSerials} selected={selectedSerials} onChange={setSelectedSerials} />
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Lots */}
+                  {selectedAsset?.lotTracked && (
+                    <div className="sm:col-span-6">
+                      <label className="block text-sm font-medium text-gray-700">Lots</label>
+                      <div className="mt-1">
+                        {lotData ? (
+                          <LotAllocationPicker
+                            lots={lotData.lots}
+                            allocation={lotAllocation}
+                            onChange={setLotAllocation}
+                            quantity={selectedAsset.serialized ? selectedSerials.length : Number(formik.values.quantity)}
+                            expiryWarningDays={lotData.expiryWarningDays}
+                          />
+                        ) : (
+                          <p className="text-sm text-gray-500">Loading lots...</p>
+                        )}
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500">
+                        Expired lots are only used automatically for losses and damage; name them here to dispose of them.
+                      </p>
+                    </div>
+                  )}
+
                   {/* Reason */}
                   <div className="sm:col-span-3">
                     <label htmlFor="reason" className="block text-sm font-medium text-gray-700">
@@ -323,72 +398,22 @@ const NewExpenditurePage = () => {
                     </div>
                   </div>
 
-                  {/* Expended By - Name */}
-                  <div className="sm:col-span-2">
-                    <label htmlFor="expendedBy.name" className="block text-sm font-medium text-gray-700">
-                      Expended By (Name)
-                    </label>
-                    <div className="mt-1">
-                      <input
-                        type="text"
-                        name="expendedBy.name"
-                        id="expendedBy.name"
-                        className={`form-input ${
-                          formik.touched.expendedBy?.name && formik.errors.expendedBy?.name ? 'border-red-500' : ''
-                        }`}
-                        value={formik.values.expendedBy.name}
-                        onChange={formik.handleChange}
-                        onBlur={formik.handleBlur}
-                      />
-                      {formik.touched.expendedBy?.name && formik.errors.expendedBy?.name && (
-                        <p className="mt-2 text-sm text-red-600">{formik.errors.expendedBy.name}</p>
-                      )}
-                    </div>
-                  </div>
-
-                  {/* Expended By - Rank */}
-                  <div className="sm:col-span-2">
-                    <label htmlFor="expendedBy.rank" className="block text-sm font-medium text-gray-700">
-                      Expended By (Rank)
-                    </label>
-                    <div className="mt-1">
-                      <input
-                        type="text"
-                        name="expendedBy.rank"
-                        id="expendedBy.rank"
-                        className={`form-input ${
-                          formik.touched.expendedBy?.rank && formik.errors.expendedBy?.rank ? 'border-red-500' : ''
-                        }`}
-                        value={formik.values.expendedBy.rank}
-                        onChange={formik.handleChange}
-                        onBlur={formik.handleBlur}
-                      />
-                      {formik.touched.expendedBy?.rank && formik.errors.expendedBy?.rank && (
-                        <p className="mt-2 text-sm text-red-600">{formik.errors.expendedBy.rank}</p>
-                      )}
-                    </div>
-                  </div>
-
-                  {/* Expended By - ID */}
-                  <div className="sm:col-span-2">
-                    <label htmlFor="expendedBy.id" className="block text-sm font-medium text-gray-700">
-                      Expended By (ID)
+                  {/* Expended By */}
+                  <div className="sm:col-span-6">
+                    <label htmlFor="personnel" className="block text-sm font-medium text-gray-700">
+                      Expended By
                     </label>
                     <div className="mt-1">
-                      <input
-                        type="text"
-                        name="expendedBy.id"
-                        id="expendedBy.id"
-                        className={`form-input ${
-                          formik.touched.expendedBy?.id && formik.errors.expendedBy?.id ? 'border-red-500' : ''
-                        }`}
-                        value={formik.values.expendedBy.id}
-                        onChange={formik.handleChange}
-                        onBlur={formik.handleBlur}
+                      <PersonnelPicker
+                        id="personnel"
+                        value={selectedPerson}
+                        onChange={(person) => {
+                          setSelectedPerson(person);
+                          formik.setFieldValue('personnel', person?._id || '');
+                        }}
+                        onBlur={() => formik.setFieldTouched('personnel')}
+                        error={formik.touched.personnel ? formik.errors.personnel : undefined}
                       />
-                      {formik.touched.expendedBy?.id && formik.errors.expendedBy?.id && (
-                        <p className="mt-2 text-sm text-red-600">{formik.errors.expendedBy.id}</p>
-                      )}
                     </div>
                   </div>
 
@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { format } from 'date-fns';
+import { useAuth } from '@/contexts/AuthContext';
+import { investigationService } from '@/services/investigationService';
+import { settingsService } from '@/services/settingsService';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import Pagination from '@/components/ui/Pagination';
+import { investigationBadgeClass } from '@/components/investigations/InvestigationPanel';
+import { Investigation, InvestigationStatus } from '@/types/investigation';
+import toast from 'react-hot-toast';
+
+const statuses: { value: InvestigationStatus; label: string }[] = [
+  { value: 'Open', label: 'Open' },
+  { value: 'UnderInvestigation', label: 'Under Investigation' },
+  { value: 'Closed', label: 'Closed' },
+];
+
+const InvestigationsPage = () => {
+  const { user } = useAuth();
+  const [isLoading, setIsLoading] = useState(true);
+  const [bases, setBases] = useState<string[]>([]);
+
+  // Filters
+  const [base, setBase] = useState(user?.role === 'BaseCommander' && user.assignedBase ? user.assignedBase : '');
+  const [status, setStatus] = useState<InvestigationStatus | ''>('');
+  const [type, setType] = useState<'Lost' | 'Damaged' | ''>('');
+
+  // State for the current page
+  const [investigations, setInvestigations] = useState<Investigation[]>([]);
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
+  const [total, setTotal] = useState(0);
+
+  useEffect(() => {
+    const fetchInvestigations = async () => {
+      try {
+        const response = await investigationService.getInvestigations({
+          base: base || undefined,
+          status: status || undefined,
+          type: type || undefined,
+          limit,
+          skip: (page - 1) * limit,
+        });
+        setInvestigations(response.investigations);
+        setTotal(response.total);
+      } catch (error) {
+        console.error('Error fetching investigations:', error);
+        toast.error('Failed to load investigations');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchInvestigations();
+  }, [base, status, type, page, limit, user]);
+
+  useEffect(() => {
+    settingsService.getBases().then(setBases).catch(() => setBases([]));
+  }, []);
+
+  // Filters start again from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [base, status, type]);
+
+  if (isLoading) return <LoadingScreen />;
+
+  return (
+    <>
+      <Head>
+        <title>Investigations | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <h1 className="text-2xl font-semibold text-gray-900">Investigations</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Inquiries into assignments reported lost or damaged. Open a case from its assignment to run it.
+          </p>
+
+          {/* Filters */}
+          <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <select
+              className="form-select"
+              value={base}
+              onChange={(e) => setBase(e.target.value)}
+              disabled={user?.role === 'BaseCommander'}
+            >
+              <option value="">All Bases</option>
+              {bases.map((b) => (
+                <option key={b} value={b}>{b}</option>
+              ))}
+            </select>
+            <select
+              className="form-select"
+              value={status}
+              onChange={(e) => setStatus(e.target.value as InvestigationStatus | '')}
+            >
+              <option value="">All Statuses</option>
+              {statuses.map((s) => (
+                <option key={s.value} value={s.value}>{s.label}</option>
+              ))}
+            </select>
+            <select
+              className="form-select"
+              value={type}
+              onChange={(e) => setType(e.target.value as 'Lost' | 'Damaged' | '')}
+            >
+              <option value="">Lost and Damaged</option>
+              <option value="Lost">Lost</option>
+              <option value="Damaged">Damaged</option>
+            </select>
+          </div>
+
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-md">
+            {investigations.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">No investigations found.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned To</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Officer</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opened</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {investigations.map((investigation) => (
+                      <tr key={investigation._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          <Link href={`/assignments/${investigation.assignment}`} className="text-primary-600 hover:text-primary-900">
+                            {investigation.quantity} × {investigation.assetName}
+                          </Link>
+                          <p className="text-xs text-gray-500">{investigation.base}</p>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{investigation.type}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {investigation.assignedTo ? `${investigation.assignedTo.rank} ${investigation.assignedTo.name}` : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {investigation.officer ? `${investigation.officer.rank} ${investigation.officer.name}` : 'Not appointed'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          <span
+                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${investigationBadgeClass(
+                              investigation.status
+                            )}`}
+                          >
+                            {statuses.find((s) => s.value === investigation.status)?.label}
+                          </span>
+                          {investigation.outcome && (
+                            <p className="text-xs text-gray-500">
+                              {investigation.outcome === 'WrittenOff' ? 'Written off' : 'Restored'}
+                            </p>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {format(new Date(investigation.createdAt), 'MMM d, yyyy')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {total > 0 && (
+              <Pagination
+                currentPage={page}
+                totalItems={total}
+                itemsPerPage={limit}
+                onPageChange={setPage}
+                onLimitChange={(newLimit) => {
+                  setLimit(newLimit);
+                  setPage(1);
+                }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default InvestigationsPage;
@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Link from 'next/link';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+import { personnelService } from '@/services/personnelService';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import PersonnelStatusBadge from '@/components/personnel/PersonnelStatusBadge';
+import { PersonHoldings } from '@/types/personnel';
+import toast from 'react-hot-toast';
+
+const PersonnelDetailPage = () => {
+  const router = useRouter();
+  const { id } = router.query;
+  const [isLoading, setIsLoading] = useState(true);
+  const [data, setData] = useState<PersonHoldings | null>(null);
+
+  useEffect(() => {
+    if (!id) return;
+
+    const fetchPerson = async () => {
+      try {
+        setData(await personnelService.getPersonHoldings(id as string));
+      } catch (error) {
+        console.error('Error fetching personnel:', error);
+        toast.error('Failed to load personnel details');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchPerson();
+  }, [id]);
+
+  if (isLoading) return <LoadingScreen />;
+
+  if (!data) {
+    return (
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <div className="text-center py-12">
+            <h2 className="text-lg font-medium text-gray-900">Personnel not found</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { personnel: person, assignments, assets, quantity, expenditures } = data;
+
+  return (
+    <>
+      <Head>
+        <title>{person.rank} {person.name} | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          {/* Back button and title */}
+          <div className="flex items-center mb-6">
+            <button
+              onClick={() => router.back()}
+              className="mr-4 text-gray-500 hover:text-gray-700"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <h1 className="text-2xl font-semibold text-gray-900">{person.rank} {person.name}</h1>
+            <span className="ml-4">
+              <PersonnelStatusBadge status={person.status} />
+            </span>
+          </div>
+
+          {/* Personnel details */}
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Personnel Details</h3>
+              <p className="mt-1 max-w-2xl text-sm text-gray-500">{person.serviceNumber}</p>
+            </div>
+            <div className="border-t border-gray-200">
+              <dl>
+                <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                  <dt className="text-sm font-medium text-gray-500">Unit</dt>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{person.unit || '—'}</dd>
+                </div>
+                <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                  <dt className="text-sm font-medium text-gray-500">Base</dt>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{person.base}</dd>
+                </div>
+                <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                  <dt className="text-sm font-medium text-gray-500">Holding</dt>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                    {quantity} on {assignments.length} active assignment(s)
+                    {assets.length > 0 && (
+                      <ul className="mt-1 text-xs text-gray-500">
+                        {assets.map((asset) => (
+                          <li key={asset.asset}>
+                            {asset.quantity} × {asset.assetName} ({asset.assetType})
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </dd>
+                </div>
+                {person.notes && (
+                  <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Notes</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">{person.notes}</dd>
+                  </div>
+                )}
+              </dl>
+            </div>
+          </div>
+
+          {/* Active assignments */}
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Active Assignments</h3>
+            </div>
+            {assignments.length === 0 ? (
+              <div className="border-t border-gray-200 text-center py-8 text-gray-500">No assets held.</div>
+            ) : (
+              <div className="border-t border-gray-200 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Held</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Purpose</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Since</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {assignments.map((assignment) => (
+                      <tr key={assignment._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          <Link href={`/assignments/${assignment._id}`} className="text-primary-600 hover:text-primary-900">
+                            {assignment.assetName}
+                          </Link>
+                          <p className="text-xs text-gray-500">{assignment.base}</p>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {assignment.quantity - assignment.returnedQuantity} of {assignment.quantity}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{assignment.purpose}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {format(new Date(assignment.startDate), 'MMM d, yyyy')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Recent expenditures */}
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+            <div className="px-4 py-5 sm:px-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Recent Expenditures</h3>
+            </div>
+            {expenditures.length === 0 ? (
+              <div className="border-t border-gray-200 text-center py-8 text-gray-500">No expenditures recorded.</div>
+            ) : (
+              <div className="border-t border-gray-200 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Asset</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {expenditures.map((expenditure) => (
+                      <tr key={expenditure._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          <Link href={`/expenditures/${expenditure._id}`} className="text-primary-600 hover:text-primary-900">
+                            {expenditure.assetName}
+                          </Link>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{expenditure.quantity}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{expenditure.reason}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {format(new Date(expenditure.expenditureDate), 'MMM d, yyyy')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default PersonnelDetailPage;
@@ -0,0 +1,460 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { PlusIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@/contexts/AuthContext';
+import { personnelService, PersonnelInput } from '@/services/personnelService';
+import { settingsService } from '@/services/settingsService';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import Modal from '@/components/ui/Modal';
+import Pagination from '@/components/ui/Pagination';
+import PersonnelStatusBadge from '@/components/personnel/PersonnelStatusBadge';
+import { Personnel, PersonnelHolding, PersonnelStatus } from '@/types/personnel';
+import toast from 'react-hot-toast';
+
+const statuses: PersonnelStatus[] = ['Active', 'OnLeave', 'Deployed', 'Transferred', 'Discharged'];
+
+const PersonnelPage = () => {
+  const { user } = useAuth();
+  const [activeTab, setActiveTab] = useState<'registry' | 'holdings'>('registry');
+  const [isLoading, setIsLoading] = useState(true);
+  const [bases, setBases] = useState<string[]>([]);
+
+  // Filters shared by both tabs
+  const [search, setSearch] = useState('');
+  const [base, setBase] = useState(user?.role === 'BaseCommander' && user.assignedBase ? user.assignedBase : '');
+  const [status, setStatus] = useState<PersonnelStatus | ''>('');
+
+  // State for the current page of either tab
+  const [personnel, setPersonnel] = useState<Personnel[]>([]);
+  const [holdings, setHoldings] = useState<PersonnelHolding[]>([]);
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(10);
+  const [total, setTotal] = useState(0);
+
+  // State for the create/edit modal
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<PersonnelInput | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canManage = user?.role === 'Admin' || user?.role === 'BaseCommander';
+
+  const fetchPage = async () => {
+    try {
+      const params = {
+        search: search.trim() || undefined,
+        base: base || undefined,
+        limit,
+        skip: (page - 1) * limit,
+      };
+
+      if (activeTab === 'registry') {
+        const response = await personnelService.getPersonnel({ ...params, status: status || undefined });
+        setPersonnel(response.personnel);
+        setTotal(response.total);
+      } else {
+        const response = await personnelService.getHoldings(params);
+        setHoldings(response.holdings);
+        setTotal(response.total);
+      }
+    } catch (error) {
+      console.error('Error fetching personnel:', error);
+      toast.error('Failed to load personnel');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPage();
+  }, [activeTab, search, base, status, page, limit, user]);
+
+  useEffect(() => {
+    settingsService.getBases().then(setBases).catch(() => setBases([]));
+  }, []);
+
+  // Filters and tabs start again from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [activeTab, search, base, status]);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm({
+      serviceNumber: '',
+      name: '',
+      rank: '',
+      unit: '',
+      base: user?.role === 'BaseCommander' && user.assignedBase ? user.assignedBase : '',
+      notes: '',
+    });
+  };
+
+  const openEdit = (person: Personnel) => {
+    setEditingId(person._id);
+    setForm({
+      serviceNumber: person.serviceNumber,
+      name: person.name,
+      rank: person.rank,
+      unit: person.unit || '',
+      base: person.base,
+      status: person.status,
+      notes: person.notes || '',
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    if (!form.serviceNumber.trim() || !form.name.trim() || !form.rank.trim() || !form.base) {
+      toast.error('Give the service number, name, rank and base');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        const { serviceNumber, ...updates } = form;
+        await personnelService.updatePersonnel(editingId, updates);
+        toast.success('Personnel updated');
+      } else {
+        await personnelService.createPersonnel(form);
+        toast.success('Personnel registered');
+      }
+      setForm(null);
+      fetchPage();
+    } catch (error: any) {
+      console.error('Error saving personnel:', error);
+      const data = error.response?.data;
+      toast.error(
+        data?.activeAssignments
+          ? `${data.error} (${data.activeAssignments})`
+          : data?.error || 'Failed to save personnel'
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) return <LoadingScreen />;
+
+  return (
+    <>
+      <Head>
+        <title>Personnel | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <div className="flex justify-between items-center">
+            <h1 className="text-2xl font-semibold text-gray-900">Personnel</h1>
+            {canManage && (
+              <button type="button" className="btn btn-primary" onClick={openCreate}>
+                <PlusIcon className="h-5 w-5 mr-2" />
+                Register Person
+              </button>
+            )}
+          </div>
+
+          {/* Tabs */}
+          <div className="mt-6 border-b border-gray-200">
+            <nav className="-mb-px flex space-x-8">
+              <button
+                className={`${
+                  activeTab === 'registry'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                onClick={() => setActiveTab('registry')}
+              >
+                Registry
+              </button>
+              <button
+                className={`${
+                  activeTab === 'holdings'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                onClick={() => setActiveTab('holdings')}
+              >
+                Holdings by Person
+              </button>
+            </nav>
+          </div>
+
+          {/* Filters */}
+          <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Search by name or service number"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <select
+              className="form-select"
+              value={base}
+              onChange={(e) => setBase(e.target.value)}
+              disabled={user?.role === 'BaseCommander'}
+            >
+              <option value="">All Bases</option>
+              {bases.map((b) => (
+                <option key={b} value={b}>{b}</option>
+              ))}
+            </select>
+            {activeTab === 'registry' && (
+              <select
+                className="form-select"
+                value={status}
+                onChange={(e) => setStatus(e.target.value as PersonnelStatus | '')}
+              >
+                <option value="">All Statuses</option>
+                {statuses.map((s) => (
+                  <option key={s} value={s}>{s}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-md">
+            {activeTab === 'registry' ? (
+              personnel.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">No personnel found.</div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Person
+                        </th>
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Unit
+                        </th>
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Base
+                        </th>
+                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
+                        <th scope="col" className="relative px-6 py-3">
+                          <span className="sr-only">Actions</span>
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {personnel.map((person) => (
+                        <tr key={person._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            <Link href={`/personnel/${person._id}`} className="text-primary-600 hover:text-primary-900">
+                              {person.rank} {person.name}
+                            </Link>
+                            <p className="text-xs text-gray-500">{person.serviceNumber}</p>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {person.unit || '—'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {person.base}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <PersonnelStatusBadge status={person.status} />
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            {canManage && (
+                              <button type="button" className="text-primary-600 hover:text-primary-900" onClick={() => openEdit(person)}>
+                                Edit
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )
+            ) : holdings.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">Nobody holds assets on active assignments.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Person
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Base
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Active Assignments
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Quantity Held
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Assets
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {holdings.map((holding) => (
+                      <tr key={holding.personnel._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          <Link href={`/personnel/${holding.personnel._id}`} className="text-primary-600 hover:text-primary-900">
+                            {holding.assignedTo.rank} {holding.assignedTo.name}
+                          </Link>
+                          <p className="text-xs text-gray-500">{holding.assignedTo.id}</p>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {holding.personnel.base || '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {holding.assignments}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {holding.quantity}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-500">
+                          {holding.assets.map((asset) => `${asset.quantity} × ${asset.assetName}`).join(', ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {total > 0 && (
+              <Pagination
+                currentPage={page}
+                totalItems={total}
+                itemsPerPage={limit}
+                onPageChange={setPage}
+                onLimitChange={(newLimit) => {
+                  setLimit(newLimit);
+                  setPage(1);
+                }}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Create/Edit Personnel Modal */}
+      <Modal
+        isOpen={!!form}
+        onClose={() => setForm(null)}
+        title={editingId ? 'Edit Personnel' : 'Register Person'}
+        size="lg"
+      >
+        {form && (
+          <div className="py-4 space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="serviceNumber" className="block text-sm font-medium text-gray-700">Service Number</label>
+                <input
+                  id="serviceNumber"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.serviceNumber}
+                  onChange={(e) => setForm({ ...form, serviceNumber: e.target.value })}
+                  disabled={!!editingId}
+                />
+              </div>
+              <div>
+                <label htmlFor="rank" className="block text-sm font-medium text-gray-700">Rank</label>
+                <input
+                  id="rank"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.rank}
+                  onChange={(e) => setForm({ ...form, rank: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  id="name"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="unit" className="block text-sm font-medium text-gray-700">Unit</label>
+                <input
+                  id="unit"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.unit}
+                  onChange={(e) => setForm({ ...form, unit: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="base" className="block text-sm font-medium text-gray-700">Base</label>
+                <select
+                  id="base"
+                  className="mt-1 form-select"
+                  value={form.base}
+                  onChange={(e) => setForm({ ...form, base: e.target.value })}
+                  disabled={user?.role === 'BaseCommander'}
+                >
+                  <option value="">Select a base</option>
+                  {bases.map((b) => (
+                    <option key={b} value={b}>{b}</option>
+                  ))}
+                </select>
+              </div>
+              {editingId && (
+                <div>
+                  <label htmlFor="status" className="block text-sm font-medium text-gray-700">Status</label>
+                  <select
+                    id="status"
+                    className="mt-1 form-select"
+                    value={form.status}
+                    onChange={(e) => setForm({ ...form, status: e.target.value as PersonnelStatus })}
+                  >
+                    {statuses.map((s) => (
+                      <option key={s} value={s}>{s}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="notes" className="block text-sm font-medium text-gray-700">Notes</label>
+              <textarea
+                id="notes"
+                rows={2}
+                className="mt-1 form-textarea"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              />
+            </div>
+
+            {editingId && (
+              <p className="text-xs text-gray-500">
+                A new name or rank is copied to this person&apos;s assignments and expenditures. Personnel holding
+                assets cannot move base or be marked transferred or discharged.
+              </p>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" className="btn btn-secondary" onClick={() => setForm(null)} disabled={isSaving}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default PersonnelPage;
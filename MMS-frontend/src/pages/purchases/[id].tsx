@@ -3,12 +3,16 @@ import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
 import { format } from 'date-fns';
-import { ArrowLeftIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { ArrowLeftIcon, CheckIcon, XMarkIcon, ShoppingCartIcon, TruckIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
 import { purchaseService } from '@/services/purchaseService';
 import { useNotificationStore } from '@/stores/notificationStore';
 import LoadingScreen from '@/components/ui/LoadingScreen';
 import Modal from '@/components/ui/Modal';
+import { parseSerialNumbers } from '@/components/assets/SerialNumberPicker';
+import LotEntryFields, { LotEntry, emptyLotEntry, toLotRecords } from '@/components/assets/LotEntryFields';
+import LotList from '@/components/assets/LotList';
+import ApprovalChain, { canDecideApproval } from '@/components/approvals/ApprovalChain';
 import { Purchase } from '@/types/purchase';
 import toast from 'react-hot-toast';
 
@@ -21,7 +25,19 @@ const PurchaseDetailPage = () => {
   const [purchase, setPurchase] = useState<Purchase | null>(null);
   
   // State for action modals
+  const [showApproveModal, setShowApproveModal] = useState(false);
+  const [showRejectModal, setShowRejectModal] = useState(false);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [showOrderModal, setShowOrderModal] = useState(false);
+  const [orderInvoiceNumber, setOrderInvoiceNumber] = useState('');
+  const [orderExpectedDate, setOrderExpectedDate] = useState('');
   const [showDeliverModal, setShowDeliverModal] = useState(false);
+  const [deliveryQuantity, setDeliveryQuantity] = useState(0);
+  const [deliveryDate, setDeliveryDate] = useState('');
+  const [deliveryReceiptNumber, setDeliveryReceiptNumber] = useState('');
+  const [deliveryNotes, setDeliveryNotes] = useState('');
+  const [deliverySerials, setDeliverySerials] = useState('');
+  const [deliveryLots, setDeliveryLots] = useState<LotEntry[]>([emptyLotEntry()]);
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
 
@@ -46,30 +62,162 @@ const PurchaseDetailPage = () => {
     fetchPurchase();
   }, [id, router]);
 
-  // Handle mark as delivered
-  const handleMarkDelivered = async () => {
+  // Handle approve purchase
+  const handleApprove = async () => {
     if (!id) return;
     
     setIsProcessing(true);
     try {
-      const updatedPurchase = await purchaseService.markAsDelivered(id as string);
+      await purchaseService.approvePurchase(id as string);
+      
+      // Reload to pick up the recorded step of the approval chain
+      const updatedPurchase = await purchaseService.getPurchaseById(id as string);
+      
+      // Multi-step workflows stay Requested until the last step approves
+      addNotification({
+        type: 'success',
+        title: updatedPurchase.status === 'Approved' ? 'Purchase Approved' : 'Approval Recorded',
+        message: updatedPurchase.status === 'Approved'
+          ? `Purchase of ${updatedPurchase.quantity} ${updatedPurchase.assetName} has been approved.`
+          : `Your approval of the purchase of ${updatedPurchase.quantity} ${updatedPurchase.assetName} has been recorded.`
+      });
+      
+      toast.success('Approval recorded successfully');
+      
+      setPurchase(updatedPurchase);
+      setShowApproveModal(false);
+      
+    } catch (error: any) {
+      console.error('Error approving purchase:', error);
+      toast.error(error.response?.data?.error || 'Failed to approve purchase');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle reject purchase
+  const handleReject = async () => {
+    if (!id) return;
+    
+    if (!rejectionReason.trim()) {
+      toast.error('Please give a reason for the rejection');
+      return;
+    }
+    
+    setIsProcessing(true);
+    try {
+      await purchaseService.rejectPurchase(id as string, rejectionReason.trim());
+      const updatedPurchase = await purchaseService.getPurchaseById(id as string);
+      
+      addNotification({
+        type: 'warning',
+        title: 'Purchase Rejected',
+        message: `Purchase of ${updatedPurchase.quantity} ${updatedPurchase.assetName} has been rejected.`
+      });
+      
+      toast.success('Purchase rejected');
+      
+      setPurchase(updatedPurchase);
+      setShowRejectModal(false);
+      setRejectionReason('');
+      
+    } catch (error: any) {
+      console.error('Error rejecting purchase:', error);
+      toast.error(error.response?.data?.error || 'Failed to reject purchase');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle place order
+  const handleOrder = async () => {
+    if (!id) return;
+    
+    setIsProcessing(true);
+    try {
+      const updatedPurchase = await purchaseService.orderPurchase(
+        id as string,
+        orderInvoiceNumber.trim() || undefined,
+        orderExpectedDate || undefined
+      );
+      
+      addNotification({
+        type: 'success',
+        title: 'Purchase Ordered',
+        message: `${updatedPurchase.quantity} ${updatedPurchase.assetName} ordered from ${updatedPurchase.supplierName}.`
+      });
+      
+      toast.success('Order placed successfully');
+      
+      setPurchase({ ...updatedPurchase, approvals: purchase?.approvals });
+      setShowOrderModal(false);
+      
+    } catch (error: any) {
+      console.error('Error ordering purchase:', error);
+      toast.error(error.response?.data?.error || 'Failed to place order');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Open the delivery modal for everything still outstanding
+  const openDeliverModal = () => {
+    if (!purchase) return;
+    
+    setDeliveryQuantity(purchase.outstandingQuantity);
+    setDeliveryDate('');
+    setDeliveryReceiptNumber('');
+    setDeliveryNotes('');
+    setDeliverySerials('');
+    setDeliveryLots([emptyLotEntry()]);
+    setShowDeliverModal(true);
+  };
+
+  // Handle record delivery
+  const handleRecordDelivery = async () => {
+    if (!id || !purchase) return;
+    
+    // Serial numbers, when listed, give the quantity received
+    const serialNumbers = parseSerialNumbers(deliverySerials);
+    const quantity = serialNumbers.length || deliveryQuantity;
+    const lots = toLotRecords(deliveryLots);
+    
+    if (quantity < 1 || quantity > purchase.outstandingQuantity) {
+      toast.error(`Delivered quantity must be between 1 and ${purchase.outstandingQuantity}`);
+      return;
+    }
+    
+    setIsProcessing(true);
+    try {
+      await purchaseService.recordDelivery(id as string, {
+        quantity,
+        date: deliveryDate || undefined,
+        receiptNumber: deliveryReceiptNumber.trim() || undefined,
+        serialNumbers: serialNumbers.length ? serialNumbers : undefined,
+        lots: lots.length ? lots : undefined,
+        notes: deliveryNotes.trim() || undefined
+      });
+      
+      // Reload to pick up the populated delivery record
+      const updatedPurchase = await purchaseService.getPurchaseById(id as string);
       
       // Add notification
       addNotification({
         type: 'success',
-        title: 'Purchase Delivered',
-        message: `${updatedPurchase.quantity} ${updatedPurchase.assetName} marked as delivered.`
+        title: updatedPurchase.status === 'Delivered' ? 'Purchase Delivered' : 'Delivery Recorded',
+        message: updatedPurchase.status === 'Delivered'
+          ? `All ${updatedPurchase.quantity} ${updatedPurchase.assetName} have been delivered.`
+          : `${quantity} ${updatedPurchase.assetName} received, ${updatedPurchase.outstandingQuantity} outstanding.`
       });
       
-      toast.success('Purchase marked as delivered successfully');
+      toast.success('Delivery recorded successfully');
       
-      // Update the local state to reflect the change
       setPurchase(updatedPurchase);
       setShowDeliverModal(false);
       
-    } catch (error) {
-      console.error('Error marking purchase as delivered:', error);
-      toast.error('Failed to mark purchase as delivered');
+    } catch (error: any) {
+      console.error('Error recording delivery:', error);
+      toast.error(error.response?.data?.error || 'Failed to record delivery');
     } finally {
       setIsProcessing(false);
     }
@@ -92,8 +240,8 @@ const PurchaseDetailPage = () => {
       
       toast.success('Purchase cancelled successfully');
       
-      // Update the local state to reflect the change
-      setPurchase(updatedPurchase);
+      // Reload to show the cancelled approval request
+      setPurchase(await purchaseService.getPurchaseById(id as string));
       setShowCancelModal(false);
       
     } catch (error) {
@@ -108,29 +256,61 @@ const PurchaseDetailPage = () => {
     switch (status) {
       case 'Delivered':
         return 'bg-green-100 text-green-800';
-      case 'Ordered':
+      case 'Requested':
         return 'bg-yellow-100 text-yellow-800';
+      case 'Approved':
+      case 'Ordered':
+      case 'Partially Delivered':
+        return 'bg-blue-100 text-blue-800';
+      case 'Overdue':
+        return 'bg-orange-100 text-orange-800';
+      case 'Rejected':
       case 'Cancelled':
+      case 'Over Budget':
         return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
   };
 
-  // Check if user can mark as delivered
-  const canMarkAsDelivered = () => {
+  // The approval chain currently in progress, if any
+  const pendingApproval = purchase?.approvals?.find(approval => approval.status === 'Pending');
+  const latestApproval = purchase?.approvals?.[0];
+  
+  // Check if user can decide the current approval step
+  const canApprove = () => {
     if (!purchase || !user) return false;
-    if (purchase.status !== 'Ordered') return false;
+    if (purchase.status !== 'Requested') return false;
+    
+    // Purchases requested before approval workflows use the default chain
+    if (!pendingApproval) {
+      return purchase.purchasedBy?._id !== user._id && (user.role === 'Admin' ||
+        (user.role === 'BaseCommander' && user.assignedBase === purchase.base));
+    }
     
-    return user.role === 'Admin' || 
-      (user.role === 'LogisticsOfficer') ||
-      (user.role === 'BaseCommander' && user.assignedBase === purchase.base);
+    return canDecideApproval(pendingApproval, user);
+  };
+  
+  // Check if user can place the order for an approved purchase
+  const canOrder = () => {
+    if (!purchase || !user) return false;
+    if (purchase.status !== 'Approved') return false;
+    
+    return user.role === 'Admin' || user.role === 'LogisticsOfficer';
+  };
+
+  // Check if user can record deliveries
+  const canRecordDelivery = () => {
+    if (!purchase || !user) return false;
+    if (!['Ordered', 'Partially Delivered'].includes(purchase.status)) return false;
+    
+    return user.role === 'Admin' || user.role === 'LogisticsOfficer';
   };
   
   // Check if user can cancel purchases
   const canCancelPurchase = () => {
     if (!purchase || !user) return false;
-    if (purchase.status !== 'Ordered') return false;
+    if (!['Requested', 'Approved', 'Ordered', 'Partially Delivered'].includes(purchase.status)) return false;
     
     return user.role === 'Admin' || user.role === 'LogisticsOfficer';
   };
@@ -175,6 +355,24 @@ const PurchaseDetailPage = () => {
             >
               {purchase.status}
             </span>
+            {purchase.overdue && (
+              <span
+                className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(
+                  'Overdue'
+                )}`}
+              >
+                Overdue
+              </span>
+            )}
+            {purchase.overBudget && (
+              <span
+                className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(
+                  'Over Budget'
+                )}`}
+              >
+                Over Budget
+              </span>
+            )}
           </div>
 
           {/* Purchase details */}
@@ -184,7 +382,7 @@ const PurchaseDetailPage = () => {
                 {purchase.assetName} Purchase
               </h3>
               <p className="mt-1 max-w-2xl text-sm text-gray-500">
-                {purchase.quantity} units from {purchase.supplier}
+                {purchase.quantity} units from {purchase.supplierName}
               </p>
             </div>
             <div className="border-t border-gray-200">
@@ -210,13 +408,23 @@ const PurchaseDetailPage = () => {
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                   <dt className="text-sm font-medium text-gray-500">Supplier</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                    {purchase.supplier}
+                    <Link
+                      href={`/suppliers/${purchase.supplier}`}
+                      className="text-primary-600 hover:text-primary-900"
+                    >
+                      {purchase.supplierName}
+                    </Link>
                   </dd>
                 </div>
                 <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                   <dt className="text-sm font-medium text-gray-500">Quantity</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
                     {purchase.quantity}
+                    {['Ordered', 'Partially Delivered', 'Delivered'].includes(purchase.status) && (
+                      <p className="text-xs text-gray-500">
+                        {purchase.deliveredQuantity} delivered, {purchase.outstandingQuantity} outstanding
+                      </p>
+                    )}
                   </dd>
                 </div>
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
@@ -261,9 +469,69 @@ const PurchaseDetailPage = () => {
                     {format(new Date(purchase.purchaseDate), 'PPP p')}
                   </dd>
                 </div>
+                {purchase.approvedAt && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Approved</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {format(new Date(purchase.approvedAt), 'PPP p')}
+                      {purchase.approvedBy && ` by ${purchase.approvedBy.fullName}`}
+                    </dd>
+                  </div>
+                )}
+                {purchase.rejectedAt && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Rejected</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {format(new Date(purchase.rejectedAt), 'PPP p')}
+                      {purchase.rejectedBy && ` by ${purchase.rejectedBy.fullName}`}
+                      {purchase.rejectionReason && (
+                        <p className="text-xs text-gray-500">{purchase.rejectionReason}</p>
+                      )}
+                    </dd>
+                  </div>
+                )}
+                {purchase.orderedAt && (
+                  <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Ordered</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {format(new Date(purchase.orderedAt), 'PPP p')}
+                      {purchase.orderedBy && ` by ${purchase.orderedBy.fullName}`}
+                    </dd>
+                  </div>
+                )}
+                {purchase.expectedDeliveryDate && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Expected Delivery</dt>
+                    <dd className={`mt-1 text-sm sm:mt-0 sm:col-span-2 ${purchase.overdue ? 'text-red-600' : 'text-gray-900'}`}>
+                      {format(new Date(purchase.expectedDeliveryDate), 'PPP')}
+                      {purchase.overdue && ' (overdue)'}
+                    </dd>
+                  </div>
+                )}
+                {purchase.deliveries && purchase.deliveries.length > 0 && (
+                  <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Deliveries</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      <ul className="space-y-1">
+                        {purchase.deliveries.map((delivery, index) => (
+                          <li key={delivery._id || index}>
+                            {delivery.quantity} on {format(new Date(delivery.date), 'PPP')}
+                            {delivery.receiptNumber && ` — receipt ${delivery.receiptNumber}`}
+                            {delivery.receivedBy && `, received by ${delivery.receivedBy.fullName}`}
+                            {delivery.serialNumbers && delivery.serialNumbers.length > 0 && (
+                              <p className="font-mono text-xs text-gray-500">{delivery.serialNumbers.join(', ')}</p>
+                            )}
+                            {delivery.lots && delivery.lots.length > 0 && <LotList lots={delivery.lots} />}
+                            {delivery.notes && <p className="text-xs text-gray-500">{delivery.notes}</p>}
+                          </li>
+                        ))}
+                      </ul>
+                    </dd>
+                  </div>
+                )}
                 {purchase.deliveryDate && (
                   <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Delivery Date</dt>
+                    <dt className="text-sm font-medium text-gray-500">Delivery Completed</dt>
                     <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
                       {format(new Date(purchase.deliveryDate), 'PPP p')}
                     </dd>
@@ -293,6 +561,9 @@ const PurchaseDetailPage = () => {
             </div>
           </div>
 
+          {/* Approval chain */}
+          {latestApproval && <ApprovalChain approval={latestApproval} />}
+
           {/* Action buttons */}
           <div className="flex justify-end space-x-4">
             {canCancelPurchase() && (
@@ -305,33 +576,288 @@ const PurchaseDetailPage = () => {
                 Cancel Purchase
               </button>
             )}
-            {canMarkAsDelivered() && (
+            {canApprove() && (
+              <button
+                type="button"
+                className="btn btn-danger"
+                onClick={() => setShowRejectModal(true)}
+              >
+                <XMarkIcon className="h-5 w-5 mr-2" />
+                Reject
+              </button>
+            )}
+            {canApprove() && (
               <button
                 type="button"
                 className="btn btn-success"
-                onClick={() => setShowDeliverModal(true)}
+                onClick={() => setShowApproveModal(true)}
               >
                 <CheckIcon className="h-5 w-5 mr-2" />
-                Mark as Delivered
+                Approve Purchase
+              </button>
+            )}
+            {canOrder() && (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => setShowOrderModal(true)}
+              >
+                <ShoppingCartIcon className="h-5 w-5 mr-2" />
+                Place Order
+              </button>
+            )}
+            {canRecordDelivery() && (
+              <button
+                type="button"
+                className="btn btn-success"
+                onClick={openDeliverModal}
+              >
+                <TruckIcon className="h-5 w-5 mr-2" />
+                Record Delivery
               </button>
             )}
           </div>
         </div>
       </div>
 
-      {/* Mark as Delivered Modal */}
+      {/* Approve Purchase Modal */}
       <Modal
-        isOpen={showDeliverModal}
-        onClose={() => setShowDeliverModal(false)}
-        title="Mark Purchase as Delivered"
+        isOpen={showApproveModal}
+        onClose={() => setShowApproveModal(false)}
+        title="Approve Purchase"
         size="sm"
       >
         <div className="py-4">
           <p className="text-gray-700">
-            Are you sure you want to mark the purchase of <span className="font-semibold">{purchase?.quantity} {purchase?.assetName}</span> as delivered?
+            Approve the purchase of <span className="font-semibold">{purchase.quantity} {purchase.assetName}</span> for <span className="font-semibold">{purchase.base}</span> at a total cost of <span className="font-semibold">${purchase.totalCost.toLocaleString()}</span>? The final approval fails if the purchase exceeds the remaining budget, unless the budget only flags it.
           </p>
           
           <div className="mt-6 flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowApproveModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-success"
+              onClick={handleApprove}
+              disabled={isProcessing}
+            >
+              {isProcessing ? 'Processing...' : 'Approve Purchase'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Reject Purchase Modal */}
+      <Modal
+        isOpen={showRejectModal}
+        onClose={() => setShowRejectModal(false)}
+        title="Reject Purchase"
+        size="sm"
+      >
+        <div className="py-4 space-y-4">
+          <p className="text-gray-700">
+            Reject the purchase of <span className="font-semibold">{purchase.quantity} {purchase.assetName}</span> for <span className="font-semibold">{purchase.base}</span>?
+          </p>
+          
+          <div>
+            <label htmlFor="rejectionReason" className="block text-sm font-medium text-gray-700">
+              Reason
+            </label>
+            <textarea
+              id="rejectionReason"
+              rows={3}
+              className="mt-1 form-textarea"
+              value={rejectionReason}
+              onChange={(e) => setRejectionReason(e.target.value)}
+            />
+          </div>
+          
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowRejectModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-danger"
+              onClick={handleReject}
+              disabled={isProcessing}
+            >
+              {isProcessing ? 'Processing...' : 'Reject Purchase'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Place Order Modal */}
+      <Modal
+        isOpen={showOrderModal}
+        onClose={() => setShowOrderModal(false)}
+        title="Place Order"
+        size="sm"
+      >
+        <div className="py-4 space-y-4">
+          <p className="text-gray-700">
+            Place the order for <span className="font-semibold">{purchase.quantity} {purchase.assetName}</span> with <span className="font-semibold">{purchase.supplierName}</span>?
+          </p>
+          
+          <div>
+            <label htmlFor="orderInvoiceNumber" className="block text-sm font-medium text-gray-700">
+              Invoice Number (optional)
+            </label>
+            <input
+              type="text"
+              id="orderInvoiceNumber"
+              className="mt-1 form-input"
+              value={orderInvoiceNumber}
+              onChange={(e) => setOrderInvoiceNumber(e.target.value)}
+            />
+          </div>
+          
+          <div>
+            <label htmlFor="orderExpectedDate" className="block text-sm font-medium text-gray-700">
+              Expected Delivery Date (optional)
+            </label>
+            <input
+              type="date"
+              id="orderExpectedDate"
+              className="mt-1 form-input"
+              value={orderExpectedDate}
+              onChange={(e) => setOrderExpectedDate(e.target.value)}
+            />
+          </div>
+          
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowOrderModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleOrder}
+              disabled={isProcessing}
+            >
+              {isProcessing ? 'Processing...' : 'Place Order'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Record Delivery Modal */}
+      <Modal
+        isOpen={showDeliverModal}
+        onClose={() => setShowDeliverModal(false)}
+        title="Record Delivery"
+        size="md"
+      >
+        <div className="py-4 space-y-4">
+          <p className="text-gray-700">
+            <span className="font-semibold">{purchase.outstandingQuantity} of {purchase.quantity} {purchase.assetName}</span> are still outstanding from {purchase.supplierName}.
+          </p>
+          
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label htmlFor="deliveryQuantity" className="block text-sm font-medium text-gray-700">
+                Quantity Received
+              </label>
+              <input
+                type="number"
+                id="deliveryQuantity"
+                className="mt-1 form-input"
+                min={1}
+                max={purchase.outstandingQuantity}
+                value={parseSerialNumbers(deliverySerials).length || deliveryQuantity}
+                onChange={(e) => setDeliveryQuantity(Number(e.target.value))}
+                disabled={parseSerialNumbers(deliverySerials).length > 0}
+              />
+            </div>
+            <div>
+              <label htmlFor="deliveryDate" className="block text-sm font-medium text-gray-700">
+                Delivery Date (defaults to now)
+              </label>
+              <input
+                type="date"
+                id="deliveryDate"
+                className="mt-1 form-input"
+                value={deliveryDate}
+                onChange={(e) => setDeliveryDate(e.target.value)}
+              />
+            </div>
+          </div>
+          
+          <div>
+            <label htmlFor="deliveryReceiptNumber" className="block text-sm font-medium text-gray-700">
+              Invoice / Receipt Number (optional)
+            </label>
+            <input
+              type="text"
+              id="deliveryReceiptNumber"
+              className="mt-1 form-input"
+              value={deliveryReceiptNumber}
+              onChange={(e) => setDeliveryReceiptNumber(e.target.value)}
+            />
+          </div>
+          
+          <div>
+            <label htmlFor="deliverySerials" className="block text-sm font-medium text-gray-700">
+              Serial Numbers
+            </label>
+            <textarea
+              id="deliverySerials"
+              rows={3}
+              className="mt-1 form-textarea font-mono"
+              placeholder="One per line, or separated by commas"
+              value={deliverySerials}
+              onChange={(e) => setDeliverySerials(e.target.value)}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Required for serialized assets. Listing them on the first delivery of a new asset tracks it by serial number.
+            </p>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Lots</label>
+            <div className="mt-1">
+              <LotEntryFields
+                entries={deliveryLots}
+                onChange={setDeliveryLots}
+                quantity={parseSerialNumbers(deliverySerials).length || deliveryQuantity}
+              />
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Required for lot-tracked assets. Listing them on the first delivery of a new asset tracks it by lot.
+            </p>
+          </div>
+          
+          <div>
+            <label htmlFor="deliveryNotes" className="block text-sm font-medium text-gray-700">
+              Notes (optional)
+            </label>
+            <textarea
+              id="deliveryNotes"
+              rows={2}
+              className="mt-1 form-textarea"
+              value={deliveryNotes}
+              onChange={(e) => setDeliveryNotes(e.target.value)}
+            />
+          </div>
+          
+          <div className="flex justify-end space-x-3">
             <button
               type="button"
               className="btn btn-secondary"
@@ -343,7 +869,7 @@ const PurchaseDetailPage = () => {
             <button
               type="button"
               className="btn btn-success"
-              onClick={handleMarkDelivered}
+              onClick={handleRecordDelivery}
               disabled={isProcessing}
             >
               {isProcessing ? (
@@ -355,7 +881,7 @@ const PurchaseDetailPage = () => {
                   Processing...
                 </span>
               ) : (
-                'Mark as Delivered'
+                'Record Delivery'
               )}
             </button>
           </div>
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
 import { format } from 'date-fns';
@@ -13,6 +14,7 @@ import { Purchase } from '@/types/purchase';
 import toast from 'react-hot-toast';
 
 const PurchasesPage = () => {
+  const router = useRouter();
   const { user } = useAuth();
   const addNotification = useNotificationStore((state) => state.addNotification);
   
@@ -29,6 +31,8 @@ const PurchasesPage = () => {
     base: user?.role === 'BaseCommander' ? user.assignedBase : '',
     assetType: '',
     status: '',
+    overdue: router.query.overdue === 'true',
+    overBudget: router.query.overBudget === 'true',
     startDate: '',
     endDate: '',
     search: '',
@@ -58,6 +62,8 @@ const PurchasesPage = () => {
       if (filters.base) params.base = filters.base;
       if (filters.assetType) params.assetType = filters.assetType;
       if (filters.status) params.status = filters.status;
+      if (filters.overdue) params.overdue = true;
+      if (filters.overBudget) params.overBudget = true;
       if (filters.startDate) params.startDate = filters.startDate;
       if (filters.endDate) params.endDate = filters.endDate;
       
@@ -105,36 +111,39 @@ const PurchasesPage = () => {
     setPage(1); // Reset to first page when limit changes
   };
 
-  // Handle mark as delivered
+  // Handle receiving everything still outstanding in one delivery;
+  // partial deliveries are recorded from the purchase's page
   const openDeliverModal = (purchase: Purchase) => {
     setSelectedPurchase(purchase);
     setShowDeliverModal(true);
   };
 
-  const handleMarkDelivered = async () => {
+  const handleReceiveRemaining = async () => {
     if (!selectedPurchase) return;
     
     setIsProcessing(true);
     try {
-      const updatedPurchase = await purchaseService.markAsDelivered(selectedPurchase._id);
+      const updatedPurchase = await purchaseService.recordDelivery(selectedPurchase._id, {
+        quantity: selectedPurchase.outstandingQuantity
+      });
       
       // Add notification
       addNotification({
         type: 'success',
         title: 'Purchase Delivered',
-        message: `${updatedPurchase.quantity} ${updatedPurchase.assetName} marked as delivered.`
+        message: `All ${updatedPurchase.quantity} ${updatedPurchase.assetName} have been delivered.`
       });
       
-      toast.success('Purchase marked as delivered successfully');
+      toast.success('Delivery recorded successfully');
       
       // Close modal and refresh purchase list
       setShowDeliverModal(false);
       setSelectedPurchase(null);
       fetchPurchases();
       
-    } catch (error) {
-      console.error('Error marking purchase as delivered:', error);
-      toast.error('Failed to mark purchase as delivered');
+    } catch (error: any) {
+      console.error('Error recording delivery:', error);
+      toast.error(error.response?.data?.error || 'Failed to record delivery');
     } finally {
       setIsProcessing(false);
     }
@@ -180,9 +189,17 @@ const PurchasesPage = () => {
     switch (status) {
       case 'Delivered':
         return 'bg-green-100 text-green-800';
-      case 'Ordered':
+      case 'Requested':
         return 'bg-yellow-100 text-yellow-800';
+      case 'Approved':
+      case 'Ordered':
+      case 'Partially Delivered':
+        return 'bg-blue-100 text-blue-800';
+      case 'Overdue':
+        return 'bg-orange-100 text-orange-800';
+      case 'Rejected':
       case 'Cancelled':
+      case 'Over Budget':
         return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
@@ -192,18 +209,16 @@ const PurchasesPage = () => {
   // Check if user can create purchases
   const canCreatePurchase = user?.role === 'Admin' || user?.role === 'LogisticsOfficer';
   
-  // Check if user can mark as delivered
-  const canMarkAsDelivered = (purchase: Purchase) => {
-    if (purchase.status !== 'Ordered') return false;
+  // Check if user can record deliveries
+  const canRecordDelivery = (purchase: Purchase) => {
+    if (!['Ordered', 'Partially Delivered'].includes(purchase.status)) return false;
     
-    return user?.role === 'Admin' || 
-      (user?.role === 'LogisticsOfficer') ||
-      (user?.role === 'BaseCommander' && user.assignedBase === purchase.base);
+    return user?.role === 'Admin' || user?.role === 'LogisticsOfficer';
   };
   
   // Check if user can cancel purchases
   const canCancelPurchase = (purchase: Purchase) => {
-    if (purchase.status !== 'Ordered') return false;
+    if (!['Requested', 'Approved', 'Ordered', 'Partially Delivered'].includes(purchase.status)) return false;
     
     return user?.role === 'Admin' || user?.role === 'LogisticsOfficer';
   };
@@ -290,11 +305,45 @@ const PurchasesPage = () => {
                     onChange={(e) => handleFilterChange({ ...filters, status: e.target.value })}
                   >
                     <option value="">All Statuses</option>
+                    <option value="Requested">Requested</option>
+                    <option value="Approved">Approved</option>
+                    <option value="Rejected">Rejected</option>
                     <option value="Ordered">Ordered</option>
+                    <option value="Partially Delivered">Partially Delivered</option>
                     <option value="Delivered">Delivered</option>
                     <option value="Cancelled">Cancelled</option>
                   </select>
                 </div>
+                <div>
+                  <label htmlFor="overdue" className="block text-sm font-medium text-gray-700">
+                    Delivery
+                  </label>
+                  <select
+                    id="overdue"
+                    name="overdue"
+                    className="mt-1 form-select"
+                    value={filters.overdue ? 'overdue' : ''}
+                    onChange={(e) => handleFilterChange({ ...filters, overdue: e.target.value === 'overdue' })}
+                  >
+                    <option value="">Any</option>
+                    <option value="overdue">Overdue only</option>
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="overBudget" className="block text-sm font-medium text-gray-700">
+                    Budget
+                  </label>
+                  <select
+                    id="overBudget"
+                    name="overBudget"
+                    className="mt-1 form-select"
+                    value={filters.overBudget ? 'overBudget' : ''}
+                    onChange={(e) => handleFilterChange({ ...filters, overBudget: e.target.value === 'overBudget' })}
+                  >
+                    <option value="">Any</option>
+                    <option value="overBudget">Over budget only</option>
+                  </select>
+                </div>
                 <div>
                   <label htmlFor="startDate" className="block text-sm font-medium text-gray-700">
                     Start Date
@@ -345,6 +394,8 @@ const PurchasesPage = () => {
                       base: user?.role === 'BaseCommander' ? user.assignedBase : '',
                       assetType: '',
                       status: '',
+                      overdue: false,
+                      overBudget: false,
                       startDate: '',
                       endDate: '',
                       search: '',
@@ -410,10 +461,10 @@ const PurchasesPage = () => {
                       <th
                         scope="col"
                         className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer"
-                        onClick={() => handleSort('supplier')}
+                        onClick={() => handleSort('supplierName')}
                       >
                         Supplier
-                        {sortBy === 'supplier' && (
+                        {sortBy === 'supplierName' && (
                           <span className="ml-1">{sortOrder === 'asc' ? '↑' : '↓'}</span>
                         )}
                       </th>
@@ -481,10 +532,13 @@ const PurchasesPage = () => {
                           {purchase.base}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                          {purchase.supplier}
+                          {purchase.supplierName}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {purchase.quantity}
+                          {purchase.status === 'Partially Delivered' && (
+                            <p className="text-xs">{purchase.outstandingQuantity} outstanding</p>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           ${purchase.totalCost.toLocaleString()}
@@ -497,6 +551,24 @@ const PurchasesPage = () => {
                           >
                             {purchase.status}
                           </span>
+                          {purchase.overdue && (
+                            <span
+                              className={`ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(
+                                'Overdue'
+                              )}`}
+                            >
+                              Overdue
+                            </span>
+                          )}
+                          {purchase.overBudget && (
+                            <span
+                              className={`ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(
+                                'Over Budget'
+                              )}`}
+                            >
+                              Over Budget
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {format(new Date(purchase.purchaseDate), 'MMM d, yyyy')}
@@ -508,12 +580,12 @@ const PurchasesPage = () => {
                           >
                             View
                           </Link>
-                          {canMarkAsDelivered(purchase) && (
+                          {canRecordDelivery(purchase) && (
                             <button
                               className="text-green-600 hover:text-green-900 mr-4"
                               onClick={() => openDeliverModal(purchase)}
                             >
-                              Mark Delivered
+                              Receive Remaining
                             </button>
                           )}
                           {canCancelPurchase(purchase) && (
@@ -553,13 +625,13 @@ const PurchasesPage = () => {
           setShowDeliverModal(false);
           setSelectedPurchase(null);
         }}
-        title="Mark Purchase as Delivered"
+        title="Receive Remaining Delivery"
         size="sm"
       >
         <div className="py-4">
           {selectedPurchase && (
             <p className="text-gray-700">
-              Are you sure you want to mark the purchase of <span className="font-semibold">{selectedPurchase.quantity} {selectedPurchase.assetName}</span> as delivered?
+              Record the delivery of the remaining <span className="font-semibold">{selectedPurchase.outstandingQuantity} {selectedPurchase.assetName}</span> to {selectedPurchase.base}? To record a partial delivery, open the purchase.
             </p>
           )}
           
@@ -578,7 +650,7 @@ const PurchasesPage = () => {
             <button
               type="button"
               className="btn btn-success"
-              onClick={handleMarkDelivered}
+              onClick={handleReceiveRemaining}
               disabled={isProcessing}
             >
               {isProcessing ? (
@@ -590,7 +662,7 @@ const PurchasesPage = () => {
                   Processing...
                 </span>
               ) : (
-                'Mark as Delivered'
+                'Record Delivery'
               )}
             </button>
           </div>
@@ -7,23 +7,16 @@ import { ArrowLeftIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
 import { assetService } from '@/services/assetService';
 import { purchaseService } from '@/services/purchaseService';
+import { supplierService } from '@/services/supplierService';
 import { useNotificationStore } from '@/stores/notificationStore';
 import LoadingScreen from '@/components/ui/LoadingScreen';
 import toast from 'react-hot-toast';
 import { Asset } from '@/types/asset';
+import { Supplier } from '@/types/supplier';
 
 // List of bases
 const bases = ['Base Alpha', 'Base Bravo', 'Base Charlie'];
 
-// List of suppliers
-const suppliers = [
-  'Military Supplies Inc.',
-  'Tech Defense Systems',
-  'Military Outfitters',
-  'Ammo Suppliers Ltd.',
-  'Military Vehicles Inc.',
-];
-
 // Asset types
 const assetTypes = ['Weapon', 'Vehicle', 'Equipment', 'Ammunition'];
 
@@ -40,6 +33,8 @@ const PurchaseSchema = Yup.object().shape({
     .required('Unit cost is required')
     .positive('Unit cost must be positive'),
   purchaseDate: Yup.date().required('Purchase date is required'),
+  expectedDeliveryDate: Yup.date()
+    .min(Yup.ref('purchaseDate'), 'Expected delivery cannot be before the purchase date'),
   invoiceNumber: Yup.string(),
   notes: Yup.string(),
 });
@@ -52,6 +47,7 @@ const NewPurchasePage = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [availableAssets, setAvailableAssets] = useState<Asset[]>([]);
   const [selectedAsset, setSelectedAsset] = useState<Asset | null>(null);
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
   const { asset: assetId } = router.query;
 
   // Check if user has permission to create purchases
@@ -104,6 +100,16 @@ const NewPurchasePage = () => {
     }
   }, [assetId, user]);
 
+  // Fetch the active suppliers purchases can be placed with
+  useEffect(() => {
+    supplierService.getSuppliers({ active: true })
+      .then(setSuppliers)
+      .catch((error) => {
+        console.error('Error fetching suppliers:', error);
+        toast.error('Failed to load suppliers');
+      });
+  }, []);
+
   const formik = useFormik({
     initialValues: {
       assetName: '',
@@ -113,6 +119,7 @@ const NewPurchasePage = () => {
       quantity: 1,
       unitCost: 0,
       purchaseDate: new Date().toISOString().split('T')[0], // Today's date in YYYY-MM-DD format
+      expectedDeliveryDate: '',
       invoiceNumber: '',
       notes: '',
     },
@@ -122,16 +129,22 @@ const NewPurchasePage = () => {
         setIsSubmitting(true);
         
         // Create the purchase
-        const newPurchase = await purchaseService.createPurchase(values);
+        const newPurchase = await purchaseService.createPurchase({
+          ...values,
+          expectedDeliveryDate: values.expectedDeliveryDate || undefined
+        });
         
         // Add notification
         addNotification({
           type: 'success',
-          title: 'Purchase Created',
-          message: `Purchase of ${newPurchase.quantity} ${newPurchase.assetName} has been created.`
+          title: 'Purchase Requested',
+          message: `Purchase of ${newPurchase.quantity} ${newPurchase.assetName} has been requested and is awaiting approval.`
         });
         
-        toast.success('Purchase created successfully');
+        if (newPurchase.overBudget) {
+          toast('Purchase exceeds the remaining budget and has been flagged as over budget', { icon: '⚠️' });
+        }
+        toast.success('Purchase requested successfully');
         router.push(`/purchases/${newPurchase._id}`);
         
       } catch (error: any) {
@@ -143,6 +156,11 @@ const NewPurchasePage = () => {
     },
   });
 
+  // Suppliers registered for the chosen asset type, or for no category in particular
+  const matchingSuppliers = suppliers.filter(
+    (supplier) => !formik.values.assetType || !supplier.categories.length || supplier.categories.includes(formik.values.assetType)
+  );
+
   // Calculate total cost
   const totalCost = formik.values.quantity * formik.values.unitCost;
 
@@ -277,9 +295,9 @@ const NewPurchasePage = () => {
                         onBlur={formik.handleBlur}
                       >
                         <option value="">Select a supplier</option>
-                        {suppliers.map((supplier) => (
-                          <option key={supplier} value={supplier}>
-                            {supplier}
+                        {matchingSuppliers.map((supplier) => (
+                          <option key={supplier._id} value={supplier._id}>
+                            {supplier.name}
                           </option>
                         ))}
                       </select>
@@ -377,6 +395,29 @@ const NewPurchasePage = () => {
                     </div>
                   </div>
 
+                  {/* Expected Delivery Date */}
+                  <div className="sm:col-span-3">
+                    <label htmlFor="expectedDeliveryDate" className="block text-sm font-medium text-gray-700">
+                      Expected Delivery Date
+                    </label>
+                    <div className="mt-1">
+                      <input
+                        type="date"
+                        name="expectedDeliveryDate"
+                        id="expectedDeliveryDate"
+                        className={`form-input ${
+                          formik.touched.expectedDeliveryDate && formik.errors.expectedDeliveryDate ? 'border-red-500' : ''
+                        }`}
+                        value={formik.values.expectedDeliveryDate}
+                        onChange={formik.handleChange}
+                        onBlur={formik.handleBlur}
+                      />
+                      {formik.touched.expectedDeliveryDate && formik.errors.expectedDeliveryDate && (
+                        <p className="mt-2 text-sm text-red-600">{formik.errors.expectedDeliveryDate}</p>
+                      )}
+                    </div>
+                  </div>
+
                   {/* Invoice Number */}
                   <div className="sm:col-span-3">
                     <label htmlFor="invoiceNumber" className="block text-sm font-medium text-gray-700">
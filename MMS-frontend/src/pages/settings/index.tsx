@@ -4,32 +4,36 @@ import { useRouter } from 'next/router';
 import { useAuth } from '@/contexts/AuthContext';
 import LoadingScreen from '@/components/ui/LoadingScreen';
 import toast from 'react-hot-toast';
-import { SystemSettings } from '@/services/settingsService';
+import { SystemSettings, settingsService } from '@/services/settingsService';
+import { useMaintenanceStore } from '@/stores/maintenanceStore';
 
-// Mock settings data
-const mockSettings: SystemSettings = {
-  systemName: 'Military Asset Management System',
-  organizationName: 'Department of Defense',
-  logo: '/logo.png',
+const defaultSettings: SystemSettings = {
+  systemName: '',
+  organizationName: '',
+  logo: '',
   theme: 'default',
   defaultCurrency: 'USD',
   dateFormat: 'MM/DD/YYYY',
-  timeFormat: '12h',
-  timezone: 'America/New_York',
+  timeFormat: '24h',
+  timezone: 'UTC',
   emailNotifications: true,
   maintenanceMode: false,
-  assetTypes: ['Weapon', 'Vehicle', 'Equipment', 'Ammunition', 'Medical', 'Food'],
-  bases: ['Base Alpha', 'Base Bravo', 'Base Charlie'],
+  lotConsumption: 'FEFO',
+  expiryWarningDays: 90,
+  overdueReminderDays: 7,
+  assetTypes: [],
+  bases: [],
 };
 
 const SettingsPage = () => {
   const router = useRouter();
   const { user } = useAuth();
   const [isLoading, setIsLoading] = useState(true);
-  const [settings, setSettings] = useState<SystemSettings>(mockSettings);
+  const [settings, setSettings] = useState<SystemSettings>(defaultSettings);
   const [activeTab, setActiveTab] = useState('general');
   const [newAssetType, setNewAssetType] = useState('');
   const [newBase, setNewBase] = useState('');
+  const setMaintenanceMode = useMaintenanceStore((state) => state.setMaintenanceMode);
 
   // Check if user has admin access
   useEffect(() => {
@@ -41,24 +45,48 @@ const SettingsPage = () => {
 
   // Load settings
   useEffect(() => {
-    // Simulate API call
-    setIsLoading(true);
-    setTimeout(() => {
-      setSettings(mockSettings);
-      setIsLoading(false);
-    }, 500);
+    const fetchSettings = async () => {
+      setIsLoading(true);
+      try {
+        const data = await settingsService.getSettings();
+        setSettings(data);
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+        toast.error('Failed to load settings');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchSettings();
   }, []);
 
-  const handleSaveSettings = () => {
-    // Simulate API call
+  const handleSaveSettings = async () => {
     setIsLoading(true);
-    setTimeout(() => {
+    try {
+      const data = await settingsService.updateSettings({
+        systemName: settings.systemName,
+        organizationName: settings.organizationName,
+        theme: settings.theme,
+        defaultCurrency: settings.defaultCurrency,
+        dateFormat: settings.dateFormat,
+        timeFormat: settings.timeFormat,
+        timezone: settings.timezone,
+        emailNotifications: settings.emailNotifications,
+        lotConsumption: settings.lotConsumption,
+        expiryWarningDays: settings.expiryWarningDays,
+        overdueReminderDays: settings.overdueReminderDays,
+      });
+      setSettings(data);
       toast.success('Settings saved successfully');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    } finally {
       setIsLoading(false);
-    }, 500);
+    }
   };
 
-  const handleAddAssetType = () => {
+  const handleAddAssetType = async () => {
     if (!newAssetType.trim()) {
       toast.error('Please enter an asset type');
       return;
@@ -69,23 +97,29 @@ const SettingsPage = () => {
       return;
     }
 
-    setSettings({
-      ...settings,
-      assetTypes: [...settings.assetTypes, newAssetType.trim()],
-    });
-    setNewAssetType('');
-    toast.success('Asset type added successfully');
+    try {
+      const assetTypes = await settingsService.addAssetType(newAssetType.trim());
+      setSettings({ ...settings, assetTypes });
+      setNewAssetType('');
+      toast.success('Asset type added successfully');
+    } catch (error) {
+      console.error('Error adding asset type:', error);
+    }
   };
 
-  const handleRemoveAssetType = (type: string) => {
-    setSettings({
-      ...settings,
-      assetTypes: settings.assetTypes.filter(t => t !== type),
-    });
-    toast.success('Asset type removed successfully');
+  const handleRemoveAssetType = async (type: string) => {
+    try {
+      const data = await settingsService.updateSettings({
+        assetTypes: settings.assetTypes.filter(t => t !== type),
+      });
+      setSettings(data);
+      toast.success('Asset type removed successfully');
+    } catch (error) {
+      console.error('Error removing asset type:', error);
+    }
   };
 
-  const handleAddBase = () => {
+  const handleAddBase = async () => {
     if (!newBase.trim()) {
       toast.error('Please enter a base name');
       return;
@@ -96,28 +130,37 @@ const SettingsPage = () => {
       return;
     }
 
-    setSettings({
-      ...settings,
-      bases: [...settings.bases, newBase.trim()],
-    });
-    setNewBase('');
-    toast.success('Base added successfully');
+    try {
+      const bases = await settingsService.addBase(newBase.trim());
+      setSettings({ ...settings, bases });
+      setNewBase('');
+      toast.success('Base added successfully');
+    } catch (error) {
+      console.error('Error adding base:', error);
+    }
   };
 
-  const handleRemoveBase = (base: string) => {
-    setSettings({
-      ...settings,
-      bases: settings.bases.filter(b => b !== base),
-    });
-    toast.success('Base removed successfully');
+  const handleRemoveBase = async (base: string) => {
+    try {
+      const data = await settingsService.updateSettings({
+        bases: settings.bases.filter(b => b !== base),
+      });
+      setSettings(data);
+      toast.success('Base removed successfully');
+    } catch (error) {
+      console.error('Error removing base:', error);
+    }
   };
 
-  const handleToggleMaintenanceMode = () => {
-    setSettings({
-      ...settings,
-      maintenanceMode: !settings.maintenanceMode,
-    });
-    toast.success(`Maintenance mode ${settings.maintenanceMode ? 'disabled' : 'enabled'}`);
+  const handleToggleMaintenanceMode = async () => {
+    try {
+      const { maintenanceMode } = await settingsService.toggleMaintenanceMode(!settings.maintenanceMode);
+      setSettings({ ...settings, maintenanceMode });
+      setMaintenanceMode(maintenanceMode);
+      toast.success(`Maintenance mode ${maintenanceMode ? 'enabled' : 'disabled'}`);
+    } catch (error) {
+      console.error('Error toggling maintenance mode:', error);
+    }
   };
 
   if (isLoading) return <LoadingScreen />;
@@ -320,6 +363,69 @@ const SettingsPage = () => {
                     </div>
                   </div>
 
+                  <div className="sm:col-span-3">
+                    <label htmlFor="lotConsumption" className="block text-sm font-medium text-gray-700">
+                      Lot Consumption Order
+                    </label>
+                    <div className="mt-1">
+                      <select
+                        id="lotConsumption"
+                        name="lotConsumption"
+                        className="form-select"
+                        value={settings.lotConsumption}
+                        onChange={(e) =>
+                          setSettings({ ...settings, lotConsumption: e.target.value as SystemSettings['lotConsumption'] })
+                        }
+                      >
+                        <option value="FEFO">First expired, first out (FEFO)</option>
+                        <option value="FIFO">First in, first out (FIFO)</option>
+                      </select>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Used when a transfer or expenditure does not name the lots it draws on
+                    </p>
+                  </div>
+
+                  <div className="sm:col-span-3">
+                    <label htmlFor="expiryWarningDays" className="block text-sm font-medium text-gray-700">
+                      Expiry Warning (days)
+                    </label>
+                    <div className="mt-1">
+                      <input
+                        type="number"
+                        id="expiryWarningDays"
+                        name="expiryWarningDays"
+                        min={1}
+                        className="form-input"
+                        value={settings.expiryWarningDays}
+                        onChange={(e) => setSettings({ ...settings, expiryWarningDays: Number(e.target.value) })}
+                      />
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Lots expiring within this many days are flagged on the dashboard
+                    </p>
+                  </div>
+
+                  <div className="sm:col-span-3">
+                    <label htmlFor="overdueReminderDays" className="block text-sm font-medium text-gray-700">
+                      Overdue Reminder (days)
+                    </label>
+                    <div className="mt-1">
+                      <input
+                        type="number"
+                        id="overdueReminderDays"
+                        name="overdueReminderDays"
+                        min={1}
+                        className="form-input"
+                        value={settings.overdueReminderDays}
+                        onChange={(e) => setSettings({ ...settings, overdueReminderDays: Number(e.target.value) })}
+                      />
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Base commanders are reminded of overdue assignments this often
+                    </p>
+                  </div>
+
                   <div className="sm:col-span-6">
                     <div className="flex items-center">
                       <input
@@ -463,7 +569,7 @@ const SettingsPage = () => {
                     <div>
                       <h4 className="text-base font-medium text-gray-900">Maintenance Mode</h4>
                       <p className="text-sm text-gray-500">
-                        When enabled, only administrators can access the system
+                        When enabled, changes are blocked and only administrators can log in
                       </p>
                     </div>
                     <div className="ml-4 flex-shrink-0">
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@/contexts/AuthContext';
+import { supplierService } from '@/services/supplierService';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import Modal from '@/components/ui/Modal';
+import SupplierMetricsCard from '@/components/suppliers/SupplierMetricsCard';
+import { Supplier, SupplierMetrics } from '@/types/supplier';
+import toast from 'react-hot-toast';
+
+const SupplierDetailPage = () => {
+  const router = useRouter();
+  const { id } = router.query;
+  const { user } = useAuth();
+  const [isLoading, setIsLoading] = useState(true);
+  const [supplier, setSupplier] = useState<Supplier | null>(null);
+  const [metrics, setMetrics] = useState<SupplierMetrics | null>(null);
+
+  // State for the merge modal
+  const [showMergeModal, setShowMergeModal] = useState(false);
+  const [otherSuppliers, setOtherSuppliers] = useState<Supplier[]>([]);
+  const [mergeSources, setMergeSources] = useState<string[]>([]);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const fetchSupplier = async () => {
+    if (!id) return;
+
+    try {
+      const [supplierData, metricsData] = await Promise.all([
+        supplierService.getSupplierById(id as string),
+        supplierService.getSupplierMetrics(id as string),
+      ]);
+      setSupplier(supplierData);
+      setMetrics(metricsData);
+    } catch (error) {
+      console.error('Error fetching supplier:', error);
+      toast.error('Failed to load supplier details');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSupplier();
+  }, [id]);
+
+  const openMerge = async () => {
+    try {
+      const suppliers = await supplierService.getSuppliers();
+      setOtherSuppliers(suppliers.filter(s => s._id !== id));
+      setMergeSources([]);
+      setShowMergeModal(true);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+      toast.error('Failed to load suppliers');
+    }
+  };
+
+  const toggleMergeSource = (sourceId: string) => {
+    setMergeSources(mergeSources.includes(sourceId)
+      ? mergeSources.filter(s => s !== sourceId)
+      : [...mergeSources, sourceId]);
+  };
+
+  const handleMerge = async () => {
+    if (!supplier || !mergeSources.length) return;
+
+    setIsProcessing(true);
+    try {
+      const result = await supplierService.mergeSuppliers(supplier._id, mergeSources);
+      toast.success(`Suppliers merged, ${result.purchasesMoved} purchase(s) moved`);
+      setShowMergeModal(false);
+      fetchSupplier();
+    } catch (error: any) {
+      console.error('Error merging suppliers:', error);
+      toast.error(error.response?.data?.error || 'Failed to merge suppliers');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  if (isLoading) return <LoadingScreen />;
+
+  if (!supplier) {
+    return (
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <div className="text-center py-12">
+            <h2 className="text-lg font-medium text-gray-900">Supplier not found</h2>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{supplier.name} | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          {/* Back button and title */}
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center">
+              <button
+                onClick={() => router.back()}
+                className="mr-4 text-gray-500 hover:text-gray-700"
+              >
+                <ArrowLeftIcon className="h-5 w-5" />
+              </button>
+              <h1 className="text-2xl font-semibold text-gray-900">{supplier.name}</h1>
+              {!supplier.active && (
+                <span className="ml-4 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                  Inactive
+                </span>
+              )}
+            </div>
+            {user?.role === 'Admin' && (
+              <button type="button" className="btn btn-secondary" onClick={openMerge}>
+                Merge Duplicates
+              </button>
+            )}
+          </div>
+
+          {/* Supplier details */}
+          <div className="bg-white shadow overflow-hidden sm:rounded-lg mb-6">
+            <div className="px-4 py-5 sm:px-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">Supplier Details</h3>
+              <p className="mt-1 max-w-2xl text-sm text-gray-500">{supplier.code}</p>
+            </div>
+            <div className="border-t border-gray-200">
+              <dl>
+                <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                  <dt className="text-sm font-medium text-gray-500">Contact</dt>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                    {supplier.contactName || '—'}
+                    {supplier.email && <p className="text-xs text-gray-500">{supplier.email}</p>}
+                    {supplier.phone && <p className="text-xs text-gray-500">{supplier.phone}</p>}
+                  </dd>
+                </div>
+                <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                  <dt className="text-sm font-medium text-gray-500">Address</dt>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                    {supplier.address || '—'}
+                  </dd>
+                </div>
+                <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                  <dt className="text-sm font-medium text-gray-500">Categories</dt>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                    {supplier.categories.join(', ') || '—'}
+                  </dd>
+                </div>
+                <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                  <dt className="text-sm font-medium text-gray-500">Contract Numbers</dt>
+                  <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                    {supplier.contractNumbers.join(', ') || '—'}
+                  </dd>
+                </div>
+                {supplier.notes && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Notes</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {supplier.notes}
+                    </dd>
+                  </div>
+                )}
+              </dl>
+            </div>
+          </div>
+
+          {metrics && <SupplierMetricsCard metrics={metrics} />}
+        </div>
+      </div>
+
+      {/* Merge Modal */}
+      <Modal
+        isOpen={showMergeModal}
+        onClose={() => setShowMergeModal(false)}
+        title="Merge Duplicate Suppliers"
+      >
+        <div className="py-4">
+          <p className="text-sm text-gray-500">
+            Purchases of the selected suppliers will move to {supplier.name}, and the selected
+            suppliers will be deactivated.
+          </p>
+          <div className="mt-4 max-h-64 overflow-y-auto space-y-2">
+            {otherSuppliers.map((other) => (
+              <label key={other._id} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="form-checkbox mr-2"
+                  checked={mergeSources.includes(other._id)}
+                  onChange={() => toggleMergeSource(other._id)}
+                />
+                {other.name}
+                <span className="ml-2 text-xs text-gray-500">{other.code}</span>
+                {!other.active && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+              </label>
+            ))}
+          </div>
+          <div className="mt-5 sm:mt-6 sm:grid sm:grid-cols-2 sm:gap-3 sm:grid-flow-row-dense">
+            <button
+              type="button"
+              className="btn btn-primary sm:col-start-2"
+              onClick={handleMerge}
+              disabled={isProcessing || !mergeSources.length}
+            >
+              {isProcessing ? 'Merging...' : 'Merge'}
+            </button>
+            <button
+              type="button"
+              className="mt-3 btn btn-secondary sm:mt-0 sm:col-start-1"
+              onClick={() => setShowMergeModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </Modal>
+    </>
+  );
+};
+
+export default SupplierDetailPage;
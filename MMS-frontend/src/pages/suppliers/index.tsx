@@ -0,0 +1,377 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { PlusIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '@/contexts/AuthContext';
+import { supplierService, SupplierInput } from '@/services/supplierService';
+import { settingsService } from '@/services/settingsService';
+import LoadingScreen from '@/components/ui/LoadingScreen';
+import Modal from '@/components/ui/Modal';
+import { formatRate } from '@/components/suppliers/SupplierMetricsCard';
+import { Supplier, SupplierMetrics } from '@/types/supplier';
+import toast from 'react-hot-toast';
+
+const emptySupplier: SupplierInput = {
+  name: '',
+  contactName: '',
+  email: '',
+  phone: '',
+  address: '',
+  categories: [],
+  contractNumbers: [],
+  notes: '',
+};
+
+const SuppliersPage = () => {
+  const { user } = useAuth();
+  const [isLoading, setIsLoading] = useState(true);
+  const [suppliers, setSuppliers] = useState<Supplier[]>([]);
+  const [metrics, setMetrics] = useState<Record<string, SupplierMetrics>>({});
+  const [assetTypes, setAssetTypes] = useState<string[]>([]);
+  const [showInactive, setShowInactive] = useState(false);
+
+  // State for the create/edit modal
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<SupplierInput | null>(null);
+  const [contractNumbers, setContractNumbers] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canManage = user?.role === 'Admin' || user?.role === 'LogisticsOfficer';
+
+  const fetchSuppliers = async () => {
+    try {
+      const [supplierData, metricsData] = await Promise.all([
+        supplierService.getSuppliers(showInactive ? undefined : { active: true }),
+        supplierService.getAllMetrics(),
+      ]);
+      setSuppliers(supplierData);
+      setMetrics(Object.fromEntries(metricsData.map(item => [item.supplier._id, item])));
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+      toast.error('Failed to load suppliers');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, [showInactive, user]);
+
+  useEffect(() => {
+    settingsService.getAssetTypes().then(setAssetTypes).catch(() => setAssetTypes([]));
+  }, []);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm({ ...emptySupplier });
+    setContractNumbers('');
+  };
+
+  const openEdit = (supplier: Supplier) => {
+    setEditingId(supplier._id);
+    setForm({
+      name: supplier.name,
+      contactName: supplier.contactName || '',
+      email: supplier.email || '',
+      phone: supplier.phone || '',
+      address: supplier.address || '',
+      categories: [...supplier.categories],
+      contractNumbers: [...supplier.contractNumbers],
+      notes: supplier.notes || '',
+    });
+    setContractNumbers(supplier.contractNumbers.join(', '));
+  };
+
+  const toggleCategory = (category: string) => {
+    if (!form) return;
+    const categories = form.categories || [];
+    setForm({
+      ...form,
+      categories: categories.includes(category)
+        ? categories.filter(c => c !== category)
+        : [...categories, category],
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+
+    if (!form.name.trim()) {
+      toast.error('Name the supplier');
+      return;
+    }
+
+    const payload: SupplierInput = {
+      ...form,
+      contractNumbers: contractNumbers.split(',').map(n => n.trim()).filter(Boolean),
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        await supplierService.updateSupplier(editingId, payload);
+        toast.success('Supplier updated');
+      } else {
+        await supplierService.createSupplier(payload);
+        toast.success('Supplier registered');
+      }
+      setForm(null);
+      fetchSuppliers();
+    } catch (error: any) {
+      console.error('Error saving supplier:', error);
+      toast.error(error.response?.data?.error || 'Failed to save supplier');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (supplier: Supplier) => {
+    try {
+      if (supplier.active) {
+        await supplierService.deactivateSupplier(supplier._id);
+      } else {
+        await supplierService.updateSupplier(supplier._id, { active: true });
+      }
+      fetchSuppliers();
+    } catch (error) {
+      console.error('Error updating supplier:', error);
+      toast.error('Failed to update supplier');
+    }
+  };
+
+  if (isLoading) return <LoadingScreen />;
+
+  return (
+    <>
+      <Head>
+        <title>Suppliers | Military Asset Management</title>
+      </Head>
+
+      <div className="py-6">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+          <div className="flex justify-between items-center">
+            <h1 className="text-2xl font-semibold text-gray-900">Suppliers</h1>
+            <div className="flex items-center space-x-4">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="form-checkbox mr-2"
+                  checked={showInactive}
+                  onChange={(e) => setShowInactive(e.target.checked)}
+                />
+                Show inactive
+              </label>
+              {canManage && (
+                <button type="button" className="btn btn-primary" onClick={openCreate}>
+                  <PlusIcon className="h-5 w-5 mr-2" />
+                  New Supplier
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-md">
+            {suppliers.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">No suppliers registered.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Supplier
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Categories
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Purchases
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Total Spend
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        On Time
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Cancelled
+                      </th>
+                      <th scope="col" className="relative px-6 py-3">
+                        <span className="sr-only">Actions</span>
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {suppliers.map((supplier) => {
+                      const supplierMetrics = metrics[supplier._id];
+
+                      return (
+                        <tr key={supplier._id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            <Link href={`/suppliers/${supplier._id}`} className="text-primary-600 hover:text-primary-900">
+                              {supplier.name}
+                            </Link>
+                            {!supplier.active && (
+                              <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                                Inactive
+                              </span>
+                            )}
+                            <p className="text-xs text-gray-500">{supplier.code}</p>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {supplier.categories.join(', ') || '—'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {supplierMetrics?.purchases || 0}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            ${(supplierMetrics?.totalSpend || 0).toLocaleString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {formatRate(supplierMetrics?.deliveries.onTimeRate)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {formatRate(supplierMetrics?.cancellations.cancellationRate)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3">
+                            {canManage && (
+                              <button type="button" className="text-primary-600 hover:text-primary-900" onClick={() => openEdit(supplier)}>
+                                Edit
+                              </button>
+                            )}
+                            {user?.role === 'Admin' && (
+                              <button type="button" className="text-gray-600 hover:text-gray-900" onClick={() => handleToggleActive(supplier)}>
+                                {supplier.active ? 'Deactivate' : 'Activate'}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Create/Edit Supplier Modal */}
+      <Modal
+        isOpen={!!form}
+        onClose={() => setForm(null)}
+        title={editingId ? 'Edit Supplier' : 'New Supplier'}
+        size="lg"
+      >
+        {form && (
+          <div className="py-4 space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  id="name"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="contactName" className="block text-sm font-medium text-gray-700">Contact</label>
+                <input
+                  id="contactName"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.contactName}
+                  onChange={(e) => setForm({ ...form, contactName: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
+                <input
+                  id="email"
+                  type="email"
+                  className="mt-1 form-input"
+                  value={form.email}
+                  onChange={(e) => setForm({ ...form, email: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="phone" className="block text-sm font-medium text-gray-700">Phone</label>
+                <input
+                  id="phone"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.phone}
+                  onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <label htmlFor="address" className="block text-sm font-medium text-gray-700">Address</label>
+                <input
+                  id="address"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={form.address}
+                  onChange={(e) => setForm({ ...form, address: e.target.value })}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <label htmlFor="contractNumbers" className="block text-sm font-medium text-gray-700">
+                  Contract Numbers (comma separated)
+                </label>
+                <input
+                  id="contractNumbers"
+                  type="text"
+                  className="mt-1 form-input"
+                  value={contractNumbers}
+                  onChange={(e) => setContractNumbers(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-gray-700">Categories</h4>
+              <div className="mt-2 flex flex-wrap gap-4">
+                {assetTypes.map((type) => (
+                  <label key={type} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      className="form-checkbox mr-2"
+                      checked={(form.categories || []).includes(type)}
+                      onChange={() => toggleCategory(type)}
+                    />
+                    {type}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="notes" className="block text-sm font-medium text-gray-700">Notes</label>
+              <textarea
+                id="notes"
+                rows={2}
+                className="mt-1 form-textarea"
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              />
+            </div>
+
+            <div className="flex justify-end space-x-3">
+              <button type="button" className="btn btn-secondary" onClick={() => setForm(null)} disabled={isSaving}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={isSaving}>
+                {isSaving ? 'Saving...' : 'Save Supplier'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default SuppliersPage;
@@ -3,13 +3,16 @@ import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Link from 'next/link';
 import { format } from 'date-fns';
-import { ArrowLeftIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { ArrowLeftIcon, CheckIcon, XMarkIcon, TruckIcon, InboxArrowDownIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '@/contexts/AuthContext';
 import { transferService } from '@/services/transferService';
 import { useNotificationStore } from '@/stores/notificationStore';
 import LoadingScreen from '@/components/ui/LoadingScreen';
 import Modal from '@/components/ui/Modal';
-import { Transfer } from '@/types/transfer';
+import ApprovalChain, { canDecideApproval } from '@/components/approvals/ApprovalChain';
+import SerialNumberPicker from '@/components/assets/SerialNumberPicker';
+import LotList from '@/components/assets/LotList';
+import { Transfer, TransferShortage } from '@/types/transfer';
 import toast from 'react-hot-toast';
 
 const TransferDetailPage = () => {
@@ -22,9 +25,23 @@ const TransferDetailPage = () => {
   
   // State for action modals
   const [showApproveModal, setShowApproveModal] = useState(false);
+  const [showRejectModal, setShowRejectModal] = useState(false);
+  const [rejectionReason, setRejectionReason] = useState('');
   const [showCancelModal, setShowCancelModal] = useState(false);
+  const [showDispatchModal, setShowDispatchModal] = useState(false);
+  const [showReceiveModal, setShowReceiveModal] = useState(false);
+  const [receivedQuantity, setReceivedQuantity] = useState(0);
+  const [discrepancies, setDiscrepancies] = useState('');
+  const [damagedQuantity, setDamagedQuantity] = useState(0);
+  const [damagedResolution, setDamagedResolution] = useState<TransferShortage['resolution']>('ReturnedToSource');
+  const [lostQuantity, setLostQuantity] = useState(0);
+  // Items short on receipt, for serialized transfers
+  const [damagedSerials, setDamagedSerials] = useState<string[]>([]);
+  const [lostSerials, setLostSerials] = useState<string[]>([]);
   const [isProcessing, setIsProcessing] = useState(false);
 
+  const isSerialized = !!transfer?.serialNumbers?.length;
+
   // Fetch transfer details
   useEffect(() => {
     if (!id) return;
@@ -52,24 +69,165 @@ const TransferDetailPage = () => {
     
     setIsProcessing(true);
     try {
-      const updatedTransfer = await transferService.approveTransfer(id as string);
+      await transferService.approveTransfer(id as string);
       
-      // Add notification
+      // Reload to pick up the recorded step of the approval chain
+      const updatedTransfer = await transferService.getTransferById(id as string);
+      
+      // Multi-step workflows stay Requested until the last step approves
       addNotification({
         type: 'success',
-        title: 'Transfer Approved',
-        message: `Transfer of ${updatedTransfer.quantity} ${updatedTransfer.assetName} has been approved.`
+        title: updatedTransfer.status === 'Approved' ? 'Transfer Approved' : 'Approval Recorded',
+        message: updatedTransfer.status === 'Approved'
+          ? `Transfer of ${updatedTransfer.quantity} ${updatedTransfer.assetName} has been approved.`
+          : `Your approval of the transfer of ${updatedTransfer.quantity} ${updatedTransfer.assetName} has been recorded.`
       });
       
-      toast.success('Transfer approved successfully');
+      toast.success('Approval recorded successfully');
       
       // Update the local state to reflect the change
       setTransfer(updatedTransfer);
       setShowApproveModal(false);
       
-    } catch (error) {
+    } catch (error: any) {
       console.error('Error approving transfer:', error);
-      toast.error('Failed to approve transfer');
+      toast.error(error.response?.data?.error || 'Failed to approve transfer');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle reject transfer
+  const handleReject = async () => {
+    if (!id) return;
+    
+    if (!rejectionReason.trim()) {
+      toast.error('Please give a reason for the rejection');
+      return;
+    }
+    
+    setIsProcessing(true);
+    try {
+      await transferService.rejectTransfer(id as string, rejectionReason.trim());
+      const updatedTransfer = await transferService.getTransferById(id as string);
+      
+      addNotification({
+        type: 'warning',
+        title: 'Transfer Rejected',
+        message: `Transfer of ${updatedTransfer.quantity} ${updatedTransfer.assetName} has been rejected.`
+      });
+      
+      toast.success('Transfer rejected');
+      
+      setTransfer(updatedTransfer);
+      setShowRejectModal(false);
+      setRejectionReason('');
+      
+    } catch (error: any) {
+      console.error('Error rejecting transfer:', error);
+      toast.error(error.response?.data?.error || 'Failed to reject transfer');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Handle dispatch transfer
+  const handleDispatch = async () => {
+    if (!id) return;
+    
+    setIsProcessing(true);
+    try {
+      const updatedTransfer = await transferService.dispatchTransfer(id as string);
+      
+      addNotification({
+        type: 'success',
+        title: 'Transfer Dispatched',
+        message: `${updatedTransfer.quantity} ${updatedTransfer.assetName} dispatched to ${updatedTransfer.toBase}.`
+      });
+      
+      toast.success('Transfer dispatched successfully');
+      
+      setTransfer({ ...updatedTransfer, approvals: transfer?.approvals });
+      setShowDispatchModal(false);
+      
+    } catch (error: any) {
+      console.error('Error dispatching transfer:', error);
+      toast.error(error.response?.data?.error || 'Failed to dispatch transfer');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Open the receipt modal with the dispatched quantity filled in
+  const openReceiveModal = () => {
+    if (!transfer) return;
+    
+    setReceivedQuantity(transfer.quantity);
+    setDiscrepancies('');
+    setDamagedQuantity(0);
+    setDamagedResolution('ReturnedToSource');
+    setLostQuantity(0);
+    setDamagedSerials([]);
+    setLostSerials([]);
+    setShowReceiveModal(true);
+  };
+
+  // Handle receive transfer
+  const handleReceive = async () => {
+    if (!id || !transfer) return;
+    
+    // Damaged and lost items must account for the whole shortfall
+    if (!isSerialized && damagedQuantity + lostQuantity !== transfer.quantity - receivedQuantity) {
+      toast.error('Damaged and lost quantities must add up to the shortfall');
+      return;
+    }
+    
+    const shortages: TransferShortage[] = [];
+    if (isSerialized) {
+      if (damagedSerials.length > 0) {
+        shortages.push({
+          quantity: damagedSerials.length,
+          reason: 'Damaged',
+          resolution: damagedResolution,
+          serialNumbers: damagedSerials,
+        });
+      }
+      if (lostSerials.length > 0) {
+        shortages.push({ quantity: lostSerials.length, reason: 'Lost', resolution: 'WrittenOff', serialNumbers: lostSerials });
+      }
+    } else {
+      if (damagedQuantity > 0) {
+        shortages.push({ quantity: damagedQuantity, reason: 'Damaged', resolution: damagedResolution });
+      }
+      if (lostQuantity > 0) {
+        shortages.push({ quantity: lostQuantity, reason: 'Lost', resolution: 'WrittenOff' });
+      }
+    }
+    
+    setIsProcessing(true);
+    try {
+      const updatedTransfer = await transferService.receiveTransfer(id as string, {
+        receivedQuantity: isSerialized
+          ? transfer.quantity - damagedSerials.length - lostSerials.length
+          : receivedQuantity,
+        discrepancies: discrepancies.trim() || undefined,
+        shortages
+      });
+      
+      addNotification({
+        type: 'success',
+        title: 'Transfer Received',
+        message: `${updatedTransfer.receivedQuantity} of ${updatedTransfer.quantity} ${updatedTransfer.assetName} received at ${updatedTransfer.toBase}.`
+      });
+      
+      toast.success('Transfer received successfully');
+      
+      setTransfer({ ...updatedTransfer, approvals: transfer?.approvals });
+      setShowReceiveModal(false);
+      
+    } catch (error: any) {
+      console.error('Error receiving transfer:', error);
+      toast.error(error.response?.data?.error || 'Failed to receive transfer');
     } finally {
       setIsProcessing(false);
     }
@@ -92,8 +250,8 @@ const TransferDetailPage = () => {
       
       toast.success('Transfer cancelled successfully');
       
-      // Update the local state to reflect the change
-      setTransfer(updatedTransfer);
+      // Reload to show the cancelled approval request
+      setTransfer(await transferService.getTransferById(id as string));
       setShowCancelModal(false);
       
     } catch (error) {
@@ -106,10 +264,14 @@ const TransferDetailPage = () => {
 
   const getStatusBadgeClass = (status: string) => {
     switch (status) {
-      case 'Completed':
+      case 'Received':
         return 'bg-green-100 text-green-800';
-      case 'Pending':
+      case 'Requested':
         return 'bg-yellow-100 text-yellow-800';
+      case 'Approved':
+      case 'Dispatched':
+        return 'bg-blue-100 text-blue-800';
+      case 'Rejected':
       case 'Cancelled':
         return 'bg-red-100 text-red-800';
       default:
@@ -117,22 +279,49 @@ const TransferDetailPage = () => {
     }
   };
 
-  // Check if user can approve transfers
+  // The approval chain currently in progress, if any
+  const pendingApproval = transfer?.approvals?.find(approval => approval.status === 'Pending');
+  const latestApproval = transfer?.approvals?.[0];
+  
+  // Check if user can decide the current approval step
   const canApprove = () => {
     if (!transfer || !user) return false;
-    if (transfer.status !== 'Pending') return false;
+    if (transfer.status !== 'Requested') return false;
     
-    return user.role === 'Admin' || 
-      (user.role === 'BaseCommander' && user.assignedBase === transfer.toBase);
+    // Transfers requested before approval workflows use the default chain
+    if (!pendingApproval) {
+      return transfer.transferredBy?._id !== user._id && (user.role === 'Admin' ||
+        (user.role === 'BaseCommander' && user.assignedBase === transfer.toBase));
+    }
+    
+    return canDecideApproval(pendingApproval, user);
   };
   
   // Check if user can cancel transfers
   const canCancel = () => {
     if (!transfer || !user) return false;
-    if (transfer.status !== 'Pending') return false;
+    if (!['Requested', 'Approved'].includes(transfer.status)) return false;
     
     return user.role === 'Admin' || user.role === 'LogisticsOfficer';
   };
+  
+  // Check if user can dispatch from the source base
+  const canDispatch = () => {
+    if (!transfer || !user) return false;
+    if (transfer.status !== 'Approved') return false;
+    
+    return user.role === 'Admin' || user.role === 'LogisticsOfficer' ||
+      (user.role === 'BaseCommander' && user.assignedBase === transfer.fromBase);
+  };
+  
+  // Check if user can confirm receipt at the destination base
+  const canReceive = () => {
+    if (!transfer || !user) return false;
+    if (transfer.status !== 'Dispatched') return false;
+    
+    return user.role === 'Admin' || user.role === 'LogisticsOfficer' ||
+      (user.role === 'BaseCommander' && user.assignedBase === transfer.toBase);
+  };
 
   if (isLoading) return <LoadingScreen />;
 
@@ -216,6 +405,14 @@ const TransferDetailPage = () => {
                   <dt className="text-sm font-medium text-gray-500">Quantity</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
                     {transfer.quantity}
+                    {isSerialized && (
+                      <p className="mt-1 font-mono text-xs text-gray-500">{transfer.serialNumbers?.join(', ')}</p>
+                    )}
+                    {transfer.lots && transfer.lots.length > 0 && (
+                      <div className="mt-1">
+                        <LotList lots={transfer.lots} />
+                      </div>
+                    )}
                   </dd>
                 </div>
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
@@ -236,6 +433,73 @@ const TransferDetailPage = () => {
                     {transfer.transferredBy.fullName}
                   </dd>
                 </div>
+                {transfer.rejectedAt && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Rejected</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {format(new Date(transfer.rejectedAt), 'PPP p')}
+                      {transfer.rejectedBy && ` by ${transfer.rejectedBy.fullName}`}
+                      {transfer.rejectionReason && (
+                        <p className="text-xs text-gray-500">{transfer.rejectionReason}</p>
+                      )}
+                    </dd>
+                  </div>
+                )}
+                {transfer.dispatchedAt && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Dispatched</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {format(new Date(transfer.dispatchedAt), 'PPP p')}
+                      {transfer.dispatchedBy && ` by ${transfer.dispatchedBy.fullName}`}
+                    </dd>
+                  </div>
+                )}
+                {transfer.receivedAt && (
+                  <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Received</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {transfer.receivedQuantity} of {transfer.quantity} on {format(new Date(transfer.receivedAt), 'PPP p')}
+                      {transfer.receivedBy && ` by ${transfer.receivedBy.fullName}`}
+                    </dd>
+                  </div>
+                )}
+                {transfer.discrepancies && (
+                  <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Discrepancies</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      {transfer.discrepancies}
+                    </dd>
+                  </div>
+                )}
+                {transfer.shortages && transfer.shortages.length > 0 && (
+                  <div className="bg-white px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">Shortages</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                      <ul className="space-y-1">
+                        {transfer.shortages.map((shortage, index) => (
+                          <li key={shortage._id || index}>
+                            {shortage.quantity} {shortage.reason.toLowerCase()}
+                            {shortage.resolution === 'WrittenOff' ? ' — written off at ' : ' — returned to '}
+                            {transfer.fromBase}
+                            {shortage.expenditure && (
+                              <Link
+                                href={`/expenditures/${shortage.expenditure}`}
+                                className="ml-2 text-primary-600 hover:text-primary-900"
+                              >
+                                View expenditure
+                              </Link>
+                            )}
+                            {shortage.serialNumbers && shortage.serialNumbers.length > 0 && (
+                              <p className="font-mono text-xs text-gray-500">{shortage.serialNumbers.join(', ')}</p>
+                            )}
+                            {shortage.lots && shortage.lots.length > 0 && <LotList lots={shortage.lots} />}
+                            {shortage.notes && <p className="text-xs text-gray-500">{shortage.notes}</p>}
+                          </li>
+                        ))}
+                      </ul>
+                    </dd>
+                  </div>
+                )}
                 <div className="bg-gray-50 px-4 py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                   <dt className="text-sm font-medium text-gray-500">Created At</dt>
                   <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
@@ -260,6 +524,9 @@ const TransferDetailPage = () => {
             </div>
           </div>
 
+          {/* Approval chain */}
+          {latestApproval && <ApprovalChain approval={latestApproval} />}
+
           {/* Action buttons */}
           <div className="flex justify-end space-x-4">
             {canCancel() && (
@@ -272,6 +539,16 @@ const TransferDetailPage = () => {
                 Cancel Transfer
               </button>
             )}
+            {canApprove() && (
+              <button
+                type="button"
+                className="btn btn-danger"
+                onClick={() => setShowRejectModal(true)}
+              >
+                <XMarkIcon className="h-5 w-5 mr-2" />
+                Reject
+              </button>
+            )}
             {canApprove() && (
               <button
                 type="button"
@@ -282,6 +559,26 @@ const TransferDetailPage = () => {
                 Approve Transfer
               </button>
             )}
+            {canDispatch() && (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => setShowDispatchModal(true)}
+              >
+                <TruckIcon className="h-5 w-5 mr-2" />
+                Dispatch
+              </button>
+            )}
+            {canReceive() && (
+              <button
+                type="button"
+                className="btn btn-success"
+                onClick={openReceiveModal}
+              >
+                <InboxArrowDownIcon className="h-5 w-5 mr-2" />
+                Confirm Receipt
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -329,6 +626,256 @@ const TransferDetailPage = () => {
         </div>
       </Modal>
 
+      {/* Reject Transfer Modal */}
+      <Modal
+        isOpen={showRejectModal}
+        onClose={() => setShowRejectModal(false)}
+        title="Reject Transfer"
+        size="sm"
+      >
+        <div className="py-4 space-y-4">
+          <p className="text-gray-700">
+            Reject the transfer of <span className="font-semibold">{transfer.quantity} {transfer.assetName}</span> from <span className="font-semibold">{transfer.fromBase}</span> to <span className="font-semibold">{transfer.toBase}</span>?
+          </p>
+          
+          <div>
+            <label htmlFor="rejectionReason" className="block text-sm font-medium text-gray-700">
+              Reason
+            </label>
+            <textarea
+              id="rejectionReason"
+              rows={3}
+              className="mt-1 form-textarea"
+              value={rejectionReason}
+              onChange={(e) => setRejectionReason(e.target.value)}
+            />
+          </div>
+          
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowRejectModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-danger"
+              onClick={handleReject}
+              disabled={isProcessing}
+            >
+              {isProcessing ? 'Processing...' : 'Reject Transfer'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Dispatch Transfer Modal */}
+      <Modal
+        isOpen={showDispatchModal}
+        onClose={() => setShowDispatchModal(false)}
+        title="Dispatch Transfer"
+        size="sm"
+      >
+        <div className="py-4">
+          <p className="text-gray-700">
+            Dispatch <span className="font-semibold">{transfer.quantity} {transfer.assetName}</span> from <span className="font-semibold">{transfer.fromBase}</span>? The quantity leaves {transfer.fromBase}'s stock and stays in transit until {transfer.toBase} confirms receipt.
+          </p>
+          
+          <div className="mt-6 flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowDispatchModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleDispatch}
+              disabled={isProcessing}
+            >
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Processing...
+                </span>
+              ) : (
+                'Dispatch'
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Receive Transfer Modal */}
+      <Modal
+        isOpen={showReceiveModal}
+        onClose={() => setShowReceiveModal(false)}
+        title="Confirm Receipt"
+        size="md"
+      >
+        <div className="py-4 space-y-4">
+          <p className="text-gray-700">
+            {transfer.quantity} {transfer.assetName} were dispatched from {transfer.fromBase}.
+          </p>
+          
+          {!isSerialized && (
+            <div>
+              <label htmlFor="receivedQuantity" className="block text-sm font-medium text-gray-700">
+                Received Quantity
+              </label>
+              <input
+                type="number"
+                id="receivedQuantity"
+                className="mt-1 form-input"
+                min={0}
+                max={transfer.quantity}
+                value={receivedQuantity}
+                onChange={(e) => setReceivedQuantity(Number(e.target.value))}
+              />
+            </div>
+          )}
+          
+          {isSerialized && (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Damaged Items</label>
+                <div className="mt-1">
+                  <SerialNumberPicker
+                    options={(transfer.serialNumbers || []).filter((serial) => !lostSerials.includes(serial))}
+                    selected={damagedSerials}
+                    onChange={setDamagedSerials}
+                  />
+                </div>
+                {damagedSerials.length > 0 && (
+                  <select
+                    className="mt-2 form-select"
+                    value={damagedResolution}
+                    onChange={(e) => setDamagedResolution(e.target.value as TransferShortage['resolution'])}
+                  >
+                    <option value="ReturnedToSource">Return to {transfer.fromBase}</option>
+                    <option value="WrittenOff">Write off</option>
+                  </select>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Lost Items (written off)</label>
+                <div className="mt-1">
+                  <SerialNumberPicker
+                    options={(transfer.serialNumbers || []).filter((serial) => !damagedSerials.includes(serial))}
+                    selected={lostSerials}
+                    onChange={setLostSerials}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500">
+                {transfer.quantity - damagedSerials.length - lostSerials.length} of {transfer.quantity} items will be
+                received at {transfer.toBase}.
+              </p>
+            </div>
+          )}
+          
+          {!isSerialized && receivedQuantity < transfer.quantity && (
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              <div>
+                <label htmlFor="damagedQuantity" className="block text-sm font-medium text-gray-700">
+                  Damaged
+                </label>
+                <input
+                  type="number"
+                  id="damagedQuantity"
+                  className="mt-1 form-input"
+                  min={0}
+                  value={damagedQuantity}
+                  onChange={(e) => setDamagedQuantity(Number(e.target.value))}
+                />
+              </div>
+              <div>
+                <label htmlFor="damagedResolution" className="block text-sm font-medium text-gray-700">
+                  Damaged Items
+                </label>
+                <select
+                  id="damagedResolution"
+                  className="mt-1 form-select"
+                  value={damagedResolution}
+                  onChange={(e) => setDamagedResolution(e.target.value as TransferShortage['resolution'])}
+                >
+                  <option value="ReturnedToSource">Return to {transfer.fromBase}</option>
+                  <option value="WrittenOff">Write off</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="lostQuantity" className="block text-sm font-medium text-gray-700">
+                  Lost (written off)
+                </label>
+                <input
+                  type="number"
+                  id="lostQuantity"
+                  className="mt-1 form-input"
+                  min={0}
+                  value={lostQuantity}
+                  onChange={(e) => setLostQuantity(Number(e.target.value))}
+                />
+              </div>
+              <p className="sm:col-span-3 text-xs text-gray-500">
+                Damaged and lost items must add up to the shortfall of {transfer.quantity - receivedQuantity}.
+              </p>
+            </div>
+          )}
+          
+          <div>
+            <label htmlFor="discrepancies" className="block text-sm font-medium text-gray-700">
+              Discrepancies
+            </label>
+            <textarea
+              id="discrepancies"
+              rows={3}
+              className="mt-1 form-textarea"
+              placeholder="Optional"
+              value={discrepancies}
+              onChange={(e) => setDiscrepancies(e.target.value)}
+            />
+          </div>
+          
+          <div className="mt-6 flex justify-end space-x-3">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setShowReceiveModal(false)}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-success"
+              onClick={handleReceive}
+              disabled={isProcessing || receivedQuantity < 0 || receivedQuantity > transfer.quantity}
+            >
+              {isProcessing ? (
+                <span className="flex items-center">
+                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                  </svg>
+                  Processing...
+                </span>
+              ) : (
+                'Confirm Receipt'
+              )}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Cancel Transfer Modal */}
       <Modal
         isOpen={showCancelModal}
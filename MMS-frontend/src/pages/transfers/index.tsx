@@ -118,23 +118,25 @@ const TransfersPage = () => {
     try {
       const updatedTransfer = await transferService.approveTransfer(selectedTransfer._id);
       
-      // Add notification
+      // Multi-step workflows stay Requested until the last step approves
       addNotification({
         type: 'success',
-        title: 'Transfer Approved',
-        message: `Transfer of ${updatedTransfer.quantity} ${updatedTransfer.assetName} has been approved.`
+        title: updatedTransfer.status === 'Approved' ? 'Transfer Approved' : 'Approval Recorded',
+        message: updatedTransfer.status === 'Approved'
+          ? `Transfer of ${updatedTransfer.quantity} ${updatedTransfer.assetName} has been approved.`
+          : `Your approval of the transfer of ${updatedTransfer.quantity} ${updatedTransfer.assetName} has been recorded.`
       });
       
-      toast.success('Transfer approved successfully');
+      toast.success('Approval recorded successfully');
       
       // Close modal and refresh transfer list
       setShowApproveModal(false);
       setSelectedTransfer(null);
       fetchTransfers();
       
-    } catch (error) {
+    } catch (error: any) {
       console.error('Error approving transfer:', error);
-      toast.error('Failed to approve transfer');
+      toast.error(error.response?.data?.error || 'Failed to approve transfer');
     } finally {
       setIsProcessing(false);
     }
@@ -178,10 +180,14 @@ const TransfersPage = () => {
   // Helper function for status badge styling
   const getStatusBadgeClass = (status: string) => {
     switch (status) {
-      case 'Completed':
+      case 'Received':
         return 'bg-green-100 text-green-800';
-      case 'Pending':
+      case 'Requested':
         return 'bg-yellow-100 text-yellow-800';
+      case 'Approved':
+      case 'Dispatched':
+        return 'bg-blue-100 text-blue-800';
+      case 'Rejected':
       case 'Cancelled':
         return 'bg-red-100 text-red-800';
       default:
@@ -192,17 +198,19 @@ const TransfersPage = () => {
   // Check if user can create transfers
   const canCreateTransfer = user?.role === 'Admin' || user?.role === 'LogisticsOfficer';
   
-  // Check if user can approve transfers
+  // Check if user may hold an approval step; the server checks the
+  // transfer's workflow, and other approvers use the Approvals queue
   const canApproveTransfer = (transfer: Transfer) => {
-    if (transfer.status !== 'Pending') return false;
+    if (transfer.status !== 'Requested') return false;
     
     return user?.role === 'Admin' || 
-      (user?.role === 'BaseCommander' && user.assignedBase === transfer.toBase);
+      (user?.role === 'BaseCommander' &&
+        (user.assignedBase === transfer.toBase || user.assignedBase === transfer.fromBase));
   };
   
   // Check if user can cancel transfers
   const canCancelTransfer = (transfer: Transfer) => {
-    if (transfer.status !== 'Pending') return false;
+    if (!['Requested', 'Approved'].includes(transfer.status)) return false;
     
     return user?.role === 'Admin' || user?.role === 'LogisticsOfficer';
   };
@@ -288,8 +296,11 @@ const TransfersPage = () => {
                     onChange={(e) => handleFilterChange({ ...filters, status: e.target.value })}
                   >
                     <option value="">All Statuses</option>
-                    <option value="Pending">Pending</option>
-                    <option value="Completed">Completed</option>
+                    <option value="Requested">Requested</option>
+                    <option value="Approved">Approved</option>
+                    <option value="Dispatched">In Transit</option>
+                    <option value="Received">Received</option>
+                    <option value="Rejected">Rejected</option>
                     <option value="Cancelled">Cancelled</option>
                   </select>
                 </div>
@@ -9,8 +9,10 @@ import { assetService } from '@/services/assetService';
 import { transferService } from '@/services/transferService';
 import { useNotificationStore } from '@/stores/notificationStore';
 import LoadingScreen from '@/components/ui/LoadingScreen';
+import SerialNumberPicker from '@/components/assets/SerialNumberPicker';
+import LotAllocationPicker, { toLotAllocation } from '@/components/assets/LotAllocationPicker';
 import toast from 'react-hot-toast';
-import { Asset } from '@/types/asset';
+import { Asset, LotResponse } from '@/types/asset';
 
 // List of bases
 const bases = ['Base Alpha', 'Base Bravo', 'Base Charlie'];
@@ -36,6 +38,10 @@ const NewTransferPage = () => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [availableAssets, setAvailableAssets] = useState<Asset[]>([]);
   const [selectedAsset, setSelectedAsset] = useState<Asset | null>(null);
+  const [availableSerials, setAvailableSerials] = useState<string[]>([]);
+  const [selectedSerials, setSelectedSerials] = useState<string[]>([]);
+  const [lotData, setLotData] = useState<LotResponse | null>(null);
+  const [lotAllocation, setLotAllocation] = useState<Record<string, string>>({});
   const { asset: assetId } = router.query;
 
   // Check if user has permission to create transfers
@@ -105,6 +111,16 @@ const NewTransferPage = () => {
       try {
         setIsSubmitting(true);
         
+        // Serialized assets transfer the items picked
+        if (selectedAsset?.serialized) {
+          if (selectedSerials.length === 0) {
+            toast.error('Select the serial numbers to transfer');
+            setIsSubmitting(false);
+            return;
+          }
+          values = { ...values, quantity: selectedSerials.length };
+        }
+        
         // Check if quantity is valid
         if (selectedAsset && values.quantity > selectedAsset.available) {
           toast.error(`Cannot transfer more than available quantity (${selectedAsset.available})`);
@@ -112,8 +128,20 @@ const NewTransferPage = () => {
           return;
         }
         
+        // Lots named for the transfer must cover the whole quantity
+        const lots = toLotAllocation(lotAllocation);
+        if (lots.length && lots.reduce((sum, lot) => sum + lot.quantity, 0) !== values.quantity) {
+          toast.error('Lot quantities must add up to the quantity transferred');
+          setIsSubmitting(false);
+          return;
+        }
+        
         // Create the transfer
-        const newTransfer = await transferService.createTransfer(values);
+        const newTransfer = await transferService.createTransfer({
+          ...values,
+          serialNumbers: selectedAsset?.serialized ? selectedSerials : undefined,
+          lots: lots.length ? lots : undefined,
+        });
         
         // Add notification
         addNotification({
@@ -145,6 +173,30 @@ const NewTransferPage = () => {
     }
   }, [formik.values.asset, availableAssets]);
 
+  // Load the serial numbers in stock for serialized assets
+  useEffect(() => {
+    setSelectedSerials([]);
+    setAvailableSerials([]);
+    if (!selectedAsset?.serialized) return;
+    
+    assetService
+      .getAssetItems(selectedAsset._id, { status: 'Available' })
+      .then(({ items }) => setAvailableSerials(items.filter((item) => item.asset === selectedAsset._id).map((item) => item.serialNumber)))
+      .catch(() => toast.error('Failed to load serial numbers'));
+  }, [selectedAsset]);
+
+  // Load the lots in stock for lot-tracked assets
+  useEffect(() => {
+    setLotAllocation({});
+    setLotData(null);
+    if (!selectedAsset?.lotTracked) return;
+    
+    assetService
+      .getAssetLots(selectedAsset._id)
+      .then(setLotData)
+      .catch(() => toast.error('Failed to load lots'));
+  }, [selectedAsset]);
+
   // If not admin or logistics officer, don't render the page
   if (user && user.role !== 'Admin' && user.role !== 'LogisticsOfficer') {
     return null;
@@ -290,9 +342,10 @@ const NewTransferPage = () => {
                           className={`form-input ${
                             formik.touched.quantity && formik.errors.quantity ? 'border-red-500' : ''
                           }`}
-                          value={formik.values.quantity}
+                          value={selectedAsset?.serialized ? selectedSerials.length : formik.values.quantity}
                           onChange={formik.handleChange}
                           onBlur={formik.handleBlur}
+                          disabled={!!selectedAsset?.serialized}
                         />
                         {formik.touched.quantity && formik.errors.quantity && (
                           <p className="mt-2 text-sm text-red-600">{formik.errors.quantity}</p>
@@ -305,6 +358,40 @@ const NewTransferPage = () => {
                       </div>
                     </div>
 
+                    {/* Serial numbers */}
+                    {selectedAsset?.serialized && (
+                      <div className="sm:col-span-6">
+                        <label className="block text-sm font-medium text-gray-700">Serial Numbers</label>
+                        <div className="mt-1">
+                          <SerialNumberPicker
+                            options={availableSerials}
+                            selected={selectedSerials}
+                            onChange={setSelectedSerials}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Lots */}
+                    {selectedAsset?.lotTracked && (
+                      <div className="sm:col-span-6">
+                        <label className="block text-sm font-medium text-gray-700">Lots</label>
+                        <div className="mt-1">
+                          {lotData ? (
+                            <LotAllocationPicker
+                              lots={lotData.lots}
+                              allocation={lotAllocation}
+                              onChange={setLotAllocation}
+                              quantity={Number(formik.values.quantity)}
+                              expiryWarningDays={lotData.expiryWarningDays}
+                            />
+                          ) : (
+                            <p className="text-sm text-gray-500">Loading lots...</p>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
                     {/* Notes */}
                     <div className="sm:col-span-6">
                       <label htmlFor="notes" className="block text-sm font-medium text-gray-700">
@@ -1,5 +1,6 @@
 import axios, { AxiosError, AxiosRequestConfig, AxiosResponse } from 'axios';
 import toast from 'react-hot-toast';
+import { useMaintenanceStore } from '@/stores/maintenanceStore';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000/api';
 
@@ -60,6 +61,14 @@ api.interceptors.response.use(
           // Server error
           toast.error('An unexpected error occurred. Please try again later.');
           break;
+        case 503:
+          // Maintenance mode: show the banner instead of an error toast
+          if ((response.data as any)?.maintenanceMode) {
+            useMaintenanceStore.getState().setMaintenanceMode(true, (response.data as any).message);
+          } else {
+            toast.error('The service is temporarily unavailable. Please try again later.');
+          }
+          break;
         default:
           // Other errors
          const errorMessage = (response.data as any).error || (response.data as any).message || 'An error occurred';
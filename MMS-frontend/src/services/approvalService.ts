@@ -0,0 +1,109 @@
+import { get, post, put, del } from './api';
+import {
+  ApprovalRequest,
+  ApprovalRequestResponse,
+  ApprovalWorkflow,
+  ApprovalWorkflowStep,
+} from '@/types/approval';
+
+interface MessageResponse {
+  message: string;
+}
+
+export type ApprovalWorkflowInput = {
+  name: string;
+  description?: string;
+  actionType: ApprovalWorkflow['actionType'];
+  base?: string;
+  assetType?: string;
+  quantityOver?: number;
+  costOver?: number;
+  priority?: number;
+  steps: ApprovalWorkflowStep[];
+  active?: boolean;
+};
+
+export const approvalService = {
+  /**
+   * Get the approval requests waiting on the current user
+   * GET /approvals/pending
+   */
+  getPendingApprovals: async (params?: {
+    actionType?: string;
+    limit?: number;
+    skip?: number;
+  }): Promise<ApprovalRequestResponse> => {
+    return get<ApprovalRequestResponse>('/approvals/pending', { params });
+  },
+
+  /**
+   * Get approval requests
+   * GET /approvals
+   */
+  getApprovals: async (params?: {
+    status?: string;
+    actionType?: string;
+    resourceType?: string;
+    resourceId?: string;
+    limit?: number;
+    skip?: number;
+  }): Promise<ApprovalRequestResponse> => {
+    return get<ApprovalRequestResponse>('/approvals', { params });
+  },
+
+  /**
+   * Get approval request by ID with every recorded step
+   * GET /approvals/:id
+   */
+  getApprovalById: async (id: string): Promise<ApprovalRequest> => {
+    return get<ApprovalRequest>(`/approvals/${id}`);
+  },
+
+  /**
+   * Approve the current step of an approval request
+   * PUT /approvals/:id/approve
+   */
+  approveRequest: async (id: string, comments?: string): Promise<ApprovalRequest> => {
+    return put<ApprovalRequest>(`/approvals/${id}/approve`, { comments });
+  },
+
+  /**
+   * Reject an approval request with a reason
+   * PUT /approvals/:id/reject
+   */
+  rejectRequest: async (id: string, reason: string): Promise<ApprovalRequest> => {
+    return put<ApprovalRequest>(`/approvals/${id}/reject`, { reason });
+  },
+
+  /**
+   * Get approval workflows
+   * GET /approval-workflows
+   */
+  getWorkflows: async (params?: { actionType?: string; active?: boolean }): Promise<ApprovalWorkflow[]> => {
+    return get<ApprovalWorkflow[]>('/approval-workflows', { params });
+  },
+
+  /**
+   * Create an approval workflow (Admin only)
+   * POST /approval-workflows
+   */
+  createWorkflow: async (workflowData: ApprovalWorkflowInput): Promise<ApprovalWorkflow> => {
+    return post<ApprovalWorkflow>('/approval-workflows', workflowData);
+  },
+
+  /**
+   * Update an approval workflow (Admin only)
+   * PUT /approval-workflows/:id
+   */
+  updateWorkflow: async (id: string, workflowData: Partial<ApprovalWorkflowInput>): Promise<ApprovalWorkflow> => {
+    return put<ApprovalWorkflow>(`/approval-workflows/${id}`, workflowData);
+  },
+
+  /**
+   * Delete an approval workflow (Admin only)
+   * DELETE /approval-workflows/:id
+   */
+  deleteWorkflow: async (id: string): Promise<MessageResponse> => {
+    return del<MessageResponse>(`/approval-workflows/${id}`);
+  },
+};
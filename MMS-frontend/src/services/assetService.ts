@@ -1,5 +1,17 @@
 import { get, post, put, del } from './api';
-import { Asset } from '@/types/asset';
+import {
+  Asset,
+  StockMovementResponse,
+  StockMovementType,
+  BalanceVerification,
+  SerializedItem,
+  SerializedItemCondition,
+  SerializedItemResponse,
+  SerializedItemStatus,
+  Lot,
+  LotRecord,
+  LotResponse,
+} from '@/types/asset';
 
 interface AssetResponse {
   assets: Asset[];
@@ -55,6 +67,10 @@ export const assetService = {
     type: string;
     base: string;
     openingBalance: number;
+    serialized?: boolean;
+    serialNumbers?: string[];
+    lotTracked?: boolean;
+    lots?: LotRecord[];
   }): Promise<Asset> => {
     return post<Asset>('/assets', assetData);
   },
@@ -69,6 +85,8 @@ export const assetService = {
     name?: string;
     type?: string;
     openingBalance?: number;
+    serialized?: boolean;
+    lotTracked?: boolean;
   }): Promise<Asset> => {
     return put<Asset>(`/assets/${id}`, assetData);
   },
@@ -102,4 +120,98 @@ export const assetService = {
   getAssetsByType: async (type: string): Promise<Asset[]> => {
     return get<Asset[]>(`/assets/type/${type}`);
   },
+  
+  /**
+   * Get the stock movement history of an asset
+   * GET /assets/:id/movements
+   * 
+   * The token will be automatically added to the request header
+   */
+  getAssetMovements: async (id: string, params?: {
+    type?: StockMovementType;
+    startDate?: string;
+    endDate?: string;
+    sortOrder?: 'asc' | 'desc';
+    limit?: number;
+    skip?: number;
+  }): Promise<StockMovementResponse> => {
+    return get<StockMovementResponse>(`/assets/${id}/movements`, { params });
+  },
+  
+  /**
+   * Check an asset's stored balances against its stock ledger
+   * GET /assets/:id/verify
+   * 
+   * The token will be automatically added to the request header
+   */
+  verifyAssetBalances: async (id: string): Promise<BalanceVerification> => {
+    return get<BalanceVerification>(`/assets/${id}/verify`);
+  },
+  
+  /**
+   * Get the serialized items booked to an asset, with their custody history
+   * GET /assets/:id/items
+   * 
+   * The token will be automatically added to the request header
+   */
+  getAssetItems: async (id: string, params?: {
+    status?: SerializedItemStatus;
+    serialNumber?: string;
+  }): Promise<SerializedItemResponse> => {
+    return get<SerializedItemResponse>(`/assets/${id}/items`, { params });
+  },
+  
+  /**
+   * Record the serial numbers of stock already held (Admin and LogisticsOfficer)
+   * POST /assets/:id/items
+   * 
+   * The token will be automatically added to the request header
+   */
+  registerAssetItems: async (id: string, itemData: {
+    serialNumbers: string[];
+    condition?: SerializedItemCondition;
+    location?: string;
+    notes?: string;
+  }): Promise<SerializedItem[]> => {
+    return post<SerializedItem[]>(`/assets/${id}/items`, itemData);
+  },
+  
+  /**
+   * Update a serialized item (Admin and LogisticsOfficer)
+   * PUT /assets/:id/items/:itemId
+   * 
+   * The token will be automatically added to the request header
+   */
+  updateAssetItem: async (id: string, itemId: string, itemData: {
+    condition?: SerializedItemCondition;
+    location?: string;
+    notes?: string;
+  }): Promise<SerializedItem> => {
+    return put<SerializedItem>(`/assets/${id}/items/${itemId}`, itemData);
+  },
+  
+  /**
+   * Get the lots of a lot-tracked asset, with the stock not in any lot
+   * GET /assets/:id/lots
+   * 
+   * The token will be automatically added to the request header
+   */
+  getAssetLots: async (id: string, params?: {
+    includeEmpty?: boolean;
+  }): Promise<LotResponse> => {
+    return get<LotResponse>(`/assets/${id}/lots`, { params });
+  },
+  
+  /**
+   * Record the lots of stock already held (Admin and LogisticsOfficer)
+   * POST /assets/:id/lots
+   * 
+   * The token will be automatically added to the request header
+   */
+  registerAssetLots: async (id: string, lotData: {
+    lots: LotRecord[];
+    notes?: string;
+  }): Promise<Lot[]> => {
+    return post<Lot[]>(`/assets/${id}/lots`, lotData);
+  },
 };
\ No newline at end of file
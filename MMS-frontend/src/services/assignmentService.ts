@@ -1,11 +1,22 @@
-import { get, post, put } from './api';
-import { Assignment, AssignmentResponse } from '@/types/assignment';
+import api, { get, post, put } from './api';
+import {
+  Assignment,
+  AssignmentResponse,
+  BulkIssueRequest,
+  BulkReturnRequest,
+  BulkAssignmentResponse,
+} from '@/types/assignment';
 
 export const assignmentService = {
   getAssignments: async (params?: any): Promise<AssignmentResponse> => {
     return get<AssignmentResponse>('/assignments', { params });
   },
   
+  // Active assignments past their expected return date, most overdue first
+  getOverdueAssignments: async (params?: any): Promise<AssignmentResponse> => {
+    return get<AssignmentResponse>('/assignments/overdue', { params });
+  },
+  
   getAssignmentById: async (id: string): Promise<Assignment> => {
     return get<Assignment>(`/assignments/${id}`);
   },
@@ -18,10 +29,33 @@ export const assignmentService = {
     return put<Assignment>(`/assignments/${id}`, assignmentData);
   },
   
-  returnAssignment: async (id: string, returnData: { returnedQuantity: number, notes?: string }): Promise<Assignment> => {
+  // Issue each item to every listed person, all or nothing
+  issueToUnit: async (data: BulkIssueRequest): Promise<BulkAssignmentResponse> => {
+    return post<BulkAssignmentResponse>('/assignments/bulk', data);
+  },
+  
+  // Return from several assignments at once, all or nothing
+  bulkReturn: async (data: BulkReturnRequest): Promise<BulkAssignmentResponse> => {
+    return put<BulkAssignmentResponse>('/assignments/bulk/return', data);
+  },
+  
+  returnAssignment: async (id: string, returnData: { returnedQuantity: number, serialNumbers?: string[], notes?: string }): Promise<Assignment> => {
     return put<Assignment>(`/assignments/${id}/return`, returnData);
   },
   
+  /**
+   * Download the hand receipt covering an assignment as a PDF
+   * GET /assignments/:id/receipt
+   */
+  downloadReceipt: async (id: string): Promise<Blob> => {
+    const response = await api.get<Blob>(`/assignments/${id}/receipt`, { responseType: 'blob' });
+    return response.data;
+  },
+  
+  updateExpectedReturnDate: async (id: string, data: { expectedReturnDate: string, notes?: string }): Promise<Assignment> => {
+    return put<Assignment>(`/assignments/${id}/expected-return`, data);
+  },
+  
   updateAssignmentStatus: async (id: string, statusData: { status: string, notes?: string }): Promise<Assignment> => {
     return put<Assignment>(`/assignments/${id}/status`, statusData);
   },
@@ -0,0 +1,54 @@
+import { get, post, put, del } from './api';
+import { Budget, BudgetFormData, BudgetUtilisation } from '@/types/budget';
+
+interface MessageResponse {
+  message: string;
+}
+
+export type BudgetParams = {
+  base?: string;
+  assetType?: string;
+  fiscalYear?: number;
+};
+
+export const budgetService = {
+  /**
+   * Get budgets with their spending
+   * GET /budgets
+   */
+  getBudgets: async (params?: BudgetParams): Promise<Budget[]> => {
+    return get<Budget[]>('/budgets', { params });
+  },
+
+  /**
+   * Get the utilisation of a fiscal year's budgets
+   * GET /budgets/utilisation
+   */
+  getUtilisation: async (params?: BudgetParams): Promise<BudgetUtilisation> => {
+    return get<BudgetUtilisation>('/budgets/utilisation', { params });
+  },
+
+  /**
+   * Create a budget (Admin only)
+   * POST /budgets
+   */
+  createBudget: async (budgetData: BudgetFormData): Promise<Budget> => {
+    return post<Budget>('/budgets', budgetData);
+  },
+
+  /**
+   * Update a budget's amount, enforcement or notes (Admin only)
+   * PUT /budgets/:id
+   */
+  updateBudget: async (id: string, budgetData: Partial<Pick<BudgetFormData, 'amount' | 'enforcement' | 'notes'>>): Promise<Budget> => {
+    return put<Budget>(`/budgets/${id}`, budgetData);
+  },
+
+  /**
+   * Delete a budget (Admin only)
+   * DELETE /budgets/:id
+   */
+  deleteBudget: async (id: string): Promise<MessageResponse> => {
+    return del<MessageResponse>(`/budgets/${id}`);
+  },
+};
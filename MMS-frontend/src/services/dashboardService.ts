@@ -1,4 +1,6 @@
 import { get } from './api';
+import { AccountingPeriod } from './periodService';
+import { BudgetUtilisation } from '@/types/budget';
 
 export interface DashboardSummary {
   totalAssets: number;
@@ -10,6 +12,7 @@ export interface DashboardSummary {
   totalAssigned: number;
   totalExpended: number;
   totalAvailable: number;
+  totalInTransit: number;
 }
 
 export interface AssetTypeStats {
@@ -62,12 +65,64 @@ export interface RecentExpenditure {
   expenditureDate: string;
 }
 
+export interface ExpiringLot {
+  _id: string;
+  asset: string;
+  assetName: string;
+  base: string;
+  lotNumber: string;
+  expiryDate: string;
+  quantity: number;
+}
+
+export interface ExpiringLots {
+  // Warning window, in days
+  days: number;
+  expired: number;
+  expiring: number;
+  // Soonest to expire first
+  lots: ExpiringLot[];
+}
+
+export interface OverdueAssignment {
+  _id: string;
+  assetName: string;
+  base: string;
+  quantity: number;
+  returnedQuantity: number;
+  assignedTo: {
+    name: string;
+    rank: string;
+    id: string;
+  };
+  expectedReturnDate: string;
+  daysOverdue: number;
+}
+
+export interface OverdueAssignments {
+  total: number;
+  // Quantity still out on them
+  quantity: number;
+  byBase: { base: string; assignments: number; quantity: number }[];
+  // Most overdue first
+  assignments: OverdueAssignment[];
+}
+
 export interface DashboardData {
+  period?: AccountingPeriod;
   summary: DashboardSummary;
   assetsByType: AssetTypeStats[];
   recentTransfers: RecentTransfer[];
   recentPurchases: RecentPurchase[];
+  // Purchases still waiting on deliveries past their expected date
+  overdueDeliveries: number;
+  // Budgets of the current fiscal year
+  budgetUtilisation: BudgetUtilisation;
+  // Lots expired or expiring within the warning window
+  expiringLots: ExpiringLots;
   recentAssignments: RecentAssignment[];
+  // Active assignments past their expected return date
+  overdueAssignments: OverdueAssignments;
   recentExpenditures: RecentExpenditure[];
 }
 
@@ -1,5 +1,5 @@
 import { get, post, put } from './api';
-import { Expenditure, ExpenditureResponse } from '@/types/expenditure';
+import { Expenditure, ExpenditureCorrection, ExpenditureResponse } from '@/types/expenditure';
 
 export const expenditureService = {
   getExpenditures: async (params?: any): Promise<ExpenditureResponse> => {
@@ -18,6 +18,14 @@ export const expenditureService = {
     return put<Expenditure>(`/expenditures/${id}`, expenditureData);
   },
   
+  /**
+   * Correct the quantity, reason or date of an expenditure
+   * PUT /expenditures/:id/correct
+   */
+  correctExpenditure: async (id: string, correction: ExpenditureCorrection): Promise<Expenditure> => {
+    return put<Expenditure>(`/expenditures/${id}/correct`, correction);
+  },
+  
   getExpendituresByAsset: async (assetId: string): Promise<Expenditure[]> => {
     return get<Expenditure[]>(`/expenditures/asset/${assetId}`);
   },
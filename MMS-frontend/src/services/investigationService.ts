@@ -0,0 +1,71 @@
+import { get, post, put } from './api';
+import {
+  Investigation,
+  InvestigationResponse,
+  InvestigationStatus,
+  InvestigationOutcome,
+  LiabilityDecision,
+} from '@/types/investigation';
+
+export type InvestigationParams = {
+  base?: string;
+  status?: InvestigationStatus;
+  type?: 'Lost' | 'Damaged';
+  assignment?: string;
+  asset?: string;
+  limit?: number;
+  skip?: number;
+};
+
+export type InvestigationUpdate = {
+  investigatingOfficer?: string;
+  findings?: string;
+  liability?: {
+    decision: LiabilityDecision;
+    amount?: number;
+    notes?: string;
+  };
+  notes?: string;
+};
+
+export const investigationService = {
+  /**
+   * Get loss and damage investigations
+   * GET /investigations
+   */
+  getInvestigations: async (params?: InvestigationParams): Promise<InvestigationResponse> => {
+    return get<InvestigationResponse>('/investigations', { params });
+  },
+
+  /**
+   * Get an investigation with its evidence and history
+   * GET /investigations/:id
+   */
+  getInvestigationById: async (id: string): Promise<Investigation> => {
+    return get<Investigation>(`/investigations/${id}`);
+  },
+
+  /**
+   * Appoint the investigating officer, record findings or decide liability
+   * PUT /investigations/:id
+   */
+  updateInvestigation: async (id: string, data: InvestigationUpdate): Promise<Investigation> => {
+    return put<Investigation>(`/investigations/${id}`, data);
+  },
+
+  /**
+   * Attach a note describing a piece of evidence
+   * POST /investigations/:id/evidence
+   */
+  addEvidence: async (id: string, data: { description: string; reference?: string }): Promise<Investigation> => {
+    return post<Investigation>(`/investigations/${id}/evidence`, data);
+  },
+
+  /**
+   * Close an investigation, writing the stock off or restoring it
+   * PUT /investigations/:id/close
+   */
+  closeInvestigation: async (id: string, data: { outcome: InvestigationOutcome; notes?: string }): Promise<Investigation> => {
+    return put<Investigation>(`/investigations/${id}/close`, data);
+  },
+};
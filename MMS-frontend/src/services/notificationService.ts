@@ -0,0 +1,49 @@
+import { get, put } from './api';
+
+export interface ServerNotification {
+  _id: string;
+  type: 'info' | 'success' | 'warning' | 'error';
+  title: string;
+  message: string;
+  // Record the notification is about
+  resourceType?: string;
+  resourceId?: string;
+  read: boolean;
+  readAt?: string;
+  createdAt: string;
+}
+
+export interface NotificationResponse {
+  notifications: ServerNotification[];
+  unreadCount: number;
+  total: number;
+  limit: number;
+  skip: number;
+  hasMore: boolean;
+}
+
+export const notificationService = {
+  /**
+   * Get the current user's notifications, newest first
+   * GET /notifications
+   */
+  getNotifications: async (params?: { unread?: boolean; limit?: number; skip?: number }): Promise<NotificationResponse> => {
+    return get<NotificationResponse>('/notifications', { params });
+  },
+
+  /**
+   * Mark a notification as read
+   * PUT /notifications/:id/read
+   */
+  markAsRead: async (id: string): Promise<ServerNotification> => {
+    return put<ServerNotification>(`/notifications/${id}/read`);
+  },
+
+  /**
+   * Mark all of the current user's notifications as read
+   * PUT /notifications/read-all
+   */
+  markAllAsRead: async (): Promise<{ updated: number }> => {
+    return put<{ updated: number }>('/notifications/read-all');
+  },
+};
@@ -0,0 +1,74 @@
+import { get, post, put, del } from './api';
+
+export type AccountingPeriodStatus = 'Open' | 'Closed';
+
+export interface AccountingPeriod {
+  _id: string;
+  name: string;
+  startDate: string;
+  endDate: string;
+  status: AccountingPeriodStatus;
+  closedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  closedAt?: string;
+  notes?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PeriodBalance {
+  asset: string;
+  assetName: string;
+  assetType: string;
+  base: string;
+  openingBalance: number;
+  purchases: number;
+  transferIn: number;
+  transferOut: number;
+  assigned: number;
+  expended: number;
+  closingBalance: number;
+  available: number;
+}
+
+export interface PeriodBalancesResponse {
+  period: AccountingPeriod;
+  balances: PeriodBalance[];
+}
+
+export interface CreatePeriodData {
+  name?: string;
+  month?: string;
+  startDate?: string;
+  endDate?: string;
+  notes?: string;
+}
+
+export const periodService = {
+  getPeriods: async (params?: { status?: AccountingPeriodStatus }): Promise<AccountingPeriod[]> => {
+    return get<AccountingPeriod[]>('/periods', { params });
+  },
+
+  getPeriodById: async (id: string): Promise<AccountingPeriod> => {
+    return get<AccountingPeriod>(`/periods/${id}`);
+  },
+
+  getPeriodBalances: async (id: string, params?: { base?: string; assetType?: string }): Promise<PeriodBalancesResponse> => {
+    return get<PeriodBalancesResponse>(`/periods/${id}/balances`, { params });
+  },
+
+  createPeriod: async (data: CreatePeriodData): Promise<AccountingPeriod> => {
+    return post<AccountingPeriod>('/periods', data);
+  },
+
+  closePeriod: async (id: string): Promise<{ period: AccountingPeriod; assets: number }> => {
+    return put<{ period: AccountingPeriod; assets: number }>(`/periods/${id}/close`);
+  },
+
+  deletePeriod: async (id: string): Promise<{ message: string }> => {
+    return del<{ message: string }>(`/periods/${id}`);
+  },
+};
@@ -0,0 +1,100 @@
+import { get, post, put } from './api';
+import {
+  Personnel,
+  PersonnelResponse,
+  PersonnelStatus,
+  PersonnelSummary,
+  PersonnelHoldingsResponse,
+  PersonHoldings,
+} from '@/types/personnel';
+
+export type PersonnelInput = {
+  serviceNumber: string;
+  name: string;
+  rank: string;
+  unit?: string;
+  base: string;
+  status?: PersonnelStatus;
+  notes?: string;
+};
+
+export type PersonnelParams = {
+  base?: string;
+  status?: PersonnelStatus;
+  unit?: string;
+  search?: string;
+  limit?: number;
+  skip?: number;
+};
+
+export type PersonnelSearchParams = {
+  base?: string;
+  includeInactive?: boolean;
+  limit?: number;
+};
+
+export type PersonnelHoldingsParams = {
+  base?: string;
+  assetType?: string;
+  search?: string;
+  limit?: number;
+  skip?: number;
+};
+
+export const personnelService = {
+  /**
+   * Get personnel
+   * GET /personnel
+   */
+  getPersonnel: async (params?: PersonnelParams): Promise<PersonnelResponse> => {
+    return get<PersonnelResponse>('/personnel', { params });
+  },
+
+  /**
+   * Find personnel by name or service number, for autocomplete
+   * GET /personnel/search
+   */
+  searchPersonnel: async (q: string, params?: PersonnelSearchParams): Promise<PersonnelSummary[]> => {
+    return get<PersonnelSummary[]>('/personnel/search', { params: { q, ...params } });
+  },
+
+  /**
+   * Get the assets each person holds on active assignments
+   * GET /personnel/holdings
+   */
+  getHoldings: async (params?: PersonnelHoldingsParams): Promise<PersonnelHoldingsResponse> => {
+    return get<PersonnelHoldingsResponse>('/personnel/holdings', { params });
+  },
+
+  /**
+   * Get personnel by ID
+   * GET /personnel/:id
+   */
+  getPersonnelById: async (id: string): Promise<Personnel> => {
+    return get<Personnel>(`/personnel/${id}`);
+  },
+
+  /**
+   * Get what a person holds, and their recent expenditures
+   * GET /personnel/:id/holdings
+   */
+  getPersonHoldings: async (id: string): Promise<PersonHoldings> => {
+    return get<PersonHoldings>(`/personnel/${id}/holdings`);
+  },
+
+  /**
+   * Register a person (Admin and BaseCommander)
+   * POST /personnel
+   */
+  createPersonnel: async (personnelData: PersonnelInput): Promise<Personnel> => {
+    return post<Personnel>('/personnel', personnelData);
+  },
+
+  /**
+   * Update a person (Admin and BaseCommander)
+   * PUT /personnel/:id
+   */
+  updatePersonnel: async (id: string, personnelData: Partial<Omit<PersonnelInput, 'serviceNumber'>>): Promise<Personnel> => {
+    return put<Personnel>(`/personnel/${id}`, personnelData);
+  },
+};
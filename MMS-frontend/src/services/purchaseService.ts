@@ -1,5 +1,5 @@
 import { get, post, put } from './api';
-import { Purchase, PurchaseResponse } from '@/types/purchase';
+import { Purchase, PurchaseDeliveryData, PurchaseResponse } from '@/types/purchase';
 
 export const purchaseService = {
   getPurchases: async (params?: any): Promise<PurchaseResponse> => {
@@ -18,8 +18,20 @@ export const purchaseService = {
     return put<Purchase>(`/purchases/${id}`, purchaseData);
   },
   
-  markAsDelivered: async (id: string): Promise<Purchase> => {
-    return put<Purchase>(`/purchases/${id}/deliver`);
+  approvePurchase: async (id: string, comments?: string): Promise<Purchase> => {
+    return put<Purchase>(`/purchases/${id}/approve`, { comments });
+  },
+  
+  rejectPurchase: async (id: string, reason: string): Promise<Purchase> => {
+    return put<Purchase>(`/purchases/${id}/reject`, { reason });
+  },
+  
+  orderPurchase: async (id: string, invoiceNumber?: string, expectedDeliveryDate?: string): Promise<Purchase> => {
+    return put<Purchase>(`/purchases/${id}/order`, { invoiceNumber, expectedDeliveryDate });
+  },
+  
+  recordDelivery: async (id: string, delivery: PurchaseDeliveryData): Promise<Purchase> => {
+    return put<Purchase>(`/purchases/${id}/deliver`, delivery);
   },
   
   cancelPurchase: async (id: string): Promise<Purchase> => {
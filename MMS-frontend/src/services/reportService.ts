@@ -1,13 +1,27 @@
-import { get } from './api';
+import api, { get } from './api';
 
 export interface ReportParams {
   startDate?: string;
   endDate?: string;
   base?: string;
   assetType?: string;
+  // Expiry warning window, in days (expiry report)
+  days?: number;
   format?: 'json' | 'csv' | 'pdf';
 }
 
+export type ReportName =
+  | 'inventory'
+  | 'movement'
+  | 'transfers'
+  | 'purchases'
+  | 'assignments'
+  | 'expenditures'
+  | 'expiry'
+  | `base/${string}`
+  | `asset/${string}`
+  | 'custom';
+
 export const reportService = {
   getAssetInventoryReport: async (params?: ReportParams): Promise<any> => {
     return get('/reports/inventory', { params });
@@ -33,6 +47,10 @@ export const reportService = {
     return get('/reports/expenditures', { params });
   },
   
+  getExpiryReport: async (params?: ReportParams): Promise<any> => {
+    return get('/reports/expiry', { params });
+  },
+  
   getBaseReport: async (baseId: string, params?: ReportParams): Promise<any> => {
     return get(`/reports/base/${baseId}`, { params });
   },
@@ -44,4 +62,16 @@ export const reportService = {
   getCustomReport: async (reportConfig: any): Promise<any> => {
     return get('/reports/custom', { params: reportConfig });
   },
+  
+  /**
+   * Download a report as a CSV or PDF file
+   * GET /reports/:report?format=csv|pdf
+   */
+  exportReport: async (report: ReportName, format: 'csv' | 'pdf', params?: Omit<ReportParams, 'format'>): Promise<Blob> => {
+    const response = await api.get<Blob>(`/reports/${report}`, {
+      params: { ...params, format },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
 };
\ No newline at end of file
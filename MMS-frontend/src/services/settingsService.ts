@@ -11,6 +11,12 @@ export interface SystemSettings {
   timezone: string;
   emailNotifications: boolean;
   maintenanceMode: boolean;
+  // Order stock is drawn from lots when a movement does not name them
+  lotConsumption: 'FEFO' | 'FIFO';
+  // Lots expiring within this many days are flagged
+  expiryWarningDays: number;
+  // Overdue assignments are escalated again after this many days
+  overdueReminderDays: number;
   assetTypes: string[];
   bases: string[];
 }
@@ -0,0 +1,91 @@
+import { get, post, put, del } from './api';
+import { Supplier, SupplierMetrics } from '@/types/supplier';
+
+interface MessageResponse {
+  message: string;
+}
+
+export type SupplierInput = {
+  code?: string;
+  name: string;
+  contactName?: string;
+  email?: string;
+  phone?: string;
+  address?: string;
+  categories?: string[];
+  contractNumbers?: string[];
+  notes?: string;
+  active?: boolean;
+};
+
+export type SupplierMetricsParams = {
+  base?: string;
+  startDate?: string;
+  endDate?: string;
+};
+
+export const supplierService = {
+  /**
+   * Get suppliers
+   * GET /suppliers
+   */
+  getSuppliers: async (params?: { active?: boolean; category?: string }): Promise<Supplier[]> => {
+    return get<Supplier[]>('/suppliers', { params });
+  },
+
+  /**
+   * Get supplier by ID
+   * GET /suppliers/:id
+   */
+  getSupplierById: async (id: string): Promise<Supplier> => {
+    return get<Supplier>(`/suppliers/${id}`);
+  },
+
+  /**
+   * Get performance metrics of every supplier with purchases
+   * GET /suppliers/metrics
+   */
+  getAllMetrics: async (params?: SupplierMetricsParams): Promise<SupplierMetrics[]> => {
+    return get<SupplierMetrics[]>('/suppliers/metrics', { params });
+  },
+
+  /**
+   * Get performance metrics of a supplier
+   * GET /suppliers/:id/metrics
+   */
+  getSupplierMetrics: async (id: string, params?: SupplierMetricsParams): Promise<SupplierMetrics> => {
+    return get<SupplierMetrics>(`/suppliers/${id}/metrics`, { params });
+  },
+
+  /**
+   * Register a supplier (Admin and LogisticsOfficer)
+   * POST /suppliers
+   */
+  createSupplier: async (supplierData: SupplierInput): Promise<Supplier> => {
+    return post<Supplier>('/suppliers', supplierData);
+  },
+
+  /**
+   * Update a supplier (Admin and LogisticsOfficer)
+   * PUT /suppliers/:id
+   */
+  updateSupplier: async (id: string, supplierData: Partial<Omit<SupplierInput, 'code'>>): Promise<Supplier> => {
+    return put<Supplier>(`/suppliers/${id}`, supplierData);
+  },
+
+  /**
+   * Merge duplicate suppliers into a supplier (Admin only)
+   * POST /suppliers/:id/merge
+   */
+  mergeSuppliers: async (id: string, sources: string[]): Promise<{ supplier: Supplier; purchasesMoved: number }> => {
+    return post<{ supplier: Supplier; purchasesMoved: number }>(`/suppliers/${id}/merge`, { sources });
+  },
+
+  /**
+   * Deactivate a supplier (Admin only)
+   * DELETE /suppliers/:id
+   */
+  deactivateSupplier: async (id: string): Promise<MessageResponse> => {
+    return del<MessageResponse>(`/suppliers/${id}`);
+  },
+};
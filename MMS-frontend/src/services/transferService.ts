@@ -1,5 +1,5 @@
 import { get, post, put } from './api';
-import { Transfer, TransferResponse } from '@/types/transfer';
+import { Transfer, TransferResponse, TransferShortage } from '@/types/transfer';
 
 interface MessageResponse {
   message: string;
@@ -38,7 +38,7 @@ export const transferService = {
   },
   
   /**
-   * Create a new transfer (Admin and LogisticsOfficer)
+   * Request a new transfer (Admin and LogisticsOfficer)
    * POST /transfers
    * 
    * The token will be automatically added to the request header
@@ -48,19 +48,55 @@ export const transferService = {
     fromBase: string;
     toBase: string;
     quantity: number;
+    serialNumbers?: string[];
+    lots?: { lotNumber: string; quantity: number }[];
     notes?: string;
   }): Promise<Transfer> => {
     return post<Transfer>('/transfers', transferData);
   },
   
   /**
-   * Approve a transfer (Admin and BaseCommander of destination base)
+   * Approve the current step of a transfer's approval chain
    * PUT /transfers/:id/approve
    * 
    * The token will be automatically added to the request header
    */
-  approveTransfer: async (id: string): Promise<Transfer> => {
-    return put<Transfer>(`/transfers/${id}/approve`, {});
+  approveTransfer: async (id: string, comments?: string): Promise<Transfer> => {
+    return put<Transfer>(`/transfers/${id}/approve`, { comments });
+  },
+  
+  /**
+   * Reject a transfer request with a reason
+   * PUT /transfers/:id/reject
+   * 
+   * The token will be automatically added to the request header
+   */
+  rejectTransfer: async (id: string, reason: string): Promise<Transfer> => {
+    return put<Transfer>(`/transfers/${id}/reject`, { reason });
+  },
+  
+  /**
+   * Dispatch an approved transfer (Admin, LogisticsOfficer and BaseCommander of source base)
+   * PUT /transfers/:id/dispatch
+   * 
+   * The token will be automatically added to the request header
+   */
+  dispatchTransfer: async (id: string): Promise<Transfer> => {
+    return put<Transfer>(`/transfers/${id}/dispatch`, {});
+  },
+  
+  /**
+   * Confirm receipt of a dispatched transfer (Admin, LogisticsOfficer and BaseCommander of destination base)
+   * PUT /transfers/:id/receive
+   * 
+   * The token will be automatically added to the request header
+   */
+  receiveTransfer: async (id: string, receiptData: {
+    receivedQuantity: number;
+    discrepancies?: string;
+    shortages?: TransferShortage[];
+  }): Promise<Transfer> => {
+    return put<Transfer>(`/transfers/${id}/receive`, receiptData);
   },
   
   /**
@@ -0,0 +1,13 @@
+import { create } from 'zustand';
+
+interface MaintenanceState {
+  isMaintenanceMode: boolean;
+  message: string;
+  setMaintenanceMode: (isMaintenanceMode: boolean, message?: string) => void;
+}
+
+export const useMaintenanceStore = create<MaintenanceState>((set) => ({
+  isMaintenanceMode: false,
+  message: '',
+  setMaintenanceMode: (isMaintenanceMode, message = '') => set({ isMaintenanceMode, message }),
+}));
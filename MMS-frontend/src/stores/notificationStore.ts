@@ -7,12 +7,18 @@ export interface Notification {
   message: string;
   read: boolean;
   createdAt: Date;
+  // Sent by the server, such as overdue assignment escalations, rather than
+  // raised in this browser
+  remote?: boolean;
+  // Page of the record the notification is about
+  link?: string;
 }
 
 interface NotificationState {
   notifications: Notification[];
   unreadCount: number;
   addNotification: (notification: Omit<Notification, 'id' | 'read' | 'createdAt'>) => void;
+  setRemoteNotifications: (notifications: Notification[]) => void;
   markAsRead: (id: string) => void;
   markAllAsRead: () => void;
   removeNotification: (id: string) => void;
@@ -35,6 +41,15 @@ export const useNotificationStore = create<NotificationState>((set) => ({
         unreadCount: state.unreadCount + 1,
       };
     }),
+  setRemoteNotifications: (remoteNotifications) =>
+    set((state) => {
+      const notifications = [
+        ...state.notifications.filter((notification) => !notification.remote),
+        ...remoteNotifications.map((notification) => ({ ...notification, remote: true })),
+      ].sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+      const unreadCount = notifications.filter((notification) => !notification.read).length;
+      return { notifications, unreadCount };
+    }),
   markAsRead: (id) =>
     set((state) => {
       const notifications = state.notifications.map((notification) =>
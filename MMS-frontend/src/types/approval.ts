@@ -0,0 +1,83 @@
+export type ApprovalActionType = 'Transfer' | 'Purchase';
+
+export type ApproverRole = 'Admin' | 'BaseCommander' | 'LogisticsOfficer';
+
+export type ApprovalBaseScope = 'Any' | 'Source' | 'Destination' | 'Base';
+
+export interface ApprovalWorkflowStep {
+  name: string;
+  approverRole: ApproverRole;
+  baseScope: ApprovalBaseScope;
+}
+
+export interface ApprovalWorkflow {
+  _id: string;
+  name: string;
+  description?: string;
+  actionType: ApprovalActionType;
+  base?: string;
+  assetType?: string;
+  quantityOver?: number;
+  costOver?: number;
+  priority: number;
+  steps: ApprovalWorkflowStep[];
+  active: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ApprovalStep {
+  _id: string;
+  name: string;
+  approverRole: ApproverRole;
+  base?: string;
+  status: 'Pending' | 'Approved' | 'Rejected';
+  decidedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  decidedAt?: string;
+  comments?: string;
+}
+
+export interface ApprovalRequest {
+  _id: string;
+  actionType: ApprovalActionType;
+  resourceType: string;
+  resourceId: string;
+  workflow?: string;
+  workflowName?: string;
+  summary: {
+    assetName?: string;
+    assetType?: string;
+    quantity?: number;
+    cost?: number;
+    fromBase?: string;
+    toBase?: string;
+    base?: string;
+  };
+  status: 'Pending' | 'Approved' | 'Rejected' | 'Cancelled';
+  steps: ApprovalStep[];
+  currentStep: number;
+  pendingRole?: ApproverRole;
+  pendingBase?: string;
+  rejectionReason?: string;
+  requestedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  canDecide?: boolean;
+  completedAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ApprovalRequestResponse {
+  requests: ApprovalRequest[];
+  total: number;
+  limit: number;
+  skip: number;
+  hasMore: boolean;
+}
@@ -3,6 +3,10 @@ export interface Asset {
   name: string;
   type: string;
   base: string;
+  // Items are tracked individually by serial number
+  serialized?: boolean;
+  // Stock is tracked by lot and expiry date
+  lotTracked?: boolean;
   openingBalance: number;
   closingBalance: number;
   purchases: number;
@@ -15,6 +19,159 @@ export interface Asset {
   updatedAt: string;
 }
 
+export type StockMovementType =
+  | 'Opening'
+  | 'Purchase'
+  | 'TransferIn'
+  | 'TransferOut'
+  | 'Assignment'
+  | 'Return'
+  | 'Expenditure'
+  | 'Loss'
+  | 'Adjustment'
+  | 'PeriodClose';
+
+export interface StockMovement {
+  _id: string;
+  asset: string;
+  assetName: string;
+  assetType: string;
+  base: string;
+  type: StockMovementType;
+  field: 'openingBalance' | 'purchases' | 'transferIn' | 'transferOut' | 'assigned' | 'expended';
+  quantity: number;
+  sourceType?: 'Asset' | 'Purchase' | 'Transfer' | 'Assignment' | 'Expenditure' | 'AccountingPeriod';
+  sourceId?: string;
+  reason?: string;
+  recordedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  occurredAt: string;
+  createdAt: string;
+}
+
+export interface StockMovementResponse {
+  asset: Asset;
+  movements: StockMovement[];
+  total: number;
+  limit: number;
+  skip: number;
+  hasMore: boolean;
+}
+
+export interface BalanceVerification {
+  asset: string;
+  consistent: boolean;
+  cached: Record<string, number>;
+  ledger: Record<string, number>;
+  discrepancies: {
+    field: string;
+    cached: number;
+    ledger: number;
+  }[];
+}
+
+export type SerializedItemStatus = 'Available' | 'Assigned' | 'InTransit' | 'Expended' | 'Lost';
+
+export type SerializedItemCondition = 'Serviceable' | 'Unserviceable' | 'Damaged';
+
+export interface ItemHolder {
+  name: string;
+  rank: string;
+  id: string;
+}
+
+export interface CustodyEvent {
+  _id: string;
+  event:
+    | 'Registered'
+    | 'Delivered'
+    | 'Assigned'
+    | 'Returned'
+    | 'Dispatched'
+    | 'Received'
+    | 'ReturnedToSource'
+    | 'Expended'
+    | 'Lost'
+    | 'Damaged'
+    | 'Restored'
+    | 'Updated';
+  date: string;
+  asset?: string;
+  base?: string;
+  holder?: ItemHolder;
+  condition?: SerializedItemCondition;
+  sourceType?: 'Asset' | 'Purchase' | 'Transfer' | 'Assignment' | 'Expenditure';
+  sourceId?: string;
+  recordedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  notes?: string;
+}
+
+export interface SerializedItem {
+  _id: string;
+  asset: string;
+  assetName: string;
+  assetType: string;
+  serialNumber: string;
+  base: string;
+  location?: string;
+  status: SerializedItemStatus;
+  condition: SerializedItemCondition;
+  holder?: ItemHolder;
+  assignment?: string;
+  history: CustodyEvent[];
+  notes?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SerializedItemResponse {
+  asset: Asset;
+  items: SerializedItem[];
+  counts: Record<SerializedItemStatus, number>;
+  unregistered: number;
+}
+
+export type LotConsumption = 'FEFO' | 'FIFO';
+
+// Lot details as received into a base or drawn on by a movement
+export interface LotRecord {
+  lotNumber: string;
+  quantity: number;
+  manufactureDate?: string;
+  expiryDate?: string;
+}
+
+export interface Lot extends LotRecord {
+  _id: string;
+  asset: string;
+  assetName: string;
+  assetType: string;
+  base: string;
+  receivedQuantity: number;
+  receivedAt: string;
+  purchase?: string;
+  notes?: string;
+  expired: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface LotResponse {
+  asset: Asset;
+  lots: Lot[];
+  // Stock not in any lot
+  untracked: number;
+  lotConsumption: LotConsumption;
+  expiryWarningDays: number;
+}
+
 export interface AssetResponse {
   assets: Asset[];
   total: number;
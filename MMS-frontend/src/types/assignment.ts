@@ -1,3 +1,5 @@
+import { LotRecord } from './asset';
+
 export interface Assignment {
   _id: string;
   asset: string;
@@ -5,6 +7,12 @@ export interface Assignment {
   assetType: string;
   base: string;
   quantity: number;
+  serialNumbers?: string[];
+  returnedSerialNumbers?: string[];
+  // Lots written off after a loss or damage investigation
+  lots?: LotRecord[];
+  // Person from the personnel registry; assignedTo holds a copy of their details
+  personnel?: string;
   assignedTo: {
     name: string;
     rank: string;
@@ -15,11 +23,24 @@ export interface Assignment {
     username: string;
     fullName: string;
   };
+  // Hand receipt covering the issue, shared by a bulk issue
+  receiptNumber?: string;
   purpose: string;
   startDate: string;
+  // Date the assets are due back
+  expectedReturnDate?: string;
+  // Date the assignment was returned, lost or damaged
   endDate?: string;
   status: 'Active' | 'Returned' | 'Lost' | 'Damaged';
   returnedQuantity: number;
+  // Active past the expected return date, as of the last overdue check
+  overdue?: boolean;
+  daysOverdue?: number;
+  // Escalations to the BaseCommander while overdue
+  lastEscalatedAt?: string;
+  escalations?: number;
+  // Investigation opened when reported lost or damaged
+  investigation?: string;
   notes?: string;
   createdAt: string;
   updatedAt: string;
@@ -31,4 +52,39 @@ export interface AssignmentResponse {
   limit: number;
   skip: number;
   hasMore: boolean;
-}
\ No newline at end of file
+}
+
+// Issue to a unit: every person gets quantity of each item; serialized items
+// list quantity × personnel serial numbers, handed out in order
+export interface BulkIssueRequest {
+  base: string;
+  personnel: string[];
+  items: {
+    asset: string;
+    quantity: number;
+    serialNumbers?: string[];
+  }[];
+  purpose: string;
+  startDate: string;
+  expectedReturnDate: string;
+  notes?: string;
+}
+
+// Each return takes back everything still out unless a quantity or serial
+// numbers are given
+export interface BulkReturnRequest {
+  returns: {
+    assignment: string;
+    returnedQuantity?: number;
+    serialNumbers?: string[];
+    notes?: string;
+  }[];
+  notes?: string;
+}
+
+export interface BulkAssignmentResponse {
+  assignments: Assignment[];
+  count: number;
+  // Hand receipt of a bulk issue
+  receiptNumber?: string;
+}
@@ -0,0 +1,40 @@
+export type BudgetEnforcement = 'Reject' | 'Flag';
+
+export interface Budget {
+  _id: string;
+  base: string;
+  // Unset for a budget covering every purchase of the base
+  assetType?: string;
+  fiscalYear: number;
+  amount: number;
+  enforcement: BudgetEnforcement;
+  notes?: string;
+  createdAt: string;
+  updatedAt: string;
+  // Cost of purchases awaiting approval
+  requested: number;
+  // Cost of approved purchases, which the remaining amount is counted from
+  approved: number;
+  // Cost of ordered purchases
+  committed: number;
+  // Value delivered against ordered purchases
+  actual: number;
+  remaining: number;
+  utilisation: number | null;
+}
+
+export interface BudgetUtilisation {
+  fiscalYear: number;
+  budgets: Budget[];
+  // Number of budgets whose approved purchases exceed the amount
+  overBudget: number;
+}
+
+export interface BudgetFormData {
+  base: string;
+  assetType?: string;
+  fiscalYear: number;
+  amount: number;
+  enforcement: BudgetEnforcement;
+  notes?: string;
+}
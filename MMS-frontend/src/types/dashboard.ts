@@ -22,6 +22,7 @@ export interface DashboardSummary {
   totalAssigned: number;
   totalExpended: number;
   totalAvailable: number;
+  totalInTransit: number;
 }
 
 export interface DashboardData {
@@ -1,18 +1,55 @@
+import { LotRecord } from './asset';
+
 export type ExpenditureReason = 'Training' | 'Operation' | 'Maintenance' | 'Damaged' | 'Lost' | 'Other';
+
+// Fields a correction can amend
+export type CorrectableField = 'quantity' | 'reason' | 'expenditureDate';
+
+// A correction, with the values it changed from and to
+export interface ExpenditureRevision {
+  _id?: string;
+  changes: {
+    field: CorrectableField;
+    from: number | string;
+    to: number | string;
+  }[];
+  justification: string;
+  user?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  date: string;
+}
+
+export interface ExpenditureCorrection {
+  quantity?: number;
+  reason?: ExpenditureReason;
+  expenditureDate?: string;
+  justification: string;
+}
 export interface Expenditure {
   _id: string;
+  transfer?: string;
+  // Set when written off by a loss or damage investigation
+  investigation?: string;
   asset: string;
   assetName: string;
   assetType: string;
   base: string;
   quantity: number;
+  serialNumbers?: string[];
+  lots?: LotRecord[];
  reason: ExpenditureReason;
   authorizedBy: {
     _id: string;
     username: string;
     fullName: string;
   };
-  expendedBy: {
+  // Person from the personnel registry and their details; neither is set
+  // on transfer write-offs
+  personnel?: string;
+  expendedBy?: {
     name: string;
     rank: string;
     id: string;
@@ -21,6 +58,8 @@ export interface Expenditure {
   expenditureDate: string;
   location?: string;
   notes?: string;
+  // Corrections, oldest first
+  revisions?: ExpenditureRevision[];
   createdAt: string;
   updatedAt: string;
 }
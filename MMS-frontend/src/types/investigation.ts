@@ -0,0 +1,78 @@
+export type InvestigationStatus = 'Open' | 'UnderInvestigation' | 'Closed';
+
+export type LiabilityDecision = 'Pending' | 'NotLiable' | 'Liable';
+
+export type InvestigationOutcome = 'WrittenOff' | 'Restored';
+
+interface UserRef {
+  _id: string;
+  username: string;
+  fullName: string;
+}
+
+interface PersonCopy {
+  name: string;
+  rank: string;
+  id: string;
+}
+
+export interface InvestigationEvidence {
+  _id?: string;
+  description: string;
+  // Where the evidence is kept, such as a statement or photo reference
+  reference?: string;
+  addedBy?: UserRef;
+  addedAt: string;
+}
+
+export interface InvestigationEvent {
+  _id?: string;
+  event: 'Opened' | 'OfficerAppointed' | 'Updated' | 'EvidenceAdded' | 'Closed';
+  date: string;
+  user?: UserRef;
+  notes?: string;
+}
+
+export interface Investigation {
+  _id: string;
+  assignment: string;
+  type: 'Lost' | 'Damaged';
+  asset: string;
+  assetName: string;
+  assetType: string;
+  base: string;
+  // Quantity still out on the assignment when it was reported
+  quantity: number;
+  serialNumbers?: string[];
+  personnel?: string;
+  assignedTo?: PersonCopy;
+  status: InvestigationStatus;
+  // Personnel registry id of the officer; officer holds a copy of their details
+  investigatingOfficer?: string;
+  officer?: PersonCopy;
+  findings?: string;
+  liability: {
+    decision: LiabilityDecision;
+    amount?: number;
+    notes?: string;
+  };
+  evidence?: InvestigationEvidence[];
+  outcome?: InvestigationOutcome;
+  outcomeNotes?: string;
+  // Expenditure the stock was written off by
+  expenditure?: string;
+  openedBy?: UserRef;
+  closedBy?: UserRef;
+  closedAt?: string;
+  history?: InvestigationEvent[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface InvestigationResponse {
+  investigations: Investigation[];
+  total: number;
+  limit: number;
+  skip: number;
+  hasMore: boolean;
+}
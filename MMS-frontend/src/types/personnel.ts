@@ -0,0 +1,64 @@
+import { Assignment } from './assignment';
+import { Expenditure } from './expenditure';
+
+export type PersonnelStatus = 'Active' | 'OnLeave' | 'Deployed' | 'Transferred' | 'Discharged';
+
+export interface Personnel {
+  _id: string;
+  serviceNumber: string;
+  name: string;
+  rank: string;
+  unit?: string;
+  base: string;
+  status: PersonnelStatus;
+  notes?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type PersonnelSummary = Pick<Personnel, '_id' | 'serviceNumber' | 'name' | 'rank' | 'unit' | 'base' | 'status'>;
+
+export interface PersonnelResponse {
+  personnel: Personnel[];
+  total: number;
+  limit: number;
+  skip: number;
+  hasMore: boolean;
+}
+
+export interface PersonnelAssetHolding {
+  asset: string;
+  assetName: string;
+  assetType: string;
+  base: string;
+  assignments: number;
+  quantity: number;
+}
+
+export interface PersonnelHolding {
+  personnel: PersonnelSummary;
+  assignedTo: {
+    name: string;
+    rank: string;
+    id: string;
+  };
+  assignments: number;
+  quantity: number;
+  assets: PersonnelAssetHolding[];
+}
+
+export interface PersonnelHoldingsResponse {
+  holdings: PersonnelHolding[];
+  total: number;
+  limit: number;
+  skip: number;
+  hasMore: boolean;
+}
+
+export interface PersonHoldings {
+  personnel: Personnel;
+  assignments: Assignment[];
+  quantity: number;
+  assets: PersonnelAssetHolding[];
+  expenditures: Expenditure[];
+}
@@ -1,3 +1,39 @@
+import { ApprovalRequest } from './approval';
+import { LotRecord } from './asset';
+
+export type PurchaseStatus =
+  | 'Requested'
+  | 'Approved'
+  | 'Rejected'
+  | 'Ordered'
+  | 'Partially Delivered'
+  | 'Delivered'
+  | 'Cancelled';
+
+export interface PurchaseDelivery {
+  _id?: string;
+  date: string;
+  quantity: number;
+  receiptNumber?: string;
+  receivedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  serialNumbers?: string[];
+  lots?: LotRecord[];
+  notes?: string;
+}
+
+export interface PurchaseDeliveryData {
+  quantity: number;
+  date?: string;
+  receiptNumber?: string;
+  serialNumbers?: string[];
+  lots?: LotRecord[];
+  notes?: string;
+}
+
 export interface Purchase {
   _id: string;
   asset?: string;
@@ -8,9 +44,17 @@ export interface Purchase {
   unitCost: number;
   totalCost: number;
   supplier: string;
+  supplierName: string;
   purchaseDate: string;
+  expectedDeliveryDate?: string;
   deliveryDate?: string;
-  status: 'Ordered' | 'Delivered' | 'Cancelled';
+  deliveries?: PurchaseDelivery[];
+  deliveredQuantity: number;
+  outstandingQuantity: number;
+  overdue: boolean;
+  // Exceeds the remaining amount of a budget that flags rather than rejects
+  overBudget: boolean;
+  status: PurchaseStatus;
   purchasedBy: {
     _id: string;
     username: string;
@@ -21,8 +65,23 @@ export interface Purchase {
     username: string;
     fullName: string;
   };
+  approvedAt?: string;
+  rejectedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  rejectedAt?: string;
+  rejectionReason?: string;
+  orderedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  orderedAt?: string;
   invoiceNumber?: string;
   notes?: string;
+  approvals?: ApprovalRequest[];
   createdAt: string;
   updatedAt: string;
 }
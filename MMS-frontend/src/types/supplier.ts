@@ -0,0 +1,41 @@
+export interface Supplier {
+  _id: string;
+  code: string;
+  name: string;
+  contactName?: string;
+  email?: string;
+  phone?: string;
+  address?: string;
+  categories: string[];
+  contractNumbers: string[];
+  notes?: string;
+  active: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface SupplierAssetCost {
+  assetName: string;
+  assetType: string;
+  quantity: number;
+  totalCost: number;
+  averageUnitCost: number;
+}
+
+export interface SupplierMetrics {
+  supplier: Pick<Supplier, '_id' | 'code' | 'name' | 'active'>;
+  purchases: number;
+  totalSpend: number;
+  deliveredSpend: number;
+  averageUnitCost: SupplierAssetCost[];
+  deliveries: {
+    onTime: number;
+    late: number;
+    onTimeRate: number | null;
+  };
+  cancellations: {
+    ordered: number;
+    cancelled: number;
+    cancellationRate: number | null;
+  };
+}
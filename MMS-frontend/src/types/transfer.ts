@@ -1,3 +1,17 @@
+import { ApprovalRequest } from './approval';
+import { LotRecord } from './asset';
+
+export interface TransferShortage {
+  _id?: string;
+  quantity: number;
+  reason: 'Lost' | 'Damaged';
+  resolution: 'ReturnedToSource' | 'WrittenOff';
+  expenditure?: string;
+  serialNumbers?: string[];
+  lots?: LotRecord[];
+  notes?: string;
+}
+
 export interface Transfer {
   _id: string;
   asset: string;
@@ -6,7 +20,10 @@ export interface Transfer {
   fromBase: string;
   toBase: string;
   quantity: number;
-  status: 'Pending' | 'Completed' | 'Cancelled';
+  serialNumbers?: string[];
+  // Lots asked for when requested, and those drawn on once dispatched
+  lots?: LotRecord[];
+  status: 'Requested' | 'Approved' | 'Rejected' | 'Dispatched' | 'Received' | 'Cancelled';
   transferredBy: {
     _id: string;
     username: string;
@@ -17,7 +34,31 @@ export interface Transfer {
     username: string;
     fullName: string;
   };
+  approvedAt?: string;
+  rejectedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  rejectedAt?: string;
+  rejectionReason?: string;
+  dispatchedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  dispatchedAt?: string;
+  receivedBy?: {
+    _id: string;
+    username: string;
+    fullName: string;
+  };
+  receivedAt?: string;
+  receivedQuantity?: number;
+  discrepancies?: string;
+  shortages?: TransferShortage[];
   notes?: string;
+  approvals?: ApprovalRequest[];
   createdAt: string;
   updatedAt: string;
 }